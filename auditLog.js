@@ -0,0 +1,368 @@
+/**
+ * @fileoverview Sorting Decision Audit Log
+ *
+ * An append-only NDJSON log with one record per sorting decision, kept so a
+ * package's routing can be explained long after the fact. Each record holds
+ * the timestamp, package ID, input measurements, derived facts, matched rule
+ * and rule-set version.
+ *
+ * Records form a hash chain: each one stores the SHA-256 hash of the record
+ * before it and a hash of its own contents, so editing, removing or
+ * reordering a record breaks the chain from that point on. `verifyAuditLog`
+ * walks the chain and reports the first break.
+ *
+ * Files are named `<prefix>-000001.ndjson`, `<prefix>-000002.ndjson`, ... and
+ * rotate when the current file would grow past `maxBytes`. The chain runs
+ * across files, and a new log resumes the chain of the files already in its
+ * directory.
+ *
+ * @example
+ * const { createAuditLog, verifyAuditLog } = require('./auditLog');
+ * const auditLog = createAuditLog({ directory: "/var/log/sorting" });
+ * const sorter = createSorter({ auditLog });
+ * sorter.sort(200, 50, 30, 15, { id: "PKG-1" });
+ *
+ * verifyAuditLog({ directory: "/var/log/sorting" }); // { valid: true, records: 1 }
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const GENESIS_HASH = "0".repeat(64);
+const DEFAULT_PREFIX = "audit";
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Hashes a record's contents, excluding its own hash
+ * @param {Object} record - Record without a `hash` property
+ * @returns {string} Hex SHA-256 digest
+ * @private
+ */
+function hashRecord(record) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(record))
+    .digest("hex");
+}
+
+/**
+ * Builds the file name for a log file index
+ * @param {string} prefix - File name prefix
+ * @param {number} index - File index, starting at 1
+ * @returns {string} File name
+ * @private
+ */
+function logFileName(prefix, index) {
+  return `${prefix}-${String(index).padStart(6, "0")}.ndjson`;
+}
+
+/**
+ * Lists a directory's log files in chain order
+ * @param {string} directory - Log directory
+ * @param {string} prefix - File name prefix
+ * @returns {Array<{index: number, file: string}>} Log files, oldest first
+ * @private
+ */
+function listLogFiles(directory, prefix) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+  const pattern = new RegExp(
+    `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}-(\\d{6,})\\.ndjson$`
+  );
+  return fs
+    .readdirSync(directory)
+    .map((name) => pattern.exec(name))
+    .filter(Boolean)
+    .map((match) => ({
+      index: Number(match[1]),
+      file: path.join(directory, match[0]),
+    }))
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Reads the last record of a log file
+ * @param {string} file - Log file path
+ * @returns {Object|null} Last record, or null if the file is empty
+ * @throws {Error} If the last line is not valid JSON
+ * @private
+ */
+function readLastRecord(file) {
+  const lines = fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() !== "");
+  if (lines.length === 0) {
+    return null;
+  }
+  try {
+    return JSON.parse(lines[lines.length - 1]);
+  } catch (error) {
+    throw new Error(`Audit log ${file} ends with an unreadable record`);
+  }
+}
+
+/**
+ * Opens an audit log in a directory, creating the directory if needed and
+ * continuing any chain already there.
+ *
+ * @param {Object} options - Log options
+ * @param {string} options.directory - Directory the log files live in
+ * @param {string} [options.prefix="audit"] - File name prefix
+ * @param {number} [options.maxBytes=10485760] - Size at which to start a new file
+ * @param {Function} [options.clock] - Returns the current Date; for testing
+ * @returns {AuditLog} Open audit log
+ * @throws {Error} If the options are invalid or the existing log's last
+ *   record cannot be read
+ */
+function createAuditLog(options = {}) {
+  const {
+    directory,
+    prefix = DEFAULT_PREFIX,
+    maxBytes = DEFAULT_MAX_BYTES,
+    clock = () => new Date(),
+  } = options;
+
+  if (typeof directory !== "string" || directory === "") {
+    throw new Error("Audit log directory must be a non-empty string");
+  }
+  if (typeof prefix !== "string" || !/^[\w.-]+$/.test(prefix)) {
+    throw new Error(
+      "Audit log prefix must contain only letters, digits, '_', '.' and '-'"
+    );
+  }
+  if (!Number.isInteger(maxBytes) || maxBytes <= 0) {
+    throw new Error("Audit log maxBytes must be a positive integer");
+  }
+
+  fs.mkdirSync(directory, { recursive: true });
+
+  // Pick up where the existing files left off
+  const existing = listLogFiles(directory, prefix);
+  let fileIndex = 1;
+  let previousHash = GENESIS_HASH;
+  let sequence = 0;
+  let size = 0;
+
+  if (existing.length > 0) {
+    const latest = existing[existing.length - 1];
+    fileIndex = latest.index;
+    size = fs.statSync(latest.file).size;
+
+    // An empty latest file (e.g. just rotated) continues the chain from the
+    // last record of the file before it
+    for (let i = existing.length - 1; i >= 0; i--) {
+      const last = readLastRecord(existing[i].file);
+      if (last) {
+        previousHash = last.hash;
+        sequence = last.sequence;
+        break;
+      }
+    }
+  }
+
+  let currentFile = path.join(directory, logFileName(prefix, fileIndex));
+  let fd = fs.openSync(currentFile, "a");
+
+  function rotate() {
+    fs.closeSync(fd);
+    fileIndex++;
+    currentFile = path.join(directory, logFileName(prefix, fileIndex));
+    fd = fs.openSync(currentFile, "a");
+    size = 0;
+  }
+
+  /**
+   * Appends one decision to the log
+   * @param {AuditEntry} entry - Decision to record
+   * @returns {AuditRecord} The record as written
+   */
+  function record(entry) {
+    if (fd === null) {
+      throw new Error("Audit log is closed");
+    }
+
+    const contents = {
+      sequence: sequence + 1,
+      timestamp: clock().toISOString(),
+      packageId: entry.packageId ?? null,
+      measurements: entry.measurements ?? null,
+      facts: entry.facts ?? null,
+      matchedRule: entry.matchedRule ?? null,
+      result: entry.result ?? null,
+      ruleSetVersion: entry.ruleSetVersion ?? null,
+      previousHash,
+    };
+    const written = { ...contents, hash: hashRecord(contents) };
+    const line = `${JSON.stringify(written)}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    // Never split a record across files; a record larger than maxBytes gets
+    // a file to itself
+    if (size > 0 && size + bytes > maxBytes) {
+      rotate();
+    }
+
+    fs.writeSync(fd, line);
+    size += bytes;
+    sequence = written.sequence;
+    previousHash = written.hash;
+    return written;
+  }
+
+  /**
+   * Records every decision a RuleEngine makes, for engines used without a
+   * sorter. The package ID is taken from the package data's `id`.
+   *
+   * Use either this or a sorter created with `{ auditLog }`, never both on
+   * the same engine: attaching to `sorter.engine` of such a sorter records
+   * every decision twice, under different sequence numbers.
+   * @param {RuleEngine} engine - Engine to audit
+   * @returns {Function} Stops auditing the engine
+   */
+  function attach(engine) {
+    const handler = ({ packageData, result, matchedRule, version }) => {
+      record({
+        packageId: packageData.id,
+        facts: packageData,
+        matchedRule,
+        result,
+        ruleSetVersion: version,
+      });
+    };
+    engine.on("evaluated", handler);
+    return () => engine.off("evaluated", handler);
+  }
+
+  /**
+   * Closes the current log file. Further records throw.
+   */
+  function close() {
+    if (fd !== null) {
+      fs.closeSync(fd);
+      fd = null;
+    }
+  }
+
+  return Object.freeze({
+    record,
+    attach,
+    close,
+    get currentFile() {
+      return currentFile;
+    },
+  });
+}
+
+/**
+ * Checks the hash chain of every log file in a directory.
+ *
+ * @param {Object} options - Which log to verify
+ * @param {string} options.directory - Directory the log files live in
+ * @param {string} [options.prefix="audit"] - File name prefix
+ * @returns {AuditVerification} `{ valid, records }`, plus `file`, `line` and
+ *   `reason` for the first broken record
+ *
+ * @example
+ * const report = verifyAuditLog({ directory: "/var/log/sorting" });
+ * if (!report.valid) {
+ *   console.error(`${report.file}:${report.line}: ${report.reason}`);
+ * }
+ */
+function verifyAuditLog(options = {}) {
+  const { directory, prefix = DEFAULT_PREFIX } = options;
+  if (typeof directory !== "string" || directory === "") {
+    throw new Error("Audit log directory must be a non-empty string");
+  }
+  let previousHash = GENESIS_HASH;
+  let sequence = 0;
+
+  for (const { file } of listLogFiles(directory, prefix)) {
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].trim() === "") {
+        continue;
+      }
+      const broken = (reason) => ({
+        valid: false,
+        records: sequence,
+        file,
+        line: i + 1,
+        reason,
+      });
+
+      let written;
+      try {
+        written = JSON.parse(lines[i]);
+      } catch (error) {
+        return broken("record is not valid JSON");
+      }
+
+      const { hash, ...contents } = written;
+      if (written.sequence !== sequence + 1) {
+        return broken(
+          `expected sequence ${sequence + 1}, found ${written.sequence}`
+        );
+      }
+      if (written.previousHash !== previousHash) {
+        return broken("previousHash does not match the preceding record");
+      }
+      if (hash !== hashRecord(contents)) {
+        return broken("hash does not match the record contents");
+      }
+
+      previousHash = hash;
+      sequence = written.sequence;
+    }
+  }
+
+  return { valid: true, records: sequence };
+}
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {*} [packageId] - Package ID from the manifest or caller
+ * @property {Object} [measurements] - Input measurements, original and
+ *   normalized; reconciled scans list every reading in place of `original`
+ * @property {Object} [facts] - Package data the rules were evaluated against
+ * @property {{name: string, priority: number}} [matchedRule] - Rule that fired
+ * @property {string} [result] - Stack the package was sent to
+ * @property {string|number} [ruleSetVersion] - Version of the rules used
+ */
+
+/**
+ * @typedef {AuditEntry} AuditRecord
+ * @property {number} sequence - Position in the chain, starting at 1
+ * @property {string} timestamp - ISO 8601 time of the decision
+ * @property {string} previousHash - Hash of the preceding record
+ * @property {string} hash - SHA-256 of this record without `hash`
+ */
+
+/**
+ * @typedef {Object} AuditLog
+ * @property {Function} record - Appends an AuditEntry and returns the AuditRecord
+ * @property {Function} attach - `(engine) => detach`; records the engine's decisions
+ * @property {Function} close - Closes the current file
+ * @property {string} currentFile - Path of the file being written
+ */
+
+/**
+ * @typedef {Object} AuditVerification
+ * @property {boolean} valid - Whether the whole chain checks out
+ * @property {number} records - Records verified before any break
+ * @property {string} [file] - File holding the first broken record
+ * @property {number} [line] - Line of the first broken record
+ * @property {string} [reason] - What is wrong with it
+ */
+
+module.exports = {
+  GENESIS_HASH,
+  createAuditLog,
+  verifyAuditLog,
+};
@@ -0,0 +1,269 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { GENESIS_HASH, createAuditLog, verifyAuditLog } = require("./auditLog");
+const { createSorter, RuleEngine } = require("./packageSorting");
+const { CLASSIFICATION_RULES } = require("./packageSortingConfig");
+
+const readRecords = (file) =>
+  fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+describe("audit log", () => {
+  let directory;
+  let auditLog;
+  const clock = () => new Date("2024-11-01T08:30:00.000Z");
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+  });
+
+  afterEach(() => {
+    if (auditLog) {
+      auditLog.close();
+      auditLog = undefined;
+    }
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe("createAuditLog", () => {
+    test("should write chained NDJSON records", () => {
+      auditLog = createAuditLog({ directory, clock });
+      const first = auditLog.record({ packageId: "A", result: "STANDARD" });
+      const second = auditLog.record({ packageId: "B", result: "SPECIAL" });
+
+      expect(auditLog.currentFile).toBe(
+        path.join(directory, "audit-000001.ndjson")
+      );
+      expect(readRecords(auditLog.currentFile)).toEqual([first, second]);
+      expect(first).toMatchObject({
+        sequence: 1,
+        timestamp: "2024-11-01T08:30:00.000Z",
+        packageId: "A",
+        measurements: null,
+        facts: null,
+        matchedRule: null,
+        result: "STANDARD",
+        ruleSetVersion: null,
+        previousHash: GENESIS_HASH,
+      });
+      expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(second.previousHash).toBe(first.hash);
+    });
+
+    test("should rotate files without breaking the chain", () => {
+      auditLog = createAuditLog({ directory, maxBytes: 600 });
+      for (let i = 0; i < 5; i++) {
+        auditLog.record({ packageId: `PKG-${i}` });
+      }
+
+      const files = fs.readdirSync(directory).sort();
+      expect(files.length).toBeGreaterThan(1);
+      files.forEach((file) => {
+        expect(
+          fs.statSync(path.join(directory, file)).size
+        ).toBeLessThanOrEqual(600);
+      });
+      expect(verifyAuditLog({ directory })).toEqual({
+        valid: true,
+        records: 5,
+      });
+    });
+
+    test("should resume the chain of an existing log", () => {
+      auditLog = createAuditLog({ directory });
+      const last = auditLog.record({ packageId: "A" });
+      auditLog.close();
+
+      auditLog = createAuditLog({ directory });
+      const next = auditLog.record({ packageId: "B" });
+
+      expect(next.sequence).toBe(2);
+      expect(next.previousHash).toBe(last.hash);
+      expect(verifyAuditLog({ directory })).toEqual({
+        valid: true,
+        records: 2,
+      });
+    });
+
+    test("should throw after close", () => {
+      auditLog = createAuditLog({ directory });
+      auditLog.close();
+
+      expect(() => auditLog.record({})).toThrow("Audit log is closed");
+    });
+
+    test("should validate its options", () => {
+      expect(() => createAuditLog({})).toThrow(
+        "Audit log directory must be a non-empty string"
+      );
+      expect(() => createAuditLog({ directory, prefix: "../x" })).toThrow(
+        "Audit log prefix must contain only"
+      );
+      expect(() => createAuditLog({ directory, maxBytes: 0 })).toThrow(
+        "Audit log maxBytes must be a positive integer"
+      );
+    });
+  });
+
+  describe("verifyAuditLog", () => {
+    let file;
+
+    beforeEach(() => {
+      auditLog = createAuditLog({ directory });
+      ["A", "B", "C"].forEach((packageId) => auditLog.record({ packageId }));
+      file = auditLog.currentFile;
+    });
+
+    const rewrite = (change) => {
+      const records = readRecords(file);
+      change(records);
+      fs.writeFileSync(
+        file,
+        records.map((record) => `${JSON.stringify(record)}\n`).join("")
+      );
+    };
+
+    test("should accept an untouched log", () => {
+      expect(verifyAuditLog({ directory })).toEqual({
+        valid: true,
+        records: 3,
+      });
+    });
+
+    test("should detect an edited record", () => {
+      rewrite((records) => {
+        records[1].packageId = "Z";
+      });
+
+      expect(verifyAuditLog({ directory })).toEqual({
+        valid: false,
+        records: 1,
+        file,
+        line: 2,
+        reason: "hash does not match the record contents",
+      });
+    });
+
+    test("should detect a removed record", () => {
+      rewrite((records) => records.splice(1, 1));
+
+      expect(verifyAuditLog({ directory })).toMatchObject({
+        valid: false,
+        line: 2,
+        reason: "expected sequence 2, found 3",
+      });
+    });
+
+    test("should detect a re-hashed record that breaks the chain", () => {
+      rewrite((records) => {
+        records[0].previousHash = "f".repeat(64);
+      });
+
+      expect(verifyAuditLog({ directory })).toMatchObject({
+        valid: false,
+        line: 1,
+        reason: "previousHash does not match the preceding record",
+      });
+    });
+
+    test("should detect a corrupted line", () => {
+      fs.appendFileSync(file, "{ not json\n");
+
+      expect(verifyAuditLog({ directory })).toMatchObject({
+        valid: false,
+        records: 3,
+        line: 4,
+        reason: "record is not valid JSON",
+      });
+    });
+  });
+
+  describe("sorter integration", () => {
+    test("should record each decision with its id, measurements, facts and rule", () => {
+      auditLog = createAuditLog({ directory, clock });
+      const sorter = createSorter({ auditLog });
+
+      sorter.sort(60, 20, 20, 10, {
+        id: "PKG-1",
+        units: { length: "in", mass: "lb" },
+      });
+      const [record] = readRecords(auditLog.currentFile);
+
+      expect(record).toMatchObject({
+        packageId: "PKG-1",
+        result: "SPECIAL",
+        matchedRule: { name: "special-packages", priority: 2 },
+        ruleSetVersion: 1,
+        measurements: {
+          width: {
+            original: { value: 60, unit: "in" },
+            normalized: { value: 152.4, unit: "cm" },
+          },
+        },
+        facts: { bulky: true, heavy: false, width: 152.4 },
+      });
+    });
+
+    test("should record sortWithReason and every sorted package in a batch", () => {
+      auditLog = createAuditLog({ directory });
+      const sorter = createSorter({ auditLog });
+
+      sorter.sortWithReason(50, 30, 20, 10, { id: "X" });
+      sorter.sortBatch([
+        { id: "A", width: 50, height: 30, length: 20, mass: 10 },
+        { id: "B", width: -1, height: 30, length: 20, mass: 10 },
+        { id: "C", width: 200, height: 30, length: 20, mass: 25 },
+      ]);
+
+      expect(
+        readRecords(auditLog.currentFile).map((record) => [
+          record.packageId,
+          record.result,
+        ])
+      ).toEqual([
+        ["X", "STANDARD"],
+        ["A", "STANDARD"],
+        ["C", "REJECTED"],
+      ]);
+    });
+
+    test("should record the rule set version in use", () => {
+      auditLog = createAuditLog({ directory });
+      const sorter = createSorter({ auditLog });
+      sorter.engine.loadRuleSet(CLASSIFICATION_RULES, { version: "v2" });
+
+      sorter.sort(50, 30, 20, 10);
+
+      expect(readRecords(auditLog.currentFile)[0].ruleSetVersion).toBe("v2");
+    });
+
+    test("should reject an audit log without a record method", () => {
+      expect(() => createSorter({ auditLog: {} })).toThrow(
+        "Sorter auditLog must have a record method"
+      );
+    });
+
+    test("attach should record RuleEngine.evaluate decisions", () => {
+      auditLog = createAuditLog({ directory });
+      const engine = new RuleEngine(CLASSIFICATION_RULES);
+      const detach = auditLog.attach(engine);
+
+      engine.evaluate({ id: "E-1", bulky: true, heavy: true });
+      detach();
+      engine.evaluate({ id: "E-2", bulky: false, heavy: false });
+
+      expect(readRecords(auditLog.currentFile)).toEqual([
+        expect.objectContaining({
+          packageId: "E-1",
+          result: "REJECTED",
+          facts: { id: "E-1", bulky: true, heavy: true },
+        }),
+      ]);
+    });
+  });
+});
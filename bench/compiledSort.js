@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Compiled Sort Benchmark
+ *
+ * Times the compiled decision table against the rule engine. Run with
+ * `npm run bench`; set PACKAGES to change how many packages are sorted.
+ *
+ * Two comparisons are printed:
+ *
+ * - rules only - `engine.evaluate` against the compiled `evaluate`, on the
+ *   same prebuilt package data, so the difference is the decision table alone
+ * - end to end - `sorter.sort` against `sorter.compile()`; the compiled path
+ *   also skips unit normalization and most of the package data building, so
+ *   this speedup is larger than the decision table's own
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const { createSorter } = require("../packageSorting");
+const { compileRules } = require("../ruleCompiler");
+
+const PACKAGES = Number(process.env.PACKAGES || 1000000);
+
+if (!Number.isInteger(PACKAGES) || PACKAGES <= 0) {
+  throw new Error("PACKAGES must be a positive integer");
+}
+
+/**
+ * Builds a deterministic spread of measurements around the default thresholds
+ * @param {number} count - Number of packages
+ * @returns {Array<{width: number, height: number, length: number, mass: number}>}
+ *   Measurements in cm and kg
+ * @private
+ */
+function samplePackages(count) {
+  const packages = [];
+  for (let i = 0; i < count; i++) {
+    packages.push({
+      width: 1 + ((i * 37) % 200),
+      height: 1 + ((i * 53) % 180),
+      length: 1 + ((i * 71) % 160),
+      mass: 0.5 + ((i * 13) % 40),
+    });
+  }
+  return packages;
+}
+
+/**
+ * Runs a sort function over PACKAGES inputs, cycling through the samples
+ * @param {Array} inputs - Sample inputs
+ * @param {Function} sortFn - Called with each input, returns a stack
+ * @returns {{ms: number, counts: Object<string, number>}} Elapsed time and
+ *   packages per stack
+ * @private
+ */
+function time(inputs, sortFn) {
+  const counts = {};
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < PACKAGES; i++) {
+    const stack = sortFn(inputs[i % inputs.length]);
+    counts[stack] = (counts[stack] || 0) + 1;
+  }
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6, counts };
+}
+
+/**
+ * Times two sort functions and prints the comparison
+ * @param {string} label - Name of the comparison
+ * @param {Array} inputs - Sample inputs
+ * @param {Function} slow - Reference sort function
+ * @param {Function} fast - Compiled sort function
+ * @throws {Error} If the two functions sort the packages differently
+ * @private
+ */
+function compare(label, inputs, slow, fast) {
+  const reference = time(inputs, slow);
+  const compiled = time(inputs, fast);
+  if (JSON.stringify(reference.counts) !== JSON.stringify(compiled.counts)) {
+    throw new Error(`${label}: compiled results differ from the reference`);
+  }
+  console.log(
+    `${label}: ${reference.ms.toFixed(0)} ms -> ${compiled.ms.toFixed(
+      0
+    )} ms (${(reference.ms / compiled.ms).toFixed(1)}x)`
+  );
+}
+
+const sorter = createSorter();
+const samples = samplePackages(1000);
+const packageData = samples.map(({ width, height, length, mass }) => ({
+  width,
+  height,
+  length,
+  mass,
+  bulky: sorter.isBulky(width, height, length),
+  heavy: sorter.isHeavy(mass),
+}));
+
+console.log(`Sorting ${PACKAGES.toLocaleString("en-US")} packages`);
+
+const { evaluate } = compileRules(sorter.engine.activeRules);
+compare(
+  "rules only",
+  packageData,
+  (data) => sorter.engine.evaluate(data),
+  (data) => evaluate(data)
+);
+
+const compiledSort = sorter.compile();
+compare(
+  "end to end",
+  samples,
+  ({ width, height, length, mass }) => sorter.sort(width, height, length, mass),
+  ({ width, height, length, mass }) => compiledSort(width, height, length, mass)
+);
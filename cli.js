@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Command-Line Sorter
+ *
+ * Implements the `package-sort` command: reads a CSV, JSON or NDJSON manifest
+ * from a file or stdin, sorts every package with `sortBatch`, and writes each
+ * package's stack followed by a per-stack summary.
+ *
+ * Exit codes: 0 when every package was sorted, 1 when some packages failed
+ * validation, 2 for usage errors or unreadable input.
+ *
+ * @example
+ * // package-sort manifest.csv --format json
+ * // cat manifest.ndjson | package-sort --input-format ndjson --mass-threshold 30
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { createSorter } = require("./packageSorting");
+const { parseRuleConfig, parseRuleConfigText } = require("./ruleSchema");
+const { LENGTH_UNITS, MASS_UNITS } = require("./unitConversion");
+const {
+  MANIFEST_FORMATS,
+  parseManifest,
+  formatFromFileName,
+} = require("./manifestParser");
+
+const OUTPUT_FORMATS = ["text", "json"];
+
+const EXIT_OK = 0;
+const EXIT_INVALID_PACKAGES = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: package-sort [manifest] [options]
+
+Sorts every package in a CSV, JSON or NDJSON manifest. Reads stdin when no
+manifest file (or "-") is given.
+
+Options:
+  --format <text|json>          Output format (default: text)
+  --input-format <csv|json|ndjson>
+                                Manifest format (default: from the file
+                                extension, else detected from the content)
+  --rules <file>                Declarative JSON rule config
+  --volume-threshold <cm3>      Bulky volume limit (default: 1000000)
+  --dimension-threshold <cm>    Bulky dimension limit (default: 150)
+  --mass-threshold <kg>         Heavy mass limit (default: 20)
+  --length-unit <unit>          Unit of the manifest dimensions (default: cm)
+  --mass-unit <unit>            Unit of the manifest masses (default: kg)
+  -h, --help                    Show this help
+`;
+
+const OPTIONS = {
+  format: { type: "string", default: "text" },
+  "input-format": { type: "string" },
+  rules: { type: "string" },
+  "volume-threshold": { type: "string" },
+  "dimension-threshold": { type: "string" },
+  "mass-threshold": { type: "string" },
+  "length-unit": { type: "string" },
+  "mass-unit": { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Reads a whole stream into a string
+ * @param {NodeJS.ReadableStream} stream - Stream to read
+ * @returns {Promise<string>} Stream contents
+ * @private
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Converts a numeric flag, leaving validation to createSorter
+ * @param {string|undefined} value - Raw flag value
+ * @returns {number|undefined} Parsed number, or undefined if not given
+ * @private
+ */
+function parseNumberFlag(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+/**
+ * Renders the batch result as tab-separated text
+ * @param {BatchResult} batch - Result from sortBatch
+ * @returns {string} Text report
+ * @private
+ */
+function formatText(batch) {
+  const label = (entry) =>
+    entry.id === undefined || entry.id === ""
+      ? `#${entry.index + 1}`
+      : String(entry.id);
+
+  const lines = [
+    ...batch.results.map((entry) => ({
+      index: entry.index,
+      text: `${label(entry)}\t${entry.stack}`,
+    })),
+    ...batch.failures.map((entry) => ({
+      index: entry.index,
+      text: `${label(entry)}\tINVALID\t${entry.message}`,
+    })),
+  ]
+    .sort((a, b) => a.index - b.index)
+    .map((line) => line.text);
+
+  lines.push("", "Summary");
+  for (const [stack, count] of Object.entries(batch.summary.stacks)) {
+    lines.push(`  ${stack}\t${count}`);
+  }
+  lines.push(`  INVALID\t${batch.summary.failed}`);
+  lines.push(`  TOTAL\t${batch.summary.total}`);
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Runs the package-sort command.
+ *
+ * @param {Array<string>} argv - Command-line arguments, without node and script
+ * @param {Object} [io] - Streams to use, for testing
+ * @param {NodeJS.ReadableStream} [io.stdin=process.stdin] - Manifest input when no file is given
+ * @param {NodeJS.WritableStream} [io.stdout=process.stdout] - Report output
+ * @param {NodeJS.WritableStream} [io.stderr=process.stderr] - Error output
+ * @returns {Promise<number>} Process exit code
+ *
+ * @example
+ * main(["manifest.csv", "--format", "json"]).then((code) => {
+ *   process.exitCode = code;
+ * });
+ */
+async function main(argv, io = {}) {
+  const {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+  } = io;
+
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`package-sort: ${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = args;
+
+  if (values.help) {
+    stdout.write(USAGE);
+    return EXIT_OK;
+  }
+
+  try {
+    if (positionals.length > 1) {
+      throw new Error("Only one manifest file can be given");
+    }
+    if (!OUTPUT_FORMATS.includes(values.format)) {
+      throw new Error(
+        `Unknown output format "${
+          values.format
+        }" (expected ${OUTPUT_FORMATS.join(", ")})`
+      );
+    }
+    const inputFormat = values["input-format"];
+    if (inputFormat !== undefined && !MANIFEST_FORMATS.includes(inputFormat)) {
+      throw new Error(
+        `Unknown manifest format "${inputFormat}" (expected ${MANIFEST_FORMATS.join(
+          ", "
+        )})`
+      );
+    }
+
+    const lengthUnit = values["length-unit"];
+    if (
+      lengthUnit !== undefined &&
+      !Object.prototype.hasOwnProperty.call(LENGTH_UNITS, lengthUnit)
+    ) {
+      throw new Error(`Unknown length unit "${lengthUnit}"`);
+    }
+    const massUnit = values["mass-unit"];
+    if (
+      massUnit !== undefined &&
+      !Object.prototype.hasOwnProperty.call(MASS_UNITS, massUnit)
+    ) {
+      throw new Error(`Unknown mass unit "${massUnit}"`);
+    }
+
+    // The config's version and disabled tags travel with its rules
+    let ruleOptions = {};
+    if (values.rules !== undefined) {
+      const ruleConfig = parseRuleConfigText(
+        fs.readFileSync(values.rules, "utf8")
+      );
+      ruleOptions = {
+        rules: parseRuleConfig(ruleConfig),
+        disabledTags: ruleConfig.disabledTags,
+        rulesVersion: ruleConfig.version,
+      };
+    }
+    const sorter = createSorter({
+      volumeThreshold: parseNumberFlag(values["volume-threshold"]),
+      dimensionThreshold: parseNumberFlag(values["dimension-threshold"]),
+      massThreshold: parseNumberFlag(values["mass-threshold"]),
+      ...ruleOptions,
+    });
+
+    const [file] = positionals;
+    const fromStdin = file === undefined || file === "-";
+    const text = fromStdin
+      ? await readStream(stdin)
+      : fs.readFileSync(file, "utf8");
+    const format =
+      inputFormat ?? (fromStdin ? undefined : formatFromFileName(file));
+    const packages = parseManifest(text, format);
+
+    const batch = sorter.sortBatch(packages, {
+      units: { length: lengthUnit, mass: massUnit },
+    });
+
+    stdout.write(
+      values.format === "json"
+        ? `${JSON.stringify(batch, null, 2)}\n`
+        : formatText(batch)
+    );
+
+    return batch.failures.length > 0 ? EXIT_INVALID_PACKAGES : EXIT_OK;
+  } catch (error) {
+    stderr.write(`package-sort: ${error.message}\n`);
+    return EXIT_USAGE;
+  }
+}
+
+module.exports = {
+  main,
+  EXIT_OK,
+  EXIT_INVALID_PACKAGES,
+  EXIT_USAGE,
+};
@@ -0,0 +1,232 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const { main, EXIT_OK, EXIT_INVALID_PACKAGES, EXIT_USAGE } = require("./cli");
+
+const CSV_MANIFEST = [
+  "id,width,height,length,mass",
+  "PKG-1,50,30,20,10",
+  "PKG-2,200,50,30,15",
+  "PKG-3,150,150,150,25",
+].join("\n");
+
+/**
+ * Runs the CLI with captured output
+ * @param {Array<string>} argv - Arguments
+ * @param {string} [stdinText=""] - Text piped to stdin
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+async function run(argv, stdinText = "") {
+  let stdout = "";
+  let stderr = "";
+  const code = await main(argv, {
+    stdin: Readable.from([stdinText]),
+    stdout: { write: (text) => (stdout += text) },
+    stderr: { write: (text) => (stderr += text) },
+  });
+  return { code, stdout, stderr };
+}
+
+describe("package-sort CLI", () => {
+  let tempDir;
+
+  const writeTemp = (name, contents) => {
+    const file = path.join(tempDir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "package-sort-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test("should sort a CSV manifest file and print a summary", async () => {
+    const { code, stdout } = await run([writeTemp("m.csv", CSV_MANIFEST)]);
+
+    expect(code).toBe(EXIT_OK);
+    expect(stdout).toBe(
+      [
+        "PKG-1\tSTANDARD",
+        "PKG-2\tSPECIAL",
+        "PKG-3\tREJECTED",
+        "",
+        "Summary",
+        "  REJECTED\t1",
+        "  SPECIAL\t1",
+        "  STANDARD\t1",
+        "  INVALID\t0",
+        "  TOTAL\t3",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("should write JSON output", async () => {
+    const { code, stdout } = await run([
+      writeTemp("m.csv", CSV_MANIFEST),
+      "--format",
+      "json",
+    ]);
+    const batch = JSON.parse(stdout);
+
+    expect(code).toBe(EXIT_OK);
+    expect(batch.summary.stacks).toEqual({
+      REJECTED: 1,
+      SPECIAL: 1,
+      STANDARD: 1,
+    });
+    expect(batch.results[0]).toMatchObject({ id: "PKG-1", stack: "STANDARD" });
+  });
+
+  test("should read NDJSON from stdin", async () => {
+    const ndjson = [
+      '{"id":"A","width":50,"height":30,"length":20,"mass":10}',
+      '{"id":"B","width":50,"height":30,"length":20,"mass":25}',
+    ].join("\n");
+
+    const { code, stdout } = await run(["-"], ndjson);
+
+    expect(code).toBe(EXIT_OK);
+    expect(stdout).toMatch(/^A\tSTANDARD\nB\tSPECIAL\n/);
+  });
+
+  test("should honour --input-format", async () => {
+    const file = writeTemp("manifest.txt", CSV_MANIFEST);
+    const { code, stdout } = await run([file, "--input-format", "csv"]);
+
+    expect(code).toBe(EXIT_OK);
+    expect(stdout).toMatch(/PKG-3\tREJECTED/);
+  });
+
+  test("should report invalid packages and exit with 1", async () => {
+    const { code, stdout } = await run(
+      [],
+      "id,width,height,length,mass\nPKG-1,50,30,20,10\nPKG-2,NaN,30,20,10\n,1,1,1,"
+    );
+
+    expect(code).toBe(EXIT_INVALID_PACKAGES);
+    expect(stdout).toMatch(
+      /PKG-2\tINVALID\tInvalid package width: must be a number, received string/
+    );
+    expect(stdout).toMatch(/#3\tINVALID\tInvalid package mass: is required/);
+    expect(stdout).toMatch(/ {2}INVALID\t2/);
+  });
+
+  test("should apply threshold flags", async () => {
+    const { stdout } = await run([
+      writeTemp("m.csv", CSV_MANIFEST),
+      "--mass-threshold",
+      "5",
+      "--dimension-threshold",
+      "300",
+      "--volume-threshold",
+      "5000000",
+    ]);
+
+    expect(stdout).toMatch(/PKG-1\tSPECIAL\nPKG-2\tSPECIAL\nPKG-3\tSPECIAL/);
+  });
+
+  test("should apply unit flags", async () => {
+    const { stdout } = await run(
+      ["--length-unit", "in", "--mass-unit", "lb"],
+      "width,height,length,mass\n60,20,20,10"
+    );
+
+    expect(stdout).toMatch(/^#1\tSPECIAL/);
+  });
+
+  test("should load rules from --rules", async () => {
+    const rules = writeTemp(
+      "rules.json",
+      JSON.stringify({
+        rules: [
+          {
+            name: "light",
+            condition: { fact: "mass", lt: 12 },
+            result: "LIGHT",
+            priority: 1,
+          },
+          { name: "default", condition: true, result: "OTHER", priority: 2 },
+        ],
+      })
+    );
+
+    const { stdout } = await run([
+      writeTemp("m.csv", CSV_MANIFEST),
+      "--rules",
+      rules,
+    ]);
+
+    expect(stdout).toMatch(/PKG-1\tLIGHT\nPKG-2\tOTHER/);
+    expect(stdout).toMatch(/ {2}LIGHT\t1\n {2}OTHER\t2/);
+  });
+
+  test("should honor the rule config's disabled tags", async () => {
+    const rules = writeTemp(
+      "rules.json",
+      JSON.stringify({
+        rules: [
+          {
+            name: "light",
+            condition: { fact: "mass", lt: 12 },
+            result: "LIGHT",
+            priority: 1,
+            tags: ["t"],
+          },
+          { name: "default", condition: true, result: "OTHER", priority: 2 },
+        ],
+        disabledTags: ["t"],
+      })
+    );
+
+    const { stdout } = await run([
+      writeTemp("m.csv", CSV_MANIFEST),
+      "--rules",
+      rules,
+    ]);
+
+    expect(stdout).toMatch(/PKG-1\tOTHER\nPKG-2\tOTHER/);
+    expect(stdout).not.toContain("LIGHT");
+  });
+
+  describe("usage errors", () => {
+    [
+      [["--format", "xml"], 'Unknown output format "xml"'],
+      [["--input-format", "xml"], 'Unknown manifest format "xml"'],
+      [["--length-unit", "yd"], 'Unknown length unit "yd"'],
+      [["--mass-unit", "ton"], 'Unknown mass unit "ton"'],
+      [["--mass-threshold", "heavy"], "Sorter massThreshold must be"],
+      [["a.csv", "b.csv"], "Only one manifest file can be given"],
+      [["--bogus"], "Unknown option '--bogus'"],
+      [["/nonexistent/manifest.csv"], "ENOENT"],
+    ].forEach(([argv, message]) => {
+      test(`${argv.join(" ")} should exit with 2`, async () => {
+        const { code, stderr } = await run(argv, CSV_MANIFEST);
+
+        expect(code).toBe(EXIT_USAGE);
+        expect(stderr).toContain(message);
+      });
+    });
+
+    test("should report rule config errors", async () => {
+      const rules = writeTemp("rules.json", '{"rules":[{"name":"x"}]}');
+      const { code, stderr } = await run(["--rules", rules], CSV_MANIFEST);
+
+      expect(code).toBe(EXIT_USAGE);
+      expect(stderr).toContain('missing required property "condition"');
+    });
+  });
+
+  test("should print help", async () => {
+    const { code, stdout } = await run(["--help"]);
+
+    expect(code).toBe(EXIT_OK);
+    expect(stdout).toMatch(/^Usage: package-sort/);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Dimensional (Volumetric) Weight
+ *
+ * Carriers bill a package on the larger of its actual mass and its
+ * dimensional weight: volume divided by a carrier-specific divisor. The
+ * divisor is quoted in the carrier's own units, so it is configured together
+ * with the length and mass units it applies to:
+ *
+ * - `{ divisor: 5000, lengthUnit: "cm", massUnit: "kg" }` - the default
+ * - `{ divisor: 6000, lengthUnit: "cm", massUnit: "kg" }`
+ * - `{ divisor: 139, lengthUnit: "in", massUnit: "lb" }`
+ *
+ * Package measurements are always centimeters and kilograms; results are in
+ * kilograms.
+ *
+ * @example
+ * const { dimensionalWeight, billableWeight } = require('./dimensionalWeight');
+ * const dim = dimensionalWeight({ width: 50, height: 40, length: 30 });
+ * // 12 (60000 cm³ / 5000)
+ * billableWeight(8, dim); // 12
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const { DIMENSIONAL_WEIGHT_DIVISOR } = require("./packageSortingConfig");
+const { LENGTH_UNITS, MASS_UNITS } = require("./unitConversion");
+
+/**
+ * Divisor settings used when none are given
+ * @type {Readonly<DimensionalWeightOptions>}
+ */
+const DEFAULT_DIMENSIONAL_WEIGHT = Object.freeze({
+  divisor: DIMENSIONAL_WEIGHT_DIVISOR,
+  lengthUnit: "cm",
+  massUnit: "kg",
+});
+
+/**
+ * Validates dimensional weight settings, filling in defaults.
+ *
+ * @param {DimensionalWeightOptions} [options={}] - Divisor and its units
+ * @returns {Readonly<DimensionalWeightOptions>} Frozen, complete settings
+ * @throws {Error} If the divisor is not a positive finite number or a unit is
+ *   unknown
+ */
+function validateDimensionalWeightOptions(options = {}) {
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new Error("Dimensional weight options must be an object");
+  }
+
+  const {
+    divisor = DEFAULT_DIMENSIONAL_WEIGHT.divisor,
+    lengthUnit = DEFAULT_DIMENSIONAL_WEIGHT.lengthUnit,
+    massUnit = DEFAULT_DIMENSIONAL_WEIGHT.massUnit,
+  } = options;
+
+  if (
+    typeof divisor !== "number" ||
+    !Number.isFinite(divisor) ||
+    divisor <= 0
+  ) {
+    throw new Error(
+      "Dimensional weight divisor must be a positive finite number"
+    );
+  }
+  if (!Object.prototype.hasOwnProperty.call(LENGTH_UNITS, lengthUnit)) {
+    throw new Error(`Unknown length unit "${lengthUnit}"`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(MASS_UNITS, massUnit)) {
+    throw new Error(`Unknown mass unit "${massUnit}"`);
+  }
+
+  return Object.freeze({ divisor, lengthUnit, massUnit });
+}
+
+/**
+ * Works out a package's dimensional weight.
+ *
+ * @param {{width: number, height: number, length: number}} dimensions -
+ *   Package dimensions in centimeters, already validated
+ * @param {DimensionalWeightOptions} [options] - Divisor and its units
+ * @returns {number} Dimensional weight in kilograms
+ * @throws {Error} If the options are invalid
+ *
+ * @example
+ * // 24 x 16 x 12 in box at the 139 in³/lb divisor
+ * dimensionalWeight(
+ *   { width: 60.96, height: 40.64, length: 30.48 },
+ *   { divisor: 139, lengthUnit: "in", massUnit: "lb" }
+ * ); // ~15.04 kg (33.15 lb)
+ */
+function dimensionalWeight({ width, height, length }, options) {
+  const { divisor, lengthUnit, massUnit } =
+    validateDimensionalWeightOptions(options);
+
+  // Convert centimeters into the divisor's length unit, divide, then convert
+  // the divisor's mass unit back to kilograms
+  const [lengthNumerator, lengthDenominator] = LENGTH_UNITS[lengthUnit];
+  const toLengthUnit = (centimeters) =>
+    (centimeters * lengthDenominator) / lengthNumerator;
+  const volume =
+    toLengthUnit(width) * toLengthUnit(height) * toLengthUnit(length);
+
+  const [massNumerator, massDenominator] = MASS_UNITS[massUnit];
+  return ((volume / divisor) * massNumerator) / massDenominator;
+}
+
+/**
+ * The weight a carrier bills: the larger of actual and dimensional weight.
+ *
+ * @param {number} mass - Actual mass in kilograms
+ * @param {number} dimWeight - Dimensional weight in kilograms
+ * @returns {number} Billable weight in kilograms
+ */
+function billableWeight(mass, dimWeight) {
+  return Math.max(mass, dimWeight);
+}
+
+/**
+ * @typedef {Object} DimensionalWeightOptions
+ * @property {number} [divisor=5000] - Volume per unit of billable weight
+ * @property {string} [lengthUnit="cm"] - Length unit the divisor is quoted in
+ * @property {string} [massUnit="kg"] - Mass unit the divisor is quoted in
+ */
+
+module.exports = {
+  DEFAULT_DIMENSIONAL_WEIGHT,
+  validateDimensionalWeightOptions,
+  dimensionalWeight,
+  billableWeight,
+};
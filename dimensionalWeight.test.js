@@ -0,0 +1,82 @@
+const {
+  DEFAULT_DIMENSIONAL_WEIGHT,
+  validateDimensionalWeightOptions,
+  dimensionalWeight,
+  billableWeight,
+} = require("./dimensionalWeight");
+const { DIMENSIONAL_WEIGHT_DIVISOR } = require("./packageSortingConfig");
+
+describe("validateDimensionalWeightOptions", () => {
+  test("should default to 5000 cm³/kg", () => {
+    expect(validateDimensionalWeightOptions()).toEqual({
+      divisor: DIMENSIONAL_WEIGHT_DIVISOR,
+      lengthUnit: "cm",
+      massUnit: "kg",
+    });
+    expect(DEFAULT_DIMENSIONAL_WEIGHT.divisor).toBe(5000);
+  });
+
+  test("should fill in missing units", () => {
+    expect(validateDimensionalWeightOptions({ divisor: 6000 })).toEqual({
+      divisor: 6000,
+      lengthUnit: "cm",
+      massUnit: "kg",
+    });
+  });
+
+  [
+    [null, "Dimensional weight options must be an object"],
+    [
+      { divisor: 0 },
+      "Dimensional weight divisor must be a positive finite number",
+    ],
+    [
+      { divisor: "5000" },
+      "Dimensional weight divisor must be a positive finite number",
+    ],
+    [{ lengthUnit: "yd" }, 'Unknown length unit "yd"'],
+    [{ massUnit: "ton" }, 'Unknown mass unit "ton"'],
+  ].forEach(([options, message]) => {
+    test(`should reject ${JSON.stringify(options)}`, () => {
+      expect(() => validateDimensionalWeightOptions(options)).toThrow(message);
+    });
+  });
+});
+
+describe("dimensionalWeight", () => {
+  const box = { width: 50, height: 40, length: 30 }; // 60,000 cm³
+
+  [
+    [undefined, 12],
+    [{ divisor: 5000 }, 12],
+    [{ divisor: 6000 }, 10],
+  ].forEach(([options, expected]) => {
+    test(`should divide volume by ${options ? options.divisor : 5000}`, () => {
+      expect(dimensionalWeight(box, options)).toBe(expected);
+    });
+  });
+
+  test("should apply an inch/pound divisor", () => {
+    // 24 x 16 x 12 in = 4608 in³; / 139 = 33.15 lb
+    const inches = { width: 60.96, height: 40.64, length: 30.48 };
+    const kilograms = dimensionalWeight(inches, {
+      divisor: 139,
+      lengthUnit: "in",
+      massUnit: "lb",
+    });
+
+    expect(kilograms / 0.45359237).toBeCloseTo(4608 / 139, 10);
+  });
+});
+
+describe("billableWeight", () => {
+  [
+    [8, 12, 12],
+    [15, 12, 15],
+    [10, 10, 10],
+  ].forEach(([mass, dimWeight, expected]) => {
+    test(`mass ${mass} kg, dimensional ${dimWeight} kg should bill ${expected} kg`, () => {
+      expect(billableWeight(mass, dimWeight)).toBe(expected);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Manifest Parsing
+ *
+ * Turns CSV, JSON and NDJSON manifests into the `{ id, width, height, length,
+ * mass }` package objects accepted by `sortBatch`. Parsing is deliberately
+ * lenient about the measurements themselves: a value that isn't a number is
+ * passed through unchanged so the sorter's validation can report it against
+ * the right package instead of failing the whole manifest.
+ *
+ * @example
+ * const { parseManifest } = require('./manifestParser');
+ * const packages = parseManifest("id,width,height,length,mass\nPKG-1,50,30,20,10", "csv");
+ * // [{ id: "PKG-1", width: 50, height: 30, length: 20, mass: 10 }]
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const MANIFEST_FORMATS = ["csv", "json", "ndjson"];
+
+const MEASUREMENT_COLUMNS = ["width", "height", "length", "mass"];
+
+/**
+ * Splits CSV text into rows of fields, honouring double-quoted fields with
+ * embedded commas, newlines and escaped quotes
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of raw field values
+ * @throws {Error} If a quoted field is never closed
+ * @private
+ */
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Invalid CSV manifest: unterminated quoted field");
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Converts a CSV measurement cell to a number where possible
+ * @param {string} value - Raw cell value
+ * @returns {number|string|undefined} Number, the original text if it is not
+ *   numeric, or undefined if the cell is empty
+ * @private
+ */
+function parseMeasurementCell(value) {
+  const trimmed = value.trim();
+  if (trimmed === "") {
+    return undefined;
+  }
+  const number = Number(trimmed);
+  return Number.isNaN(number) ? trimmed : number;
+}
+
+/**
+ * Parses a CSV manifest with a header row.
+ *
+ * The header must contain `width`, `height`, `length` and `mass` columns
+ * (case-insensitive); an `id` column is optional. Other columns are ignored
+ * unless listed in `options.extraColumns`, which are kept as trimmed text.
+ *
+ * @param {string} text - CSV text
+ * @param {Object} [options={}] - Parse options
+ * @param {Array<string>} [options.extraColumns=[]] - Further columns to keep,
+ *   e.g. `["stack"]`; a missing column leaves the property undefined
+ * @returns {Array<Object>} Package objects
+ * @throws {Error} If the CSV is malformed or required columns are missing
+ */
+function parseCsvManifest(text, options = {}) {
+  const { extraColumns = [] } = options;
+  const rows = splitCsv(text);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].map((name) => name.trim().toLowerCase());
+  for (const column of MEASUREMENT_COLUMNS) {
+    if (!header.includes(column)) {
+      throw new Error(`Invalid CSV manifest: missing "${column}" column`);
+    }
+  }
+
+  const idIndex = header.indexOf("id");
+
+  return rows.slice(1).map((fields) => {
+    const pkg = {};
+    if (idIndex !== -1) {
+      pkg.id = (fields[idIndex] ?? "").trim();
+    }
+    for (const column of MEASUREMENT_COLUMNS) {
+      pkg[column] = parseMeasurementCell(fields[header.indexOf(column)] ?? "");
+    }
+    for (const column of extraColumns) {
+      const index = header.indexOf(column.toLowerCase());
+      const value = index === -1 ? "" : (fields[index] ?? "").trim();
+      if (value !== "") {
+        pkg[column] = value;
+      }
+    }
+    return pkg;
+  });
+}
+
+/**
+ * Parses a JSON manifest: either an array of packages or an object with a
+ * `packages` array.
+ *
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} Package objects
+ * @throws {Error} If the JSON is malformed or has no package array
+ */
+function parseJsonManifest(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON manifest: ${error.message}`);
+  }
+
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && Array.isArray(data.packages)) {
+    return data.packages;
+  }
+
+  throw new Error(
+    'Invalid JSON manifest: expected an array or an object with a "packages" array'
+  );
+}
+
+/**
+ * Parses an NDJSON manifest with one package object per line.
+ *
+ * @param {string} text - NDJSON text
+ * @returns {Array<Object>} Package objects
+ * @throws {Error} If a line is not valid JSON
+ */
+function parseNdjsonManifest(text) {
+  return text.split(/\r?\n/).flatMap((line, index) => {
+    if (line.trim() === "") {
+      return [];
+    }
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      throw new Error(
+        `Invalid NDJSON manifest at line ${index + 1}: ${error.message}`
+      );
+    }
+  });
+}
+
+/**
+ * Guesses the manifest format from its content
+ * @param {string} text - Manifest text
+ * @returns {string} "json", "ndjson" or "csv"
+ * @private
+ */
+function detectFormat(text) {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith("[")) {
+    return "json";
+  }
+  if (trimmed.startsWith("{")) {
+    // A single JSON document parses as a whole; NDJSON does not
+    try {
+      JSON.parse(trimmed);
+      return "json";
+    } catch (error) {
+      return "ndjson";
+    }
+  }
+  return "csv";
+}
+
+/**
+ * Works out the manifest format from a file name
+ * @param {string} fileName - Manifest file name
+ * @returns {string|undefined} Format, or undefined if the extension is unknown
+ */
+function formatFromFileName(fileName) {
+  const match = /\.([a-z]+)$/i.exec(fileName);
+  const extension = match ? match[1].toLowerCase() : "";
+  if (extension === "jsonl") {
+    return "ndjson";
+  }
+  return MANIFEST_FORMATS.includes(extension) ? extension : undefined;
+}
+
+/**
+ * Parses a manifest in the given format.
+ *
+ * @param {string} text - Manifest text
+ * @param {string} [format] - "csv", "json" or "ndjson"; detected from the
+ *   content if omitted
+ * @param {Object} [options={}] - Options passed to the CSV parser
+ * @returns {Array<Object>} Package objects ready for `sortBatch`
+ * @throws {Error} If the format is unknown or the manifest is malformed
+ */
+function parseManifest(text, format = detectFormat(text), options = {}) {
+  switch (format) {
+    case "csv":
+      return parseCsvManifest(text, options);
+    case "json":
+      return parseJsonManifest(text);
+    case "ndjson":
+      return parseNdjsonManifest(text);
+    default:
+      throw new Error(
+        `Unknown manifest format "${format}" (expected ${MANIFEST_FORMATS.join(
+          ", "
+        )})`
+      );
+  }
+}
+
+module.exports = {
+  MANIFEST_FORMATS,
+  parseManifest,
+  parseCsvManifest,
+  parseJsonManifest,
+  parseNdjsonManifest,
+  formatFromFileName,
+};
@@ -0,0 +1,144 @@
+const {
+  parseManifest,
+  parseCsvManifest,
+  parseJsonManifest,
+  parseNdjsonManifest,
+  formatFromFileName,
+} = require("./manifestParser");
+
+describe("parseCsvManifest function", () => {
+  test("should parse packages from a header row and data rows", () => {
+    const csv =
+      "id,width,height,length,mass\nPKG-1,50,30,20,10\nPKG-2,200,50,30,25\n";
+
+    expect(parseCsvManifest(csv)).toEqual([
+      { id: "PKG-1", width: 50, height: 30, length: 20, mass: 10 },
+      { id: "PKG-2", width: 200, height: 50, length: 30, mass: 25 },
+    ]);
+  });
+
+  test("should accept any column order, case and extra columns", () => {
+    const csv = "Mass,Carrier,Length,Height,Width\r\n10,UPS,20,30,50\r\n";
+
+    expect(parseCsvManifest(csv)).toEqual([
+      { width: 50, height: 30, length: 20, mass: 10 },
+    ]);
+  });
+
+  test("should handle quoted fields and skip blank lines", () => {
+    const csv = 'id,width,height,length,mass\n"PKG ""A"", 1",50,30,20,10\n\n';
+
+    expect(parseCsvManifest(csv)).toEqual([
+      { id: 'PKG "A", 1', width: 50, height: 30, length: 20, mass: 10 },
+    ]);
+  });
+
+  test("should pass non-numeric and empty cells through for validation", () => {
+    const [pkg] = parseCsvManifest("width,height,length,mass\nabc,,1,1");
+
+    expect(pkg.width).toBe("abc");
+    expect(pkg.height).toBeUndefined();
+  });
+
+  test("should keep requested extra columns as text", () => {
+    const csv =
+      "id,width,height,length,mass,Stack\nA,1,1,1,1, SPECIAL \nB,1,1,1,1,";
+
+    expect(parseCsvManifest(csv, { extraColumns: ["stack", "zone"] })).toEqual([
+      { id: "A", width: 1, height: 1, length: 1, mass: 1, stack: "SPECIAL" },
+      { id: "B", width: 1, height: 1, length: 1, mass: 1 },
+    ]);
+  });
+
+  test("should return no packages for an empty manifest", () => {
+    expect(parseCsvManifest("")).toEqual([]);
+  });
+
+  test("should reject a header missing a measurement column", () => {
+    expect(() => parseCsvManifest("id,width,height,length\nA,1,1,1")).toThrow(
+      'Invalid CSV manifest: missing "mass" column'
+    );
+  });
+
+  test("should reject an unterminated quoted field", () => {
+    expect(() =>
+      parseCsvManifest('width,height,length,mass\n"1,1,1,1')
+    ).toThrow("Invalid CSV manifest: unterminated quoted field");
+  });
+});
+
+describe("parseJsonManifest function", () => {
+  const pkg = { id: "PKG-1", width: 50, height: 30, length: 20, mass: 10 };
+
+  test("should accept an array of packages", () => {
+    expect(parseJsonManifest(JSON.stringify([pkg]))).toEqual([pkg]);
+  });
+
+  test("should accept an object with a packages array", () => {
+    expect(parseJsonManifest(JSON.stringify({ packages: [pkg] }))).toEqual([
+      pkg,
+    ]);
+  });
+
+  test("should reject malformed JSON and other shapes", () => {
+    expect(() => parseJsonManifest("[")).toThrow("Invalid JSON manifest:");
+    expect(() => parseJsonManifest("{}")).toThrow(
+      'Invalid JSON manifest: expected an array or an object with a "packages" array'
+    );
+  });
+});
+
+describe("parseNdjsonManifest function", () => {
+  test("should parse one package per line", () => {
+    const ndjson = '{"id":"A","mass":1}\n\n{"id":"B","mass":2}\n';
+
+    expect(parseNdjsonManifest(ndjson)).toEqual([
+      { id: "A", mass: 1 },
+      { id: "B", mass: 2 },
+    ]);
+  });
+
+  test("should report the line of malformed JSON", () => {
+    expect(() => parseNdjsonManifest('{"id":"A"}\n{oops}')).toThrow(
+      "Invalid NDJSON manifest at line 2:"
+    );
+  });
+});
+
+describe("parseManifest function", () => {
+  test("should detect the format from the content", () => {
+    expect(parseManifest('[{"id":"A"}]')).toEqual([{ id: "A" }]);
+    expect(parseManifest('{"packages":[{"id":"A"}]}')).toEqual([{ id: "A" }]);
+    expect(parseManifest('{"id":"A"}\n{"id":"B"}')).toEqual([
+      { id: "A" },
+      { id: "B" },
+    ]);
+    expect(parseManifest("width,height,length,mass\n1,2,3,4")).toEqual([
+      { width: 1, height: 2, length: 3, mass: 4 },
+    ]);
+  });
+
+  test("should use an explicit format", () => {
+    expect(parseManifest('{"id":"A"}', "ndjson")).toEqual([{ id: "A" }]);
+  });
+
+  test("should reject unknown formats", () => {
+    expect(() => parseManifest("", "xml")).toThrow(
+      'Unknown manifest format "xml" (expected csv, json, ndjson)'
+    );
+  });
+});
+
+describe("formatFromFileName function", () => {
+  test("should map known extensions", () => {
+    expect(formatFromFileName("manifest.csv")).toBe("csv");
+    expect(formatFromFileName("MANIFEST.JSON")).toBe("json");
+    expect(formatFromFileName("scans.ndjson")).toBe("ndjson");
+    expect(formatFromFileName("scans.jsonl")).toBe("ndjson");
+  });
+
+  test("should return undefined for unknown extensions", () => {
+    expect(formatFromFileName("manifest.txt")).toBeUndefined();
+    expect(formatFromFileName("manifest")).toBeUndefined();
+  });
+});
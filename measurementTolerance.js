@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Measurement Tolerance
+ *
+ * Dimensioners and scales are only accurate to within a tolerance, so a
+ * package measured just under a threshold may really be just over it, and
+ * re-scanning it can flip its stack. Given a device's tolerance, the bulky
+ * and heavy checks here answer with one of three certainties:
+ *
+ * - `definitely` - over the threshold even at the low end of the tolerance
+ * - `definitely-not` - under the threshold even at the high end
+ * - `borderline` - the tolerance straddles the threshold
+ *
+ * With a tolerance of zero the answers match the plain boolean checks.
+ *
+ * @example
+ * const { heavyCertainty } = require('./measurementTolerance');
+ * // A 19.9 kg reading from a scale accurate to ±0.2 kg
+ * heavyCertainty(19.9, 20, { mass: 0.2 }); // "borderline"
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+/**
+ * Possible answers of the tolerance-aware checks
+ * @type {Readonly<{DEFINITELY: string, BORDERLINE: string, DEFINITELY_NOT: string}>}
+ */
+const CERTAINTY = Object.freeze({
+  DEFINITELY: "definitely",
+  BORDERLINE: "borderline",
+  DEFINITELY_NOT: "definitely-not",
+});
+
+const TOLERANCE_KEYS = ["dimension", "mass"];
+
+/**
+ * Validates a device tolerance.
+ *
+ * @param {Tolerance} tolerance - Tolerance settings
+ * @returns {Readonly<{dimension: number, mass: number}>} Frozen tolerance with
+ *   omitted settings as 0
+ * @throws {Error} If the tolerance is not an object, has an unknown setting,
+ *   or a setting is not a non-negative finite number
+ */
+function validateTolerance(tolerance) {
+  if (!tolerance || typeof tolerance !== "object" || Array.isArray(tolerance)) {
+    throw new Error("Tolerance must be an object");
+  }
+
+  for (const key of Object.keys(tolerance)) {
+    if (!TOLERANCE_KEYS.includes(key)) {
+      throw new Error(`Unknown tolerance setting "${key}"`);
+    }
+  }
+
+  const validated = {};
+  for (const key of TOLERANCE_KEYS) {
+    const value = tolerance[key] ?? 0;
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Tolerance ${key} must be a non-negative finite number`);
+    }
+    validated[key] = value;
+  }
+
+  return Object.freeze(validated);
+}
+
+/**
+ * Checks whether a package is bulky, allowing for the dimensioner's tolerance
+ * on each dimension.
+ *
+ * @param {{width: number, height: number, length: number}} dimensions -
+ *   Measured dimensions in centimeters, already validated
+ * @param {{volumeThreshold: number, dimensionThreshold: number}} thresholds -
+ *   Bulky limits in cm³ and cm
+ * @param {Readonly<{dimension: number}>} tolerance - From `validateTolerance`
+ * @returns {string} One of the CERTAINTY values
+ *
+ * @example
+ * bulkyCertainty(
+ *   { width: 149.6, height: 30, length: 20 },
+ *   { volumeThreshold: 1000000, dimensionThreshold: 150 },
+ *   { dimension: 1, mass: 0 }
+ * ); // "borderline"
+ */
+function bulkyCertainty(dimensions, thresholds, tolerance) {
+  const { volumeThreshold, dimensionThreshold } = thresholds;
+  const bulkyAt = (offset) => {
+    const [width, height, length] = [
+      dimensions.width,
+      dimensions.height,
+      dimensions.length,
+    ].map((value) => Math.max(value + offset, 0));
+    return (
+      width >= dimensionThreshold ||
+      height >= dimensionThreshold ||
+      length >= dimensionThreshold ||
+      width * height * length >= volumeThreshold
+    );
+  };
+
+  if (bulkyAt(-tolerance.dimension)) {
+    return CERTAINTY.DEFINITELY;
+  }
+  return bulkyAt(tolerance.dimension)
+    ? CERTAINTY.BORDERLINE
+    : CERTAINTY.DEFINITELY_NOT;
+}
+
+/**
+ * Checks whether a package is heavy, allowing for the scale's tolerance.
+ *
+ * @param {number} mass - Measured mass in kilograms, already validated
+ * @param {number} massThreshold - Heavy limit in kilograms
+ * @param {Readonly<{mass: number}>} tolerance - From `validateTolerance`
+ * @returns {string} One of the CERTAINTY values
+ */
+function heavyCertainty(mass, massThreshold, tolerance) {
+  if (mass - tolerance.mass >= massThreshold) {
+    return CERTAINTY.DEFINITELY;
+  }
+  return mass + tolerance.mass >= massThreshold
+    ? CERTAINTY.BORDERLINE
+    : CERTAINTY.DEFINITELY_NOT;
+}
+
+/**
+ * @typedef {Object} Tolerance
+ * @property {number} [dimension=0] - Dimensioner accuracy, ± centimeters on
+ *   each dimension
+ * @property {number} [mass=0] - Scale accuracy, ± kilograms
+ */
+
+module.exports = {
+  CERTAINTY,
+  validateTolerance,
+  bulkyCertainty,
+  heavyCertainty,
+};
@@ -0,0 +1,113 @@
+const {
+  CERTAINTY,
+  validateTolerance,
+  bulkyCertainty,
+  heavyCertainty,
+} = require("./measurementTolerance");
+const {
+  VOLUME_THRESHOLD,
+  DIMENSION_THRESHOLD,
+  MASS_THRESHOLD,
+} = require("./packageSortingConfig");
+
+const thresholds = {
+  volumeThreshold: VOLUME_THRESHOLD,
+  dimensionThreshold: DIMENSION_THRESHOLD,
+};
+
+describe("validateTolerance", () => {
+  test("should default omitted settings to 0", () => {
+    expect(validateTolerance({})).toEqual({ dimension: 0, mass: 0 });
+    expect(validateTolerance({ mass: 0.2 })).toEqual({
+      dimension: 0,
+      mass: 0.2,
+    });
+    expect(Object.isFrozen(validateTolerance({}))).toBe(true);
+  });
+
+  [
+    [null, "Tolerance must be an object"],
+    [[1], "Tolerance must be an object"],
+    [{ length: 1 }, 'Unknown tolerance setting "length"'],
+    [
+      { dimension: -1 },
+      "Tolerance dimension must be a non-negative finite number",
+    ],
+    [{ mass: "0.2" }, "Tolerance mass must be a non-negative finite number"],
+    [{ mass: Infinity }, "Tolerance mass must be a non-negative finite number"],
+  ].forEach(([tolerance, message]) => {
+    test(`should reject ${JSON.stringify(tolerance)}`, () => {
+      expect(() => validateTolerance(tolerance)).toThrow(message);
+    });
+  });
+});
+
+describe("bulkyCertainty", () => {
+  const tolerance = validateTolerance({ dimension: 1 });
+
+  [
+    [{ width: 151.5, height: 30, length: 20 }, CERTAINTY.DEFINITELY],
+    [{ width: 151, height: 30, length: 20 }, CERTAINTY.DEFINITELY],
+    [{ width: 150.5, height: 30, length: 20 }, CERTAINTY.BORDERLINE],
+    [{ width: 149.6, height: 30, length: 20 }, CERTAINTY.BORDERLINE],
+    [{ width: 149, height: 30, length: 20 }, CERTAINTY.BORDERLINE],
+    [{ width: 148.9, height: 30, length: 20 }, CERTAINTY.DEFINITELY_NOT],
+    [{ width: 100, height: 100, length: 100 }, CERTAINTY.BORDERLINE],
+    [{ width: 101, height: 101, length: 101 }, CERTAINTY.DEFINITELY],
+    [{ width: 99, height: 99, length: 99 }, CERTAINTY.BORDERLINE],
+    [{ width: 98, height: 98, length: 98 }, CERTAINTY.DEFINITELY_NOT],
+  ].forEach(([dimensions, expected]) => {
+    test(`should find ${JSON.stringify(
+      dimensions
+    )} ${expected} with ±1 cm`, () => {
+      expect(bulkyCertainty(dimensions, thresholds, tolerance)).toBe(expected);
+    });
+  });
+
+  test("should match the plain check with no tolerance", () => {
+    const exact = validateTolerance({});
+    expect(
+      bulkyCertainty({ width: 150, height: 1, length: 1 }, thresholds, exact)
+    ).toBe(CERTAINTY.DEFINITELY);
+    expect(
+      bulkyCertainty({ width: 149.9, height: 1, length: 1 }, thresholds, exact)
+    ).toBe(CERTAINTY.DEFINITELY_NOT);
+  });
+
+  test("should not go below zero for tiny packages", () => {
+    expect(
+      bulkyCertainty(
+        { width: 0.5, height: 0.5, length: 0.5 },
+        thresholds,
+        validateTolerance({ dimension: 1 })
+      )
+    ).toBe(CERTAINTY.DEFINITELY_NOT);
+  });
+});
+
+describe("heavyCertainty", () => {
+  const tolerance = validateTolerance({ mass: 0.2 });
+
+  [
+    [20.3, CERTAINTY.DEFINITELY],
+    [20.2, CERTAINTY.DEFINITELY],
+    [20.1, CERTAINTY.BORDERLINE],
+    [19.9, CERTAINTY.BORDERLINE],
+    [19.8, CERTAINTY.BORDERLINE],
+    [19.7, CERTAINTY.DEFINITELY_NOT],
+  ].forEach(([mass, expected]) => {
+    test(`should find ${mass} kg ${expected} with ±0.2 kg`, () => {
+      expect(heavyCertainty(mass, MASS_THRESHOLD, tolerance)).toBe(expected);
+    });
+  });
+
+  test("should match the plain check with no tolerance", () => {
+    const exact = validateTolerance({});
+    expect(heavyCertainty(20, MASS_THRESHOLD, exact)).toBe(
+      CERTAINTY.DEFINITELY
+    );
+    expect(heavyCertainty(19.99, MASS_THRESHOLD, exact)).toBe(
+      CERTAINTY.DEFINITELY_NOT
+    );
+  });
+});
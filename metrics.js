@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Sorting Metrics
+ *
+ * An in-memory metrics collector that listens to a RuleEngine's events and
+ * renders counters and histograms in the Prometheus text exposition format:
+ *
+ * - `package_sort_stack_total{stack}` - packages sorted into each stack
+ * - `package_sort_rule_matches_total{rule}` - how often each rule fired
+ * - `package_sort_rule_errors_total{rule}` - conditions that threw
+ * - `package_sort_no_match_total` - packages no rule matched
+ * - `package_sort_rejected_ratio` - share of sorted packages that were rejected
+ * - `package_sort_evaluation_duration_seconds` - evaluation latency histogram
+ *
+ * Constant labels (e.g. `{ line: "A" }`) are added to every sample so several
+ * sorting lines can be told apart when scraped together.
+ *
+ * @example
+ * const { createMetricsCollector } = require('./metrics');
+ * const metrics = createMetricsCollector({ labels: { line: "A" } });
+ * metrics.attach(sorter);
+ * sorter.sortBatch(manifest);
+ * console.log(metrics.render());
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const { REJECTED } = require("./packageSortingConfig");
+
+/**
+ * Default latency histogram buckets, in seconds
+ * @type {ReadonlyArray<number>}
+ */
+const DEFAULT_BUCKETS = Object.freeze([
+  0.00001, 0.00005, 0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1,
+]);
+
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Escapes a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ * @private
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set, e.g. `{line="A",stack="REJECTED"}`
+ * @param {Object<string, *>} labels - Label names and values
+ * @returns {string} Label block, or "" when there are no labels
+ * @private
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+/**
+ * Formats a sample value; Prometheus spells infinity as +Inf
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ * @private
+ */
+function formatValue(value) {
+  return value === Infinity ? "+Inf" : String(value);
+}
+
+/**
+ * Creates a metrics collector.
+ *
+ * @param {Object} [options={}] - Collector options
+ * @param {Object<string, string>} [options.labels={}] - Constant labels added
+ *   to every sample
+ * @param {Array<number>} [options.buckets] - Latency histogram upper bounds in
+ *   seconds, ascending
+ * @param {string} [options.rejectedStack="REJECTED"] - Stack counted by
+ *   `package_sort_rejected_ratio`
+ * @returns {MetricsCollector} Collector with `attach`, `render` and `reset`
+ * @throws {Error} If a label name or the buckets are invalid
+ *
+ * @example
+ * const metrics = createMetricsCollector({ labels: { line: "A" } });
+ * const detach = metrics.attach(sorter);
+ * // ...
+ * detach();
+ */
+function createMetricsCollector(options = {}) {
+  if (!options || typeof options !== "object") {
+    throw new Error("Metrics options must be an object");
+  }
+
+  const {
+    labels = {},
+    buckets = DEFAULT_BUCKETS,
+    rejectedStack = REJECTED,
+  } = options;
+
+  for (const name of Object.keys(labels)) {
+    if (!LABEL_NAME_PATTERN.test(name) || name.startsWith("__")) {
+      throw new Error(`Invalid metric label name "${name}"`);
+    }
+  }
+
+  if (
+    !Array.isArray(buckets) ||
+    buckets.length === 0 ||
+    buckets.some(
+      (bound, index) =>
+        typeof bound !== "number" ||
+        !Number.isFinite(bound) ||
+        (index > 0 && bound <= buckets[index - 1])
+    )
+  ) {
+    throw new Error(
+      "Metric buckets must be a non-empty ascending array of finite numbers"
+    );
+  }
+
+  const bounds = [...buckets, Infinity];
+  let state;
+
+  function reset() {
+    state = {
+      stacks: new Map(),
+      ruleMatches: new Map(),
+      ruleErrors: new Map(),
+      noMatch: 0,
+      latency: { counts: bounds.map(() => 0), sum: 0, count: 0 },
+    };
+  }
+
+  function increment(map, key) {
+    map.set(key, (map.get(key) ?? 0) + 1);
+  }
+
+  function observeLatency(durationMs) {
+    const seconds = durationMs / 1000;
+    const { latency } = state;
+    bounds.forEach((bound, index) => {
+      if (seconds <= bound) {
+        latency.counts[index]++;
+      }
+    });
+    latency.sum += seconds;
+    latency.count++;
+  }
+
+  const handlers = {
+    evaluated: ({ result, matchedRule, durationMs }) => {
+      increment(state.stacks, result);
+      increment(state.ruleMatches, matchedRule.name);
+      observeLatency(durationMs);
+    },
+    ruleError: ({ matchedRule, durationMs }) => {
+      increment(state.ruleErrors, matchedRule.name);
+      observeLatency(durationMs);
+    },
+    noMatch: ({ durationMs }) => {
+      state.noMatch++;
+      observeLatency(durationMs);
+    },
+  };
+
+  /**
+   * Starts collecting from an engine or sorter
+   * @param {RuleEngine|Sorter} target - Engine, or a sorter exposing `engine`
+   * @returns {Function} Stops collecting from the target
+   */
+  function attach(target) {
+    const engine = target && target.engine ? target.engine : target;
+    if (!engine || typeof engine.on !== "function") {
+      throw new Error("Metrics can only be attached to a RuleEngine or sorter");
+    }
+
+    for (const [event, handler] of Object.entries(handlers)) {
+      engine.on(event, handler);
+    }
+    return () => {
+      for (const [event, handler] of Object.entries(handlers)) {
+        engine.off(event, handler);
+      }
+    };
+  }
+
+  /**
+   * Renders every metric in the Prometheus text exposition format
+   * @returns {string} Exposition text
+   */
+  function render() {
+    const lines = [];
+    const sample = (name, extraLabels, value) =>
+      lines.push(
+        `${name}${formatLabels({ ...labels, ...extraLabels })} ${formatValue(
+          value
+        )}`
+      );
+    const header = (name, type, help) =>
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+    header(
+      "package_sort_stack_total",
+      "counter",
+      "Packages sorted into each stack."
+    );
+    for (const [stack, count] of state.stacks) {
+      sample("package_sort_stack_total", { stack }, count);
+    }
+
+    header(
+      "package_sort_rule_matches_total",
+      "counter",
+      "Times each rule matched."
+    );
+    for (const [rule, count] of state.ruleMatches) {
+      sample("package_sort_rule_matches_total", { rule }, count);
+    }
+
+    header(
+      "package_sort_rule_errors_total",
+      "counter",
+      "Rule conditions that threw an error."
+    );
+    for (const [rule, count] of state.ruleErrors) {
+      sample("package_sort_rule_errors_total", { rule }, count);
+    }
+
+    header(
+      "package_sort_no_match_total",
+      "counter",
+      "Packages that matched no rule."
+    );
+    sample("package_sort_no_match_total", {}, state.noMatch);
+
+    const sorted = [...state.stacks.values()].reduce((a, b) => a + b, 0);
+    header(
+      "package_sort_rejected_ratio",
+      "gauge",
+      `Share of sorted packages sent to ${rejectedStack}.`
+    );
+    sample(
+      "package_sort_rejected_ratio",
+      {},
+      sorted === 0 ? 0 : (state.stacks.get(rejectedStack) ?? 0) / sorted
+    );
+
+    header(
+      "package_sort_evaluation_duration_seconds",
+      "histogram",
+      "Time taken to evaluate the rules for one package."
+    );
+    bounds.forEach((bound, index) => {
+      sample(
+        "package_sort_evaluation_duration_seconds_bucket",
+        { le: formatValue(bound) },
+        state.latency.counts[index]
+      );
+    });
+    sample(
+      "package_sort_evaluation_duration_seconds_sum",
+      {},
+      state.latency.sum
+    );
+    sample(
+      "package_sort_evaluation_duration_seconds_count",
+      {},
+      state.latency.count
+    );
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  reset();
+
+  return Object.freeze({ attach, render, reset });
+}
+
+/**
+ * Creates an HTTP request listener that serves a collector's metrics, for
+ * mounting at `/metrics` on any `http.Server`.
+ *
+ * @param {MetricsCollector} collector - Collector to render
+ * @returns {Function} `(req, res)` request listener
+ *
+ * @example
+ * http.createServer(createMetricsHandler(metrics)).listen(9100);
+ */
+function createMetricsHandler(collector) {
+  return function handleMetrics(req, res) {
+    const body = collector.render();
+    res.writeHead(200, {
+      "Content-Type": PROMETHEUS_CONTENT_TYPE,
+      "Content-Length": Buffer.byteLength(body),
+    });
+    res.end(body);
+  };
+}
+
+/**
+ * @typedef {Object} MetricsCollector
+ * @property {Function} attach - `(engineOrSorter) => detach`; starts collecting
+ * @property {Function} render - Returns the Prometheus exposition text
+ * @property {Function} reset - Clears every counter and histogram
+ */
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  PROMETHEUS_CONTENT_TYPE,
+  createMetricsCollector,
+  createMetricsHandler,
+};
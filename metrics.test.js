@@ -0,0 +1,233 @@
+const {
+  DEFAULT_BUCKETS,
+  PROMETHEUS_CONTENT_TYPE,
+  createMetricsCollector,
+  createMetricsHandler,
+} = require("./metrics");
+const { createSorter, RuleEngine } = require("./packageSorting");
+const { STANDARD, SPECIAL, REJECTED } = require("./packageSortingConfig");
+
+const MANIFEST = [
+  { width: 50, height: 30, length: 20, mass: 10 }, // STANDARD
+  { width: 200, height: 30, length: 20, mass: 25 }, // REJECTED
+  { width: 200, height: 30, length: 20, mass: 5 }, // SPECIAL
+  { width: 50, height: 30, length: 20, mass: 30 }, // SPECIAL
+];
+
+/**
+ * Reads one sample value out of exposition text
+ * @param {string} text - Rendered metrics
+ * @param {string} series - Metric name with its label block
+ * @returns {number|undefined} Sample value
+ */
+function sampleValue(text, series) {
+  const line = text.split("\n").find((entry) => entry.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.split(" ")[1]);
+}
+
+describe("createMetricsCollector", () => {
+  let sorter;
+  let metrics;
+
+  beforeEach(() => {
+    sorter = createSorter();
+    metrics = createMetricsCollector();
+    metrics.attach(sorter);
+  });
+
+  test("should count packages per stack and per rule", () => {
+    sorter.sortBatch(MANIFEST);
+    const text = metrics.render();
+
+    expect(
+      sampleValue(text, `package_sort_stack_total{stack="${STANDARD}"}`)
+    ).toBe(1);
+    expect(
+      sampleValue(text, `package_sort_stack_total{stack="${SPECIAL}"}`)
+    ).toBe(2);
+    expect(
+      sampleValue(text, `package_sort_stack_total{stack="${REJECTED}"}`)
+    ).toBe(1);
+    expect(
+      sampleValue(
+        text,
+        'package_sort_rule_matches_total{rule="special-packages"}'
+      )
+    ).toBe(2);
+  });
+
+  test("should report the rejected ratio", () => {
+    expect(sampleValue(metrics.render(), "package_sort_rejected_ratio")).toBe(
+      0
+    );
+
+    sorter.sortBatch(MANIFEST);
+
+    expect(sampleValue(metrics.render(), "package_sort_rejected_ratio")).toBe(
+      0.25
+    );
+  });
+
+  test("should record a cumulative latency histogram", () => {
+    sorter.sortBatch(MANIFEST);
+    const text = metrics.render();
+
+    expect(
+      sampleValue(
+        text,
+        'package_sort_evaluation_duration_seconds_bucket{le="+Inf"}'
+      )
+    ).toBe(4);
+    expect(
+      sampleValue(text, "package_sort_evaluation_duration_seconds_count")
+    ).toBe(4);
+    expect(
+      sampleValue(text, "package_sort_evaluation_duration_seconds_sum")
+    ).toBeGreaterThanOrEqual(0);
+
+    const counts = DEFAULT_BUCKETS.map((bound) =>
+      sampleValue(
+        text,
+        `package_sort_evaluation_duration_seconds_bucket{le="${bound}"}`
+      )
+    );
+    counts.forEach((count, index) => {
+      expect(count).toBeGreaterThanOrEqual(index === 0 ? 0 : counts[index - 1]);
+    });
+  });
+
+  test("should count rule errors and unmatched packages", () => {
+    const engine = new RuleEngine([
+      {
+        name: "broken",
+        condition: (pkg) => {
+          if (pkg.mass > 100) {
+            throw new Error("scale fault");
+          }
+          return false;
+        },
+        result: "X",
+        priority: 1,
+      },
+    ]);
+    const collector = createMetricsCollector();
+    collector.attach(engine);
+
+    expect(() => engine.evaluate({ mass: 500 })).toThrow();
+    expect(() => engine.evaluate({ mass: 5 })).toThrow();
+    const text = collector.render();
+
+    expect(
+      sampleValue(text, 'package_sort_rule_errors_total{rule="broken"}')
+    ).toBe(1);
+    expect(sampleValue(text, "package_sort_no_match_total")).toBe(1);
+  });
+
+  test("should render HELP and TYPE lines", () => {
+    const text = metrics.render();
+
+    expect(text).toContain("# TYPE package_sort_stack_total counter");
+    expect(text).toContain("# TYPE package_sort_rejected_ratio gauge");
+    expect(text).toContain(
+      "# TYPE package_sort_evaluation_duration_seconds histogram"
+    );
+    expect(text.endsWith("\n")).toBe(true);
+  });
+
+  test("should add constant labels and escape label values", () => {
+    const line = createMetricsCollector({
+      labels: { line: 'A "north"\\1' },
+    });
+    line.attach(sorter);
+    sorter.sort(50, 30, 20, 10);
+
+    expect(line.render()).toContain(
+      'package_sort_stack_total{line="A \\"north\\"\\\\1",stack="STANDARD"} 1'
+    );
+  });
+
+  test("detach and reset should stop and clear collection", () => {
+    const collector = createMetricsCollector();
+    const detach = collector.attach(sorter);
+
+    sorter.sort(50, 30, 20, 10);
+    collector.reset();
+    expect(
+      sampleValue(
+        collector.render(),
+        `package_sort_stack_total{stack="${STANDARD}"}`
+      )
+    ).toBeUndefined();
+
+    detach();
+    sorter.sort(50, 30, 20, 10);
+    expect(
+      sampleValue(
+        collector.render(),
+        "package_sort_evaluation_duration_seconds_count"
+      )
+    ).toBe(0);
+  });
+
+  describe("options", () => {
+    [
+      [{ labels: { "bad-name": "x" } }, 'Invalid metric label name "bad-name"'],
+      [
+        { labels: { __reserved: "x" } },
+        'Invalid metric label name "__reserved"',
+      ],
+      [{ buckets: [] }, "Metric buckets must be a non-empty ascending array"],
+      [
+        { buckets: [0.1, 0.01] },
+        "Metric buckets must be a non-empty ascending array",
+      ],
+      [null, "Metrics options must be an object"],
+    ].forEach(([options, message]) => {
+      test(`should reject ${JSON.stringify(options)}`, () => {
+        expect(() => createMetricsCollector(options)).toThrow(message);
+      });
+    });
+
+    test("should use custom buckets and rejected stack", () => {
+      const collector = createMetricsCollector({
+        buckets: [1],
+        rejectedStack: SPECIAL,
+      });
+      collector.attach(sorter);
+      sorter.sortBatch(MANIFEST);
+      const text = collector.render();
+
+      expect(sampleValue(text, "package_sort_rejected_ratio")).toBe(0.5);
+      expect(
+        sampleValue(
+          text,
+          'package_sort_evaluation_duration_seconds_bucket{le="1"}'
+        )
+      ).toBe(4);
+    });
+
+    test("attach should reject other targets", () => {
+      expect(() => metrics.attach({})).toThrow(
+        "Metrics can only be attached to a RuleEngine or sorter"
+      );
+    });
+  });
+});
+
+describe("createMetricsHandler", () => {
+  test("should write the exposition text", () => {
+    const collector = createMetricsCollector();
+    const res = {
+      writeHead: jest.fn(),
+      end: jest.fn(),
+    };
+
+    createMetricsHandler(collector)({}, res);
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, {
+      "Content-Type": PROMETHEUS_CONTENT_TYPE,
+      "Content-Length": expect.any(Number),
+    });
+    expect(res.end).toHaveBeenCalledWith(collector.render());
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Orientation-Aware Fitting
+ *
+ * Works out whether a package can be turned to fit through a bin or chute
+ * opening. A box has 6 axis-aligned orientations; the package fits if any of
+ * them is within the opening's width and height (and its depth, when the
+ * opening has a `length`). The orientation that fits is reported so the arm
+ * knows which way to turn the package.
+ *
+ * @example
+ * const { findOrientation } = require('./packageOrientation');
+ * // A 160 cm long item stood on end to fit a 40 x 180 x 60 cm bin
+ * findOrientation(
+ *   { width: 160, height: 50, length: 30 },
+ *   { width: 40, height: 180, length: 60 }
+ * );
+ * // { axes: { width: "length", height: "width", length: "height" },
+ * //   dimensions: { width: 30, height: 160, length: 50 }, rotated: true }
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const AXES = ["width", "height", "length"];
+
+/**
+ * The 6 axis-aligned orientations, in the order they are tried. Each entry
+ * names the package dimension placed along the opening's width, height and
+ * length; the first entry is the package as given.
+ * @type {ReadonlyArray<ReadonlyArray<string>>}
+ */
+const ORIENTATIONS = Object.freeze(
+  [
+    ["width", "height", "length"],
+    ["length", "height", "width"],
+    ["width", "length", "height"],
+    ["height", "width", "length"],
+    ["length", "width", "height"],
+    ["height", "length", "width"],
+  ].map((orientation) => Object.freeze(orientation))
+);
+
+/**
+ * Validates a bin or chute opening.
+ *
+ * @param {Opening} opening - Opening dimensions in centimeters
+ * @returns {Readonly<Opening>} Frozen copy of the opening
+ * @throws {Error} If the opening is not an object, or a dimension is not a
+ *   positive finite number
+ */
+function validateOpening(opening) {
+  if (!opening || typeof opening !== "object" || Array.isArray(opening)) {
+    throw new Error("Opening must be an object");
+  }
+
+  const validated = {};
+  for (const axis of AXES) {
+    const value = opening[axis];
+    // An opening without a length is a slot: any depth passes through
+    if (axis === "length" && value === undefined) {
+      continue;
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`Opening ${axis} must be a positive finite number`);
+    }
+    validated[axis] = value;
+  }
+
+  return Object.freeze(validated);
+}
+
+/**
+ * Finds the first orientation in which a package fits through an opening.
+ * Dimensions equal to the opening's fit.
+ *
+ * @param {{width: number, height: number, length: number}} dimensions -
+ *   Package dimensions in centimeters, already validated
+ * @param {Readonly<Opening>} opening - Opening from `validateOpening`
+ * @returns {Orientation|null} The orientation to use, or null if none fits
+ *
+ * @example
+ * findOrientation({ width: 50, height: 30, length: 20 }, { width: 60, height: 40 });
+ * // { axes: { width: "width", height: "height", length: "length" },
+ * //   dimensions: { width: 50, height: 30, length: 20 }, rotated: false }
+ */
+function findOrientation(dimensions, opening) {
+  for (const orientation of ORIENTATIONS) {
+    const placed = {};
+    const axes = {};
+    orientation.forEach((source, index) => {
+      axes[AXES[index]] = source;
+      placed[AXES[index]] = dimensions[source];
+    });
+
+    const fits = AXES.every(
+      (axis) => opening[axis] === undefined || placed[axis] <= opening[axis]
+    );
+    if (fits) {
+      return {
+        axes,
+        dimensions: placed,
+        rotated: orientation !== ORIENTATIONS[0],
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * @typedef {Object} Opening
+ * @property {number} width - Opening width in centimeters
+ * @property {number} height - Opening height in centimeters
+ * @property {number} [length] - Bin depth in centimeters; omit for a chute
+ *   or slot that any length passes through
+ */
+
+/**
+ * @typedef {Object} Orientation
+ * @property {{width: string, height: string, length: string}} axes - For each
+ *   opening axis, the package dimension placed along it
+ * @property {{width: number, height: number, length: number}} dimensions -
+ *   The package's measurements in that orientation
+ * @property {boolean} rotated - False when the package fits as given
+ */
+
+module.exports = {
+  ORIENTATIONS,
+  validateOpening,
+  findOrientation,
+};
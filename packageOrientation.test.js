@@ -0,0 +1,125 @@
+const {
+  ORIENTATIONS,
+  validateOpening,
+  findOrientation,
+} = require("./packageOrientation");
+
+describe("ORIENTATIONS", () => {
+  test("should list the 6 distinct axis-aligned orientations", () => {
+    expect(ORIENTATIONS).toHaveLength(6);
+    expect(new Set(ORIENTATIONS.map((axes) => axes.join()))).toHaveProperty(
+      "size",
+      6
+    );
+    ORIENTATIONS.forEach((axes) => {
+      expect([...axes].sort()).toEqual(["height", "length", "width"]);
+    });
+    expect(ORIENTATIONS[0]).toEqual(["width", "height", "length"]);
+  });
+});
+
+describe("validateOpening", () => {
+  test("should return a frozen copy", () => {
+    const opening = validateOpening({ width: 40, height: 60, length: 80 });
+
+    expect(opening).toEqual({ width: 40, height: 60, length: 80 });
+    expect(Object.isFrozen(opening)).toBe(true);
+  });
+
+  test("should allow an opening without a length", () => {
+    expect(validateOpening({ width: 40, height: 60 })).toEqual({
+      width: 40,
+      height: 60,
+    });
+  });
+
+  [
+    [null, "Opening must be an object"],
+    [[40, 60], "Opening must be an object"],
+    [{ height: 60 }, "Opening width must be a positive finite number"],
+    [
+      { width: 40, height: 0 },
+      "Opening height must be a positive finite number",
+    ],
+    [
+      { width: 40, height: 60, length: Infinity },
+      "Opening length must be a positive finite number",
+    ],
+    [
+      { width: "40", height: 60 },
+      "Opening width must be a positive finite number",
+    ],
+  ].forEach(([opening, message]) => {
+    test(`should reject ${JSON.stringify(opening)}`, () => {
+      expect(() => validateOpening(opening)).toThrow(message);
+    });
+  });
+});
+
+describe("findOrientation", () => {
+  const bin = validateOpening({ width: 40, height: 180, length: 60 });
+
+  test("should prefer the package as given when it fits", () => {
+    expect(findOrientation({ width: 30, height: 20, length: 10 }, bin)).toEqual(
+      {
+        axes: { width: "width", height: "height", length: "length" },
+        dimensions: { width: 30, height: 20, length: 10 },
+        rotated: false,
+      }
+    );
+  });
+
+  test("should turn a long package on end to fit", () => {
+    expect(
+      findOrientation({ width: 160, height: 50, length: 30 }, bin)
+    ).toEqual({
+      axes: { width: "length", height: "width", length: "height" },
+      dimensions: { width: 30, height: 160, length: 50 },
+      rotated: true,
+    });
+  });
+
+  test("should fit dimensions equal to the opening", () => {
+    expect(
+      findOrientation({ width: 180, height: 60, length: 40 }, bin)
+    ).not.toBeNull();
+  });
+
+  test("should return null when no orientation fits", () => {
+    expect(
+      findOrientation({ width: 181, height: 50, length: 30 }, bin)
+    ).toBeNull();
+    expect(
+      findOrientation({ width: 100, height: 100, length: 30 }, bin)
+    ).toBeNull();
+  });
+
+  test("should ignore length for an opening without one", () => {
+    const chute = validateOpening({ width: 40, height: 30 });
+
+    expect(
+      findOrientation({ width: 20, height: 35, length: 500 }, chute)
+    ).toMatchObject({
+      dimensions: { width: 35, height: 20, length: 500 },
+      rotated: true,
+    });
+  });
+
+  test("should try every orientation", () => {
+    // Only one orientation puts each dimension in the one slot it fits
+    const tight = validateOpening({ width: 10, height: 20, length: 30 });
+
+    ORIENTATIONS.forEach(([alongWidth, alongHeight, alongLength]) => {
+      const dimensions = {
+        [alongWidth]: 10,
+        [alongHeight]: 20,
+        [alongLength]: 30,
+      };
+      expect(findOrientation(dimensions, tight).dimensions).toEqual({
+        width: 10,
+        height: 20,
+        length: 30,
+      });
+    });
+  });
+});
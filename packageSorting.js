@@ -34,50 +34,256 @@
  * @version 2.0.0
  */
 
+const fs = require("fs");
+const { EventEmitter } = require("events");
 const {
   VOLUME_THRESHOLD,
   DIMENSION_THRESHOLD,
   MASS_THRESHOLD,
   CLASSIFICATION_RULES,
 } = require("./packageSortingConfig");
+const {
+  InvalidPackageError,
+  validateDimensions,
+  validateMass,
+} = require("./packageValidation");
+const {
+  parseRuleConfig,
+  parseRuleConfigText,
+  serializeRules,
+  RULE_TYPES,
+  isAnnotationRule,
+  isRuleEnabled,
+  isTagList,
+} = require("./ruleSchema");
+const { normalizePackage } = require("./unitConversion");
+const { analyzeRules } = require("./ruleAnalysis");
+const {
+  validateOpening,
+  findOrientation: findOpeningOrientation,
+} = require("./packageOrientation");
+const {
+  validateDimensionalWeightOptions,
+  dimensionalWeight: calculateDimensionalWeight,
+  billableWeight: calculateBillableWeight,
+} = require("./dimensionalWeight");
+const { ProfileRegistry } = require("./profiles");
+const { compileRules } = require("./ruleCompiler");
+const { reconcileReadings, groupReadings } = require("./scanReconciliation");
+const {
+  compileSchedule,
+  isScheduleActive,
+  toTimestamp,
+} = require("./ruleSchedule");
+const {
+  CERTAINTY,
+  validateTolerance,
+  bulkyCertainty: calculateBulkyCertainty,
+  heavyCertainty: calculateHeavyCertainty,
+} = require("./measurementTolerance");
 
 /**
- * Determines if a package is bulky based on volume and dimension thresholds
+ * Determines if a package is bulky based on volume and dimension thresholds.
+ *
+ * Uses the default thresholds from packageSortingConfig.js. Use
+ * `createSorter` for a sorter bound to different thresholds.
+ *
  * @param {number} width - Package width in centimeters
  * @param {number} height - Package height in centimeters
  * @param {number} length - Package length in centimeters
  * @returns {boolean} True if package is bulky, false otherwise
+ * @throws {InvalidPackageError} If any dimension is missing, non-numeric,
+ *   NaN, infinite, or not greater than zero
  */
 function isBulky(width, height, length) {
-  // Check dimension threshold first (any dimension >= 150 cm)
-  // This is more performant as it avoids the multiplication operation
-  // when any single dimension already exceeds the threshold
-  if (
-    width >= DIMENSION_THRESHOLD ||
-    height >= DIMENSION_THRESHOLD ||
-    length >= DIMENSION_THRESHOLD
-  ) {
-    return true;
-  }
+  return defaultSorter.isBulky(width, height, length);
+}
 
-  // Check volume threshold (width × height × length >= 1,000,000 cm³)
-  // Only perform multiplication if no individual dimension exceeds threshold
-  const volume = width * height * length;
-  if (volume >= VOLUME_THRESHOLD) {
-    return true;
-  }
+/**
+ * Determines how certain it is that a package is bulky, given the
+ * dimensioner's accuracy.
+ *
+ * A separate function so that `isBulky` stays boolean for existing callers;
+ * compare the result with a value, since "definitely-not" is truthy.
+ *
+ * @param {number} width - Package width in centimeters
+ * @param {number} height - Package height in centimeters
+ * @param {number} length - Package length in centimeters
+ * @param {Tolerance} tolerance - Dimensioner accuracy, e.g.
+ *   `{ dimension: 1 }` for ±1 cm
+ * @returns {string} "definitely", "borderline" or "definitely-not"
+ * @throws {InvalidPackageError} If any dimension is invalid
+ * @throws {Error} If the tolerance is missing or invalid
+ *
+ * @example
+ * isBulky(149.6, 30, 20); // false
+ * bulkyCertainty(149.6, 30, 20, { dimension: 1 }); // "borderline"
+ */
+function bulkyCertainty(width, height, length, tolerance) {
+  return defaultSorter.bulkyCertainty(width, height, length, tolerance);
+}
 
-  return false;
+/**
+ * Finds how a package can be turned to fit through a bin or chute opening.
+ *
+ * Tries the 6 axis-aligned orientations, preferring the package as given, and
+ * returns the first that fits. Use this rather than `isBulky` when a package
+ * that is long in one direction may still go through the opening on end.
+ *
+ * @param {number} width - Package width in centimeters
+ * @param {number} height - Package height in centimeters
+ * @param {number} length - Package length in centimeters
+ * @param {Opening} opening - Opening `{ width, height, length? }` in centimeters
+ * @returns {Orientation|null} The orientation to use, or null if the package
+ *   cannot fit
+ * @throws {InvalidPackageError} If any dimension is invalid
+ * @throws {Error} If the opening is invalid
+ *
+ * @example
+ * findOrientation(160, 50, 30, { width: 40, height: 180, length: 60 });
+ * // { axes: { width: "length", height: "width", length: "height" },
+ * //   dimensions: { width: 30, height: 160, length: 50 }, rotated: true }
+ */
+function findOrientation(width, height, length, opening) {
+  return defaultSorter.findOrientation(width, height, length, opening);
 }
 
 /**
- * Determines if a package is heavy based on mass threshold
+ * Determines if a package is heavy based on mass threshold.
+ *
+ * Uses the default threshold from packageSortingConfig.js. Use
+ * `createSorter` for a sorter bound to a different threshold.
+ *
  * @param {number} mass - Package mass in kilograms
  * @returns {boolean} True if package is heavy, false otherwise
+ * @throws {InvalidPackageError} If mass is missing, non-numeric, NaN,
+ *   infinite, or not greater than zero
  */
 function isHeavy(mass) {
-  // Check mass threshold (>= 20 kg)
-  return mass >= MASS_THRESHOLD;
+  return defaultSorter.isHeavy(mass);
+}
+
+/**
+ * Determines how certain it is that a package is heavy, given the scale's
+ * accuracy.
+ *
+ * @param {number} mass - Package mass in kilograms
+ * @param {Tolerance} tolerance - Scale accuracy, e.g. `{ mass: 0.2 }` for
+ *   ±0.2 kg
+ * @returns {string} "definitely", "borderline" or "definitely-not"
+ * @throws {InvalidPackageError} If mass is invalid
+ * @throws {Error} If the tolerance is missing or invalid
+ *
+ * @example
+ * heavyCertainty(19.9, { mass: 0.2 }); // "borderline"
+ */
+function heavyCertainty(mass, tolerance) {
+  return defaultSorter.heavyCertainty(mass, tolerance);
+}
+
+/**
+ * Events a RuleEngine emits; see `RuleEngine#on`
+ * @type {ReadonlyArray<string>}
+ */
+const RULE_ENGINE_EVENTS = Object.freeze([
+  "evaluated",
+  "noMatch",
+  "ruleError",
+  "ruleTimeout",
+  "ruleAdded",
+  "ruleRemoved",
+  "ruleEnabled",
+  "ruleDisabled",
+]);
+
+// What evaluateAsync does when a condition times out: treat it as not
+// matched, or route the package to the rule's timeoutResult (or result)
+const TIMEOUT_ACTIONS = ["fail-open", "fail-closed"];
+
+/**
+ * Checks that an event name is one the engine emits, so a typo fails loudly
+ * instead of registering a handler that never runs
+ * @param {string} event - Event name
+ * @returns {string} The event name
+ * @throws {Error} If the event is unknown
+ * @private
+ */
+function checkEventName(event) {
+  if (!RULE_ENGINE_EVENTS.includes(event)) {
+    throw new Error(
+      `Unknown RuleEngine event "${String(
+        event
+      )}" (expected ${RULE_ENGINE_EVENTS.join(", ")})`
+    );
+  }
+  return event;
+}
+
+/**
+ * Runs a rule's condition for synchronous evaluation, where a promise would
+ * otherwise count as a match because it is truthy
+ * @param {ClassificationRule} rule - Rule to run
+ * @param {PackageData} packageData - Package data
+ * @returns {*} The condition's outcome
+ * @throws {Error} If the condition throws or returns a promise or other
+ *   thenable
+ * @private
+ */
+function runConditionSync(rule, packageData) {
+  const outcome = rule.condition(packageData);
+  if (
+    outcome !== null &&
+    (typeof outcome === "object" || typeof outcome === "function") &&
+    typeof outcome.then === "function"
+  ) {
+    // Nobody awaits the promise, so a rejection must not go unhandled
+    if (typeof outcome.catch === "function") {
+      outcome.catch(() => {});
+    }
+    throw new Error("its condition is async; use evaluateAsync");
+  }
+  return outcome;
+}
+
+/**
+ * Describes a matching rule for evaluation results
+ * @param {ClassificationRule} rule - Matching rule
+ * @returns {{name: string, result: string, priority: number}} Description
+ * @private
+ */
+function describeMatch({ name, result, priority }) {
+  return { name, result, priority };
+}
+
+// Settles runCondition when a condition runs out of time
+const TIMED_OUT = Symbol("timedOut");
+
+/**
+ * Runs a rule's condition, awaiting it and racing it against a timeout
+ * @param {ClassificationRule} rule - Rule to run
+ * @param {PackageData} packageData - Package data
+ * @param {number} [timeoutMs] - Time limit; none if undefined
+ * @returns {Promise<*>} The condition's outcome, or TIMED_OUT
+ * @private
+ */
+async function runCondition(rule, packageData, timeoutMs) {
+  const outcome = Promise.resolve().then(() => rule.condition(packageData));
+  if (timeoutMs === undefined) {
+    return outcome;
+  }
+
+  // A condition that settles after its timeout is ignored, including a late
+  // rejection
+  outcome.catch(() => {});
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), timeoutMs);
+  });
+  try {
+    return await Promise.race([outcome, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
 }
 
 /**
@@ -126,8 +332,37 @@ function isHeavy(mass) {
  *
  * // Remove a rule
  * engine.removeRule("standard-packages");
+ *
+ * @example
+ * // Switch rules off without losing them
+ * engine.disableRule("standard-packages");
+ * engine.disableTag("holiday-peak"); // every rule tagged "holiday-peak"
+ * engine.enableTag("holiday-peak");
+ *
+ * @example
+ * // Send SPECIAL packages to HOLD outside the oversize crew's 06:00-14:00 shift
+ * engine.addRule({
+ *   name: "special-hold",
+ *   condition: (pkg) => pkg.bulky || pkg.heavy,
+ *   result: "HOLD",
+ *   priority: 1.5,
+ *   windows: [{ from: "14:00", until: "06:00" }],
+ *   timezone: "America/Denver",
+ * });
+ *
+ * @example
+ * // Versioned rule sets with rollback
+ * engine.loadRuleSet(newRules, { version: "2024-11-01" });
+ * engine.rollback(); // back to the previous version
+ *
+ * @example
+ * // Observe evaluations
+ * engine.on("evaluated", ({ result, durationMs }) => {
+ *   metrics.observe(result, durationMs);
+ * });
+ * engine.on("ruleError", ({ matchedRule, error }) => alert(matchedRule.name, error));
  */
-class RuleEngine {
+class RuleEngine extends EventEmitter {
   /**
    * Creates a new RuleEngine instance with the provided rules.
    *
@@ -136,6 +371,14 @@ class RuleEngine {
    * @param {Function} rules[].condition - Function that takes packageData and returns boolean
    * @param {string} rules[].result - Classification result to return if condition matches
    * @param {number} rules[].priority - Rule priority (lower numbers = higher priority)
+   * @param {Object} [options={}] - Engine options
+   * @param {string|number} [options.version=1] - Version label of the initial rule set
+   * @param {number} [options.maxHistory=10] - Number of previous rule sets kept for `rollback`
+   * @param {Array<string>} [options.disabledTags=[]] - Tags whose rules start
+   *   disabled
+   * @param {Function} [options.clock] - Returns the current time as a Date or
+   *   epoch milliseconds, for rules with a schedule; defaults to the system
+   *   clock
    *
    * @throws {Error} If rules array is invalid or contains invalid rules
    *
@@ -150,7 +393,181 @@ class RuleEngine {
    * ];
    * const engine = new RuleEngine(rules);
    */
-  constructor(rules) {
+  constructor(rules, options = {}) {
+    super();
+    const {
+      version = 1,
+      maxHistory = 10,
+      disabledTags = [],
+      clock = () => new Date(),
+    } = options;
+
+    if (!Number.isInteger(maxHistory) || maxHistory < 0) {
+      throw new Error("maxHistory must be a non-negative integer");
+    }
+    if (typeof clock !== "function") {
+      throw new Error("clock must be a function");
+    }
+
+    this._clock = clock;
+    this._maxHistory = maxHistory;
+    this._history = [];
+
+    // The active rules and their version live in one object so a swap is a
+    // single reference assignment; evaluation reads one consistent snapshot
+    this._ruleSet = this._createRuleSet(
+      this._prepareRules(rules),
+      version,
+      disabledTags
+    );
+  }
+
+  /**
+   * Registers an event handler. Handlers run synchronously during the call
+   * that emits the event, so an exception thrown by a handler reaches the
+   * caller.
+   *
+   * Events:
+   * - `evaluated` - `{ packageData, result, matchedRule, durationMs, version }`
+   *   after a rule matches; `matchedRule` is the rule that decided the stack
+   * - `noMatch` - `{ packageData, durationMs, version }` before `evaluate`
+   *   throws because no rule matched
+   * - `ruleError` - `{ packageData, matchedRule, error, durationMs, version }`
+   *   before `evaluate` throws because a condition threw; `matchedRule` is the
+   *   failing rule and `error` is the original error. `evaluateAll` also
+   *   emits it for a failing annotation rule, without throwing
+   * - `ruleTimeout` - `{ packageData, matchedRule, timeoutMs, onTimeout,
+   *   version }` when an `evaluateAsync` condition runs out of time
+   * - `ruleAdded` - `{ rule, version }` after `addRule`
+   * - `ruleRemoved` - `{ rule, version }` after `removeRule`
+   * - `ruleEnabled` / `ruleDisabled` - `{ rule, version }` for each rule that
+   *   `enableRule`, `disableRule`, `enableTag` or `disableTag` switches on or
+   *   off
+   *
+   * `explain`, `evaluateAll` and `evaluateAsync` emit the same evaluation
+   * events as `evaluate`.
+   *
+   * @param {string} event - One of RULE_ENGINE_EVENTS
+   * @param {Function} handler - Called with the event payload
+   * @returns {RuleEngine} This engine, for chaining
+   * @throws {Error} If the event name is unknown
+   *
+   * @example
+   * engine.on("noMatch", ({ packageData }) => logger.warn("unsorted", packageData));
+   */
+  on(event, handler) {
+    return super.on(checkEventName(event), handler);
+  }
+
+  /**
+   * Registers a handler that runs for the next occurrence of an event only.
+   *
+   * @param {string} event - One of RULE_ENGINE_EVENTS
+   * @param {Function} handler - Called with the event payload
+   * @returns {RuleEngine} This engine, for chaining
+   * @throws {Error} If the event name is unknown
+   */
+  once(event, handler) {
+    return super.once(checkEventName(event), handler);
+  }
+
+  /**
+   * All rules, sorted by priority, including disabled ones. The array is
+   * frozen; use `addRule`, `removeRule` or `loadRuleSet` to change it.
+   * @type {ReadonlyArray<ClassificationRule>}
+   */
+  get rules() {
+    return this._ruleSet.rules;
+  }
+
+  /**
+   * The rules evaluation runs, sorted by priority: those that are enabled
+   * and have no disabled tag. Rules with a schedule are included whatever
+   * the time; see `rulesActiveAt`. Annotation rules are included too.
+   * @type {ReadonlyArray<ClassificationRule>}
+   */
+  get activeRules() {
+    return this._ruleSet.active;
+  }
+
+  /**
+   * Lists the rules evaluation would run at a given time: the active rules
+   * whose schedule, if any, includes that time.
+   *
+   * @param {Date|string|number} [time] - Date, ISO 8601 string or epoch
+   *   milliseconds; defaults to the engine's clock
+   * @returns {Array<ClassificationRule>} Rules, sorted by priority
+   * @throws {Error} If the time is not a valid date
+   *
+   * @example
+   * engine.rulesActiveAt("2024-11-04T22:00:00Z").map((rule) => rule.name);
+   */
+  rulesActiveAt(time) {
+    const at = time === undefined ? this._now() : toTimestamp(time);
+    if (Number.isNaN(at)) {
+      throw new Error(
+        "Time must be a Date, an ISO 8601 string or epoch milliseconds"
+      );
+    }
+    const { active, schedules } = this._ruleSet;
+    return active.filter(
+      (rule) =>
+        !schedules.has(rule) || isScheduleActive(schedules.get(rule), at)
+    );
+  }
+
+  /**
+   * Reads the engine's clock
+   * @returns {number} Epoch milliseconds
+   * @throws {Error} If the clock returns something other than a date
+   * @private
+   */
+  _now() {
+    const now = toTimestamp(this._clock());
+    if (Number.isNaN(now)) {
+      throw new Error("clock must return a Date or epoch milliseconds");
+    }
+    return now;
+  }
+
+  /**
+   * Tags whose rules are currently skipped.
+   * @type {ReadonlyArray<string>}
+   */
+  get disabledTags() {
+    return this._ruleSet.disabledTags;
+  }
+
+  /**
+   * Version label of the active rule set.
+   * @type {string|number}
+   */
+  get version() {
+    return this._ruleSet.version;
+  }
+
+  /**
+   * Previous rule sets available to `rollback`, most recent first.
+   * @type {Array<{version: (string|number), loadedAt: Date, ruleCount: number}>}
+   */
+  get history() {
+    return this._history
+      .map(({ version, loadedAt, rules }) => ({
+        version,
+        loadedAt,
+        ruleCount: rules.length,
+      }))
+      .reverse();
+  }
+
+  /**
+   * Validates a rule array and returns a frozen, priority-sorted copy
+   * @param {Array<ClassificationRule>} rules - Rules to prepare
+   * @returns {ReadonlyArray<ClassificationRule>} Prepared rules
+   * @throws {Error} If the array or any rule is invalid
+   * @private
+   */
+  _prepareRules(rules) {
     if (!Array.isArray(rules)) {
       throw new Error("Rules must be an array");
     }
@@ -159,11 +576,161 @@ class RuleEngine {
       throw new Error("Rules array cannot be empty");
     }
 
-    // Validate each rule and store them
-    this.rules = rules.map((rule) => this._validateRule(rule));
+    // Validate each rule, then sort by priority (lower number = higher priority)
+    const prepared = rules.map((rule) => this._validateRule(rule));
+    prepared.sort((a, b) => a.priority - b.priority);
+    return Object.freeze(prepared);
+  }
+
+  /**
+   * Builds an immutable rule set record
+   * @param {ReadonlyArray<ClassificationRule>} rules - Prepared rules
+   * @param {string|number} version - Version label
+   * @param {Array<string>} [disabledTags=[]] - Tags whose rules are skipped
+   * @returns {Object} Frozen rule set
+   * @throws {Error} If the version is not a non-empty string or finite
+   *   number, or disabledTags is not a list of tags
+   * @private
+   */
+  _createRuleSet(rules, version, disabledTags = []) {
+    if (
+      !(typeof version === "string" && version.trim() !== "") &&
+      !(typeof version === "number" && Number.isFinite(version))
+    ) {
+      throw new Error(
+        "Rule set version must be a non-empty string or finite number"
+      );
+    }
+    if (!isTagList(disabledTags)) {
+      throw new Error("disabledTags must be an array of non-empty strings");
+    }
+
+    // Tag state travels with the rules, so a swap or rollback changes both
+    // at once
+    const tags = Object.freeze([...new Set(disabledTags)]);
+    const active = Object.freeze(
+      rules.filter((rule) => isRuleEnabled(rule, tags))
+    );
+
+    // Compiled once per rule set; evaluation only reads the clock when a
+    // rule has a schedule
+    const schedules = new Map();
+    for (const rule of active) {
+      const schedule = compileSchedule(rule);
+      if (schedule) {
+        schedules.set(rule, schedule);
+      }
+    }
+
+    return Object.freeze({
+      rules,
+      active,
+      stackRules: Object.freeze(
+        active.filter((rule) => !isAnnotationRule(rule))
+      ),
+      annotationRules: Object.freeze(active.filter(isAnnotationRule)),
+      schedules,
+      version,
+      disabledTags: tags,
+      loadedAt: new Date(),
+    });
+  }
+
+  /**
+   * Replaces the active rule set, keeping the previous one for `rollback`
+   * @param {Object} ruleSet - New rule set from `_createRuleSet`
+   * @private
+   */
+  _swapRuleSet(ruleSet) {
+    this._history.push(this._ruleSet);
+    if (this._history.length > this._maxHistory) {
+      this._history.shift();
+    }
+    this._ruleSet = ruleSet;
+  }
+
+  /**
+   * Creates a RuleEngine from a declarative JSON rule config.
+   *
+   * Conditions are expression trees (see ruleSchema.js) compiled into
+   * condition functions without any use of `eval` or `new Function`. The
+   * config's `version`, if present, becomes the engine's version, and its
+   * `disabledTags` start disabled.
+   *
+   * @param {RuleConfig|string} config - Rule config object, or its JSON text
+   * @param {Object} [options] - Engine options
+   * @param {Function} [options.clock] - Clock for rules with a schedule
+   * @returns {RuleEngine} Engine loaded with the compiled rules
+   * @throws {Error} If the config does not match the rule schema
+   *
+   * @example
+   * const engine = RuleEngine.fromJSON({
+   *   rules: [
+   *     {
+   *       name: "heavy-bulky",
+   *       condition: { all: [{ fact: "bulky", eq: true }, { fact: "mass", gte: 20 }] },
+   *       result: "REJECTED",
+   *       priority: 1
+   *     },
+   *     { name: "default", condition: true, result: "STANDARD", priority: 2 }
+   *   ]
+   * });
+   */
+  static fromJSON(config, options = {}) {
+    const parsed =
+      typeof config === "string" ? parseRuleConfigText(config) : config;
+    const rules = parseRuleConfig(parsed);
+    return new RuleEngine(rules, {
+      version: parsed.version ?? 1,
+      disabledTags: parsed.disabledTags,
+      clock: options.clock,
+    });
+  }
+
+  /**
+   * Checks the rules for a missing default, duplicate names, priority ties,
+   * shadowed rules and stacks that no rule can produce. Disabled rules are
+   * reported, and left out of the checks that depend on evaluation. See
+   * ruleAnalysis.js.
+   *
+   * @param {Object} [options={}] - Analysis options
+   * @param {Array<PackageData>} [options.samples] - Package data to run the
+   *   rules against; defaults to packages around the default thresholds
+   * @param {Array<string>} [options.stacks] - Stacks the rules should produce
+   * @returns {RuleAnalysis} Report with `ok` and a list of `issues`
+   *
+   * @example
+   * const report = engine.analyze({ stacks: [STANDARD, SPECIAL, REJECTED] });
+   * report.issues.forEach((issue) => console.warn(issue.message));
+   */
+  analyze(options = {}) {
+    return analyzeRules(this.rules, {
+      disabledTags: this.disabledTags,
+      ...options,
+    });
+  }
 
-    // Sort rules by priority (lower number = higher priority)
-    this.rules.sort((a, b) => a.priority - b.priority);
+  /**
+   * Writes the engine's rules, version and disabled tags out in the
+   * declarative JSON rule format.
+   *
+   * Called automatically by `JSON.stringify(engine)`. Every rule must carry
+   * an `expression`; rules loaded with `fromJSON` and the default
+   * CLASSIFICATION_RULES do.
+   *
+   * @returns {RuleConfig} Config object accepted by `RuleEngine.fromJSON`
+   * @throws {Error} If a rule only has a condition function
+   *
+   * @example
+   * const engine = new RuleEngine(CLASSIFICATION_RULES);
+   * fs.writeFileSync("rules.json", JSON.stringify(engine, null, 2));
+   */
+  toJSON() {
+    const config = { version: this.version, ...serializeRules(this.rules) };
+    if (this.disabledTags.length > 0) {
+      config.disabledTags = [...this.disabledTags];
+    }
+    return config;
   }
 
   /**
@@ -178,190 +745,1530 @@ class RuleEngine {
       throw new Error("Rule must be an object");
     }
 
-    const requiredProperties = ["name", "condition", "result", "priority"];
-    for (const prop of requiredProperties) {
-      if (!(prop in rule)) {
-        throw new Error(`Rule is missing required property: ${prop}`);
+    const requiredProperties = ["name", "condition", "result", "priority"];
+    for (const prop of requiredProperties) {
+      if (!(prop in rule)) {
+        throw new Error(`Rule is missing required property: ${prop}`);
+      }
+    }
+
+    if (typeof rule.name !== "string" || rule.name.trim() === "") {
+      throw new Error("Rule name must be a non-empty string");
+    }
+
+    if (typeof rule.condition !== "function") {
+      throw new Error("Rule condition must be a function");
+    }
+
+    if (typeof rule.result !== "string" || rule.result.trim() === "") {
+      throw new Error("Rule result must be a non-empty string");
+    }
+
+    if (
+      typeof rule.priority !== "number" ||
+      rule.priority < 0 ||
+      !Number.isFinite(rule.priority)
+    ) {
+      throw new Error("Rule priority must be a non-negative number");
+    }
+
+    if (
+      rule.timeoutMs !== undefined &&
+      !(
+        typeof rule.timeoutMs === "number" &&
+        Number.isFinite(rule.timeoutMs) &&
+        rule.timeoutMs > 0
+      )
+    ) {
+      throw new Error("Rule timeoutMs must be a positive finite number");
+    }
+
+    if (
+      rule.onTimeout !== undefined &&
+      !TIMEOUT_ACTIONS.includes(rule.onTimeout)
+    ) {
+      throw new Error(
+        `Rule onTimeout must be one of: ${TIMEOUT_ACTIONS.join(", ")}`
+      );
+    }
+
+    if (
+      rule.timeoutResult !== undefined &&
+      (typeof rule.timeoutResult !== "string" ||
+        rule.timeoutResult.trim() === "")
+    ) {
+      throw new Error("Rule timeoutResult must be a non-empty string");
+    }
+
+    if (rule.type !== undefined && !RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Rule type must be one of: ${RULE_TYPES.join(", ")}`);
+    }
+
+    if (rule.tags !== undefined && !isTagList(rule.tags)) {
+      throw new Error("Rule tags must be an array of non-empty strings");
+    }
+
+    if (rule.enabled !== undefined && typeof rule.enabled !== "boolean") {
+      throw new Error("Rule enabled must be a boolean");
+    }
+
+    try {
+      compileSchedule(rule);
+    } catch (error) {
+      throw new Error(`Rule ${error.message}`);
+    }
+
+    return rule;
+  }
+
+  /**
+   * Evaluates package data against all rules and returns the first match.
+   *
+   * Rules are processed in priority order (lowest priority number first).
+   * The first rule whose condition function returns true determines the result.
+   * Disabled rules, and rules whose schedule does not include the time on the
+   * engine's clock, are skipped. Annotation rules never decide the result;
+   * use `evaluateAll` for their flags.
+   *
+   * @param {PackageData} packageData - Package data object with dimensions, mass, and computed flags
+   * @param {number} packageData.width - Package width in centimeters
+   * @param {number} packageData.height - Package height in centimeters
+   * @param {number} packageData.length - Package length in centimeters
+   * @param {number} packageData.mass - Package mass in kilograms
+   * @param {boolean} packageData.bulky - Whether package is bulky (computed)
+   * @param {boolean} packageData.heavy - Whether package is heavy (computed)
+   *
+   * @returns {string} Classification result from the first matching rule
+   * @throws {Error} If packageData is invalid, a condition throws or is
+   *   async, or no rules match
+   *
+   * @example
+   * const packageData = {
+   *   width: 100, height: 50, length: 30, mass: 25,
+   *   bulky: false, heavy: true
+   * };
+   * const result = engine.evaluate(packageData); // Returns "SPECIAL"
+   */
+  evaluate(packageData) {
+    return this._findMatch(packageData, null).rule.result;
+  }
+
+  /**
+   * Evaluates package data like `evaluate`, but also reports why.
+   *
+   * The explanation names the matched rule and lists every higher-priority
+   * rule that was checked and skipped, together with the value its condition
+   * returned; disabled rules are listed with `disabled: true` instead, and
+   * rules outside their schedule with `outsideSchedule: true`. Rules below
+   * the matched rule are never evaluated and are not listed.
+   *
+   * @param {PackageData} packageData - Package data object with dimensions, mass, and computed flags
+   * @returns {RuleExplanation} Classification result with the rule trace
+   * @throws {Error} If packageData is invalid, a condition throws or is
+   *   async, or no rules match
+   *
+   * @example
+   * const explanation = engine.explain({ bulky: true, heavy: false });
+   * // {
+   * //   result: "SPECIAL",
+   * //   matchedRule: { name: "special-packages", priority: 2 },
+   * //   skippedRules: [
+   * //     { name: "rejected-packages", priority: 1, outcome: false }
+   * //   ],
+   * //   version: 1
+   * // }
+   */
+  explain(packageData) {
+    const skippedRules = [];
+    const { rule, version } = this._findMatch(packageData, skippedRules);
+
+    return {
+      result: rule.result,
+      matchedRule: { name: rule.name, priority: rule.priority },
+      skippedRules,
+      version,
+    };
+  }
+
+  /**
+   * Evaluates package data against every rule instead of stopping at the
+   * first match.
+   *
+   * The result is the stack `evaluate` would return, decided by the first
+   * matching stack rule. Every other matching stack rule is listed too, so a
+   * package rejected for two reasons shows both. Matching annotation rules
+   * add their `result` to `flags`; they never change the stack. An annotation
+   * rule whose condition throws emits `ruleError` and is listed in
+   * `annotationErrors`, and evaluation carries on without its flag.
+   *
+   * @param {PackageData} packageData - Package data object with dimensions, mass, and computed flags
+   * @returns {EvaluationAll} The stack, every matching rule and the handling
+   *   flags
+   * @throws {Error} If packageData is invalid, a stack rule's condition
+   *   throws or is async, or no stack rule matches
+   *
+   * @example
+   * engine.addRule({
+   *   name: "team-lift",
+   *   type: "annotation",
+   *   condition: (pkg) => pkg.mass >= 23,
+   *   result: "TEAM_LIFT",
+   *   priority: 0,
+   * });
+   * engine.evaluateAll({ width: 160, height: 50, length: 40, mass: 25, bulky: true, heavy: true });
+   * // {
+   * //   result: "REJECTED",
+   * //   stacks: ["REJECTED", "SPECIAL", "STANDARD"],
+   * //   matchedRules: [
+   * //     { name: "rejected-packages", result: "REJECTED", priority: 1 },
+   * //     { name: "special-packages", result: "SPECIAL", priority: 2 },
+   * //     { name: "standard-packages", result: "STANDARD", priority: 3 }
+   * //   ],
+   * //   flags: ["TEAM_LIFT"],
+   * //   annotations: [{ name: "team-lift", result: "TEAM_LIFT", priority: 0 }],
+   * //   annotationErrors: [],
+   * //   version: 1
+   * // }
+   */
+  evaluateAll(packageData) {
+    if (!packageData || typeof packageData !== "object") {
+      throw new Error("Package data must be an object");
+    }
+
+    const startedAt = performance.now();
+    const snapshot = this._ruleSet;
+    const { version } = snapshot;
+    const now = snapshot.schedules.size > 0 ? this._now() : undefined;
+    const annotationErrors = [];
+    const context = { packageData, snapshot, now, startedAt, annotationErrors };
+
+    const matched = this._matchingRules(snapshot.stackRules, context);
+    if (matched.length === 0) {
+      this.emit("noMatch", {
+        packageData,
+        durationMs: performance.now() - startedAt,
+        version,
+      });
+      throw new Error("No matching rule found for package data");
+    }
+    const annotations = this._matchingRules(snapshot.annotationRules, context);
+
+    const [decidingRule] = matched;
+    this.emit("evaluated", {
+      packageData,
+      result: decidingRule.result,
+      matchedRule: { name: decidingRule.name, priority: decidingRule.priority },
+      durationMs: performance.now() - startedAt,
+      version,
+    });
+
+    return {
+      result: decidingRule.result,
+      stacks: [...new Set(matched.map((rule) => rule.result))],
+      matchedRules: matched.map(describeMatch),
+      flags: [...new Set(annotations.map((rule) => rule.result))],
+      annotations: annotations.map(describeMatch),
+      annotationErrors,
+      version,
+    };
+  }
+
+  /**
+   * Evaluates only the annotation rules, for callers that already have the
+   * stack decision. A failing annotation is handled as in `evaluateAll`. No
+   * `evaluated` or `noMatch` event is emitted, since no stack is decided.
+   *
+   * @param {PackageData} packageData - Package data object with dimensions, mass, and computed flags
+   * @returns {Annotation} The handling flags, the annotation rules that
+   *   matched and the ones that failed
+   * @throws {Error} If packageData is invalid
+   *
+   * @example
+   * engine.annotate({ mass: 25, bulky: false, heavy: true });
+   * // { flags: ["TEAM_LIFT"], annotations: [...], annotationErrors: [] }
+   */
+  annotate(packageData) {
+    if (!packageData || typeof packageData !== "object") {
+      throw new Error("Package data must be an object");
+    }
+
+    const snapshot = this._ruleSet;
+    const annotationErrors = [];
+    const annotations = this._matchingRules(snapshot.annotationRules, {
+      packageData,
+      snapshot,
+      now: snapshot.annotationRules.some((rule) => snapshot.schedules.has(rule))
+        ? this._now()
+        : undefined,
+      startedAt: performance.now(),
+      annotationErrors,
+    });
+
+    return {
+      flags: [...new Set(annotations.map((rule) => rule.result))],
+      annotations: annotations.map(describeMatch),
+      annotationErrors,
+    };
+  }
+
+  /**
+   * Lists the rules whose condition matches, skipping those outside their
+   * schedule. A failing annotation rule is recorded in
+   * `context.annotationErrors` and counts as not matched
+   * @param {ReadonlyArray<ClassificationRule>} rules - Rules to try
+   * @param {Object} context - Package data, rule set snapshot, clock reading,
+   *   start time and the annotation error list
+   * @returns {Array<ClassificationRule>} Matching rules, in priority order
+   * @throws {Error} If a stack rule's condition throws or is async
+   * @private
+   */
+  _matchingRules(rules, context) {
+    const { packageData, snapshot, now, startedAt, annotationErrors } = context;
+    return rules.filter((rule) => {
+      const schedule = snapshot.schedules.get(rule);
+      if (schedule && !isScheduleActive(schedule, now)) {
+        return false;
+      }
+      try {
+        return Boolean(runConditionSync(rule, packageData));
+      } catch (error) {
+        this.emit("ruleError", {
+          packageData,
+          matchedRule: { name: rule.name, priority: rule.priority },
+          error,
+          durationMs: performance.now() - startedAt,
+          version: snapshot.version,
+        });
+        // A failing annotation loses its flag, never the stack decision
+        if (isAnnotationRule(rule)) {
+          annotationErrors.push({
+            name: rule.name,
+            priority: rule.priority,
+            message: error.message,
+          });
+          return false;
+        }
+        throw new Error(
+          `Error evaluating rule "${rule.name}": ${error.message}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Evaluates package data like `evaluate`, awaiting conditions that return
+   * a promise, e.g. a lookup in a hazmat SKU table or a customer-tier cache.
+   *
+   * Rules are still tried one at a time in priority order. A rule's
+   * `timeoutMs` (or `options.timeoutMs` for rules without one) limits how
+   * long its condition may take. When it runs out, the rule's `onTimeout`
+   * decides:
+   * - `"fail-open"` (default) - treat the condition as not matched and move on
+   * - `"fail-closed"` - route the package to the rule's `timeoutResult`, or
+   *   its `result` if it has none
+   *
+   * `evaluate` does not await conditions, so rules with async conditions must
+   * go through this method; `evaluate` throws when a condition returns a
+   * promise.
+   *
+   * @param {PackageData} packageData - Package data to evaluate
+   * @param {Object} [options={}] - Evaluation options
+   * @param {number} [options.timeoutMs] - Timeout for rules without their own;
+   *   no limit if omitted
+   * @returns {Promise<string>} Classification result from the first matching rule
+   * @throws {Error} (as a rejection) If packageData is invalid, a condition
+   *   throws or rejects, or no rules match
+   *
+   * @example
+   * engine.addRule({
+   *   name: "hazmat",
+   *   condition: async (pkg) => hazmatRegistry.has(pkg.sku),
+   *   result: "HAZMAT",
+   *   priority: 0,
+   *   timeoutMs: 50,
+   *   onTimeout: "fail-closed",
+   *   timeoutResult: "MANUAL_REVIEW",
+   * });
+   * const result = await engine.evaluateAsync({ ...packageData, sku: "A-1" });
+   */
+  async evaluateAsync(packageData, options = {}) {
+    const { timeoutMs } = options;
+    if (
+      timeoutMs !== undefined &&
+      !(
+        typeof timeoutMs === "number" &&
+        Number.isFinite(timeoutMs) &&
+        timeoutMs > 0
+      )
+    ) {
+      throw new Error("timeoutMs must be a positive finite number");
+    }
+    if (!packageData || typeof packageData !== "object") {
+      throw new Error("Package data must be an object");
+    }
+
+    const startedAt = performance.now();
+    const { stackRules: rules, schedules, version } = this._ruleSet;
+    const now = schedules.size > 0 ? this._now() : undefined;
+    const emitEvaluated = (rule, result) =>
+      this.emit("evaluated", {
+        packageData,
+        result,
+        matchedRule: { name: rule.name, priority: rule.priority },
+        durationMs: performance.now() - startedAt,
+        version,
+      });
+
+    for (const rule of rules) {
+      const schedule = schedules.get(rule);
+      if (schedule && !isScheduleActive(schedule, now)) {
+        continue;
+      }
+
+      const ruleTimeoutMs = rule.timeoutMs ?? timeoutMs;
+      let outcome;
+      try {
+        outcome = await runCondition(rule, packageData, ruleTimeoutMs);
+      } catch (error) {
+        this.emit("ruleError", {
+          packageData,
+          matchedRule: { name: rule.name, priority: rule.priority },
+          error,
+          durationMs: performance.now() - startedAt,
+          version,
+        });
+        throw new Error(
+          `Error evaluating rule "${rule.name}": ${error.message}`
+        );
+      }
+
+      if (outcome === TIMED_OUT) {
+        const onTimeout = rule.onTimeout ?? "fail-open";
+        this.emit("ruleTimeout", {
+          packageData,
+          matchedRule: { name: rule.name, priority: rule.priority },
+          timeoutMs: ruleTimeoutMs,
+          onTimeout,
+          version,
+        });
+        if (onTimeout === "fail-closed") {
+          const result = rule.timeoutResult ?? rule.result;
+          emitEvaluated(rule, result);
+          return result;
+        }
+        continue;
+      }
+
+      if (outcome) {
+        emitEvaluated(rule, rule.result);
+        return rule.result;
+      }
+    }
+
+    this.emit("noMatch", {
+      packageData,
+      durationMs: performance.now() - startedAt,
+      version,
+    });
+    throw new Error("No matching rule found for package data");
+  }
+
+  /**
+   * Finds the first rule whose condition matches the package data
+   * @param {PackageData} packageData - Package data to evaluate
+   * @param {Array<Object>|null} skippedRules - Receives a trace entry for each
+   *   rule that did not match, or null when no trace is needed
+   * @returns {{rule: ClassificationRule, version: (string|number)}} The
+   *   matching rule and the version of the rule set it came from
+   * @throws {Error} If packageData is invalid, a condition throws or is
+   *   async, or no rules match
+   * @private
+   */
+  _findMatch(packageData, skippedRules) {
+    if (!packageData || typeof packageData !== "object") {
+      throw new Error("Package data must be an object");
+    }
+
+    const startedAt = performance.now();
+
+    // Evaluate rules in priority order against one rule set snapshot, so a
+    // concurrent swap never yields a half-updated set
+    const { rules, active, stackRules, schedules, version } = this._ruleSet;
+    const now = schedules.size > 0 ? this._now() : undefined;
+    for (const rule of skippedRules ? rules : stackRules) {
+      if (isAnnotationRule(rule)) {
+        continue;
+      }
+      if (skippedRules && !active.includes(rule)) {
+        skippedRules.push({
+          name: rule.name,
+          priority: rule.priority,
+          disabled: true,
+        });
+        continue;
+      }
+
+      const schedule = schedules.get(rule);
+      if (schedule && !isScheduleActive(schedule, now)) {
+        if (skippedRules) {
+          skippedRules.push({
+            name: rule.name,
+            priority: rule.priority,
+            outsideSchedule: true,
+          });
+        }
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = runConditionSync(rule, packageData);
+      } catch (error) {
+        this.emit("ruleError", {
+          packageData,
+          matchedRule: { name: rule.name, priority: rule.priority },
+          error,
+          durationMs: performance.now() - startedAt,
+          version,
+        });
+        throw new Error(
+          `Error evaluating rule "${rule.name}": ${error.message}`
+        );
+      }
+
+      if (outcome) {
+        this.emit("evaluated", {
+          packageData,
+          result: rule.result,
+          matchedRule: { name: rule.name, priority: rule.priority },
+          durationMs: performance.now() - startedAt,
+          version,
+        });
+        return { rule, version };
+      }
+
+      if (skippedRules) {
+        skippedRules.push({
+          name: rule.name,
+          priority: rule.priority,
+          outcome,
+        });
+      }
+    }
+
+    // This should never happen if rules include a default case
+    this.emit("noMatch", {
+      packageData,
+      durationMs: performance.now() - startedAt,
+      version,
+    });
+    throw new Error("No matching rule found for package data");
+  }
+
+  /**
+   * Adds a new rule to the engine dynamically.
+   *
+   * The rule is validated and inserted in the correct priority position.
+   * Rule names must be unique within the engine.
+   *
+   * @param {ClassificationRule} rule - Rule object to add
+   * @param {string} rule.name - Unique identifier for the rule
+   * @param {Function} rule.condition - Function that takes packageData and returns boolean
+   * @param {string} rule.result - Classification result to return if condition matches
+   * @param {number} rule.priority - Rule priority (lower numbers = higher priority)
+   *
+   * @throws {Error} If rule is invalid or name conflicts with existing rule
+   *
+   * @example
+   * // Add a rule for temperature-sensitive packages
+   * engine.addRule({
+   *   name: "temperature-sensitive",
+   *   condition: (pkg) => pkg.temperatureSensitive === true,
+   *   result: "CLIMATE_CONTROLLED",
+   *   priority: 1
+   * });
+   */
+  addRule(rule) {
+    const validatedRule = this._validateRule(rule);
+
+    // Check for duplicate rule names
+    if (
+      this.rules.some(
+        (existingRule) => existingRule.name === validatedRule.name
+      )
+    ) {
+      throw new Error(`Rule with name "${validatedRule.name}" already exists`);
+    }
+
+    // Build the new set beside the active one and swap it in; the previous
+    // set stays available to rollback
+    const rules = [...this.rules, validatedRule];
+    rules.sort((a, b) => a.priority - b.priority);
+    this._swapRuleSet(
+      this._createRuleSet(Object.freeze(rules), this.version, this.disabledTags)
+    );
+    this.emit("ruleAdded", { rule: validatedRule, version: this.version });
+  }
+
+  /**
+   * Removes a rule from the engine by name.
+   *
+   * @param {string} ruleName - Name of the rule to remove
+   * @throws {Error} If rule name is not found
+   *
+   * @example
+   * // Remove the standard packages rule to create a more restrictive system
+   * engine.removeRule("standard-packages");
+   */
+  removeRule(ruleName) {
+    if (typeof ruleName !== "string" || ruleName.trim() === "") {
+      throw new Error("Rule name must be a non-empty string");
+    }
+
+    const rules = this.rules.filter((rule) => rule.name !== ruleName);
+
+    if (rules.length === this.rules.length) {
+      throw new Error(`Rule with name "${ruleName}" not found`);
+    }
+
+    const removed = this.rules.find((rule) => rule.name === ruleName);
+    this._swapRuleSet(
+      this._createRuleSet(Object.freeze(rules), this.version, this.disabledTags)
+    );
+    this.emit("ruleRemoved", { rule: removed, version: this.version });
+  }
+
+  /**
+   * Tells whether a rule takes part in evaluation: it is enabled and none of
+   * its tags is disabled.
+   *
+   * @param {string} ruleName - Name of the rule
+   * @returns {boolean} Whether `evaluate` runs the rule
+   * @throws {Error} If rule name is not found
+   */
+  isRuleEnabled(ruleName) {
+    const rule = this._findRule(ruleName);
+    return this.activeRules.includes(rule);
+  }
+
+  /**
+   * Switches a rule back on after `disableRule`. The rule still stays off
+   * while one of its tags is disabled.
+   *
+   * @param {string} ruleName - Name of the rule
+   * @throws {Error} If rule name is not found
+   */
+  enableRule(ruleName) {
+    const rule = this._findRule(ruleName);
+    if (rule.enabled !== false) {
+      return;
+    }
+    const enabledRule = { ...rule };
+    delete enabledRule.enabled;
+    this._toggle(
+      this.rules.map((existing) =>
+        existing === rule ? enabledRule : existing
+      ),
+      this.disabledTags
+    );
+  }
+
+  /**
+   * Switches a rule off without removing it. The rule is skipped by
+   * evaluation but still listed in `rules`, `analyze` and `toJSON`.
+   *
+   * @param {string} ruleName - Name of the rule
+   * @throws {Error} If rule name is not found
+   *
+   * @example
+   * engine.disableRule("standard-packages");
+   * engine.isRuleEnabled("standard-packages"); // false
+   */
+  disableRule(ruleName) {
+    const rule = this._findRule(ruleName);
+    if (rule.enabled === false) {
+      return;
+    }
+    this._toggle(
+      this.rules.map((existing) =>
+        existing === rule ? { ...rule, enabled: false } : existing
+      ),
+      this.disabledTags
+    );
+  }
+
+  /**
+   * Switches every rule with a tag back on, apart from rules disabled on
+   * their own or through another tag.
+   *
+   * @param {string} tag - Tag to enable
+   * @throws {Error} If the tag is not a non-empty string or no rule has it
+   */
+  enableTag(tag) {
+    this._checkTag(tag);
+    if (!this.disabledTags.includes(tag)) {
+      return;
+    }
+    this._toggle(
+      this.rules,
+      this.disabledTags.filter((disabled) => disabled !== tag)
+    );
+  }
+
+  /**
+   * Switches off every rule with a tag, including rules added with the tag
+   * later.
+   *
+   * @param {string} tag - Tag to disable
+   * @throws {Error} If the tag is not a non-empty string or no rule has it
+   *
+   * @example
+   * engine.disableTag("holiday-peak");
+   */
+  disableTag(tag) {
+    this._checkTag(tag);
+    if (this.disabledTags.includes(tag)) {
+      return;
+    }
+    this._toggle(this.rules, [...this.disabledTags, tag]);
+  }
+
+  /**
+   * Looks up a rule by name
+   * @param {string} ruleName - Name of the rule
+   * @returns {ClassificationRule} The rule
+   * @throws {Error} If rule name is not a non-empty string or is not found
+   * @private
+   */
+  _findRule(ruleName) {
+    if (typeof ruleName !== "string" || ruleName.trim() === "") {
+      throw new Error("Rule name must be a non-empty string");
+    }
+    const rule = this.rules.find((existing) => existing.name === ruleName);
+    if (!rule) {
+      throw new Error(`Rule with name "${ruleName}" not found`);
+    }
+    return rule;
+  }
+
+  /**
+   * Checks that a tag is known to the engine
+   * @param {string} tag - Tag to check
+   * @throws {Error} If the tag is not a non-empty string, or is neither
+   *   disabled nor carried by any rule
+   * @private
+   */
+  _checkTag(tag) {
+    if (typeof tag !== "string" || tag.trim() === "") {
+      throw new Error("Tag must be a non-empty string");
+    }
+    if (
+      !this.disabledTags.includes(tag) &&
+      !this.rules.some((rule) => (rule.tags ?? []).includes(tag))
+    ) {
+      throw new Error(`No rule has tag "${tag}"`);
+    }
+  }
+
+  /**
+   * Swaps in the rules with new enabled states, then reports every rule
+   * that was switched on or off.
+   *
+   * Switching rules is routine operation rather than a new rule set, so the
+   * swap keeps the version and takes no `rollback` slot; otherwise a day of
+   * tag toggling would push real versions out of the history.
+   * @param {Array<ClassificationRule>} rules - Rules, still sorted by priority
+   * @param {Array<string>} disabledTags - Tags to disable
+   * @private
+   */
+  _toggle(rules, disabledTags) {
+    const wasActive = new Set(this.activeRules.map((rule) => rule.name));
+    this._ruleSet = this._createRuleSet(
+      Object.freeze(rules),
+      this.version,
+      disabledTags
+    );
+    const isActive = new Set(this.activeRules.map((rule) => rule.name));
+
+    for (const rule of this.rules) {
+      if (wasActive.has(rule.name) !== isActive.has(rule.name)) {
+        this.emit(isActive.has(rule.name) ? "ruleEnabled" : "ruleDisabled", {
+          rule,
+          version: this.version,
+        });
+      }
+    }
+  }
+
+  /**
+   * Validates a complete rule set and swaps it in atomically.
+   *
+   * The whole set is validated before anything changes, so a bad set leaves
+   * the active rules untouched. The replaced set is kept for `rollback`.
+   *
+   * @param {Array<ClassificationRule>|RuleConfig|string} ruleSet - Rule
+   *   objects, a declarative rule config, or its JSON text
+   * @param {Object} [options={}] - Load options
+   * @param {string|number} [options.version] - Version label for the new set.
+   *   Defaults to the config's `version`, or the current version plus one
+   *   when that is a number.
+   * @param {Array<string>} [options.disabledTags] - Tags whose rules start
+   *   disabled. Defaults to the config's `disabledTags`; the new set does not
+   *   inherit the tags disabled in the current one.
+   * @returns {string|number} The version now active
+   * @throws {Error} If the rule set is invalid, contains duplicate names, or
+   *   no version can be determined
+   *
+   * @example
+   * engine.loadRuleSet(RuleEngine.fromJSON(config).rules, { version: "v2" });
+   * engine.loadRuleSet(fs.readFileSync("rules.json", "utf8"));
+   */
+  loadRuleSet(ruleSet, options = {}) {
+    let rules = ruleSet;
+    let { version, disabledTags } = options;
+
+    if (!Array.isArray(ruleSet)) {
+      const config =
+        typeof ruleSet === "string" ? parseRuleConfigText(ruleSet) : ruleSet;
+      rules = parseRuleConfig(config);
+      version = version ?? config.version;
+      disabledTags = disabledTags ?? config.disabledTags;
+    }
+
+    const prepared = this._prepareRules(rules);
+
+    const names = new Set();
+    for (const rule of prepared) {
+      if (names.has(rule.name)) {
+        throw new Error(`Rule with name "${rule.name}" already exists`);
+      }
+      names.add(rule.name);
+    }
+
+    if (version === undefined) {
+      if (typeof this.version !== "number") {
+        throw new Error(
+          `A version is required when the current version ("${this.version}") is not a number`
+        );
+      }
+      version = this.version + 1;
+    }
+
+    this._swapRuleSet(this._createRuleSet(prepared, version, disabledTags));
+    return version;
+  }
+
+  /**
+   * Restores the previous rule set.
+   *
+   * Rules and tags switched on or off since that set was replaced are not
+   * undone one by one: the previous set comes back with the switches it had
+   * when it was replaced.
+   *
+   * @returns {string|number} The version now active
+   * @throws {Error} If there is no previous rule set
+   *
+   * @example
+   * engine.loadRuleSet(badRules, { version: 3 });
+   * engine.rollback(); // 2
+   */
+  rollback() {
+    const previous = this._history.pop();
+    if (!previous) {
+      throw new Error("No previous rule set to roll back to");
+    }
+    this._ruleSet = previous;
+    return previous.version;
+  }
+
+  /**
+   * Watches a declarative JSON rules file and reloads it when it changes.
+   *
+   * Each change is loaded with `loadRuleSet`, using the file's `version` if it
+   * has one. A file that fails to parse or validate is reported through
+   * `onError` and the active rules stay in place.
+   *
+   * @param {string} filePath - Path of the rules file
+   * @param {Object} [options={}] - Watch options
+   * @param {number} [options.interval=1000] - Polling interval in milliseconds
+   * @param {Function} [options.onReload] - Called with the new version after a reload
+   * @param {Function} [options.onError] - Called with the error when a reload fails
+   * @returns {{close: Function}} Handle that stops watching
+   *
+   * @example
+   * const watcher = engine.watchRulesFile("./rules.json", {
+   *   onReload: (version) => console.log(`Rules ${version} loaded`),
+   *   onError: (error) => console.error(error.message),
+   * });
+   * // later
+   * watcher.close();
+   */
+  watchRulesFile(filePath, options = {}) {
+    const { interval = 1000, onReload, onError } = options;
+    let lastText;
+
+    const listener = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) {
+        return;
+      }
+
+      try {
+        const text = fs.readFileSync(filePath, "utf8");
+        // Touching the file without changing it doesn't create a new version
+        if (text === lastText) {
+          return;
+        }
+        const version = this.loadRuleSet(text);
+        lastText = text;
+        if (onReload) {
+          onReload(version);
+        }
+      } catch (error) {
+        if (onError) {
+          onError(error);
+        }
+      }
+    };
+
+    fs.watchFile(filePath, { interval, persistent: false }, listener);
+
+    return {
+      close: () => fs.unwatchFile(filePath, listener),
+    };
+  }
+}
+
+/**
+ * Sorts packages into appropriate stacks based on dimensions and mass.
+ *
+ * This is the main entry point for package classification. It maintains
+ * backward compatibility with the original API while using the new rule-based
+ * system internally.
+ *
+ * Each measurement may also be a `{ value, unit }` object, e.g.
+ * `{ value: 60, unit: "in" }`. Measurements are normalized to centimeters and
+ * kilograms before the bulky and heavy checks run.
+ *
+ * @param {number|Object} width - Package width in centimeters
+ * @param {number|Object} height - Package height in centimeters
+ * @param {number|Object} length - Package length in centimeters
+ * @param {number|Object} mass - Package mass in kilograms
+ * @param {SortOptions} [options] - Per-call options
+ * @param {PackageUnits} [options.units] - Units for plain-number measurements (cm/kg if omitted)
+ * @param {string} [options.profile] - Name of a profile in `profiles` to sort
+ *   with instead of the default sorter
+ *
+ * @returns {string} Stack name: "STANDARD", "SPECIAL", or "REJECTED"
+ * @throws {InvalidPackageError} If any measurement is invalid. Corrupted
+ *   readings are never routed to a stack.
+ *
+ * @example
+ * // Standard package
+ * const result1 = sort(50, 30, 20, 10); // Returns "STANDARD"
+ *
+ * @example
+ * // Bulky package (volume > 1,000,000 cm³)
+ * const result2 = sort(200, 100, 50, 15); // Returns "SPECIAL"
+ *
+ * @example
+ * // Heavy package (mass >= 20 kg)
+ * const result3 = sort(50, 30, 20, 25); // Returns "SPECIAL"
+ *
+ * @example
+ * // Both bulky and heavy package
+ * const result4 = sort(200, 100, 50, 25); // Returns "REJECTED"
+ *
+ * @example
+ * // Measurements in other units
+ * const result5 = sort(60, 20, 20, 10, { units: { length: "in", mass: "lb" } }); // Returns "SPECIAL"
+ * const result6 = sort({ value: 1500, unit: "mm" }, 50, 50, { value: 5000, unit: "g" }); // Returns "SPECIAL"
+ *
+ * @example
+ * // A facility profile
+ * profiles.define("DEN-1", { massThreshold: 30 });
+ * const result7 = sort(50, 30, 20, 25, { profile: "DEN-1" }); // Returns "STANDARD"
+ */
+function sort(width, height, length, mass, options) {
+  return sorterFor(options).sort(width, height, length, mass, options);
+}
+
+/**
+ * Sorts a package like `sort`, but also explains the decision.
+ *
+ * Returns the matched rule, the rules skipped before it, and the derived
+ * facts behind the bulky and heavy flags, for audit logs and supervisor
+ * screens.
+ *
+ * @param {number} width - Package width in centimeters
+ * @param {number} height - Package height in centimeters
+ * @param {number} length - Package length in centimeters
+ * @param {number} mass - Package mass in kilograms
+ * @param {SortOptions} [options] - Per-call options, as for `sort`
+ *
+ * @returns {SortExplanation} Stack name with the rule trace, derived facts and
+ *   the original and normalized measurements
+ * @throws {InvalidPackageError} If any measurement is invalid
+ *
+ * @example
+ * const { result, matchedRule, facts } = sortWithReason(200, 50, 30, 15);
+ * // result: "SPECIAL"
+ * // matchedRule: { name: "special-packages", priority: 2 }
+ * // facts.oversizedDimensions: ["width"]
+ */
+function sortWithReason(width, height, length, mass, options) {
+  return sorterFor(options).sortWithReason(
+    width,
+    height,
+    length,
+    mass,
+    options
+  );
+}
+
+/**
+ * Sorts a whole manifest of packages with a single rule engine.
+ *
+ * Packages that fail validation are collected in `failures` instead of
+ * aborting the batch, so one corrupted reading doesn't hold up the rest of
+ * the manifest.
+ *
+ * @param {Array<BatchPackage>} packages - Packages to sort
+ * @param {SortOptions} [options] - Batch options; `options.units` applies to
+ *   packages that don't carry their own `units`
+ * @returns {BatchResult} Per-package results, failures and per-stack counts
+ * @throws {Error} If packages is not an array or a rule fails to evaluate
+ *
+ * @example
+ * const { summary, failures } = sortBatch([
+ *   { id: "PKG-1", width: 50, height: 30, length: 20, mass: 10 },
+ *   { id: "PKG-2", width: 200, height: 50, length: 30, mass: 25 },
+ *   { id: "PKG-3", width: NaN, height: 50, length: 30, mass: 5 },
+ * ]);
+ * // summary.stacks: { REJECTED: 1, SPECIAL: 0, STANDARD: 1 }
+ * // failures: [{ id: "PKG-3", index: 2, field: "width", ... }]
+ */
+function sortBatch(packages, options) {
+  return sorterFor(options).sortBatch(packages, options);
+}
+
+/**
+ * Reconciles several readings per package ID and sorts each package on its
+ * combined measurement.
+ *
+ * Packages whose readings fail validation are collected in `failures`, as in
+ * `sortBatch`.
+ *
+ * @param {Array<ScanReading>} readings - Readings, each with the `id` of the
+ *   package it measures
+ * @param {SortOptions & ReconcileOptions} [options] - Reconciliation options,
+ *   `units` for plain-number readings, and `profile`
+ * @returns {ScanResult} Per-package results, failures and per-stack counts
+ * @throws {Error} If readings is not an array, a reading has no ID, an option
+ *   is invalid or a rule fails to evaluate
+ *
+ * @example
+ * const { summary, results } = sortScans([
+ *   { id: "PKG-1", device: "top", width: 50, height: 30, length: 20, mass: 19.8 },
+ *   { id: "PKG-1", device: "side", width: 51, height: 30, length: 20, mass: 20.3 },
+ * ], { strategy: "max" });
+ * // results[0].stack: "SPECIAL", results[0].reconciliation.used: [0, 1]
+ */
+function sortScans(readings, options) {
+  return sorterFor(options).sortScans(readings, options);
+}
+
+// Facts the compiled sort builds without the full package data
+const BASIC_FACTS = ["width", "height", "length", "mass", "bulky", "heavy"];
+
+/**
+ * Validates a sorter threshold option
+ * @param {string} name - Option name, used in the error message
+ * @param {*} value - Value to validate
+ * @returns {number} The validated threshold
+ * @throws {Error} If the threshold is not a positive finite number
+ * @private
+ */
+function validateThreshold(name, value) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`Sorter ${name} must be a positive finite number`);
+  }
+  return value;
+}
+
+/**
+ * Creates a sorter bound to its own thresholds and classification rules.
+ *
+ * Each sorter owns a single RuleEngine built from `rules`, so several sorters
+ * with different limits can run side by side in one process without touching
+ * the module-level configuration.
+ *
+ * @param {SorterOptions} [options={}] - Sorter configuration
+ * @param {number} [options.volumeThreshold=VOLUME_THRESHOLD] - Bulky volume limit in cm³
+ * @param {number} [options.dimensionThreshold=DIMENSION_THRESHOLD] - Bulky dimension limit in cm
+ * @param {number} [options.massThreshold=MASS_THRESHOLD] - Heavy mass limit in kg
+ * @param {Array<ClassificationRule>} [options.rules=CLASSIFICATION_RULES] - Classification rules
+ * @param {Array<string>} [options.disabledTags=[]] - Tags whose rules start
+ *   disabled
+ * @param {string|number} [options.rulesVersion=1] - Version label of the
+ *   rule set
+ *
+ * @returns {Sorter} Sorter with its own `sort`, `sortWithReason`, `sortBatch`,
+ *   `isBulky` and `isHeavy`
+ * @throws {Error} If options are invalid or the rules fail validation
+ *
+ * @example
+ * const { createSorter } = require('./packageSorting');
+ * const lightLine = createSorter({ massThreshold: 10 });
+ * lightLine.sort(50, 30, 20, 15); // "SPECIAL"
+ */
+function createSorter(options = {}) {
+  if (!options || typeof options !== "object") {
+    throw new Error("Sorter options must be an object");
+  }
+
+  const thresholds = Object.freeze({
+    volumeThreshold: validateThreshold(
+      "volumeThreshold",
+      options.volumeThreshold ?? VOLUME_THRESHOLD
+    ),
+    dimensionThreshold: validateThreshold(
+      "dimensionThreshold",
+      options.dimensionThreshold ?? DIMENSION_THRESHOLD
+    ),
+    massThreshold: validateThreshold(
+      "massThreshold",
+      options.massThreshold ?? MASS_THRESHOLD
+    ),
+  });
+
+  const opening =
+    options.opening === undefined ? null : validateOpening(options.opening);
+
+  const dimensionalWeight = validateDimensionalWeightOptions(
+    options.dimensionalWeight
+  );
+
+  const tolerance =
+    options.tolerance === undefined
+      ? null
+      : validateTolerance(options.tolerance);
+
+  const auditLog = options.auditLog ?? null;
+  if (auditLog !== null && typeof auditLog.record !== "function") {
+    throw new Error("Sorter auditLog must have a record method");
+  }
+
+  const ruleEngine = new RuleEngine(options.rules ?? CLASSIFICATION_RULES, {
+    clock: options.clock,
+    disabledTags: options.disabledTags,
+    version: options.rulesVersion,
+  });
+
+  // The tolerance passed in, or else the sorter's own
+  function deviceToleranceOf(deviceTolerance) {
+    if (deviceTolerance !== undefined) {
+      return validateTolerance(deviceTolerance);
+    }
+    if (!tolerance) {
+      throw new Error(
+        "A tolerance is required when the sorter was created without one"
+      );
+    }
+    return tolerance;
+  }
+
+  function sorterIsBulky(width, height, length) {
+    validateDimensions(width, height, length);
+
+    // Check dimension threshold first (any dimension >= 150 cm)
+    // This is more performant as it avoids the multiplication operation
+    // when any single dimension already exceeds the threshold
+    if (
+      width >= thresholds.dimensionThreshold ||
+      height >= thresholds.dimensionThreshold ||
+      length >= thresholds.dimensionThreshold
+    ) {
+      return true;
+    }
+
+    // Check volume threshold (width × height × length >= 1,000,000 cm³)
+    // Only perform multiplication if no individual dimension exceeds threshold
+    const volume = width * height * length;
+    if (volume >= thresholds.volumeThreshold) {
+      return true;
+    }
+
+    return false;
+  }
+
+  function sorterIsHeavy(mass) {
+    validateMass(mass);
+
+    // Check mass threshold (>= 20 kg)
+    return mass >= thresholds.massThreshold;
+  }
+
+  function sorterBulkyCertainty(width, height, length, deviceTolerance) {
+    validateDimensions(width, height, length);
+    return calculateBulkyCertainty(
+      { width, height, length },
+      thresholds,
+      deviceToleranceOf(deviceTolerance)
+    );
+  }
+
+  function sorterHeavyCertainty(mass, deviceTolerance) {
+    validateMass(mass);
+    return calculateHeavyCertainty(
+      mass,
+      thresholds.massThreshold,
+      deviceToleranceOf(deviceTolerance)
+    );
+  }
+
+  function sorterFindOrientation(width, height, length, binOpening) {
+    validateDimensions(width, height, length);
+
+    const target = binOpening ?? opening;
+    if (!target) {
+      throw new Error(
+        "An opening is required when the sorter has no opening configured"
+      );
+    }
+    return findOpeningOrientation(
+      { width, height, length },
+      validateOpening(target)
+    );
+  }
+
+  function normalize(width, height, length, mass, options) {
+    if (options === null || typeof options !== "object") {
+      throw new Error("Sort options must be an object");
+    }
+    return normalizePackage({ width, height, length, mass }, options.units);
+  }
+
+  function buildPackageData({ width, height, length, mass }) {
+    // Create package data object with computed bulky/heavy flags and the
+    // weight a carrier would bill
+    const dimWeight = calculateDimensionalWeight(
+      { width, height, length },
+      dimensionalWeight
+    );
+    const packageData = {
+      width,
+      height,
+      length,
+      mass,
+      bulky: sorterIsBulky(width, height, length),
+      heavy: sorterIsHeavy(mass),
+      dimensionalWeight: dimWeight,
+      billableWeight: calculateBillableWeight(mass, dimWeight),
+    };
+
+    // With an opening configured, rules can also use whether the package
+    // fits it in some orientation
+    if (opening) {
+      packageData.orientation = findOpeningOrientation(
+        { width, height, length },
+        opening
+      );
+      packageData.fits = packageData.orientation !== null;
+    }
+
+    // With a tolerance configured, rules can also tell packages whose
+    // readings straddle a threshold, e.g. to send them to be re-measured
+    if (tolerance) {
+      packageData.bulkyCertainty = calculateBulkyCertainty(
+        { width, height, length },
+        thresholds,
+        tolerance
+      );
+      packageData.heavyCertainty = calculateHeavyCertainty(
+        mass,
+        thresholds.massThreshold,
+        tolerance
+      );
+      packageData.borderline =
+        packageData.bulkyCertainty === CERTAINTY.BORDERLINE ||
+        packageData.heavyCertainty === CERTAINTY.BORDERLINE;
+    }
+
+    return packageData;
+  }
+
+  function auditDecision(id, normalized, packageData, explanation) {
+    auditLog.record({
+      packageId: id,
+      measurements: normalized.measurements,
+      facts: packageData,
+      matchedRule: explanation.matchedRule,
+      result: explanation.result,
+      ruleSetVersion: explanation.version,
+    });
+  }
+
+  function classify(normalized, id) {
+    const packageData = buildPackageData(normalized);
+    if (!auditLog) {
+      return { stack: ruleEngine.evaluate(packageData), packageData };
+    }
+    const explanation = ruleEngine.explain(packageData);
+    auditDecision(id, normalized, packageData, explanation);
+    return { stack: explanation.result, packageData };
+  }
+
+  // Handling flags from the annotation rules; they never change the stack
+  function flagsFor(packageData) {
+    return ruleEngine.annotate(packageData).flags;
+  }
+
+  function sorterSort(width, height, length, mass, options = {}) {
+    const normalized = normalize(width, height, length, mass, options);
+    return classify(normalized, options.id).stack;
+  }
+
+  function sorterSortWithReason(width, height, length, mass, options = {}) {
+    const normalized = normalize(width, height, length, mass, options);
+    const packageData = buildPackageData(normalized);
+    const explanation = ruleEngine.explain(packageData);
+    if (auditLog) {
+      auditDecision(options.id, normalized, packageData, explanation);
+    }
+    const volume = packageData.width * packageData.height * packageData.length;
+
+    return {
+      ...explanation,
+      facts: {
+        bulky: packageData.bulky,
+        heavy: packageData.heavy,
+        volume,
+        volumeThreshold: thresholds.volumeThreshold,
+        volumeExceeded: volume >= thresholds.volumeThreshold,
+        dimensionThreshold: thresholds.dimensionThreshold,
+        oversizedDimensions: ["width", "height", "length"].filter(
+          (dimension) => packageData[dimension] >= thresholds.dimensionThreshold
+        ),
+        mass: packageData.mass,
+        massThreshold: thresholds.massThreshold,
+        dimensionalWeight: packageData.dimensionalWeight,
+        dimensionalWeightDivisor: dimensionalWeight.divisor,
+        billableWeight: packageData.billableWeight,
+        ...(opening && {
+          opening,
+          fits: packageData.fits,
+          orientation: packageData.orientation,
+        }),
+        ...(tolerance && {
+          tolerance,
+          borderline: packageData.borderline,
+          bulkyCertainty: packageData.bulkyCertainty,
+          heavyCertainty: packageData.heavyCertainty,
+        }),
+      },
+      flags: flagsFor(packageData),
+      measurements: normalized.measurements,
+    };
+  }
+
+  function sorterCompile() {
+    const compiled = compileRules(ruleEngine.activeRules);
+
+    // Rules that only read the basic facts skip the dimensional weight and
+    // orientation work of buildPackageData
+    const basic = compiled.facts.every((fact) => BASIC_FACTS.includes(fact));
+    const { volumeThreshold, dimensionThreshold, massThreshold } = thresholds;
+
+    return function compiledSort(width, height, length, mass) {
+      validateDimensions(width, height, length);
+      validateMass(mass);
+      if (!basic) {
+        return compiled.evaluate(
+          buildPackageData({ width, height, length, mass })
+        );
       }
-    }
+      return compiled.evaluate({
+        width,
+        height,
+        length,
+        mass,
+        bulky:
+          width >= dimensionThreshold ||
+          height >= dimensionThreshold ||
+          length >= dimensionThreshold ||
+          width * height * length >= volumeThreshold,
+        heavy: mass >= massThreshold,
+      });
+    };
+  }
 
-    if (typeof rule.name !== "string" || rule.name.trim() === "") {
-      throw new Error("Rule name must be a non-empty string");
+  // Only enabled stack rules can produce a stack; annotation results are
+  // flags, not stacks
+  function emptyStackCounts() {
+    const stacks = {};
+    for (const rule of ruleEngine.activeRules) {
+      if (!isAnnotationRule(rule)) {
+        stacks[rule.result] = 0;
+      }
     }
+    return stacks;
+  }
 
-    if (typeof rule.condition !== "function") {
-      throw new Error("Rule condition must be a function");
+  function sorterSortBatch(packages, options = {}) {
+    if (!Array.isArray(packages)) {
+      throw new Error("Packages must be an array");
     }
-
-    if (typeof rule.result !== "string" || rule.result.trim() === "") {
-      throw new Error("Rule result must be a non-empty string");
+    if (options === null || typeof options !== "object") {
+      throw new Error("Sort options must be an object");
     }
 
-    if (
-      typeof rule.priority !== "number" ||
-      rule.priority < 0 ||
-      !Number.isFinite(rule.priority)
-    ) {
-      throw new Error("Rule priority must be a non-negative number");
-    }
+    // Start every stack the rules can produce at zero so the summary always
+    // lists the full set of stacks
+    const stacks = emptyStackCounts();
 
-    return rule;
-  }
+    const results = [];
+    const failures = [];
 
-  /**
-   * Evaluates package data against all rules and returns the first match.
-   *
-   * Rules are processed in priority order (lowest priority number first).
-   * The first rule whose condition function returns true determines the result.
-   *
-   * @param {PackageData} packageData - Package data object with dimensions, mass, and computed flags
-   * @param {number} packageData.width - Package width in centimeters
-   * @param {number} packageData.height - Package height in centimeters
-   * @param {number} packageData.length - Package length in centimeters
-   * @param {number} packageData.mass - Package mass in kilograms
-   * @param {boolean} packageData.bulky - Whether package is bulky (computed)
-   * @param {boolean} packageData.heavy - Whether package is heavy (computed)
-   *
-   * @returns {string} Classification result from the first matching rule
-   * @throws {Error} If packageData is invalid or no rules match
-   *
-   * @example
-   * const packageData = {
-   *   width: 100, height: 50, length: 30, mass: 25,
-   *   bulky: false, heavy: true
-   * };
-   * const result = engine.evaluate(packageData); // Returns "SPECIAL"
-   */
-  evaluate(packageData) {
-    if (!packageData || typeof packageData !== "object") {
-      throw new Error("Package data must be an object");
-    }
+    packages.forEach((pkg, index) => {
+      const id = pkg && typeof pkg === "object" ? pkg.id : undefined;
 
-    // Evaluate rules in priority order
-    for (const rule of this.rules) {
       try {
-        if (rule.condition(packageData)) {
-          return rule.result;
+        if (!pkg || typeof pkg !== "object") {
+          throw new InvalidPackageError("package", "must be an object", pkg);
         }
+
+        // A package's own units take precedence over the batch defaults
+        const normalized = normalizePackage(pkg, pkg.units ?? options.units);
+        const { stack, packageData } = classify(normalized, id);
+        stacks[stack] = (stacks[stack] || 0) + 1;
+        results.push({
+          id,
+          index,
+          stack,
+          flags: flagsFor(packageData),
+          measurements: normalized.measurements,
+        });
       } catch (error) {
-        throw new Error(
-          `Error evaluating rule "${rule.name}": ${error.message}`
-        );
+        // Only bad measurements are isolated; rule errors still abort the batch
+        if (!(error instanceof InvalidPackageError)) {
+          throw error;
+        }
+        failures.push({
+          id,
+          index,
+          field: error.field,
+          reason: error.reason,
+          message: error.message,
+        });
       }
-    }
+    });
 
-    // This should never happen if rules include a default case
-    throw new Error("No matching rule found for package data");
+    return {
+      results,
+      failures,
+      summary: {
+        total: packages.length,
+        sorted: results.length,
+        failed: failures.length,
+        stacks,
+      },
+    };
   }
 
-  /**
-   * Adds a new rule to the engine dynamically.
-   *
-   * The rule is validated and inserted in the correct priority position.
-   * Rule names must be unique within the engine.
-   *
-   * @param {ClassificationRule} rule - Rule object to add
-   * @param {string} rule.name - Unique identifier for the rule
-   * @param {Function} rule.condition - Function that takes packageData and returns boolean
-   * @param {string} rule.result - Classification result to return if condition matches
-   * @param {number} rule.priority - Rule priority (lower numbers = higher priority)
-   *
-   * @throws {Error} If rule is invalid or name conflicts with existing rule
-   *
-   * @example
-   * // Add a rule for temperature-sensitive packages
-   * engine.addRule({
-   *   name: "temperature-sensitive",
-   *   condition: (pkg) => pkg.temperatureSensitive === true,
-   *   result: "CLIMATE_CONTROLLED",
-   *   priority: 1
-   * });
-   */
-  addRule(rule) {
-    const validatedRule = this._validateRule(rule);
-
-    // Check for duplicate rule names
-    if (
-      this.rules.some(
-        (existingRule) => existingRule.name === validatedRule.name
-      )
-    ) {
-      throw new Error(`Rule with name "${validatedRule.name}" already exists`);
+  function sorterSortScans(readings, options = {}) {
+    if (options === null || typeof options !== "object") {
+      throw new Error("Sort options must be an object");
     }
+    const groups = groupReadings(readings);
 
-    this.rules.push(validatedRule);
-    // Re-sort rules by priority
-    this.rules.sort((a, b) => a.priority - b.priority);
-  }
+    const stacks = emptyStackCounts();
 
-  /**
-   * Removes a rule from the engine by name.
-   *
-   * @param {string} ruleName - Name of the rule to remove
-   * @throws {Error} If rule name is not found
-   *
-   * @example
-   * // Remove the standard packages rule to create a more restrictive system
-   * engine.removeRule("standard-packages");
-   */
-  removeRule(ruleName) {
-    if (typeof ruleName !== "string" || ruleName.trim() === "") {
-      throw new Error("Rule name must be a non-empty string");
-    }
+    const results = [];
+    const failures = [];
 
-    const initialLength = this.rules.length;
-    this.rules = this.rules.filter((rule) => rule.name !== ruleName);
+    for (const [id, packageReadings] of groups) {
+      let reconciliation;
+      try {
+        reconciliation = reconcileReadings(packageReadings, options);
+      } catch (error) {
+        if (!(error instanceof InvalidPackageError)) {
+          throw error;
+        }
+        failures.push({
+          id,
+          field: error.field,
+          reason: error.reason,
+          message: error.message,
+        });
+        continue;
+      }
 
-    if (this.rules.length === initialLength) {
-      throw new Error(`Rule with name "${ruleName}" not found`);
+      const { stack, packageData } = classify(reconciliation, id);
+      stacks[stack] = (stacks[stack] || 0) + 1;
+      results.push({ id, stack, flags: flagsFor(packageData), reconciliation });
     }
+
+    return {
+      results,
+      failures,
+      summary: {
+        total: groups.size,
+        sorted: results.length,
+        failed: failures.length,
+        flagged: results.filter(({ reconciliation }) => reconciliation.flagged)
+          .length,
+        stacks,
+      },
+    };
   }
+
+  return Object.freeze({
+    sort: sorterSort,
+    sortWithReason: sorterSortWithReason,
+    sortBatch: sorterSortBatch,
+    sortScans: sorterSortScans,
+    isBulky: sorterIsBulky,
+    isHeavy: sorterIsHeavy,
+    bulkyCertainty: sorterBulkyCertainty,
+    heavyCertainty: sorterHeavyCertainty,
+    findOrientation: sorterFindOrientation,
+    compile: sorterCompile,
+    thresholds,
+    opening,
+    dimensionalWeight,
+    tolerance,
+    auditLog,
+    engine: ruleEngine,
+  });
 }
 
+// Default sorter backing the top-level sorting functions
+const defaultSorter = createSorter();
+
 /**
- * Sorts packages into appropriate stacks based on dimensions and mass.
- *
- * This is the main entry point for package classification. It maintains
- * backward compatibility with the original API while using the new rule-based
- * system internally.
- *
- * @param {number} width - Package width in centimeters
- * @param {number} height - Package height in centimeters
- * @param {number} length - Package length in centimeters
- * @param {number} mass - Package mass in kilograms
- *
- * @returns {string} Stack name: "STANDARD", "SPECIAL", or "REJECTED"
- *
- * @example
- * // Standard package
- * const result1 = sort(50, 30, 20, 10); // Returns "STANDARD"
- *
- * @example
- * // Bulky package (volume > 1,000,000 cm³)
- * const result2 = sort(200, 100, 50, 15); // Returns "SPECIAL"
- *
- * @example
- * // Heavy package (mass >= 20 kg)
- * const result3 = sort(50, 30, 20, 25); // Returns "SPECIAL"
+ * Creates a registry of named facility profiles whose sorters are built with
+ * `createSorter`.
  *
- * @example
- * // Both bulky and heavy package
- * const result4 = sort(200, 100, 50, 25); // Returns "REJECTED"
+ * @returns {ProfileRegistry} Empty registry
  */
-function sort(width, height, length, mass) {
-  // Create package data object with computed bulky/heavy flags
-  const packageData = {
-    width,
-    height,
-    length,
-    mass,
-    bulky: isBulky(width, height, length),
-    heavy: isHeavy(mass),
-  };
+function createProfileRegistry() {
+  return new ProfileRegistry(createSorter);
+}
 
-  // Create rule engine instance and evaluate package data
-  const ruleEngine = new RuleEngine(CLASSIFICATION_RULES);
-  return ruleEngine.evaluate(packageData);
+// Profiles selectable through the top-level functions' `profile` option
+const profiles = createProfileRegistry();
+
+/**
+ * Picks the sorter for a top-level call
+ * @param {SortOptions} [options] - Per-call options
+ * @returns {Sorter} The named profile's sorter, or the default sorter
+ * @throws {Error} If the named profile is unknown
+ * @private
+ */
+function sorterFor(options) {
+  return options && options.profile !== undefined
+    ? profiles.sorter(options.profile)
+    : defaultSorter;
 }
 
 /**
@@ -370,6 +2277,25 @@ function sort(width, height, length, mass) {
  * @property {Function} condition - Function that takes packageData and returns boolean
  * @property {string} result - Classification result to return if condition matches
  * @property {number} priority - Rule priority (lower numbers = higher priority)
+ * @property {RuleExpression} [expression] - Declarative form of the condition,
+ *   used when writing rules out as JSON
+ * @property {number} [timeoutMs] - Time limit for the condition in
+ *   `evaluateAsync`
+ * @property {string} [onTimeout="fail-open"] - "fail-open" to skip the rule
+ *   on timeout, or "fail-closed" to route to `timeoutResult`
+ * @property {string} [timeoutResult] - Stack for a fail-closed timeout;
+ *   defaults to `result`
+ * @property {Array<string>} [tags] - Groups for `enableTag` and `disableTag`
+ * @property {boolean} [enabled=true] - False to skip the rule in evaluation
+ * @property {Date|string|number} [activeFrom] - The rule is skipped before
+ *   this time
+ * @property {Date|string|number} [activeUntil] - The rule is skipped from
+ *   this time on
+ * @property {Array<ScheduleWindow>} [windows] - Weekly windows outside which
+ *   the rule is skipped
+ * @property {string} [timezone="UTC"] - IANA time zone for `windows`
+ * @property {string} [type="stack"] - "annotation" for a rule whose `result`
+ *   is a handling flag added by `evaluateAll` rather than a stack
  */
 
 /**
@@ -380,6 +2306,181 @@ function sort(width, height, length, mass) {
  * @property {number} mass - Package mass in kilograms
  * @property {boolean} bulky - Whether package is bulky (computed)
  * @property {boolean} heavy - Whether package is heavy (computed)
+ * @property {number} dimensionalWeight - Volumetric weight in kilograms (computed)
+ * @property {number} billableWeight - Larger of mass and dimensional weight
+ *   in kilograms (computed)
+ * @property {boolean} [fits] - Whether the package fits the sorter's opening
+ *   in some orientation (only when the sorter has an opening)
+ * @property {Orientation|null} [orientation] - The orientation that fits, or
+ *   null (only when the sorter has an opening)
+ * @property {boolean} [borderline] - Whether the bulky or heavy check is
+ *   borderline within the device tolerance (only when the sorter has one)
+ * @property {string} [bulkyCertainty] - "definitely", "borderline" or
+ *   "definitely-not" (only when the sorter has a tolerance)
+ * @property {string} [heavyCertainty] - Same, for the heavy check
+ */
+
+/**
+ * @typedef {Object} RuleExplanation
+ * @property {string} result - Classification result from the matched rule
+ * @property {{name: string, priority: number}} matchedRule - The rule that fired
+ * @property {Array<{name: string, priority: number, outcome: *}>} skippedRules -
+ *   Higher-priority rules that were checked and did not match, with the value
+ *   their condition returned
+ * @property {string|number} version - Version of the rule set that was used
+ */
+
+/**
+ * @typedef {Object} EvaluationAll
+ * @property {string} result - Stack from the first matching stack rule, as
+ *   `evaluate` returns
+ * @property {Array<string>} stacks - Stacks of every matching stack rule, in
+ *   priority order without repeats
+ * @property {Array<{name: string, result: string, priority: number}>} matchedRules -
+ *   Every matching stack rule, in priority order
+ * @property {Array<string>} flags - Handling flags of the matching annotation
+ *   rules, in priority order without repeats
+ * @property {Array<{name: string, result: string, priority: number}>} annotations -
+ *   Every matching annotation rule, in priority order
+ * @property {Array<{name: string, priority: number, message: string}>} annotationErrors -
+ *   Annotation rules whose condition threw, and so added no flag
+ * @property {string|number} version - Version of the rule set that was used
+ */
+
+/**
+ * @typedef {Object} Annotation
+ * @property {Array<string>} flags - Handling flags of the matching annotation
+ *   rules, in priority order without repeats
+ * @property {Array<{name: string, result: string, priority: number}>} annotations -
+ *   Every matching annotation rule, in priority order
+ * @property {Array<{name: string, priority: number, message: string}>} annotationErrors -
+ *   Annotation rules whose condition threw, and so added no flag
+ */
+
+/**
+ * @typedef {RuleExplanation} SortExplanation
+ * @property {Object} facts - Derived facts behind the bulky and heavy flags
+ * @property {boolean} facts.bulky - Whether the package is bulky
+ * @property {boolean} facts.heavy - Whether the package is heavy
+ * @property {number} facts.volume - Computed volume in cm³
+ * @property {number} facts.volumeThreshold - Bulky volume limit in cm³
+ * @property {boolean} facts.volumeExceeded - Whether volume reached the limit
+ * @property {number} facts.dimensionThreshold - Bulky dimension limit in cm
+ * @property {Array<string>} facts.oversizedDimensions - Dimensions at or above the limit
+ * @property {number} facts.mass - Package mass in kilograms
+ * @property {number} facts.massThreshold - Heavy mass limit in kg
+ * @property {number} facts.dimensionalWeight - Volumetric weight in kg
+ * @property {number} facts.dimensionalWeightDivisor - Divisor it was computed with
+ * @property {number} facts.billableWeight - Larger of mass and dimensional weight
+ * @property {Opening} [facts.opening] - The sorter's opening, if it has one
+ * @property {boolean} [facts.fits] - Whether the package fits the opening
+ * @property {Orientation|null} [facts.orientation] - The orientation that fits
+ * @property {Tolerance} [facts.tolerance] - The sorter's tolerance, if it has one
+ * @property {boolean} [facts.borderline] - Whether either check is borderline
+ * @property {string} [facts.bulkyCertainty] - Bulky check allowing for the tolerance
+ * @property {string} [facts.heavyCertainty] - Heavy check allowing for the tolerance
+ * @property {Array<string>} flags - Handling flags of the matching annotation
+ *   rules, e.g. "TEAM_LIFT"
+ * @property {Object<string, NormalizedMeasurement>} measurements - Original and
+ *   normalized reading for each measurement
+ */
+
+/**
+ * @typedef {Object} SortOptions
+ * @property {PackageUnits} [units] - Units for plain-number measurements,
+ *   e.g. `{ length: "in", mass: "lb" }` (cm/kg if omitted)
+ * @property {*} [id] - Package ID, recorded in the sorter's audit log
+ * @property {string} [profile] - Profile to sort with; top-level functions only
+ */
+
+/**
+ * @typedef {Object} BatchPackage
+ * @property {string} [id] - Package identifier, echoed back in results
+ * @property {number|Object} width - Package width in centimeters, or `{ value, unit }`
+ * @property {number|Object} height - Package height in centimeters, or `{ value, unit }`
+ * @property {number|Object} length - Package length in centimeters, or `{ value, unit }`
+ * @property {number|Object} mass - Package mass in kilograms, or `{ value, unit }`
+ * @property {PackageUnits} [units] - Units for this package's plain-number measurements
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {Array<{id: *, index: number, stack: string, flags: Array<string>, measurements: Object}>} results -
+ *   Sorted packages with their handling flags and their original and
+ *   normalized measurements, in input order
+ * @property {Array<{id: *, index: number, field: string, reason: string, message: string}>} failures -
+ *   Packages rejected by validation, in input order
+ * @property {Object} summary - Batch totals
+ * @property {number} summary.total - Number of packages received
+ * @property {number} summary.sorted - Number of packages sorted
+ * @property {number} summary.failed - Number of packages that failed validation
+ * @property {Object<string, number>} summary.stacks - Package count per stack
+ */
+
+/**
+ * @typedef {Object} ScanResult
+ * @property {Array<{id: *, stack: string, flags: Array<string>, reconciliation: Reconciliation}>}
+ *   results - One entry per package ID, in the order IDs first appear
+ * @property {Array<{id: *, field: string, reason: string, message: string}>}
+ *   failures - Packages with a reading that failed validation
+ * @property {Object} summary - Totals for the scan
+ * @property {number} summary.total - Number of package IDs received
+ * @property {number} summary.sorted - Number of packages sorted
+ * @property {number} summary.failed - Number of packages that failed validation
+ * @property {number} summary.flagged - Number of sorted packages whose
+ *   readings disagree beyond `maxSpread`
+ * @property {Object<string, number>} summary.stacks - Package count per stack
+ */
+
+/**
+ * @typedef {Object} SorterOptions
+ * @property {number} [volumeThreshold] - Bulky volume limit in cm³
+ * @property {number} [dimensionThreshold] - Bulky dimension limit in cm
+ * @property {number} [massThreshold] - Heavy mass limit in kg
+ * @property {Opening} [opening] - Bin or chute opening in cm; adds the `fits`
+ *   and `orientation` facts
+ * @property {AuditLog} [auditLog] - Log that receives one record per
+ *   decision (see auditLog.js)
+ * @property {DimensionalWeightOptions} [dimensionalWeight] - Divisor and units
+ *   for the `dimensionalWeight` and `billableWeight` facts (default 5000 cm³/kg)
+ * @property {Tolerance} [tolerance] - Measuring device accuracy; adds the
+ *   `borderline`, `bulkyCertainty` and `heavyCertainty` facts
+ * @property {Array<ClassificationRule>} [rules] - Classification rules
+ * @property {Array<string>} [disabledTags] - Tags whose rules start disabled,
+ *   such as a rule config's `disabledTags`
+ * @property {string|number} [rulesVersion] - Version label of the rule set,
+ *   such as a rule config's `version`
+ * @property {Function} [clock] - Returns the current time as a Date or epoch
+ *   milliseconds, for rules with a schedule; defaults to the system clock
+ */
+
+/**
+ * @typedef {Object} Sorter
+ * @property {Function} sort - Classifies a package using this sorter's thresholds and rules
+ * @property {Function} sortWithReason - Like `sort`, but returns a SortExplanation
+ * @property {Function} sortBatch - Sorts an array of packages, returning a BatchResult
+ * @property {Function} sortScans - Reconciles several readings per package ID
+ *   and sorts the combined measurements, returning a ScanResult
+ * @property {Function} isBulky - Bulky check bound to this sorter's thresholds
+ * @property {Function} isHeavy - Heavy check bound to this sorter's threshold
+ * @property {Function} bulkyCertainty - Bulky certainty allowing for a
+ *   tolerance; the tolerance argument defaults to the sorter's tolerance
+ * @property {Function} heavyCertainty - Heavy certainty allowing for a
+ *   tolerance; the tolerance argument defaults to the sorter's tolerance
+ * @property {Function} findOrientation - Orientation check; the opening
+ *   argument defaults to the sorter's opening
+ * @property {Function} compile - Returns a fast `(width, height, length,
+ *   mass) => stack` function for plain cm/kg numbers, built from a compiled
+ *   snapshot of the current rules (see ruleCompiler.js). It skips events and
+ *   the audit log; compile again after changing or toggling the rules
+ * @property {Object} thresholds - Frozen copy of the thresholds in use
+ * @property {Readonly<Opening>|null} opening - The opening in use, if any
+ * @property {Readonly<DimensionalWeightOptions>} dimensionalWeight - The
+ *   dimensional weight settings in use
+ * @property {Readonly<Tolerance>|null} tolerance - The device tolerance, if any
+ * @property {AuditLog|null} auditLog - The audit log decisions are recorded
+ *   in, if any
+ * @property {RuleEngine} engine - The rule engine this sorter evaluates with
  */
 
 // Export all functions and classes for backward compatibility and extensibility
@@ -438,6 +2539,51 @@ module.exports = {
    */
   isHeavy,
 
+  /**
+   * Determines how certain it is that a package is bulky, allowing for the
+   * dimensioner's accuracy: "definitely", "borderline" or "definitely-not".
+   *
+   * @example
+   * const { bulkyCertainty } = require('./packageSorting');
+   * bulkyCertainty(149.6, 30, 20, { dimension: 1 }); // "borderline"
+   *
+   * @type {Function}
+   */
+  bulkyCertainty,
+
+  /**
+   * Determines how certain it is that a package is heavy, allowing for the
+   * scale's accuracy: "definitely", "borderline" or "definitely-not".
+   *
+   * @example
+   * const { heavyCertainty } = require('./packageSorting');
+   * heavyCertainty(25, { mass: 0.2 }); // "definitely"
+   *
+   * @type {Function}
+   */
+  heavyCertainty,
+
+  /**
+   * Finds the orientation in which a package fits through a bin or chute
+   * opening, or null if none of the 6 axis-aligned orientations fits.
+   *
+   * @example
+   * const { findOrientation } = require('./packageSorting');
+   * const fit = findOrientation(160, 50, 30, { width: 40, height: 180, length: 60 });
+   * console.log(fit.axes.height); // "width" - stand the package on end
+   * findOrientation(200, 200, 200, { width: 40, height: 180 }); // null
+   *
+   * @type {Function}
+   */
+  findOrientation,
+
+  /**
+   * Names of the events a RuleEngine emits through `engine.on(...)`.
+   *
+   * @type {ReadonlyArray<string>}
+   */
+  RULE_ENGINE_EVENTS,
+
   /**
    * Main package sorting function with backward-compatible API.
    * Classifies packages as "STANDARD", "SPECIAL", or "REJECTED" based on
@@ -459,6 +2605,102 @@ module.exports = {
    * @type {Function}
    */
   sort,
+
+  /**
+   * Sorts a package and explains the decision: the matched rule, the rules
+   * skipped before it, and the derived facts behind the bulky/heavy flags.
+   *
+   * @example
+   * const { sortWithReason } = require('./packageSorting');
+   * const explanation = sortWithReason(50, 30, 20, 25);
+   * console.log(explanation.result); // "SPECIAL"
+   * console.log(explanation.matchedRule.name); // "special-packages"
+   * console.log(explanation.facts.mass, explanation.facts.massThreshold); // 25 20
+   *
+   * @type {Function}
+   */
+  sortWithReason,
+
+  /**
+   * Sorts a manifest of `{ id, width, height, length, mass }` packages with a
+   * single rule engine, isolating packages that fail validation.
+   *
+   * @example
+   * const { sortBatch } = require('./packageSorting');
+   * const { results, failures, summary } = sortBatch(manifest);
+   * console.log(summary.stacks); // { REJECTED: 3, SPECIAL: 12, STANDARD: 85 }
+   *
+   * @type {Function}
+   */
+  sortBatch,
+
+  /**
+   * Reconciles tunnel readings that share a package ID (dropping outliers,
+   * combining the rest and flagging disagreement) and sorts each package.
+   *
+   * @example
+   * const { sortScans } = require('./packageSorting');
+   * const { results, summary } = sortScans(tunnelReadings, { strategy: "median" });
+   * console.log(summary.flagged); // packages whose readings disagree
+   *
+   * @type {Function}
+   */
+  sortScans,
+
+  /**
+   * Creates an independent sorter bound to its own thresholds and rules.
+   * The top-level `sort`, `isBulky` and `isHeavy` are the default instance.
+   *
+   * @example
+   * const { createSorter } = require('./packageSorting');
+   * const denver = createSorter({ massThreshold: 30 });
+   * const memphis = createSorter({ dimensionThreshold: 120 });
+   * console.log(denver.sort(50, 30, 20, 25)); // "STANDARD"
+   * console.log(memphis.sort(130, 30, 20, 5)); // "SPECIAL"
+   *
+   * @type {Function}
+   */
+  createSorter,
+
+  /**
+   * Registry of facility profiles, each bundling thresholds, rules and stack
+   * names. Profiles can extend a base profile, and are picked per call with
+   * the `profile` option of `sort`, `sortWithReason` and `sortBatch`.
+   *
+   * @example
+   * const { profiles, sort } = require('./packageSorting');
+   * profiles.define("BASE", { stacks: ["STANDARD", "SPECIAL", "REJECTED"] });
+   * profiles.define("DEN-1", { extends: "BASE", massThreshold: 30 });
+   * console.log(sort(50, 30, 20, 25, { profile: "DEN-1" })); // "STANDARD"
+   * const denverEngine = profiles.engine("DEN-1");
+   *
+   * @type {ProfileRegistry}
+   */
+  profiles,
+
+  /**
+   * Creates a profile registry separate from the shared `profiles`.
+   *
+   * @type {Function}
+   */
+  createProfileRegistry,
+
+  /**
+   * Error thrown by `sort`, `isBulky` and `isHeavy` when a measurement is
+   * missing, non-numeric, NaN, infinite, or not greater than zero.
+   *
+   * @example
+   * const { sort, InvalidPackageError } = require('./packageSorting');
+   * try {
+   *   sort(NaN, 50, 50, 10);
+   * } catch (error) {
+   *   console.log(error instanceof InvalidPackageError); // true
+   *   console.log(error.field); // "width"
+   * }
+   *
+   * @type {typeof InvalidPackageError}
+   */
+  InvalidPackageError,
 };
 
 /**
@@ -599,28 +2841,21 @@ module.exports = {
  * //   "rules": [
  * //     {
  * //       "name": "premium-service",
- * //       "condition": "pkg => pkg.serviceLevel === 'premium'",
+ * //       "condition": { "fact": "serviceLevel", "eq": "premium" },
  * //       "result": "PREMIUM",
  * //       "priority": 1
- * //     }
+ * //     },
+ * //     { "name": "default", "condition": true, "result": "STANDARD", "priority": 2 }
  * //   ]
  * // }
  *
  * const fs = require('fs');
  * const { RuleEngine } = require('./packageSorting');
  *
- * // Load rules from external configuration
- * function loadRulesFromConfig(configPath) {
- *   const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
- *
- *   return config.rules.map(rule => ({
- *     ...rule,
- *     // Convert string condition to function (be careful with eval in production!)
- *     condition: new Function('pkg', `return ${rule.condition}`)
- *   }));
- * }
+ * // Load rules from external configuration. Conditions are declarative
+ * // expression trees, so no code from the file is ever evaluated.
+ * const engine = RuleEngine.fromJSON(fs.readFileSync('./rules-config.json', 'utf8'));
  *
- * // Usage
- * // const externalRules = loadRulesFromConfig('./rules-config.json');
- * // const engine = new RuleEngine(externalRules);
+ * // Write the rules back out in the same format
+ * fs.writeFileSync('./rules-config.json', JSON.stringify(engine, null, 2));
  */
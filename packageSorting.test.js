@@ -1,9 +1,28 @@
-const { isBulky, isHeavy, sort, RuleEngine } = require("./packageSorting");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  isBulky,
+  isHeavy,
+  bulkyCertainty,
+  heavyCertainty,
+  sort,
+  RuleEngine,
+  InvalidPackageError,
+  createSorter,
+  sortWithReason,
+  sortBatch,
+  findOrientation,
+  RULE_ENGINE_EVENTS,
+  profiles,
+} = require("./packageSorting");
 
 const {
   VOLUME_THRESHOLD,
   DIMENSION_THRESHOLD,
   MASS_THRESHOLD,
+  DIMENSIONAL_WEIGHT_DIVISOR,
   STANDARD,
   SPECIAL,
   REJECTED,
@@ -17,6 +36,7 @@ const {
   isBulkyTestData,
   isHeavyTestData,
   sortTestData,
+  invalidMeasurementTestData,
 } = require("./testData");
 
 describe("isBulky function", () => {
@@ -281,6 +301,717 @@ describe("sort function", () => {
   });
 });
 
+describe("input validation", () => {
+  describe("sort should reject corrupted readings", () => {
+    invalidMeasurementTestData.forEach(({ value, reason, description }) => {
+      ["width", "height", "length", "mass"].forEach((field, index) => {
+        test(`${field}: ${description}`, () => {
+          const args = [50, 50, 50, 10];
+          args[index] = value;
+          expect(() => sort(...args)).toThrow(InvalidPackageError);
+          expect(() => sort(...args)).toThrow(
+            `Invalid package ${field}: ${reason}`
+          );
+        });
+      });
+    });
+  });
+
+  test("sort(NaN, NaN, NaN, NaN) should throw instead of returning STANDARD", () => {
+    expect(() => sort(NaN, NaN, NaN, NaN)).toThrow(InvalidPackageError);
+  });
+
+  test("sort with missing arguments should throw", () => {
+    expect(() => sort(50, 50, 50)).toThrow("Invalid package mass: is required");
+  });
+
+  test("isBulky should reject invalid dimensions", () => {
+    expect(() => isBulky(50, "50", 50)).toThrow(
+      "Invalid package height: must be a number, received string"
+    );
+  });
+
+  test("isHeavy should reject invalid mass", () => {
+    expect(() => isHeavy(-5)).toThrow(
+      "Invalid package mass: must be greater than zero"
+    );
+  });
+});
+
+describe("createSorter factory", () => {
+  test("should use default thresholds when no options are given", () => {
+    const sorter = createSorter();
+
+    expect(sorter.thresholds).toEqual({
+      volumeThreshold: VOLUME_THRESHOLD,
+      dimensionThreshold: DIMENSION_THRESHOLD,
+      massThreshold: MASS_THRESHOLD,
+    });
+    expect(sorter.sort(100, 100, 100, 20)).toBe(REJECTED);
+  });
+
+  test("should bind isBulky and isHeavy to custom thresholds", () => {
+    const sorter = createSorter({
+      volumeThreshold: 500000,
+      dimensionThreshold: 100,
+      massThreshold: 10,
+    });
+
+    expect(sorter.isBulky(100, 10, 10)).toBe(true);
+    expect(sorter.isBulky(80, 80, 80)).toBe(true); // 512,000 cm³
+    expect(sorter.isBulky(99, 50, 50)).toBe(false);
+    expect(sorter.isHeavy(10)).toBe(true);
+    expect(sorter.isHeavy(9.99)).toBe(false);
+  });
+
+  test("should let two sorters with different limits run side by side", () => {
+    const strict = createSorter({ massThreshold: 10 });
+    const lenient = createSorter({ massThreshold: 30 });
+
+    expect(strict.sort(50, 30, 20, 15)).toBe(SPECIAL);
+    expect(lenient.sort(50, 30, 20, 25)).toBe(STANDARD);
+    expect(sort(50, 30, 20, 25)).toBe(SPECIAL);
+  });
+
+  test("should use custom rules", () => {
+    const sorter = createSorter({
+      rules: [
+        {
+          name: "heavy-only",
+          condition: (pkg) => pkg.heavy,
+          result: "HEAVY",
+          priority: 1,
+        },
+        {
+          name: "everything-else",
+          condition: () => true,
+          result: "OTHER",
+          priority: 2,
+        },
+      ],
+    });
+
+    expect(sorter.sort(200, 200, 200, 25)).toBe("HEAVY");
+    expect(sorter.sort(200, 200, 200, 5)).toBe("OTHER");
+  });
+
+  test("should validate measurements", () => {
+    const sorter = createSorter({ massThreshold: 10 });
+    expect(() => sorter.sort(NaN, 1, 1, 1)).toThrow(InvalidPackageError);
+  });
+
+  test("should reject invalid thresholds", () => {
+    expect(() => createSorter({ massThreshold: 0 })).toThrow(
+      "Sorter massThreshold must be a positive finite number"
+    );
+    expect(() => createSorter({ volumeThreshold: "big" })).toThrow(
+      "Sorter volumeThreshold must be a positive finite number"
+    );
+    expect(() => createSorter({ dimensionThreshold: Infinity })).toThrow(
+      "Sorter dimensionThreshold must be a positive finite number"
+    );
+  });
+
+  test("should reject invalid options and rules", () => {
+    expect(() => createSorter(null)).toThrow(
+      "Sorter options must be an object"
+    );
+    expect(() => createSorter({ rules: [] })).toThrow(
+      "Rules array cannot be empty"
+    );
+  });
+
+  test("should return a frozen sorter", () => {
+    const sorter = createSorter();
+    expect(Object.isFrozen(sorter)).toBe(true);
+    expect(Object.isFrozen(sorter.thresholds)).toBe(true);
+  });
+});
+
+describe("orientation-aware fitting", () => {
+  const opening = { width: 40, height: 180, length: 60 };
+
+  test("findOrientation should report how to turn the package", () => {
+    expect(findOrientation(160, 50, 30, opening)).toMatchObject({
+      axes: { width: "length", height: "width", length: "height" },
+      rotated: true,
+    });
+    expect(findOrientation(200, 200, 200, opening)).toBeNull();
+  });
+
+  test("findOrientation should validate its arguments", () => {
+    expect(() => findOrientation(-1, 50, 30, opening)).toThrow(
+      "Invalid package width: must be greater than zero"
+    );
+    expect(() => findOrientation(160, 50, 30)).toThrow(
+      "An opening is required when the sorter has no opening configured"
+    );
+  });
+
+  test("createSorter should validate and expose the opening", () => {
+    expect(createSorter({ opening }).opening).toEqual(opening);
+    expect(createSorter().opening).toBeNull();
+    expect(() => createSorter({ opening: { width: 40 } })).toThrow(
+      "Opening height must be a positive finite number"
+    );
+  });
+
+  test("sorter.findOrientation should default to the sorter's opening", () => {
+    const sorter = createSorter({ opening });
+
+    expect(sorter.findOrientation(160, 50, 30)).not.toBeNull();
+    expect(sorter.findOrientation(160, 50, 30, { width: 10, height: 10 })).toBe(
+      null
+    );
+  });
+
+  test("should expose fits and orientation as facts for rules", () => {
+    const sorter = createSorter({
+      opening,
+      rules: [
+        {
+          name: "fits-on-end",
+          condition: (pkg) => pkg.bulky && pkg.fits,
+          result: STANDARD,
+          priority: 1,
+        },
+        ...CLASSIFICATION_RULES,
+      ],
+    });
+
+    // 160 cm long but thin: bulky, yet it fits the bin standing on end
+    expect(sorter.sort(160, 30, 20, 5)).toBe(STANDARD);
+    expect(sorter.sort(160, 100, 100, 5)).toBe(SPECIAL);
+
+    const { facts } = sorter.sortWithReason(160, 30, 20, 5);
+    expect(facts).toMatchObject({
+      opening,
+      fits: true,
+      orientation: { rotated: true },
+    });
+  });
+
+  test("should leave the facts unchanged without an opening", () => {
+    const { facts } = sortWithReason(160, 30, 20, 5);
+
+    expect(facts).not.toHaveProperty("fits");
+    expect(facts).not.toHaveProperty("orientation");
+  });
+});
+
+describe("dimensional weight facts", () => {
+  test("should route on billable weight instead of scale weight", () => {
+    const sorter = createSorter({
+      rules: [
+        {
+          name: "billable-heavy",
+          condition: (pkg) => pkg.billableWeight >= MASS_THRESHOLD,
+          result: SPECIAL,
+          priority: 1,
+        },
+        {
+          name: "default",
+          condition: () => true,
+          result: STANDARD,
+          priority: 2,
+        },
+      ],
+    });
+
+    // 100 x 40 x 30 cm is 24 kg dimensional, though it weighs only 5 kg
+    expect(sort(100, 40, 30, 5)).toBe(STANDARD);
+    expect(sorter.sort(100, 40, 30, 5)).toBe(SPECIAL);
+    expect(sorter.sort(50, 40, 30, 5)).toBe(STANDARD);
+  });
+
+  test("should report the weights in sortWithReason", () => {
+    const { facts } = sortWithReason(100, 40, 30, 5);
+
+    expect(facts.dimensionalWeight).toBe(24);
+    expect(facts.dimensionalWeightDivisor).toBe(DIMENSIONAL_WEIGHT_DIVISOR);
+    expect(facts.billableWeight).toBe(24);
+  });
+
+  test("should compute weights after unit normalization", () => {
+    const { facts } = sortWithReason(1000, 400, 300, 5000, {
+      units: { length: "mm", mass: "g" },
+    });
+
+    expect(facts.dimensionalWeight).toBe(24);
+    expect(facts.billableWeight).toBe(24);
+  });
+
+  test("createSorter should accept and expose a divisor", () => {
+    const sorter = createSorter({ dimensionalWeight: { divisor: 6000 } });
+
+    expect(sorter.dimensionalWeight).toEqual({
+      divisor: 6000,
+      lengthUnit: "cm",
+      massUnit: "kg",
+    });
+    expect(sorter.sortWithReason(100, 40, 30, 5).facts.dimensionalWeight).toBe(
+      20
+    );
+    expect(() => createSorter({ dimensionalWeight: { divisor: -1 } })).toThrow(
+      "Dimensional weight divisor must be a positive finite number"
+    );
+  });
+
+  test("declarative rules should be able to use billableWeight", () => {
+    const engine = RuleEngine.fromJSON({
+      rules: [
+        {
+          name: "billable-heavy",
+          condition: { fact: "billableWeight", gte: 20 },
+          result: SPECIAL,
+          priority: 1,
+        },
+        { name: "default", condition: true, result: STANDARD, priority: 2 },
+      ],
+    });
+    const sorter = createSorter({ rules: engine.rules });
+
+    expect(sorter.sort(100, 40, 30, 5)).toBe(SPECIAL);
+  });
+});
+
+describe("measurement tolerance", () => {
+  test("should keep boolean answers given a tolerance", () => {
+    expect(isBulky(149.6, 30, 20)).toBe(false);
+    expect(isHeavy(19.9)).toBe(false);
+    expect(isBulky(50, 30, 20, { dimension: 1 })).toBe(false);
+    expect(isHeavy(10, { mass: 0.2 })).toBe(false);
+  });
+
+  test("should answer with a certainty", () => {
+    expect(bulkyCertainty(149.6, 30, 20, { dimension: 1 })).toBe("borderline");
+    expect(bulkyCertainty(200, 30, 20, { dimension: 1 })).toBe("definitely");
+    expect(bulkyCertainty(50, 30, 20, { dimension: 1 })).toBe("definitely-not");
+    expect(heavyCertainty(19.9, { mass: 0.2 })).toBe("borderline");
+    expect(heavyCertainty(25, { mass: 0.2 })).toBe("definitely");
+    expect(heavyCertainty(10, { mass: 0.2 })).toBe("definitely-not");
+  });
+
+  test("should use the sorter's thresholds", () => {
+    const sorter = createSorter({ massThreshold: 30 });
+    expect(sorter.heavyCertainty(29.9, { mass: 0.2 })).toBe("borderline");
+    expect(sorter.heavyCertainty(19.9, { mass: 0.2 })).toBe("definitely-not");
+  });
+
+  test("should default to the sorter's tolerance", () => {
+    const sorter = createSorter({ tolerance: { dimension: 1, mass: 0.2 } });
+    expect(sorter.bulkyCertainty(149.6, 30, 20)).toBe("borderline");
+    expect(sorter.heavyCertainty(19.9)).toBe("borderline");
+    expect(sorter.heavyCertainty(19.9, { mass: 0 })).toBe("definitely-not");
+    expect(sorter.isHeavy(19.9)).toBe(false);
+  });
+
+  test("should require a tolerance", () => {
+    expect(() => heavyCertainty(19.9)).toThrow(
+      "A tolerance is required when the sorter was created without one"
+    );
+    expect(() => bulkyCertainty(149.6, 30, 20)).toThrow("A tolerance");
+  });
+
+  test("should reject an invalid tolerance", () => {
+    expect(() => heavyCertainty(10, { mass: -1 })).toThrow(
+      "Tolerance mass must be a non-negative finite number"
+    );
+    expect(() => createSorter({ tolerance: "1cm" })).toThrow(
+      "Tolerance must be an object"
+    );
+  });
+
+  describe("borderline fact", () => {
+    const sorter = createSorter({
+      tolerance: { dimension: 1, mass: 0.2 },
+      rules: [
+        {
+          name: "manual-measure",
+          condition: (pkg) => pkg.borderline,
+          result: "MANUAL_MEASURE",
+          priority: 0,
+        },
+        ...CLASSIFICATION_RULES,
+      ],
+    });
+
+    [
+      [[149.6, 30, 20, 10], "MANUAL_MEASURE"],
+      [[50, 30, 20, 19.9], "MANUAL_MEASURE"],
+      [[50, 30, 20, 20.1], "MANUAL_MEASURE"],
+      [[50, 30, 20, 10], STANDARD],
+      [[200, 30, 20, 10], SPECIAL],
+      [[200, 30, 20, 25], REJECTED],
+    ].forEach(([measurements, expected]) => {
+      test(`should sort ${measurements.join(", ")} as ${expected}`, () => {
+        expect(sorter.sort(...measurements)).toBe(expected);
+      });
+    });
+
+    test("should report the certainties in sortWithReason facts", () => {
+      const { facts } = sorter.sortWithReason(149.6, 30, 20, 25);
+      expect(facts).toMatchObject({
+        bulky: false,
+        heavy: true,
+        tolerance: { dimension: 1, mass: 0.2 },
+        borderline: true,
+        bulkyCertainty: "borderline",
+        heavyCertainty: "definitely",
+      });
+      expect(sorter.tolerance).toEqual({ dimension: 1, mass: 0.2 });
+    });
+
+    test("should leave the facts out without a tolerance", () => {
+      const { facts } = createSorter().sortWithReason(149.6, 30, 20, 25);
+      expect(facts).not.toHaveProperty("borderline");
+      expect(createSorter().tolerance).toBeNull();
+    });
+
+    test("should be available to declarative rules", () => {
+      const declarative = createSorter({
+        tolerance: { mass: 0.2 },
+        rules: RuleEngine.fromJSON({
+          rules: [
+            {
+              name: "manual-measure",
+              condition: { fact: "heavyCertainty", eq: "borderline" },
+              result: "MANUAL_MEASURE",
+              priority: 0,
+            },
+            { name: "default", condition: true, result: STANDARD, priority: 1 },
+          ],
+        }).rules,
+      });
+      expect(declarative.sort(50, 30, 20, 19.9)).toBe("MANUAL_MEASURE");
+      expect(declarative.compile()(50, 30, 20, 19.9)).toBe("MANUAL_MEASURE");
+      expect(declarative.sort(50, 30, 20, 19)).toBe(STANDARD);
+    });
+  });
+});
+
+describe("profile option", () => {
+  beforeAll(() => {
+    profiles.define("TEST-BASE", {});
+    profiles.define("TEST-DEN", { extends: "TEST-BASE", massThreshold: 30 });
+  });
+
+  afterAll(() => {
+    profiles.remove("TEST-DEN");
+    profiles.remove("TEST-BASE");
+  });
+
+  test("should sort with the named profile", () => {
+    expect(sort(50, 30, 20, 25, { profile: "TEST-DEN" })).toBe(STANDARD);
+    expect(sort(50, 30, 20, 25)).toBe(SPECIAL);
+  });
+
+  test("should explain with the named profile's thresholds", () => {
+    const explanation = sortWithReason(50, 30, 20, 25, {
+      profile: "TEST-DEN",
+    });
+    expect(explanation.result).toBe(STANDARD);
+    expect(explanation.facts.massThreshold).toBe(30);
+  });
+
+  test("should sort a batch with the named profile", () => {
+    const { summary } = sortBatch(
+      [{ id: "PKG-1", width: 50, height: 30, length: 20, mass: 25 }],
+      { profile: "TEST-DEN" }
+    );
+    expect(summary.stacks[STANDARD]).toBe(1);
+  });
+
+  test("should still apply units", () => {
+    expect(
+      sort(50, 30, 20, 55, { profile: "TEST-DEN", units: { mass: "lb" } })
+    ).toBe(STANDARD);
+  });
+
+  test("should throw for an unknown profile", () => {
+    expect(() => sort(50, 30, 20, 25, { profile: "NOPE" })).toThrow(
+      'Unknown profile "NOPE"'
+    );
+  });
+});
+
+describe("sortWithReason function", () => {
+  test("should explain a bulky package by oversized dimension", () => {
+    const explanation = sortWithReason(200, 50, 30, 15);
+
+    expect(explanation.result).toBe(SPECIAL);
+    expect(explanation.matchedRule).toEqual({
+      name: "special-packages",
+      priority: PRIORITY_MEDIUM,
+    });
+    expect(explanation.skippedRules).toEqual([
+      { name: "rejected-packages", priority: PRIORITY_HIGH, outcome: false },
+    ]);
+    expect(explanation.facts).toEqual({
+      bulky: true,
+      heavy: false,
+      volume: 300000,
+      volumeThreshold: VOLUME_THRESHOLD,
+      volumeExceeded: false,
+      dimensionThreshold: DIMENSION_THRESHOLD,
+      oversizedDimensions: ["width"],
+      mass: 15,
+      massThreshold: MASS_THRESHOLD,
+      dimensionalWeight: 60,
+      dimensionalWeightDivisor: DIMENSIONAL_WEIGHT_DIVISOR,
+      billableWeight: 60,
+    });
+  });
+
+  test("should explain a bulky package by volume", () => {
+    const { facts } = sortWithReason(100, 100, 100, 10);
+
+    expect(facts.volume).toBe(1000000);
+    expect(facts.volumeExceeded).toBe(true);
+    expect(facts.oversizedDimensions).toEqual([]);
+  });
+
+  test("should explain a rejected package", () => {
+    const explanation = sortWithReason(150, 150, 150, 25);
+
+    expect(explanation.result).toBe(REJECTED);
+    expect(explanation.skippedRules).toEqual([]);
+    expect(explanation.facts.oversizedDimensions).toEqual([
+      "width",
+      "height",
+      "length",
+    ]);
+  });
+
+  test("should agree with the expected sort results", () => {
+    sortTestData.boundaryTestCases.forEach(
+      ({ width, height, length, mass, expected }) => {
+        expect(sortWithReason(width, height, length, mass).result).toBe(
+          expected
+        );
+      }
+    );
+  });
+
+  test("should use the sorter's own thresholds", () => {
+    const sorter = createSorter({ massThreshold: 10 });
+    const explanation = sorter.sortWithReason(50, 30, 20, 15);
+
+    expect(explanation.result).toBe(SPECIAL);
+    expect(explanation.facts.massThreshold).toBe(10);
+  });
+
+  test("should reject invalid measurements", () => {
+    expect(() => sortWithReason(NaN, 1, 1, 1)).toThrow(InvalidPackageError);
+  });
+});
+
+describe("sortBatch function", () => {
+  const manifest = [
+    { id: "PKG-1", width: 50, height: 30, length: 20, mass: 10 },
+    { id: "PKG-2", width: 200, height: 50, length: 30, mass: 15 },
+    { id: "PKG-3", width: NaN, height: 50, length: 30, mass: 5 },
+    { id: "PKG-4", width: 150, height: 150, length: 150, mass: 25 },
+    { id: "PKG-5", width: 50, height: 30, length: 20 },
+    { id: "PKG-6", width: 50, height: 30, length: 20, mass: 20 },
+  ];
+
+  test("should return per-package results in input order", () => {
+    const { results } = sortBatch(manifest);
+
+    expect(
+      results.map(({ id, index, stack }) => ({ id, index, stack }))
+    ).toEqual([
+      { id: "PKG-1", index: 0, stack: STANDARD },
+      { id: "PKG-2", index: 1, stack: SPECIAL },
+      { id: "PKG-4", index: 3, stack: REJECTED },
+      { id: "PKG-6", index: 5, stack: SPECIAL },
+    ]);
+  });
+
+  test("should collect validation failures without stopping the batch", () => {
+    const { failures } = sortBatch(manifest);
+
+    expect(failures).toEqual([
+      {
+        id: "PKG-3",
+        index: 2,
+        field: "width",
+        reason: "must not be NaN",
+        message: "Invalid package width: must not be NaN",
+      },
+      {
+        id: "PKG-5",
+        index: 4,
+        field: "mass",
+        reason: "is required",
+        message: "Invalid package mass: is required",
+      },
+    ]);
+  });
+
+  test("should summarize per-stack counts", () => {
+    const { summary } = sortBatch(manifest);
+
+    expect(summary).toEqual({
+      total: 6,
+      sorted: 4,
+      failed: 2,
+      stacks: { [REJECTED]: 1, [SPECIAL]: 2, [STANDARD]: 1 },
+    });
+  });
+
+  test("should list every stack even when empty", () => {
+    expect(sortBatch([]).summary.stacks).toEqual({
+      [REJECTED]: 0,
+      [SPECIAL]: 0,
+      [STANDARD]: 0,
+    });
+  });
+
+  test("should report non-object entries as failures", () => {
+    const { failures } = sortBatch([null, "PKG-9"]);
+
+    expect(failures.map(({ index, field }) => ({ index, field }))).toEqual([
+      { index: 0, field: "package" },
+      { index: 1, field: "package" },
+    ]);
+  });
+
+  test("should agree with sort for every design document case", () => {
+    const cases = Object.values(sortTestData.designDocumentTestCases).flat();
+    const { results } = sortBatch(cases);
+
+    results.forEach(({ index, stack }) => {
+      const { width, height, length, mass } = cases[index];
+      expect(stack).toBe(sort(width, height, length, mass));
+    });
+  });
+
+  test("should use the sorter's own rules", () => {
+    const condition = jest.fn(() => true);
+    const sorter = createSorter({
+      rules: [{ name: "all", condition, result: "ALL", priority: 1 }],
+    });
+
+    expect(sorter.sortBatch(manifest).summary.stacks).toEqual({ ALL: 4 });
+    expect(condition).toHaveBeenCalledTimes(4);
+  });
+
+  test("should rethrow rule evaluation errors", () => {
+    const sorter = createSorter({
+      rules: [
+        {
+          name: "broken",
+          condition: () => {
+            throw new Error("boom");
+          },
+          result: "X",
+          priority: 1,
+        },
+      ],
+    });
+
+    expect(() => sorter.sortBatch(manifest)).toThrow(
+      'Error evaluating rule "broken": boom'
+    );
+  });
+
+  test("should reject non-array input", () => {
+    expect(() => sortBatch({})).toThrow("Packages must be an array");
+  });
+});
+
+describe("unit-aware sorting", () => {
+  test("sort should accept per-call units", () => {
+    expect(sort(60, 20, 20, 10, { units: { length: "in", mass: "lb" } })).toBe(
+      SPECIAL
+    );
+    expect(
+      sort(1490, 500, 500, 19990, { units: { length: "mm", mass: "g" } })
+    ).toBe(STANDARD);
+  });
+
+  test("sort should accept measurement objects", () => {
+    expect(
+      sort({ value: 1500, unit: "mm" }, 50, 50, { value: 5000, unit: "g" })
+    ).toBe(SPECIAL);
+    expect(
+      sort(
+        1000,
+        1000,
+        1000,
+        { value: 20000, unit: "g" },
+        { units: { length: "mm" } }
+      )
+    ).toBe(REJECTED);
+  });
+
+  test("sort should reject unknown units", () => {
+    expect(() => sort(1, 1, 1, { value: 1, unit: "stone" })).toThrow(
+      InvalidPackageError
+    );
+    expect(() => sort(1, 1, 1, 1, { units: { length: "yd" } })).toThrow(
+      'Invalid package units: has unknown length unit "yd"'
+    );
+  });
+
+  test("sort should reject invalid options", () => {
+    expect(() => sort(1, 1, 1, 1, null)).toThrow(
+      "Sort options must be an object"
+    );
+  });
+
+  test("sortWithReason should report original and normalized values", () => {
+    const explanation = sortWithReason(60, 20, 20, 10, {
+      units: { length: "in", mass: "lb" },
+    });
+
+    expect(explanation.measurements.width).toEqual({
+      original: { value: 60, unit: "in" },
+      normalized: { value: 152.4, unit: "cm" },
+    });
+    expect(explanation.facts.oversizedDimensions).toEqual(["width"]);
+    expect(explanation.facts.mass).toBe(4.5359237);
+  });
+
+  test("sortBatch should honour batch and per-package units", () => {
+    const { results, failures } = sortBatch(
+      [
+        { id: "IN-1", width: 60, height: 20, length: 20, mass: 10 },
+        {
+          id: "MM-1",
+          width: 1000,
+          height: 1000,
+          length: 1000,
+          mass: 20000,
+          units: { length: "mm", mass: "g" },
+        },
+        {
+          id: "BAD-1",
+          width: 1,
+          height: 1,
+          length: 1,
+          mass: 1,
+          units: { mass: "ton" },
+        },
+      ],
+      { units: { length: "in", mass: "lb" } }
+    );
+
+    expect(results.map(({ id, stack }) => ({ id, stack }))).toEqual([
+      { id: "IN-1", stack: SPECIAL },
+      { id: "MM-1", stack: REJECTED },
+    ]);
+    expect(results[1].measurements.mass).toEqual({
+      original: { value: 20000, unit: "g" },
+      normalized: { value: 20, unit: "kg" },
+    });
+    expect(failures).toHaveLength(1);
+    expect(failures[0]).toMatchObject({ id: "BAD-1", field: "units" });
+  });
+});
+
 describe("Individual Rule Condition Functions", () => {
   // Test individual rule conditions from CLASSIFICATION_RULES
   describe("rejected-packages rule condition", () => {
@@ -765,6 +1496,590 @@ describe("RuleEngine class", () => {
     });
   });
 
+  describe("explain method", () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new RuleEngine(validRules);
+    });
+
+    test("should report the matched rule and the rules skipped before it", () => {
+      const explanation = engine.explain({
+        ...testPackageData,
+        bulky: true,
+        heavy: false,
+      });
+
+      expect(explanation).toEqual({
+        result: SPECIAL,
+        matchedRule: { name: "test-rule-2", priority: PRIORITY_MEDIUM },
+        skippedRules: [
+          { name: "test-rule-1", priority: PRIORITY_HIGH, outcome: false },
+        ],
+        version: 1,
+      });
+    });
+
+    test("should report no skipped rules when the first rule matches", () => {
+      const explanation = engine.explain({
+        ...testPackageData,
+        bulky: true,
+        heavy: true,
+      });
+
+      expect(explanation.result).toBe(REJECTED);
+      expect(explanation.skippedRules).toEqual([]);
+    });
+
+    test("should record the raw condition outcome", () => {
+      const rules = [
+        {
+          name: "express",
+          condition: (pkg) => pkg.express,
+          result: "EXPRESS",
+          priority: 1,
+        },
+        {
+          name: "default",
+          condition: () => true,
+          result: "DEFAULT",
+          priority: 2,
+        },
+      ];
+
+      const explanation = new RuleEngine(rules).explain({});
+      expect(explanation.skippedRules).toEqual([
+        { name: "express", priority: 1, outcome: undefined },
+      ]);
+    });
+
+    test("should agree with evaluate", () => {
+      [
+        { bulky: false, heavy: false },
+        { bulky: true, heavy: false },
+        { bulky: false, heavy: true },
+        { bulky: true, heavy: true },
+      ].forEach((flags) => {
+        const packageData = { ...testPackageData, ...flags };
+        expect(engine.explain(packageData).result).toBe(
+          engine.evaluate(packageData)
+        );
+      });
+    });
+
+    test("should throw the same errors as evaluate", () => {
+      expect(() => engine.explain(null)).toThrow(
+        "Package data must be an object"
+      );
+
+      const throwingEngine = new RuleEngine([
+        {
+          name: "broken",
+          condition: () => {
+            throw new Error("boom");
+          },
+          result: "X",
+          priority: 1,
+        },
+      ]);
+      expect(() => throwingEngine.explain({})).toThrow(
+        'Error evaluating rule "broken": boom'
+      );
+
+      const noDefaultEngine = new RuleEngine([
+        { name: "never", condition: () => false, result: "X", priority: 1 },
+      ]);
+      expect(() => noDefaultEngine.explain({})).toThrow(
+        "No matching rule found for package data"
+      );
+    });
+  });
+
+  describe("analyze method", () => {
+    test("should report a clean default rule set", () => {
+      expect(new RuleEngine(CLASSIFICATION_RULES).analyze()).toEqual({
+        ok: true,
+        issues: [],
+      });
+    });
+
+    test("should report duplicate names the constructor accepted", () => {
+      const engine = new RuleEngine([
+        { name: "dup", condition: () => true, result: STANDARD, priority: 1 },
+        { name: "dup", condition: () => true, result: SPECIAL, priority: 2 },
+      ]);
+      const report = engine.analyze();
+
+      expect(report.ok).toBe(false);
+      expect(report.issues.map((issue) => issue.type)).toEqual([
+        "duplicate-name",
+        "shadowed-rule",
+        "unreachable-stack",
+      ]);
+    });
+  });
+
+  describe("events", () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new RuleEngine(CLASSIFICATION_RULES);
+    });
+
+    test("should emit evaluated with the matched rule and timing", () => {
+      const events = [];
+      engine.on("evaluated", (event) => events.push(event));
+      const packageData = { bulky: true, heavy: false };
+
+      engine.evaluate(packageData);
+      engine.explain(packageData);
+
+      expect(events).toHaveLength(2);
+      expect(events[0]).toEqual({
+        packageData,
+        result: SPECIAL,
+        matchedRule: { name: "special-packages", priority: PRIORITY_MEDIUM },
+        durationMs: expect.any(Number),
+        version: 1,
+      });
+      expect(events[0].durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    test("should emit ruleError with the original error", () => {
+      const failure = new Error("sensor offline");
+      const broken = new RuleEngine([
+        {
+          name: "broken",
+          condition: () => {
+            throw failure;
+          },
+          result: "X",
+          priority: 1,
+        },
+      ]);
+      const handler = jest.fn();
+      broken.on("ruleError", handler);
+
+      expect(() => broken.evaluate({ width: 1 })).toThrow(
+        'Error evaluating rule "broken": sensor offline'
+      );
+      expect(handler).toHaveBeenCalledWith({
+        packageData: { width: 1 },
+        matchedRule: { name: "broken", priority: 1 },
+        error: failure,
+        durationMs: expect.any(Number),
+        version: 1,
+      });
+    });
+
+    test("should emit noMatch before throwing", () => {
+      const partial = new RuleEngine(CLASSIFICATION_RULES.slice(0, 2));
+      const handler = jest.fn();
+      const evaluated = jest.fn();
+      partial.on("noMatch", handler).on("evaluated", evaluated);
+
+      expect(() => partial.evaluate({ bulky: false, heavy: false })).toThrow(
+        "No matching rule found for package data"
+      );
+      expect(handler).toHaveBeenCalledWith({
+        packageData: { bulky: false, heavy: false },
+        durationMs: expect.any(Number),
+        version: 1,
+      });
+      expect(evaluated).not.toHaveBeenCalled();
+    });
+
+    test("should emit ruleAdded and ruleRemoved", () => {
+      const added = jest.fn();
+      const removed = jest.fn();
+      engine.on("ruleAdded", added);
+      engine.on("ruleRemoved", removed);
+      const rule = {
+        name: "fragile",
+        condition: (pkg) => pkg.fragile,
+        result: SPECIAL,
+        priority: 0,
+      };
+
+      engine.addRule(rule);
+      engine.removeRule("fragile");
+
+      expect(added).toHaveBeenCalledWith({
+        rule: expect.objectContaining({ name: "fragile", priority: 0 }),
+        version: 1,
+      });
+      expect(removed).toHaveBeenCalledWith({
+        rule: expect.objectContaining({ name: "fragile" }),
+        version: 1,
+      });
+    });
+
+    test("should not emit ruleAdded when the rule is rejected", () => {
+      const added = jest.fn();
+      engine.on("ruleAdded", added);
+
+      expect(() => engine.addRule(CLASSIFICATION_RULES[0])).toThrow();
+      expect(added).not.toHaveBeenCalled();
+    });
+
+    test("once should run a handler a single time", () => {
+      const handler = jest.fn();
+      engine.once("evaluated", handler);
+
+      engine.evaluate({ bulky: false, heavy: false });
+      engine.evaluate({ bulky: false, heavy: false });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test("off should remove a handler", () => {
+      const handler = jest.fn();
+      engine.on("evaluated", handler);
+      engine.off("evaluated", handler);
+
+      engine.evaluate({ bulky: false, heavy: false });
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test("should reject unknown event names", () => {
+      expect(() => engine.on("evaluate", () => {})).toThrow(
+        'Unknown RuleEngine event "evaluate"'
+      );
+      expect(() => engine.once("matched", () => {})).toThrow(
+        'Unknown RuleEngine event "matched"'
+      );
+      expect(RULE_ENGINE_EVENTS).toEqual([
+        "evaluated",
+        "noMatch",
+        "ruleError",
+        "ruleTimeout",
+        "ruleAdded",
+        "ruleRemoved",
+        "ruleEnabled",
+        "ruleDisabled",
+      ]);
+    });
+
+    test("should let a sorter's engine be observed", () => {
+      const sorter = createSorter();
+      const results = [];
+      sorter.engine.on("evaluated", ({ result }) => results.push(result));
+
+      sorter.sortBatch([
+        { width: 50, height: 30, length: 20, mass: 10 },
+        { width: 200, height: 30, length: 20, mass: 25 },
+      ]);
+
+      expect(results).toEqual([STANDARD, REJECTED]);
+    });
+  });
+
+  describe("evaluateAsync method", () => {
+    const never = () => new Promise(() => {});
+    const lookupRule = (overrides) => ({
+      name: "hazmat",
+      condition: never,
+      result: "HAZMAT",
+      priority: 0,
+      timeoutMs: 10,
+      ...overrides,
+    });
+
+    test("should await promise-returning conditions in priority order", async () => {
+      const calls = [];
+      const engine = new RuleEngine([
+        {
+          name: "hazmat",
+          condition: async (pkg) => {
+            calls.push("hazmat");
+            return pkg.sku === "UN1203";
+          },
+          result: "HAZMAT",
+          priority: 0,
+        },
+        ...CLASSIFICATION_RULES,
+      ]);
+
+      await expect(
+        engine.evaluateAsync({ bulky: false, heavy: false, sku: "UN1203" })
+      ).resolves.toBe("HAZMAT");
+      await expect(
+        engine.evaluateAsync({ bulky: true, heavy: false, sku: "BOOK" })
+      ).resolves.toBe(SPECIAL);
+      expect(calls).toEqual(["hazmat", "hazmat"]);
+    });
+
+    test("should give the same result as evaluate for sync rules", async () => {
+      const engine = new RuleEngine(CLASSIFICATION_RULES);
+      const packageData = { bulky: true, heavy: true };
+      await expect(engine.evaluateAsync(packageData)).resolves.toBe(
+        engine.evaluate(packageData)
+      );
+    });
+
+    test("should make evaluate throw for an async condition", async () => {
+      const engine = new RuleEngine([
+        {
+          name: "hazmat",
+          condition: async () => false,
+          result: "HAZMAT",
+          priority: 0,
+        },
+        ...CLASSIFICATION_RULES,
+      ]);
+      const errors = jest.fn();
+      engine.on("ruleError", errors);
+      const packageData = { bulky: false, heavy: false };
+      const message =
+        'Error evaluating rule "hazmat": its condition is async; use evaluateAsync';
+
+      expect(() => engine.evaluate(packageData)).toThrow(message);
+      expect(() => engine.explain(packageData)).toThrow(message);
+      expect(() => engine.evaluateAll(packageData)).toThrow(message);
+      expect(errors).toHaveBeenCalledTimes(3);
+      await expect(engine.evaluateAsync(packageData)).resolves.toBe(STANDARD);
+
+      const sorter = createSorter({ rules: engine.rules });
+      expect(() => sorter.sort(50, 30, 20, 10)).toThrow(message);
+    });
+
+    test("should not let a rejected async condition go unhandled", () => {
+      const engine = new RuleEngine([
+        {
+          name: "lookup",
+          condition: () => Promise.reject(new Error("cache down")),
+          result: "HAZMAT",
+          priority: 0,
+        },
+        ...CLASSIFICATION_RULES,
+      ]);
+      expect(() => engine.evaluate({ bulky: false, heavy: false })).toThrow(
+        "its condition is async"
+      );
+    });
+
+    test("should report an async annotation in annotationErrors", () => {
+      const engine = new RuleEngine([
+        {
+          name: "hazmat-flag",
+          type: "annotation",
+          condition: async () => true,
+          result: "HAZMAT",
+          priority: 0,
+        },
+        ...CLASSIFICATION_RULES,
+      ]);
+      const { result, flags, annotationErrors } = engine.evaluateAll({
+        bulky: false,
+        heavy: false,
+      });
+      expect(result).toBe(STANDARD);
+      expect(flags).toEqual([]);
+      expect(annotationErrors).toEqual([
+        {
+          name: "hazmat-flag",
+          priority: 0,
+          message: "its condition is async; use evaluateAsync",
+        },
+      ]);
+    });
+
+    test("should fail open on timeout by default", async () => {
+      const engine = new RuleEngine([lookupRule(), ...CLASSIFICATION_RULES]);
+      const timeouts = jest.fn();
+      engine.on("ruleTimeout", timeouts);
+
+      await expect(
+        engine.evaluateAsync({ bulky: false, heavy: false })
+      ).resolves.toBe(STANDARD);
+      expect(timeouts).toHaveBeenCalledWith({
+        packageData: { bulky: false, heavy: false },
+        matchedRule: { name: "hazmat", priority: 0 },
+        timeoutMs: 10,
+        onTimeout: "fail-open",
+        version: 1,
+      });
+    });
+
+    test("should fail closed to the timeout result", async () => {
+      const engine = new RuleEngine([
+        lookupRule({ onTimeout: "fail-closed", timeoutResult: "MANUAL" }),
+        ...CLASSIFICATION_RULES,
+      ]);
+      const evaluated = jest.fn();
+      engine.on("evaluated", evaluated);
+
+      await expect(
+        engine.evaluateAsync({ bulky: false, heavy: false })
+      ).resolves.toBe("MANUAL");
+      expect(evaluated.mock.calls[0][0]).toMatchObject({
+        result: "MANUAL",
+        matchedRule: { name: "hazmat", priority: 0 },
+      });
+    });
+
+    test("should fail closed to the rule's result without a timeout result", async () => {
+      const engine = new RuleEngine([
+        lookupRule({ onTimeout: "fail-closed" }),
+        ...CLASSIFICATION_RULES,
+      ]);
+      await expect(
+        engine.evaluateAsync({ bulky: false, heavy: false })
+      ).resolves.toBe("HAZMAT");
+    });
+
+    test("should apply the call's timeout to rules without their own", async () => {
+      const engine = new RuleEngine([
+        lookupRule({ timeoutMs: undefined }),
+        ...CLASSIFICATION_RULES,
+      ]);
+      await expect(
+        engine.evaluateAsync({ bulky: true, heavy: false }, { timeoutMs: 10 })
+      ).resolves.toBe(SPECIAL);
+    });
+
+    test("should not time out a condition that answers in time", async () => {
+      const engine = new RuleEngine([
+        lookupRule({
+          condition: () =>
+            new Promise((resolve) => setTimeout(() => resolve(true), 1)),
+          timeoutMs: 1000,
+        }),
+        ...CLASSIFICATION_RULES,
+      ]);
+      await expect(
+        engine.evaluateAsync({ bulky: false, heavy: false })
+      ).resolves.toBe("HAZMAT");
+    });
+
+    test("should reject when a condition rejects", async () => {
+      const engine = new RuleEngine([
+        lookupRule({
+          condition: async () => {
+            throw new Error("registry offline");
+          },
+        }),
+        ...CLASSIFICATION_RULES,
+      ]);
+      const ruleError = jest.fn();
+      engine.on("ruleError", ruleError);
+
+      await expect(
+        engine.evaluateAsync({ bulky: false, heavy: false })
+      ).rejects.toThrow('Error evaluating rule "hazmat": registry offline');
+      expect(ruleError.mock.calls[0][0].error.message).toBe("registry offline");
+    });
+
+    test("should reject when no rule matches", async () => {
+      const engine = new RuleEngine([lookupRule()]);
+      await expect(engine.evaluateAsync({})).rejects.toThrow(
+        "No matching rule found for package data"
+      );
+    });
+
+    test("should reject invalid arguments", async () => {
+      const engine = new RuleEngine(CLASSIFICATION_RULES);
+      await expect(engine.evaluateAsync(null)).rejects.toThrow(
+        "Package data must be an object"
+      );
+      await expect(engine.evaluateAsync({}, { timeoutMs: 0 })).rejects.toThrow(
+        "timeoutMs must be a positive finite number"
+      );
+    });
+
+    [
+      [{ timeoutMs: -5 }, "Rule timeoutMs must be a positive finite number"],
+      [
+        { onTimeout: "retry" },
+        "Rule onTimeout must be one of: fail-open, fail-closed",
+      ],
+      [{ timeoutResult: "" }, "Rule timeoutResult must be a non-empty string"],
+    ].forEach(([overrides, message]) => {
+      test(`should reject rule with ${JSON.stringify(overrides)}`, () => {
+        expect(() => new RuleEngine([lookupRule(overrides)])).toThrow(message);
+      });
+    });
+  });
+
+  describe("fromJSON and toJSON", () => {
+    const config = {
+      rules: [
+        {
+          name: "heavy-bulky",
+          condition: {
+            all: [
+              { fact: "bulky", eq: true },
+              { fact: "mass", gte: 20 },
+            ],
+          },
+          result: REJECTED,
+          priority: 1,
+        },
+        { name: "default", condition: true, result: STANDARD, priority: 2 },
+      ],
+    };
+
+    test("should load a declarative rule config", () => {
+      const engine = RuleEngine.fromJSON(config);
+
+      expect(engine).toBeInstanceOf(RuleEngine);
+      expect(engine.evaluate({ bulky: true, mass: 25 })).toBe(REJECTED);
+      expect(engine.evaluate({ bulky: true, mass: 15 })).toBe(STANDARD);
+    });
+
+    test("should load JSON text", () => {
+      const engine = RuleEngine.fromJSON(JSON.stringify(config));
+      expect(engine.evaluate({ bulky: true, mass: 25 })).toBe(REJECTED);
+    });
+
+    test("should report schema errors", () => {
+      expect(() =>
+        RuleEngine.fromJSON({
+          rules: [{ ...config.rules[0], condition: { fact: "mass", gtx: 1 } }],
+        })
+      ).toThrow(
+        'Invalid rule config at rules[0].condition: unknown operator "gtx"'
+      );
+    });
+
+    test("should apply the usual rule validation", () => {
+      expect(() =>
+        RuleEngine.fromJSON({
+          rules: [{ ...config.rules[1], priority: -1 }],
+        })
+      ).toThrow("Rule priority must be a non-negative number");
+    });
+
+    test("should write CLASSIFICATION_RULES back out and reload them", () => {
+      const engine = new RuleEngine(CLASSIFICATION_RULES);
+      const json = JSON.stringify(engine);
+      const reloaded = RuleEngine.fromJSON(json);
+
+      expect(reloaded.toJSON()).toEqual(engine.toJSON());
+      sortTestData.boundaryTestCases.forEach(
+        ({ width, height, length, mass, expected }) => {
+          const packageData = {
+            width,
+            height,
+            length,
+            mass,
+            bulky: isBulky(width, height, length),
+            heavy: isHeavy(mass),
+          };
+          expect(reloaded.evaluate(packageData)).toBe(expected);
+        }
+      );
+    });
+
+    test("toJSON should reject rules without an expression", () => {
+      const engine = new RuleEngine(validRules);
+      expect(() => engine.toJSON()).toThrow(
+        'Rule "test-rule-1" has no declarative expression and cannot be serialized'
+      );
+    });
+  });
+
   describe("addRule method", () => {
     let engine;
 
@@ -838,6 +2153,1035 @@ describe("RuleEngine class", () => {
     });
   });
 
+  describe("enabling and disabling rules", () => {
+    const taggedConfig = {
+      version: 1,
+      rules: [
+        {
+          name: "peak-oversize",
+          condition: { fact: "bulky", eq: true },
+          result: "PEAK_OVERSIZE",
+          priority: 0,
+          tags: ["holiday-peak"],
+        },
+        {
+          name: "peak-heavy",
+          condition: { fact: "heavy", eq: true },
+          result: "PEAK_HEAVY",
+          priority: 1,
+          tags: ["holiday-peak", "heavy-lane"],
+        },
+        {
+          name: "special",
+          condition: {
+            any: [
+              { fact: "bulky", eq: true },
+              { fact: "heavy", eq: true },
+            ],
+          },
+          result: SPECIAL,
+          priority: 2,
+        },
+        { name: "default", condition: true, result: STANDARD, priority: 3 },
+      ],
+    };
+    const bulky = { bulky: true, heavy: false };
+    const heavy = { bulky: false, heavy: true };
+    let engine;
+
+    beforeEach(() => {
+      engine = RuleEngine.fromJSON(taggedConfig);
+    });
+
+    test("should skip a disabled rule but keep listing it", () => {
+      engine.disableRule("peak-oversize");
+
+      expect(engine.evaluate(bulky)).toBe(SPECIAL);
+      expect(engine.rules.map((rule) => rule.name)).toEqual([
+        "peak-oversize",
+        "peak-heavy",
+        "special",
+        "default",
+      ]);
+      expect(engine.rules[0].enabled).toBe(false);
+      expect(engine.activeRules.map((rule) => rule.name)).toEqual([
+        "peak-heavy",
+        "special",
+        "default",
+      ]);
+      expect(engine.isRuleEnabled("peak-oversize")).toBe(false);
+
+      engine.enableRule("peak-oversize");
+      expect(engine.evaluate(bulky)).toBe("PEAK_OVERSIZE");
+      expect(engine.rules[0]).not.toHaveProperty("enabled");
+    });
+
+    test("should not modify the rule objects it was given", () => {
+      const rules = validRules.map((rule) => ({ ...rule }));
+      const custom = new RuleEngine(rules);
+      custom.disableRule("test-rule-3");
+      expect(rules[2]).not.toHaveProperty("enabled");
+    });
+
+    test("should honor rules that start disabled", () => {
+      const custom = new RuleEngine([
+        { ...validRules[0], enabled: false },
+        validRules[1],
+        validRules[2],
+      ]);
+      expect(custom.evaluate({ bulky: true, heavy: true })).toBe(SPECIAL);
+    });
+
+    test("should switch every rule with a tag off and on together", () => {
+      engine.disableTag("holiday-peak");
+
+      expect(engine.disabledTags).toEqual(["holiday-peak"]);
+      expect(engine.evaluate(bulky)).toBe(SPECIAL);
+      expect(engine.evaluate(heavy)).toBe(SPECIAL);
+      expect(engine.isRuleEnabled("peak-heavy")).toBe(false);
+
+      engine.enableTag("holiday-peak");
+      expect(engine.disabledTags).toEqual([]);
+      expect(engine.evaluate(heavy)).toBe("PEAK_HEAVY");
+    });
+
+    test("should keep a rule off while any of its tags is disabled", () => {
+      engine.disableTag("holiday-peak");
+      engine.disableTag("heavy-lane");
+      engine.enableTag("holiday-peak");
+
+      expect(engine.isRuleEnabled("peak-oversize")).toBe(true);
+      expect(engine.isRuleEnabled("peak-heavy")).toBe(false);
+    });
+
+    test("should keep a disabled rule off when its tag is enabled", () => {
+      engine.disableRule("peak-heavy");
+      engine.disableTag("holiday-peak");
+      engine.enableTag("holiday-peak");
+      expect(engine.isRuleEnabled("peak-heavy")).toBe(false);
+    });
+
+    test("should disable rules added later with a disabled tag", () => {
+      engine.disableTag("holiday-peak");
+      engine.addRule({
+        name: "peak-fragile",
+        condition: (pkg) => pkg.fragile === true,
+        result: "PEAK_FRAGILE",
+        priority: 0,
+        tags: ["holiday-peak"],
+      });
+      expect(engine.evaluate({ ...bulky, fragile: true })).toBe(SPECIAL);
+    });
+
+    test("should emit ruleDisabled and ruleEnabled for rules that change", () => {
+      const disabled = jest.fn();
+      const enabled = jest.fn();
+      engine.on("ruleDisabled", disabled).on("ruleEnabled", enabled);
+
+      engine.disableRule("peak-heavy");
+      engine.disableRule("peak-heavy");
+      engine.disableTag("holiday-peak");
+      engine.enableRule("peak-heavy");
+
+      expect(disabled.mock.calls.map(([{ rule }]) => rule.name)).toEqual([
+        "peak-heavy",
+        "peak-oversize",
+      ]);
+      expect(disabled.mock.calls[0][0].version).toBe(1);
+      expect(enabled).not.toHaveBeenCalled();
+
+      engine.enableTag("holiday-peak");
+      expect(enabled.mock.calls.map(([{ rule }]) => rule.name)).toEqual([
+        "peak-oversize",
+        "peak-heavy",
+      ]);
+    });
+
+    test("explain should list disabled rules", () => {
+      engine.disableTag("holiday-peak");
+      expect(engine.explain(heavy).skippedRules).toEqual([
+        { name: "peak-oversize", priority: 0, disabled: true },
+        { name: "peak-heavy", priority: 1, disabled: true },
+      ]);
+    });
+
+    test("evaluateAsync should skip disabled rules", async () => {
+      engine.disableRule("peak-oversize");
+      await expect(engine.evaluateAsync(bulky)).resolves.toBe(SPECIAL);
+    });
+
+    test("should fail to match when the default rule is disabled", () => {
+      engine.disableRule("default");
+      expect(() => engine.evaluate({ bulky: false, heavy: false })).toThrow(
+        "No matching rule found for package data"
+      );
+    });
+
+    test("should not use a rollback slot or change the version", () => {
+      engine.disableTag("holiday-peak");
+      engine.enableTag("holiday-peak");
+      engine.disableRule("special");
+      expect(engine.version).toBe(1);
+      expect(engine.history).toEqual([]);
+      expect(() => engine.rollback()).toThrow(
+        "No previous rule set to roll back to"
+      );
+    });
+
+    test("should keep real versions in the history however often rules are switched", () => {
+      const limited = RuleEngine.fromJSON(taggedConfig);
+      limited.loadRuleSet(taggedConfig, { version: 2 });
+      for (let i = 0; i < 20; i++) {
+        limited.disableTag("holiday-peak");
+        limited.enableTag("holiday-peak");
+      }
+      expect(limited.history.map(({ version }) => version)).toEqual([1]);
+    });
+
+    test("rollback after a load and a toggle should restore the previous version", () => {
+      engine.disableTag("heavy-lane");
+      engine.loadRuleSet(taggedConfig, { version: 2 });
+      engine.disableTag("holiday-peak");
+
+      expect(engine.rollback()).toBe(1);
+      expect(engine.version).toBe(1);
+      expect(engine.disabledTags).toEqual(["heavy-lane"]);
+      expect(engine.evaluate(bulky)).toBe("PEAK_OVERSIZE");
+    });
+
+    test("analyze should report disabled rules", () => {
+      engine.disableRule("special");
+      engine.disableTag("heavy-lane");
+      const { ok, issues } = engine.analyze();
+
+      expect(ok).toBe(true);
+      expect(issues.filter(({ type }) => type === "disabled-rule")).toEqual([
+        {
+          type: "disabled-rule",
+          severity: "info",
+          rules: ["peak-heavy"],
+          message: 'Rule "peak-heavy" is disabled by tag "heavy-lane"',
+        },
+        {
+          type: "disabled-rule",
+          severity: "info",
+          rules: ["special"],
+          message: 'Rule "special" is disabled',
+        },
+      ]);
+    });
+
+    test("should serialize the enabled state and disabled tags", () => {
+      engine.disableRule("special");
+      engine.disableTag("heavy-lane");
+      const json = engine.toJSON();
+
+      expect(json.disabledTags).toEqual(["heavy-lane"]);
+      expect(json.rules[1].tags).toEqual(["holiday-peak", "heavy-lane"]);
+      expect(json.rules[2].enabled).toBe(false);
+
+      const reloaded = RuleEngine.fromJSON(JSON.stringify(json));
+      expect(reloaded.toJSON()).toEqual(json);
+      expect(reloaded.activeRules.map((rule) => rule.name)).toEqual([
+        "peak-oversize",
+        "default",
+      ]);
+    });
+
+    test("loadRuleSet should take the disabled tags of the new set", () => {
+      engine.disableTag("heavy-lane");
+      engine.loadRuleSet({
+        ...taggedConfig,
+        version: 2,
+        disabledTags: ["holiday-peak"],
+      });
+      expect(engine.disabledTags).toEqual(["holiday-peak"]);
+
+      engine.loadRuleSet(taggedConfig, { version: 3 });
+      expect(engine.disabledTags).toEqual([]);
+    });
+
+    test("should reject unknown rules and tags", () => {
+      expect(() => engine.disableRule("missing")).toThrow(
+        'Rule with name "missing" not found'
+      );
+      expect(() => engine.enableRule("")).toThrow(
+        "Rule name must be a non-empty string"
+      );
+      expect(() => engine.isRuleEnabled("missing")).toThrow(
+        'Rule with name "missing" not found'
+      );
+      expect(() => engine.disableTag("summer")).toThrow(
+        'No rule has tag "summer"'
+      );
+      expect(() => engine.enableTag(null)).toThrow(
+        "Tag must be a non-empty string"
+      );
+    });
+
+    [
+      [{ tags: "peak" }, "Rule tags must be an array of non-empty strings"],
+      [{ tags: [""] }, "Rule tags must be an array of non-empty strings"],
+      [{ enabled: "no" }, "Rule enabled must be a boolean"],
+    ].forEach(([overrides, message]) => {
+      test(`should reject a rule with ${JSON.stringify(overrides)}`, () => {
+        expect(
+          () => new RuleEngine([{ ...validRules[2], ...overrides }])
+        ).toThrow(message);
+      });
+    });
+
+    test("should reject invalid disabledTags", () => {
+      expect(
+        () => new RuleEngine(validRules, { disabledTags: "holiday-peak" })
+      ).toThrow("disabledTags must be an array of non-empty strings");
+      expect(
+        new RuleEngine(validRules, { disabledTags: ["holiday-peak"] })
+          .disabledTags
+      ).toEqual(["holiday-peak"]);
+    });
+
+    test("should pass disabled tags and a version through createSorter", () => {
+      const sorter = createSorter({
+        rules: [
+          {
+            name: "hold",
+            condition: () => true,
+            result: "HOLD",
+            priority: 0,
+            tags: ["hold"],
+          },
+          ...CLASSIFICATION_RULES,
+        ],
+        disabledTags: ["hold"],
+        rulesVersion: "2024-11",
+      });
+      expect(sorter.sort(160, 30, 20, 5)).toBe(SPECIAL);
+      expect(sorter.engine.version).toBe("2024-11");
+    });
+  });
+
+  describe("rule schedules", () => {
+    // The oversize crew works 06:00-14:00 Denver time; outside that, SPECIAL
+    // packages wait on HOLD
+    const holdRule = {
+      name: "special-hold",
+      condition: (pkg) => pkg.bulky || pkg.heavy,
+      result: "HOLD",
+      priority: 1.5,
+      windows: [{ from: "14:00", until: "06:00" }],
+      timezone: "America/Denver",
+    };
+    const special = { bulky: true, heavy: false };
+    let now;
+    let engine;
+
+    beforeEach(() => {
+      now = new Date("2024-11-04T17:00:00Z"); // Monday 10:00 in Denver
+      engine = new RuleEngine([...CLASSIFICATION_RULES, holdRule], {
+        clock: () => now,
+      });
+    });
+
+    [
+      ["2024-11-04T17:00:00Z", SPECIAL], // 10:00, crew on
+      ["2024-11-04T21:00:00Z", "HOLD"], // 14:00, crew off
+      ["2024-11-05T03:00:00Z", "HOLD"], // 20:00
+      ["2024-11-05T12:59:00Z", "HOLD"], // 05:59 the next morning
+      ["2024-11-05T13:00:00Z", SPECIAL], // 06:00, crew back on
+    ].forEach(([time, expected]) => {
+      test(`should sort a SPECIAL package to ${expected} at ${time}`, () => {
+        now = new Date(time);
+        expect(engine.evaluate(special)).toBe(expected);
+      });
+    });
+
+    test("should leave packages the rule does not match alone", () => {
+      now = new Date("2024-11-05T03:00:00Z");
+      expect(engine.evaluate({ bulky: false, heavy: false })).toBe(STANDARD);
+      expect(engine.evaluate({ bulky: true, heavy: true })).toBe(REJECTED);
+    });
+
+    test("should list rules outside their schedule in explain", () => {
+      expect(engine.explain(special).skippedRules).toEqual([
+        {
+          name: "rejected-packages",
+          priority: PRIORITY_HIGH,
+          outcome: false,
+        },
+        { name: "special-hold", priority: 1.5, outsideSchedule: true },
+      ]);
+    });
+
+    test("should apply the schedule in evaluateAsync", async () => {
+      now = new Date("2024-11-05T03:00:00Z");
+      await expect(engine.evaluateAsync(special)).resolves.toBe("HOLD");
+      now = new Date("2024-11-04T17:00:00Z");
+      await expect(engine.evaluateAsync(special)).resolves.toBe(SPECIAL);
+    });
+
+    test("should respect activeFrom and activeUntil", () => {
+      engine.addRule({
+        name: "peak",
+        condition: () => true,
+        result: "PEAK",
+        priority: 0,
+        activeFrom: "2024-11-25T00:00:00Z",
+        activeUntil: new Date("2024-12-24T00:00:00Z"),
+      });
+      [
+        ["2024-11-24T23:59:59Z", "HOLD"], // 16:59 in Denver
+        ["2024-11-25T00:00:00Z", "PEAK"],
+        ["2024-12-23T23:59:59Z", "PEAK"],
+        ["2024-12-24T00:00:00Z", "HOLD"],
+        ["2024-12-24T17:00:00Z", SPECIAL],
+      ].forEach(([time, expected]) => {
+        now = Date.parse(time);
+        expect(engine.evaluate(special)).toBe(expected);
+      });
+    });
+
+    test("should list the rules active at a given time", () => {
+      const names = (rules) => rules.map((rule) => rule.name);
+      expect(names(engine.rulesActiveAt())).toEqual([
+        "rejected-packages",
+        "special-packages",
+        "standard-packages",
+      ]);
+      expect(names(engine.rulesActiveAt("2024-11-05T03:00:00Z"))).toEqual([
+        "rejected-packages",
+        "special-hold",
+        "special-packages",
+        "standard-packages",
+      ]);
+      expect(names(engine.activeRules)).toContain("special-hold");
+      expect(() => engine.rulesActiveAt("soon")).toThrow(
+        "Time must be a Date, an ISO 8601 string or epoch milliseconds"
+      );
+    });
+
+    test("should not read the clock when no rule has a schedule", () => {
+      const clock = jest.fn(() => new Date());
+      const plain = new RuleEngine(CLASSIFICATION_RULES, { clock });
+      plain.evaluate(special);
+      expect(clock).not.toHaveBeenCalled();
+    });
+
+    test("should keep schedules through JSON round trips", () => {
+      const restored = RuleEngine.fromJSON(
+        JSON.parse(
+          JSON.stringify({
+            rules: [
+              {
+                name: "night",
+                condition: true,
+                result: "NIGHT",
+                priority: 1,
+                windows: [{ days: ["mon"], from: "22:00", until: "06:00" }],
+              },
+              {
+                name: "default",
+                condition: true,
+                result: STANDARD,
+                priority: 2,
+              },
+            ],
+          })
+        ),
+        { clock: () => Date.parse("2024-11-05T02:00:00Z") }
+      );
+      expect(restored.evaluate({})).toBe("NIGHT");
+      expect(restored.toJSON().rules[0].windows).toEqual([
+        { days: ["mon"], from: "22:00", until: "06:00" },
+      ]);
+    });
+
+    test("should pass the clock through createSorter", () => {
+      const sorter = createSorter({
+        rules: [...CLASSIFICATION_RULES, holdRule],
+        clock: () => new Date("2024-11-05T03:00:00Z"),
+      });
+      expect(sorter.sort(160, 30, 20, 5)).toBe("HOLD");
+    });
+
+    [
+      [{ activeFrom: "someday" }, "Rule activeFrom must be a valid date"],
+      [
+        { activeFrom: "2024-12-01", activeUntil: "2024-11-01" },
+        "Rule activeFrom must be before activeUntil",
+      ],
+      [{ windows: {} }, "Rule windows must be an array"],
+      [
+        { windows: [{ from: "6:00", until: "14:00" }] },
+        'Rule windows[0] from must be an "HH:MM" time from 00:00 to 24:00',
+      ],
+      [{ timezone: "Mars/Olympus" }, 'Rule timezone "Mars/Olympus"'],
+    ].forEach(([overrides, message]) => {
+      test(`should reject a rule with ${JSON.stringify(overrides)}`, () => {
+        expect(
+          () => new RuleEngine([{ ...validRules[2], ...overrides }])
+        ).toThrow(message);
+      });
+    });
+
+    test("should reject an invalid clock", () => {
+      expect(() => new RuleEngine(validRules, { clock: Date.now() })).toThrow(
+        "clock must be a function"
+      );
+      const broken = new RuleEngine([holdRule, validRules[2]], {
+        clock: () => "later",
+      });
+      expect(() => broken.evaluate(special)).toThrow(
+        "clock must return a Date or epoch milliseconds"
+      );
+    });
+  });
+
+  describe("evaluateAll and annotation rules", () => {
+    const annotationRules = [
+      {
+        name: "team-lift",
+        type: "annotation",
+        condition: (pkg) => pkg.mass >= 23,
+        result: "TEAM_LIFT",
+        priority: 0,
+      },
+      {
+        name: "fragile",
+        type: "annotation",
+        condition: (pkg) => pkg.fragile === true,
+        result: "FRAGILE",
+        priority: 0,
+      },
+      {
+        name: "hazmat",
+        type: "annotation",
+        condition: (pkg) => pkg.hazmat === true,
+        result: "HAZMAT",
+        priority: 5,
+      },
+    ];
+    const rejectedTwice = {
+      name: "rejected-oversize",
+      condition: (pkg) => pkg.width >= 300,
+      result: REJECTED,
+      priority: 1.5,
+    };
+    let engine;
+
+    beforeEach(() => {
+      engine = new RuleEngine([
+        ...CLASSIFICATION_RULES,
+        ...annotationRules,
+        rejectedTwice,
+      ]);
+    });
+
+    test("should return every matching rule and the handling flags", () => {
+      const packageData = {
+        width: 320,
+        height: 50,
+        length: 40,
+        mass: 25,
+        bulky: true,
+        heavy: true,
+        fragile: true,
+      };
+      expect(engine.evaluateAll(packageData)).toEqual({
+        result: REJECTED,
+        stacks: [REJECTED, SPECIAL, STANDARD],
+        matchedRules: [
+          {
+            name: "rejected-packages",
+            result: REJECTED,
+            priority: PRIORITY_HIGH,
+          },
+          { name: "rejected-oversize", result: REJECTED, priority: 1.5 },
+          {
+            name: "special-packages",
+            result: SPECIAL,
+            priority: PRIORITY_MEDIUM,
+          },
+          {
+            name: "standard-packages",
+            result: STANDARD,
+            priority: PRIORITY_LOW,
+          },
+        ],
+        flags: ["TEAM_LIFT", "FRAGILE"],
+        annotations: [
+          { name: "team-lift", result: "TEAM_LIFT", priority: 0 },
+          { name: "fragile", result: "FRAGILE", priority: 0 },
+        ],
+        annotationErrors: [],
+        version: 1,
+      });
+    });
+
+    test("should not let annotation rules decide the stack", () => {
+      const packageData = { mass: 5, bulky: false, heavy: false, hazmat: true };
+      expect(engine.evaluate(packageData)).toBe(STANDARD);
+      expect(engine.explain(packageData)).toMatchObject({
+        result: STANDARD,
+        skippedRules: [
+          { name: "rejected-packages" },
+          { name: "rejected-oversize" },
+          { name: "special-packages" },
+        ],
+      });
+      expect(engine.evaluateAll(packageData).flags).toEqual(["HAZMAT"]);
+    });
+
+    test("should ignore annotation rules in evaluateAsync", async () => {
+      await expect(
+        engine.evaluateAsync({ mass: 30, bulky: false, heavy: true })
+      ).resolves.toBe(SPECIAL);
+    });
+
+    test("should return no flags when no annotation rule matches", () => {
+      const { result, flags, annotations } = engine.evaluateAll({
+        mass: 5,
+        bulky: false,
+        heavy: false,
+      });
+      expect(result).toBe(STANDARD);
+      expect(flags).toEqual([]);
+      expect(annotations).toEqual([]);
+    });
+
+    test("should list each flag once", () => {
+      engine.addRule({
+        name: "team-lift-oversize",
+        type: "annotation",
+        condition: (pkg) => pkg.bulky,
+        result: "TEAM_LIFT",
+        priority: 1,
+      });
+      const { flags, annotations } = engine.evaluateAll({
+        mass: 25,
+        bulky: true,
+        heavy: true,
+      });
+      expect(flags).toEqual(["TEAM_LIFT"]);
+      expect(annotations.map(({ name }) => name)).toEqual([
+        "team-lift",
+        "team-lift-oversize",
+      ]);
+    });
+
+    test("should skip disabled and out-of-schedule rules", () => {
+      engine.disableRule("fragile");
+      engine.addRule({
+        ...rejectedTwice,
+        name: "never-now",
+        priority: 0.5,
+        activeUntil: "2000-01-01T00:00:00Z",
+      });
+      const { matchedRules, flags } = engine.evaluateAll({
+        width: 320,
+        mass: 5,
+        bulky: true,
+        heavy: false,
+        fragile: true,
+      });
+      expect(matchedRules.map(({ name }) => name)).toEqual([
+        "rejected-oversize",
+        "special-packages",
+        "standard-packages",
+      ]);
+      expect(flags).toEqual([]);
+    });
+
+    test("should emit the evaluation events of the deciding rule", () => {
+      const evaluated = jest.fn();
+      engine.on("evaluated", evaluated);
+      engine.evaluateAll({ mass: 25, bulky: false, heavy: true });
+      expect(evaluated).toHaveBeenCalledTimes(1);
+      expect(evaluated.mock.calls[0][0]).toMatchObject({
+        result: SPECIAL,
+        matchedRule: { name: "special-packages", priority: PRIORITY_MEDIUM },
+      });
+    });
+
+    test("should throw when no stack rule matches", () => {
+      const noMatch = jest.fn();
+      const flagsOnly = new RuleEngine([
+        annotationRules[0],
+        {
+          name: "light",
+          condition: (pkg) => pkg.mass < 1,
+          result: "LIGHT",
+          priority: 1,
+        },
+      ]);
+      flagsOnly.on("noMatch", noMatch);
+      expect(() => flagsOnly.evaluateAll({ mass: 30 })).toThrow(
+        "No matching rule found for package data"
+      );
+      expect(() => flagsOnly.evaluate({ mass: 30 })).toThrow(
+        "No matching rule found for package data"
+      );
+      expect(noMatch).toHaveBeenCalledTimes(2);
+    });
+
+    test("should report an annotation that throws and keep the stack", () => {
+      const ruleError = jest.fn();
+      engine.addRule({
+        name: "broken",
+        type: "annotation",
+        condition: () => {
+          throw new Error("lookup failed");
+        },
+        result: "BROKEN",
+        priority: 9,
+      });
+      engine.on("ruleError", ruleError);
+
+      const evaluation = engine.evaluateAll({ mass: 5, hazmat: true });
+      expect(evaluation).toMatchObject({
+        result: STANDARD,
+        flags: ["HAZMAT"],
+        annotationErrors: [
+          { name: "broken", priority: 9, message: "lookup failed" },
+        ],
+      });
+      expect(ruleError).toHaveBeenCalledTimes(1);
+      expect(ruleError.mock.calls[0][0].matchedRule.name).toBe("broken");
+      expect(engine.evaluateAll({ mass: 5 }).annotationErrors).toHaveLength(1);
+    });
+
+    test("should still throw when a stack rule's condition throws", () => {
+      engine.addRule({
+        name: "broken",
+        condition: () => {
+          throw new Error("lookup failed");
+        },
+        result: "BROKEN",
+        priority: 0,
+      });
+      expect(() => engine.evaluateAll({ mass: 5 })).toThrow(
+        'Error evaluating rule "broken": lookup failed'
+      );
+    });
+
+    test("should leave annotation flags and disabled rules out of batch summaries", () => {
+      const sorter = createSorter({
+        rules: [...CLASSIFICATION_RULES, annotationRules[0]],
+      });
+      sorter.engine.addRule({
+        name: "peak",
+        condition: () => false,
+        result: "PEAK",
+        priority: 0,
+        tags: ["holiday-peak"],
+      });
+      sorter.engine.disableTag("holiday-peak");
+      const summaryStacks = {
+        [REJECTED]: 0,
+        [SPECIAL]: 1,
+        [STANDARD]: 0,
+      };
+
+      expect(
+        sorter.sortBatch([{ width: 50, height: 30, length: 20, mass: 25 }])
+          .summary.stacks
+      ).toEqual(summaryStacks);
+      expect(
+        sorter.sortScans([
+          { id: "A", width: 50, height: 30, length: 20, mass: 25 },
+        ]).summary.stacks
+      ).toEqual(summaryStacks);
+    });
+
+    test("annotate should evaluate only the annotation rules", () => {
+      const evaluated = jest.fn();
+      engine.on("evaluated", evaluated);
+      expect(engine.annotate({ mass: 25, fragile: true })).toEqual({
+        flags: ["TEAM_LIFT", "FRAGILE"],
+        annotations: [
+          { name: "team-lift", result: "TEAM_LIFT", priority: 0 },
+          { name: "fragile", result: "FRAGILE", priority: 0 },
+        ],
+        annotationErrors: [],
+      });
+      expect(engine.annotate({ mass: 5 }).flags).toEqual([]);
+      expect(evaluated).not.toHaveBeenCalled();
+      expect(() => engine.annotate(null)).toThrow(
+        "Package data must be an object"
+      );
+    });
+
+    test("should return flags from the sorter from real measurements", () => {
+      const sorter = createSorter({
+        rules: [...CLASSIFICATION_RULES, annotationRules[0]],
+      });
+
+      expect(sorter.sortWithReason(50, 30, 20, 25)).toMatchObject({
+        result: SPECIAL,
+        flags: ["TEAM_LIFT"],
+      });
+      expect(sorter.sortWithReason(50, 30, 20, 10).flags).toEqual([]);
+      expect(
+        sorter
+          .sortBatch([
+            { id: "A", width: 50, height: 30, length: 20, mass: 25 },
+            { id: "B", width: 50, height: 30, length: 20, mass: 10 },
+          ])
+          .results.map(({ id, stack, flags }) => ({ id, stack, flags }))
+      ).toEqual([
+        { id: "A", stack: SPECIAL, flags: ["TEAM_LIFT"] },
+        { id: "B", stack: STANDARD, flags: [] },
+      ]);
+      expect(
+        sorter.sortScans([
+          { id: "A", width: 50, height: 30, length: 20, mass: 24 },
+          { id: "A", width: 50, height: 30, length: 20, mass: 24.2 },
+        ]).results[0]
+      ).toMatchObject({ stack: SPECIAL, flags: ["TEAM_LIFT"] });
+    });
+
+    test("should keep the annotation type through JSON round trips", () => {
+      const restored = RuleEngine.fromJSON({
+        rules: [
+          {
+            name: "team-lift",
+            type: "annotation",
+            condition: { fact: "mass", gte: 23 },
+            result: "TEAM_LIFT",
+            priority: 0,
+          },
+          { name: "default", condition: true, result: STANDARD, priority: 1 },
+        ],
+      });
+      expect(restored.evaluateAll({ mass: 30 })).toMatchObject({
+        result: STANDARD,
+        flags: ["TEAM_LIFT"],
+      });
+      expect(restored.toJSON().rules[0].type).toBe("annotation");
+    });
+
+    test("should reject an unknown rule type", () => {
+      expect(
+        () => new RuleEngine([{ ...validRules[2], type: "flag" }])
+      ).toThrow("Rule type must be one of: stack, annotation");
+    });
+
+    test("should reject invalid package data", () => {
+      expect(() => engine.evaluateAll(null)).toThrow(
+        "Package data must be an object"
+      );
+    });
+  });
+
+  describe("versioned rule sets", () => {
+    const declarativeRules = {
+      version: "2024-11-01",
+      rules: [
+        {
+          name: "light",
+          condition: { fact: "mass", lt: 5 },
+          result: "LIGHT",
+          priority: 1,
+        },
+        { name: "default", condition: true, result: STANDARD, priority: 2 },
+      ],
+    };
+    let engine;
+
+    beforeEach(() => {
+      engine = new RuleEngine(validRules);
+    });
+
+    test("should start at version 1 with a frozen rule array", () => {
+      expect(engine.version).toBe(1);
+      expect(engine.history).toEqual([]);
+      expect(Object.isFrozen(engine.rules)).toBe(true);
+    });
+
+    test("should accept an initial version", () => {
+      expect(new RuleEngine(validRules, { version: "v7" }).version).toBe("v7");
+    });
+
+    test("loadRuleSet should swap in a new rule array and bump the version", () => {
+      const before = engine.rules;
+      const version = engine.loadRuleSet([
+        { name: "all", condition: () => true, result: "ALL", priority: 1 },
+      ]);
+
+      expect(version).toBe(2);
+      expect(engine.version).toBe(2);
+      expect(engine.rules).not.toBe(before);
+      expect(before).toHaveLength(3);
+      expect(engine.evaluate({ width: 1 })).toBe("ALL");
+    });
+
+    test("loadRuleSet should accept a declarative config or its JSON text", () => {
+      expect(engine.loadRuleSet(declarativeRules)).toBe("2024-11-01");
+      expect(engine.evaluate({ mass: 1 })).toBe("LIGHT");
+
+      expect(
+        engine.loadRuleSet(JSON.stringify(declarativeRules), { version: "b" })
+      ).toBe("b");
+    });
+
+    test("loadRuleSet should leave the active rules untouched when invalid", () => {
+      const before = engine.rules;
+
+      [
+        [[], "Rules array cannot be empty"],
+        [[{ name: "x" }], "Rule is missing required property: condition"],
+        [
+          [validRules[0], { ...validRules[1], name: validRules[0].name }],
+          'Rule with name "test-rule-1" already exists',
+        ],
+        [{ rules: [{ name: "x" }] }, 'missing required property "condition"'],
+        ["{ nope", "Invalid rule config:"],
+      ].forEach(([ruleSet, message]) => {
+        expect(() => engine.loadRuleSet(ruleSet)).toThrow(message);
+        expect(engine.rules).toBe(before);
+        expect(engine.version).toBe(1);
+      });
+      expect(engine.history).toEqual([]);
+    });
+
+    test("loadRuleSet should require a version after a non-numeric one", () => {
+      engine.loadRuleSet(validRules, { version: "v2" });
+
+      expect(() => engine.loadRuleSet(validRules)).toThrow(
+        'A version is required when the current version ("v2") is not a number'
+      );
+      expect(() => engine.loadRuleSet(validRules, { version: "" })).toThrow(
+        "Rule set version must be a non-empty string or finite number"
+      );
+    });
+
+    test("rollback should restore previous versions in order", () => {
+      engine.loadRuleSet(declarativeRules);
+      engine.addRule({
+        name: "huge",
+        condition: (pkg) => pkg.width > 1000,
+        result: REJECTED,
+        priority: 0,
+      });
+
+      expect(engine.history.map((entry) => entry.version)).toEqual([
+        "2024-11-01",
+        1,
+      ]);
+
+      expect(engine.rollback()).toBe("2024-11-01");
+      expect(engine.rules.map((rule) => rule.name)).toEqual([
+        "light",
+        "default",
+      ]);
+
+      expect(engine.rollback()).toBe(1);
+      expect(engine.rules).toHaveLength(3);
+
+      expect(() => engine.rollback()).toThrow(
+        "No previous rule set to roll back to"
+      );
+    });
+
+    test("removeRule should be undone by rollback", () => {
+      engine.removeRule("test-rule-2");
+      engine.rollback();
+
+      expect(engine.rules.map((rule) => rule.name)).toContain("test-rule-2");
+    });
+
+    test("should keep at most maxHistory previous rule sets", () => {
+      const small = new RuleEngine(validRules, { maxHistory: 2 });
+      small.loadRuleSet(validRules);
+      small.loadRuleSet(validRules);
+      small.loadRuleSet(validRules);
+
+      expect(small.history.map((entry) => entry.version)).toEqual([3, 2]);
+      expect(() => new RuleEngine(validRules, { maxHistory: -1 })).toThrow(
+        "maxHistory must be a non-negative integer"
+      );
+    });
+
+    test("an evaluation in progress should finish on the rule set it started with", () => {
+      const swapping = new RuleEngine([
+        {
+          name: "swap",
+          condition: () => {
+            swapping.loadRuleSet([
+              {
+                name: "new",
+                condition: () => true,
+                result: "NEW",
+                priority: 1,
+              },
+            ]);
+            return false;
+          },
+          result: "SWAP",
+          priority: 1,
+        },
+        { name: "old", condition: () => true, result: "OLD", priority: 2 },
+      ]);
+
+      expect(swapping.evaluate({})).toBe("OLD");
+      expect(swapping.evaluate({})).toBe("NEW");
+    });
+
+    test("toJSON and fromJSON should carry the version", () => {
+      const loaded = RuleEngine.fromJSON(declarativeRules);
+
+      expect(loaded.version).toBe("2024-11-01");
+      expect(loaded.toJSON().version).toBe("2024-11-01");
+    });
+
+    describe("watchRulesFile", () => {
+      let tempDir;
+      let rulesFile;
+      let watcher;
+
+      const nextEvent = () =>
+        new Promise((resolve) => {
+          watcher = engine.watchRulesFile(rulesFile, {
+            interval: 20,
+            onReload: (version) => resolve({ version }),
+            onError: (error) => resolve({ error }),
+          });
+        });
+
+      beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "rules-"));
+        rulesFile = path.join(tempDir, "rules.json");
+        fs.writeFileSync(rulesFile, JSON.stringify({ rules: [] }));
+      });
+
+      afterEach(() => {
+        watcher.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      });
+
+      test("should reload the rules when the file changes", async () => {
+        const event = nextEvent();
+        setTimeout(
+          () => fs.writeFileSync(rulesFile, JSON.stringify(declarativeRules)),
+          50
+        );
+
+        expect(await event).toEqual({ version: "2024-11-01" });
+        expect(engine.evaluate({ mass: 1 })).toBe("LIGHT");
+      });
+
+      test("should keep the current rules when the file is invalid", async () => {
+        const before = engine.rules;
+        const event = nextEvent();
+        setTimeout(() => fs.writeFileSync(rulesFile, "{ broken"), 50);
+
+        const { error } = await event;
+        expect(error.message).toMatch(/^Invalid rule config:/);
+        expect(engine.rules).toBe(before);
+      });
+    });
+  });
+
   describe("integration with CLASSIFICATION_RULES", () => {
     test("should work with predefined classification rules", () => {
       const engine = new RuleEngine(CLASSIFICATION_RULES);
@@ -14,11 +14,22 @@ const VOLUME_THRESHOLD = 1000000; // cm³
 const DIMENSION_THRESHOLD = 150; // cm
 const MASS_THRESHOLD = 20; // kg
 
+// Dimensional weight divisor: cm³ per kg of billable weight
+const DIMENSIONAL_WEIGHT_DIVISOR = 5000; // cm³/kg
+
 // Stack name constants
 const STANDARD = "STANDARD";
 const SPECIAL = "SPECIAL";
 const REJECTED = "REJECTED";
 
+// Physical stacks next to the arm; add a capacity and overflow stack to
+// limit one (see stackManager.js)
+const STACK_CATALOG = Object.freeze({
+  [STANDARD]: Object.freeze({}),
+  [SPECIAL]: Object.freeze({}),
+  [REJECTED]: Object.freeze({}),
+});
+
 // Rule priority constants
 const PRIORITY_HIGH = 1; // Rejected packages (both bulky and heavy)
 const PRIORITY_MEDIUM = 2; // Special packages (bulky or heavy)
@@ -30,6 +41,8 @@ const PRIORITY_LOW = 3; // Standard packages (default case)
  * Rules are evaluated in priority order (lower number = higher priority).
  * Each rule contains a condition function that determines if the rule applies
  * to a given package, and a result that specifies the classification outcome.
+ * The `expression` property mirrors each condition in the declarative rule
+ * format (see ruleSchema.js) so the defaults can be exported as JSON.
  *
  * @type {Array<ClassificationRule>}
  *
@@ -43,18 +56,31 @@ const CLASSIFICATION_RULES = [
   {
     name: "rejected-packages",
     condition: (packageData) => packageData.bulky && packageData.heavy,
+    expression: {
+      all: [
+        { fact: "bulky", eq: true },
+        { fact: "heavy", eq: true },
+      ],
+    },
     result: REJECTED,
     priority: PRIORITY_HIGH,
   },
   {
     name: "special-packages",
     condition: (packageData) => packageData.bulky || packageData.heavy,
+    expression: {
+      any: [
+        { fact: "bulky", eq: true },
+        { fact: "heavy", eq: true },
+      ],
+    },
     result: SPECIAL,
     priority: PRIORITY_MEDIUM,
   },
   {
     name: "standard-packages",
     condition: (packageData) => true, // default case
+    expression: true,
     result: STANDARD,
     priority: PRIORITY_LOW,
   },
@@ -71,6 +97,9 @@ module.exports = {
   /** @type {number} Mass threshold in kilograms (20 kg) */
   MASS_THRESHOLD,
 
+  /** @type {number} Dimensional weight divisor in cm³ per kilogram (5000) */
+  DIMENSIONAL_WEIGHT_DIVISOR,
+
   // Stack name constants
   /** @type {string} Standard package classification */
   STANDARD,
@@ -81,6 +110,9 @@ module.exports = {
   /** @type {string} Rejected package classification */
   REJECTED,
 
+  /** @type {Object<string, StackDefinition>} Default stack catalog, unlimited */
+  STACK_CATALOG,
+
   // Priority constants
   /** @type {number} High priority for rejected packages (both bulky and heavy) */
   PRIORITY_HIGH,
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Package Measurement Validation
+ *
+ * Guards the classification functions against corrupted scanner readings.
+ * Every measurement must be a finite number greater than zero; anything else
+ * is rejected with an InvalidPackageError instead of silently falling through
+ * to the STANDARD stack.
+ *
+ * @example
+ * const { validateMeasurement } = require('./packageValidation');
+ * validateMeasurement("width", NaN); // throws InvalidPackageError
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+/**
+ * Error thrown when a package measurement cannot be trusted.
+ *
+ * @class InvalidPackageError
+ * @extends Error
+ * @example
+ * try {
+ *   sort(NaN, 50, 50, 10);
+ * } catch (error) {
+ *   if (error instanceof InvalidPackageError) {
+ *     console.log(error.field); // "width"
+ *     console.log(error.reason); // "must not be NaN"
+ *   }
+ * }
+ */
+class InvalidPackageError extends Error {
+  /**
+   * @param {string} field - Name of the offending measurement (e.g. "width")
+   * @param {string} reason - Human-readable description of the problem
+   * @param {*} value - The rejected value
+   */
+  constructor(field, reason, value) {
+    super(`Invalid package ${field}: ${reason}`);
+    this.name = "InvalidPackageError";
+    this.field = field;
+    this.reason = reason;
+    this.value = value;
+  }
+}
+
+/**
+ * Validates a single measurement reading.
+ *
+ * @param {string} field - Name of the measurement, used in the error
+ * @param {*} value - Value to validate
+ * @returns {number} The validated value
+ * @throws {InvalidPackageError} If the value is missing, not a number, NaN,
+ *   infinite, or not greater than zero
+ */
+function validateMeasurement(field, value) {
+  if (value === undefined || value === null) {
+    throw new InvalidPackageError(field, "is required", value);
+  }
+
+  if (typeof value !== "number") {
+    throw new InvalidPackageError(
+      field,
+      `must be a number, received ${typeof value}`,
+      value
+    );
+  }
+
+  if (Number.isNaN(value)) {
+    throw new InvalidPackageError(field, "must not be NaN", value);
+  }
+
+  if (!Number.isFinite(value)) {
+    throw new InvalidPackageError(field, "must be finite", value);
+  }
+
+  if (value <= 0) {
+    throw new InvalidPackageError(field, "must be greater than zero", value);
+  }
+
+  return value;
+}
+
+/**
+ * Validates the three package dimensions.
+ *
+ * @param {number} width - Package width in centimeters
+ * @param {number} height - Package height in centimeters
+ * @param {number} length - Package length in centimeters
+ * @throws {InvalidPackageError} If any dimension is invalid
+ */
+function validateDimensions(width, height, length) {
+  validateMeasurement("width", width);
+  validateMeasurement("height", height);
+  validateMeasurement("length", length);
+}
+
+/**
+ * Validates the package mass.
+ *
+ * @param {number} mass - Package mass in kilograms
+ * @throws {InvalidPackageError} If the mass is invalid
+ */
+function validateMass(mass) {
+  validateMeasurement("mass", mass);
+}
+
+module.exports = {
+  InvalidPackageError,
+  validateMeasurement,
+  validateDimensions,
+  validateMass,
+};
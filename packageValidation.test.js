@@ -0,0 +1,67 @@
+const {
+  InvalidPackageError,
+  validateMeasurement,
+  validateDimensions,
+  validateMass,
+} = require("./packageValidation");
+
+const { invalidMeasurementTestData } = require("./testData");
+
+describe("InvalidPackageError", () => {
+  test("should expose field, reason and value", () => {
+    const error = new InvalidPackageError("mass", "must not be NaN", NaN);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe("InvalidPackageError");
+    expect(error.field).toBe("mass");
+    expect(error.reason).toBe("must not be NaN");
+    expect(error.value).toBeNaN();
+    expect(error.message).toBe("Invalid package mass: must not be NaN");
+  });
+});
+
+describe("validateMeasurement function", () => {
+  describe("should reject invalid readings", () => {
+    invalidMeasurementTestData.forEach(({ value, reason, description }) => {
+      test(`${description}`, () => {
+        expect(() => validateMeasurement("width", value)).toThrow(
+          InvalidPackageError
+        );
+        expect(() => validateMeasurement("width", value)).toThrow(
+          `Invalid package width: ${reason}`
+        );
+      });
+    });
+  });
+
+  test("should return valid readings unchanged", () => {
+    expect(validateMeasurement("width", 0.01)).toBe(0.01);
+    expect(validateMeasurement("width", 150)).toBe(150);
+  });
+});
+
+describe("validateDimensions function", () => {
+  test("should name the offending dimension", () => {
+    try {
+      validateDimensions(10, -1, 10);
+      throw new Error("expected validateDimensions to throw");
+    } catch (error) {
+      expect(error).toBeInstanceOf(InvalidPackageError);
+      expect(error.field).toBe("height");
+    }
+  });
+
+  test("should accept valid dimensions", () => {
+    expect(() => validateDimensions(10, 20, 30)).not.toThrow();
+  });
+});
+
+describe("validateMass function", () => {
+  test("should reject invalid mass with field name", () => {
+    expect(() => validateMass(NaN)).toThrow("Invalid package mass");
+  });
+
+  test("should accept valid mass", () => {
+    expect(() => validateMass(20)).not.toThrow();
+  });
+});
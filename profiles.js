@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Facility Rule Profiles
+ *
+ * A registry of named profiles, each bundling the thresholds, rules and stack
+ * names one facility sorts with. A profile can extend a base profile and
+ * override only what differs:
+ *
+ * - thresholds, `opening`, `dimensionalWeight` and `tolerance` replace the
+ *   base values
+ * - `rules` replaces the base rules; `removeRules` and `addRules` edit them.
+ *   The `disabledTags` of a rule config given for either stay switched off.
+ * - `stacks` lists the stacks the facility has; every rule must produce one
+ *   of them. Without it, the stacks are whatever the rules produce.
+ *
+ * Each profile gets its own sorter and RuleEngine, built when the profile is
+ * defined so a bad profile fails immediately.
+ *
+ * @example
+ * const { profiles } = require('./packageSorting');
+ * profiles.define("BASE", {});
+ * profiles.define("DEN-1", { extends: "BASE", massThreshold: 30 });
+ * profiles.define("MEM-1", {
+ *   extends: "BASE",
+ *   addRules: [{ name: "fragile", condition: (pkg) => pkg.fragile, result: "FRAGILE", priority: 0 }],
+ * });
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const { CLASSIFICATION_RULES } = require("./packageSortingConfig");
+const {
+  isAnnotationRule,
+  parseRuleConfig,
+  parseRuleConfigText,
+} = require("./ruleSchema");
+
+const PROFILE_KEYS = [
+  "extends",
+  "description",
+  "volumeThreshold",
+  "dimensionThreshold",
+  "massThreshold",
+  "opening",
+  "dimensionalWeight",
+  "tolerance",
+  "rules",
+  "addRules",
+  "removeRules",
+  "stacks",
+];
+
+// Settings a profile inherits unchanged unless it gives its own value
+const INHERITED_KEYS = [
+  "volumeThreshold",
+  "dimensionThreshold",
+  "massThreshold",
+  "opening",
+  "dimensionalWeight",
+  "tolerance",
+  "stacks",
+];
+
+/**
+ * Accepts rule objects, or a declarative rule config or its JSON text
+ * @param {Array<ClassificationRule>|RuleConfig|string} rules - Rules
+ * @returns {{rules: Array<ClassificationRule>, disabledTags: Array<string>}}
+ *   Rule objects, and the config's disabled tags
+ * @private
+ */
+function toRuleArray(rules) {
+  if (Array.isArray(rules)) {
+    return { rules, disabledTags: [] };
+  }
+  const config = typeof rules === "string" ? parseRuleConfigText(rules) : rules;
+  return {
+    rules: parseRuleConfig(config),
+    disabledTags: config.disabledTags ?? [],
+  };
+}
+
+/**
+ * Registry of named sorting profiles.
+ *
+ * Use the `profiles` registry exported by packageSorting.js, or
+ * `createProfileRegistry()` for a separate one.
+ *
+ * @class ProfileRegistry
+ */
+class ProfileRegistry {
+  /**
+   * @param {Function} sorterFactory - Builds a sorter from SorterOptions;
+   *   normally `createSorter`
+   */
+  constructor(sorterFactory) {
+    if (typeof sorterFactory !== "function") {
+      throw new Error("ProfileRegistry needs a sorter factory function");
+    }
+    this._sorterFactory = sorterFactory;
+    this._profiles = new Map();
+  }
+
+  /**
+   * Defines a profile. A base profile must be defined before the profiles
+   * that extend it.
+   *
+   * @param {string} name - Profile name, e.g. "DEN-1"
+   * @param {ProfileDefinition} definition - Settings, and optionally the base
+   *   profile to extend
+   * @returns {ResolvedProfile} The profile with inheritance applied
+   * @throws {Error} If the name is taken, the base is unknown, a setting is
+   *   invalid, or a rule produces a stack the profile doesn't list
+   *
+   * @example
+   * profiles.define("DEN-1", { extends: "BASE", massThreshold: 30 });
+   */
+  define(name, definition) {
+    if (typeof name !== "string" || name.trim() === "") {
+      throw new Error("Profile name must be a non-empty string");
+    }
+    if (this._profiles.has(name)) {
+      throw new Error(`Profile "${name}" is already defined`);
+    }
+    if (!definition || typeof definition !== "object") {
+      throw new Error(`Profile "${name}" must be an object`);
+    }
+    for (const key of Object.keys(definition)) {
+      if (!PROFILE_KEYS.includes(key)) {
+        throw new Error(`Profile "${name}" has unknown setting "${key}"`);
+      }
+    }
+
+    const resolved = this._resolve(name, definition);
+    const sorter = this._sorterFactory({
+      volumeThreshold: resolved.volumeThreshold,
+      dimensionThreshold: resolved.dimensionThreshold,
+      massThreshold: resolved.massThreshold,
+      opening: resolved.opening,
+      dimensionalWeight: resolved.dimensionalWeight,
+      tolerance: resolved.tolerance,
+      rules: resolved.rules,
+      disabledTags: resolved.disabledTags,
+    });
+
+    this._profiles.set(name, { resolved, sorter });
+    return resolved;
+  }
+
+  /**
+   * Applies a definition on top of its base profile
+   * @param {string} name - Profile name
+   * @param {ProfileDefinition} definition - Profile settings
+   * @returns {ResolvedProfile} Frozen resolved profile
+   * @throws {Error} If the definition cannot be resolved
+   * @private
+   */
+  _resolve(name, definition) {
+    let base = null;
+    if (definition.extends !== undefined) {
+      if (!this._profiles.has(definition.extends)) {
+        throw new Error(
+          `Profile "${name}" extends unknown profile "${definition.extends}"`
+        );
+      }
+      base = this._profiles.get(definition.extends).resolved;
+    }
+
+    const resolved = { name, extends: definition.extends ?? null };
+    for (const key of INHERITED_KEYS) {
+      resolved[key] = definition[key] ?? (base ? base[key] : undefined);
+    }
+
+    // Replacing the rules drops the base's disabled tags, as loadRuleSet does
+    const source =
+      definition.rules !== undefined
+        ? toRuleArray(definition.rules)
+        : {
+            rules: base ? base.rules : CLASSIFICATION_RULES,
+            disabledTags: base ? base.disabledTags : [],
+          };
+    let rules = [...source.rules];
+
+    for (const ruleName of definition.removeRules ?? []) {
+      if (!rules.some((rule) => rule.name === ruleName)) {
+        throw new Error(
+          `Profile "${name}" cannot remove unknown rule "${ruleName}"`
+        );
+      }
+      rules = rules.filter((rule) => rule.name !== ruleName);
+    }
+
+    const added = toRuleArray(definition.addRules ?? []);
+    for (const rule of added.rules) {
+      if (rules.some((existing) => existing.name === rule.name)) {
+        throw new Error(
+          `Profile "${name}" already has a rule named "${rule.name}"; remove it first to replace it`
+        );
+      }
+      rules.push(rule);
+    }
+    resolved.rules = Object.freeze(rules);
+    resolved.disabledTags = Object.freeze([
+      ...new Set([...source.disabledTags, ...added.disabledTags]),
+    ]);
+
+    if (resolved.stacks !== undefined) {
+      if (
+        !Array.isArray(resolved.stacks) ||
+        resolved.stacks.some((stack) => typeof stack !== "string")
+      ) {
+        throw new Error(`Profile "${name}" stacks must be an array of strings`);
+      }
+      // Annotation rules add flags, not stacks
+      for (const rule of rules.filter((rule) => !isAnnotationRule(rule))) {
+        if (!resolved.stacks.includes(rule.result)) {
+          throw new Error(
+            `Profile "${name}" rule "${rule.name}" produces stack "${rule.result}", which is not in its stacks`
+          );
+        }
+      }
+    } else {
+      resolved.stacks = [
+        ...new Set(
+          rules
+            .filter((rule) => !isAnnotationRule(rule))
+            .map((rule) => rule.result)
+        ),
+      ];
+    }
+    resolved.stacks = Object.freeze([...resolved.stacks]);
+
+    return Object.freeze(resolved);
+  }
+
+  /**
+   * Removes a profile.
+   *
+   * @param {string} name - Profile name
+   * @throws {Error} If the profile is unknown or another profile extends it
+   */
+  remove(name) {
+    this._entry(name);
+    const child = [...this._profiles.values()].find(
+      ({ resolved }) => resolved.extends === name
+    );
+    if (child) {
+      throw new Error(
+        `Profile "${name}" cannot be removed while "${child.resolved.name}" extends it`
+      );
+    }
+    this._profiles.delete(name);
+  }
+
+  /**
+   * @param {string} name - Profile name
+   * @returns {boolean} Whether the profile is defined
+   */
+  has(name) {
+    return this._profiles.has(name);
+  }
+
+  /**
+   * @returns {Array<string>} Defined profile names, in definition order
+   */
+  names() {
+    return [...this._profiles.keys()];
+  }
+
+  /**
+   * Looks up a profile's settings with inheritance applied.
+   *
+   * @param {string} name - Profile name
+   * @returns {ResolvedProfile} Resolved profile
+   * @throws {Error} If the profile is unknown
+   */
+  resolve(name) {
+    return this._entry(name).resolved;
+  }
+
+  /**
+   * Returns the sorter bound to a profile.
+   *
+   * @param {string} name - Profile name
+   * @returns {Sorter} The profile's sorter
+   * @throws {Error} If the profile is unknown
+   *
+   * @example
+   * profiles.sorter("DEN-1").sort(50, 30, 20, 25); // "STANDARD"
+   */
+  sorter(name) {
+    return this._entry(name).sorter;
+  }
+
+  /**
+   * Returns the rule engine bound to a profile.
+   *
+   * @param {string} name - Profile name
+   * @returns {RuleEngine} The profile's engine
+   * @throws {Error} If the profile is unknown
+   */
+  engine(name) {
+    return this._entry(name).sorter.engine;
+  }
+
+  /**
+   * Looks up a registry entry
+   * @param {string} name - Profile name
+   * @returns {{resolved: ResolvedProfile, sorter: Sorter}} Entry
+   * @throws {Error} If the profile is unknown
+   * @private
+   */
+  _entry(name) {
+    const entry = this._profiles.get(name);
+    if (!entry) {
+      throw new Error(`Unknown profile "${name}"`);
+    }
+    return entry;
+  }
+}
+
+/**
+ * @typedef {Object} ProfileDefinition
+ * @property {string} [extends] - Name of the base profile
+ * @property {string} [description] - Free text
+ * @property {number} [volumeThreshold] - Bulky volume limit in cm³
+ * @property {number} [dimensionThreshold] - Bulky dimension limit in cm
+ * @property {number} [massThreshold] - Heavy mass limit in kg
+ * @property {Opening} [opening] - Bin or chute opening
+ * @property {DimensionalWeightOptions} [dimensionalWeight] - Divisor settings
+ * @property {Tolerance} [tolerance] - Measuring device accuracy
+ * @property {Array<ClassificationRule>|RuleConfig} [rules] - Replaces the
+ *   base rules
+ * @property {Array<ClassificationRule>|RuleConfig} [addRules] - Added to the
+ *   base rules
+ * @property {Array<string>} [removeRules] - Names of base rules to drop
+ * @property {Array<string>} [stacks] - Stack names the facility has
+ */
+
+/**
+ * @typedef {Object} ResolvedProfile
+ * @property {string} name - Profile name
+ * @property {string|null} extends - Base profile name
+ * @property {number} [volumeThreshold] - Bulky volume limit, if overridden
+ * @property {number} [dimensionThreshold] - Bulky dimension limit, if overridden
+ * @property {number} [massThreshold] - Heavy mass limit, if overridden
+ * @property {Opening} [opening] - Bin or chute opening
+ * @property {DimensionalWeightOptions} [dimensionalWeight] - Divisor settings
+ * @property {Tolerance} [tolerance] - Measuring device accuracy
+ * @property {ReadonlyArray<ClassificationRule>} rules - Final rule list
+ * @property {ReadonlyArray<string>} disabledTags - Tags switched off by the
+ *   rule configs the profile and its bases were built from
+ * @property {ReadonlyArray<string>} stacks - Stack names
+ */
+
+module.exports = {
+  ProfileRegistry,
+};
@@ -0,0 +1,235 @@
+const { ProfileRegistry } = require("./profiles");
+const { createSorter, createProfileRegistry } = require("./packageSorting");
+const {
+  STANDARD,
+  SPECIAL,
+  REJECTED,
+  CLASSIFICATION_RULES,
+} = require("./packageSortingConfig");
+
+const fragileRule = {
+  name: "fragile",
+  condition: (pkg) => pkg.fragile === true,
+  result: "FRAGILE",
+  priority: 0,
+};
+
+describe("ProfileRegistry", () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createProfileRegistry();
+    registry.define("BASE", {
+      description: "Company defaults",
+      stacks: [STANDARD, SPECIAL, REJECTED],
+    });
+  });
+
+  test("should require a sorter factory", () => {
+    expect(() => new ProfileRegistry()).toThrow(
+      "ProfileRegistry needs a sorter factory function"
+    );
+  });
+
+  test("should give a root profile the default rules and thresholds", () => {
+    const base = registry.resolve("BASE");
+    expect(base.name).toBe("BASE");
+    expect(base.extends).toBeNull();
+    expect(base.rules.map((rule) => rule.name)).toEqual(
+      CLASSIFICATION_RULES.map((rule) => rule.name)
+    );
+    expect(base.stacks).toEqual([STANDARD, SPECIAL, REJECTED]);
+    expect(registry.sorter("BASE").thresholds).toEqual(
+      createSorter().thresholds
+    );
+    expect(Object.isFrozen(base)).toBe(true);
+  });
+
+  test("should inherit everything the profile does not override", () => {
+    registry.define("DEN-1", { extends: "BASE", massThreshold: 30 });
+    const denver = registry.resolve("DEN-1");
+
+    expect(denver.extends).toBe("BASE");
+    expect(denver.stacks).toEqual([STANDARD, SPECIAL, REJECTED]);
+    expect(registry.sorter("DEN-1").thresholds.massThreshold).toBe(30);
+    expect(registry.sorter("DEN-1").sort(50, 30, 20, 25)).toBe(STANDARD);
+    expect(registry.sorter("BASE").sort(50, 30, 20, 25)).toBe(SPECIAL);
+  });
+
+  test("should inherit the device tolerance", () => {
+    registry.define("DEN", { extends: "BASE", tolerance: { mass: 0.2 } });
+    registry.define("DEN-2", { extends: "DEN", massThreshold: 30 });
+    expect(registry.sorter("DEN-2").tolerance).toEqual({
+      dimension: 0,
+      mass: 0.2,
+    });
+  });
+
+  test("should inherit through several levels", () => {
+    registry.define("DEN", { extends: "BASE", massThreshold: 30 });
+    registry.define("DEN-2", { extends: "DEN", dimensionThreshold: 120 });
+
+    expect(registry.sorter("DEN-2").thresholds).toMatchObject({
+      massThreshold: 30,
+      dimensionThreshold: 120,
+    });
+    expect(registry.sorter("DEN-2").sort(130, 30, 20, 25)).toBe(SPECIAL);
+  });
+
+  test("should add rules and stacks on top of the base", () => {
+    registry.define("MEM-1", {
+      extends: "BASE",
+      addRules: [fragileRule],
+      stacks: [STANDARD, SPECIAL, REJECTED, "FRAGILE"],
+    });
+    const memphis = registry.sorter("MEM-1");
+
+    expect(registry.resolve("MEM-1").rules).toHaveLength(
+      CLASSIFICATION_RULES.length + 1
+    );
+    expect(
+      memphis.engine.evaluate({ bulky: false, heavy: false, fragile: true })
+    ).toBe("FRAGILE");
+    expect(memphis.sort(50, 30, 20, 10)).toBe(STANDARD);
+  });
+
+  test("should not count annotation flags as stacks", () => {
+    const teamLift = {
+      name: "team-lift",
+      type: "annotation",
+      condition: (pkg) => pkg.mass >= 23,
+      result: "TEAM_LIFT",
+      priority: 0,
+    };
+    registry.define("LIFT", { extends: "BASE", addRules: [teamLift] });
+    registry.define("LIFT-ROOT", {
+      rules: [teamLift, ...CLASSIFICATION_RULES],
+    });
+
+    expect(registry.resolve("LIFT").stacks).toEqual([
+      STANDARD,
+      SPECIAL,
+      REJECTED,
+    ]);
+    expect(registry.resolve("LIFT-ROOT").stacks).not.toContain("TEAM_LIFT");
+    expect(
+      registry.sorter("LIFT").engine.evaluateAll({ mass: 25, heavy: true })
+        .flags
+    ).toEqual(["TEAM_LIFT"]);
+  });
+
+  test("should remove base rules and replace them", () => {
+    registry.define("NO-REJECT", {
+      extends: "BASE",
+      removeRules: ["rejected-packages"],
+      addRules: [
+        {
+          name: "rejected-packages",
+          condition: (pkg) => pkg.bulky && pkg.heavy,
+          result: SPECIAL,
+          priority: 1,
+        },
+      ],
+    });
+
+    expect(registry.sorter("NO-REJECT").sort(200, 100, 50, 25)).toBe(SPECIAL);
+  });
+
+  test("should replace the rules outright with a declarative config", () => {
+    registry.define("FLAT", {
+      rules: {
+        rules: [
+          { name: "all", condition: true, result: STANDARD, priority: 0 },
+        ],
+      },
+    });
+
+    expect(registry.resolve("FLAT").stacks).toEqual([STANDARD]);
+    expect(registry.sorter("FLAT").sort(200, 100, 50, 25)).toBe(STANDARD);
+  });
+
+  test("should keep the disabled tags of rule configs", () => {
+    const peakConfig = {
+      rules: [
+        {
+          name: "peak",
+          condition: true,
+          result: "PEAK",
+          priority: 0,
+          tags: ["holiday-peak"],
+        },
+      ],
+      disabledTags: ["holiday-peak"],
+    };
+    registry.define("PEAK", {
+      extends: "BASE",
+      addRules: peakConfig,
+      stacks: [STANDARD, SPECIAL, REJECTED, "PEAK"],
+    });
+    registry.define("PEAK-2", { extends: "PEAK", massThreshold: 30 });
+    registry.define("PEAK-FLAT", {
+      rules: JSON.stringify({
+        ...peakConfig,
+        rules: [
+          ...peakConfig.rules,
+          { name: "all", condition: true, result: STANDARD, priority: 1 },
+        ],
+      }),
+    });
+
+    expect(registry.resolve("PEAK").disabledTags).toEqual(["holiday-peak"]);
+    expect(registry.sorter("PEAK").sort(50, 30, 20, 10)).toBe(STANDARD);
+    expect(registry.sorter("PEAK-2").engine.disabledTags).toEqual([
+      "holiday-peak",
+    ]);
+    expect(registry.sorter("PEAK-FLAT").sort(50, 30, 20, 10)).toBe(STANDARD);
+    expect(registry.resolve("BASE").disabledTags).toEqual([]);
+  });
+
+  test("should expose the profile's engine", () => {
+    expect(registry.engine("BASE")).toBe(registry.sorter("BASE").engine);
+  });
+
+  test("should list, check and remove profiles", () => {
+    registry.define("DEN-1", { extends: "BASE" });
+    expect(registry.names()).toEqual(["BASE", "DEN-1"]);
+    expect(registry.has("DEN-1")).toBe(true);
+
+    expect(() => registry.remove("BASE")).toThrow(
+      'Profile "BASE" cannot be removed while "DEN-1" extends it'
+    );
+    registry.remove("DEN-1");
+    expect(registry.has("DEN-1")).toBe(false);
+    expect(() => registry.sorter("DEN-1")).toThrow('Unknown profile "DEN-1"');
+  });
+
+  [
+    [["", {}], "Profile name must be a non-empty string"],
+    [["BASE", {}], 'Profile "BASE" is already defined'],
+    [["X", null], 'Profile "X" must be an object'],
+    [["X", { threshold: 5 }], 'Profile "X" has unknown setting "threshold"'],
+    [["X", { extends: "HQ" }], 'Profile "X" extends unknown profile "HQ"'],
+    [
+      ["X", { removeRules: ["nope"] }],
+      'Profile "X" cannot remove unknown rule "nope"',
+    ],
+    [
+      ["X", { addRules: [{ ...fragileRule, name: "standard-packages" }] }],
+      'Profile "X" already has a rule named "standard-packages"',
+    ],
+    [
+      ["X", { extends: "BASE", addRules: [fragileRule] }],
+      'Profile "X" rule "fragile" produces stack "FRAGILE", which is not in its stacks',
+    ],
+    [["X", { stacks: "STANDARD" }], 'Profile "X" stacks must be an array'],
+    [
+      ["X", { massThreshold: -1 }],
+      "Sorter massThreshold must be a positive finite number",
+    ],
+  ].forEach(([[name, definition], message]) => {
+    test(`should reject ${JSON.stringify(definition)} as "${name}"`, () => {
+      expect(() => registry.define(name, definition)).toThrow(message);
+      expect(registry.names()).toEqual(["BASE"]);
+    });
+  });
+});
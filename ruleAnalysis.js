@@ -0,0 +1,359 @@
+/**
+ * @fileoverview Rule Set Analysis
+ *
+ * Checks a rule set for mistakes that the engine would otherwise only reveal
+ * while sorting, or never reveal at all:
+ *
+ * - `missing-default` - some packages match no rule, so `evaluate` throws
+ * - `duplicate-name` - two rules share a name
+ * - `priority-tie` - rules share a priority, so their order depends on the
+ *   order they were added in
+ * - `shadowed-rule` - a rule can never fire because a higher-priority rule
+ *   always wins first
+ * - `unreachable-stack` - a stack that no reachable rule produces
+ * - `condition-error` - a condition threw on one of the samples
+ * - `disabled-rule` - a rule is switched off, on its own or by a tag
+ *
+ * Disabled rules take no part in the checks that depend on evaluation, so a
+ * stack that only disabled rules produce is unreachable.
+ *
+ * Declarative rules (those with an `expression`) are checked statically: a
+ * `true` expression is a catch-all, and a rule whose expression repeats an
+ * earlier one is shadowed by it. Every rule, including ones that only have a
+ * condition function, is also run against a set of sample packages.
+ *
+ * A rule with a schedule is only active some of the time, so it never
+ * shadows the rules after it, and a scheduled `true` rule is not a default.
+ * Annotation rules only add flags, so they are checked for condition errors
+ * but take no part in the stack checks.
+ *
+ * @example
+ * const { analyzeRules } = require('./ruleAnalysis');
+ * const report = analyzeRules(rules, { stacks: ["STANDARD", "SPECIAL"] });
+ * if (!report.ok) console.error(report.issues);
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const {
+  VOLUME_THRESHOLD,
+  DIMENSION_THRESHOLD,
+  MASS_THRESHOLD,
+} = require("./packageSortingConfig");
+const { isAnnotationRule, isRuleEnabled } = require("./ruleSchema");
+const { hasSchedule } = require("./ruleSchedule");
+
+const SAMPLE_DIMENSIONS = [
+  [10, 10, 10], // small
+  [DIMENSION_THRESHOLD - 1, 10, 10], // just under the dimension limit
+  [DIMENSION_THRESHOLD, 10, 10], // oversized dimension
+  [100, 100, 100], // bulky by volume
+  [DIMENSION_THRESHOLD, DIMENSION_THRESHOLD, DIMENSION_THRESHOLD], // both
+];
+
+const SAMPLE_MASSES = [1, MASS_THRESHOLD - 0.1, MASS_THRESHOLD, 100];
+
+/**
+ * Builds the default sample packages: each combination of the sample
+ * dimensions and masses, with `bulky` and `heavy` computed from the default
+ * thresholds
+ * @returns {Array<PackageData>} Sample package data
+ * @private
+ */
+function defaultSamples() {
+  return SAMPLE_DIMENSIONS.flatMap(([width, height, length]) =>
+    SAMPLE_MASSES.map((mass) => ({
+      width,
+      height,
+      length,
+      mass,
+      bulky:
+        width >= DIMENSION_THRESHOLD ||
+        height >= DIMENSION_THRESHOLD ||
+        length >= DIMENSION_THRESHOLD ||
+        width * height * length >= VOLUME_THRESHOLD,
+      heavy: mass >= MASS_THRESHOLD,
+    }))
+  );
+}
+
+/**
+ * Formats rule names for messages
+ * @param {Array<string>} names - Rule names
+ * @returns {string} Quoted, comma-separated names
+ * @private
+ */
+function quoteNames(names) {
+  return names.map((name) => `"${name}"`).join(", ");
+}
+
+/**
+ * Runs a condition against a sample, treating a throw as no match
+ * @param {ClassificationRule} rule - Rule to test
+ * @param {PackageData} sample - Sample package data
+ * @returns {{matched: boolean, error: (Error|undefined)}} Outcome
+ * @private
+ */
+function testRule(rule, sample) {
+  try {
+    return { matched: Boolean(rule.condition(sample)), error: undefined };
+  } catch (error) {
+    return { matched: false, error };
+  }
+}
+
+/**
+ * Analyzes a rule set.
+ *
+ * @param {Array<ClassificationRule>} rules - Rules to analyze, in any order
+ * @param {Object} [options={}] - Analysis options
+ * @param {Array<PackageData>} [options.samples] - Package data to run the
+ *   rules against; defaults to packages around the default thresholds
+ * @param {Array<string>} [options.stacks] - Stacks the rule set is expected
+ *   to produce; any that no reachable rule produces are reported
+ * @param {Array<string>} [options.disabledTags] - Tags whose rules are
+ *   switched off
+ * @returns {RuleAnalysis} Analysis report
+ * @throws {Error} If rules or samples are not arrays
+ *
+ * @example
+ * analyzeRules([
+ *   { name: "all", condition: () => true, result: "STANDARD", priority: 0 },
+ *   { name: "heavy", condition: (pkg) => pkg.heavy, result: "SPECIAL", priority: 1 },
+ * ]).issues;
+ * // [{ type: "shadowed-rule", rules: ["heavy", "all"], ... },
+ * //  { type: "unreachable-stack", stack: "SPECIAL", ... }]
+ */
+function analyzeRules(rules, options = {}) {
+  const {
+    samples = defaultSamples(),
+    stacks = [],
+    disabledTags = [],
+  } = options;
+
+  if (!Array.isArray(rules)) {
+    throw new Error("Rules must be an array");
+  }
+  if (!Array.isArray(samples)) {
+    throw new Error("Samples must be an array");
+  }
+
+  const ordered = [...rules].sort((a, b) => a.priority - b.priority);
+  const orderedStackRules = ordered.filter((rule) => !isAnnotationRule(rule));
+  const issues = [];
+
+  // Duplicate names
+  const byName = new Map();
+  for (const rule of ordered) {
+    byName.set(rule.name, (byName.get(rule.name) ?? 0) + 1);
+  }
+  for (const [name, count] of byName) {
+    if (count > 1) {
+      issues.push({
+        type: "duplicate-name",
+        severity: "error",
+        rules: [name],
+        message: `Rule name "${name}" is used by ${count} rules`,
+      });
+    }
+  }
+
+  // Priority ties; the order of annotation rules only orders their flags
+  const byPriority = new Map();
+  for (const rule of orderedStackRules) {
+    byPriority.set(rule.priority, [
+      ...(byPriority.get(rule.priority) ?? []),
+      rule.name,
+    ]);
+  }
+  for (const [priority, names] of byPriority) {
+    if (names.length > 1) {
+      issues.push({
+        type: "priority-tie",
+        severity: "warning",
+        rules: names,
+        message: `Rules ${quoteNames(
+          names
+        )} share priority ${priority}; they run in the order they were added`,
+      });
+    }
+  }
+
+  // Disabled rules
+  const active = ordered.filter((rule) => isRuleEnabled(rule, disabledTags));
+  for (const rule of ordered) {
+    if (active.includes(rule)) {
+      continue;
+    }
+    const tag =
+      rule.enabled === false
+        ? undefined
+        : rule.tags.find((ruleTag) => disabledTags.includes(ruleTag));
+    issues.push({
+      type: "disabled-rule",
+      severity: "info",
+      rules: [rule.name],
+      message:
+        tag === undefined
+          ? `Rule "${rule.name}" is disabled`
+          : `Rule "${rule.name}" is disabled by tag "${tag}"`,
+    });
+  }
+
+  // Annotation rules add flags alongside the stack, so they neither win,
+  // shadow nor produce stacks; they are only checked for condition errors
+  const stackRules = active.filter((rule) => !isAnnotationRule(rule));
+  const annotationRules = active.filter(isAnnotationRule);
+
+  // Run every enabled stack rule against every sample, recording which rule wins.
+  // Scheduled rules win when they match but let the sample fall through.
+  const scheduled = new Set(stackRules.filter(hasSchedule));
+  const wins = stackRules.map(() => 0);
+  const beatenBy = stackRules.map(() => new Set());
+  const unmatchedSamples = [];
+  const conditionErrors = new Map();
+
+  for (const sample of samples) {
+    let winner = -1;
+    stackRules.forEach((rule, index) => {
+      const { matched, error } = testRule(rule, sample);
+      if (error && !conditionErrors.has(rule.name)) {
+        conditionErrors.set(rule.name, error);
+      }
+      if (!matched) {
+        return;
+      }
+      if (winner === -1) {
+        if (!scheduled.has(rule)) {
+          winner = index;
+        }
+        wins[index]++;
+      } else {
+        beatenBy[index].add(stackRules[winner].name);
+      }
+    });
+    if (winner === -1) {
+      unmatchedSamples.push(sample);
+    }
+    for (const rule of annotationRules) {
+      const { error } = testRule(rule, sample);
+      if (error && !conditionErrors.has(rule.name)) {
+        conditionErrors.set(rule.name, error);
+      }
+    }
+  }
+
+  const catchAllIndex = stackRules.findIndex(
+    (rule) => rule.expression === true && !scheduled.has(rule)
+  );
+
+  if (catchAllIndex === -1 && unmatchedSamples.length > 0) {
+    issues.push({
+      type: "missing-default",
+      severity: "error",
+      rules: [],
+      samples: unmatchedSamples,
+      message: `No rule matches ${unmatchedSamples.length} of ${samples.length} sample packages; add a default rule with condition true`,
+    });
+  }
+
+  for (const [name, error] of conditionErrors) {
+    issues.push({
+      type: "condition-error",
+      severity: "warning",
+      rules: [name],
+      message: `Rule "${name}" threw while analyzing samples: ${error.message}`,
+    });
+  }
+
+  // Shadowed rules
+  const shadowed = new Set();
+  stackRules.forEach((rule, index) => {
+    let shadowedBy = [];
+
+    if (catchAllIndex !== -1 && index > catchAllIndex) {
+      shadowedBy = [stackRules[catchAllIndex].name];
+    } else if (rule.expression !== undefined) {
+      const serialized = JSON.stringify(rule.expression);
+      const duplicate = stackRules
+        .slice(0, index)
+        .find(
+          (earlier) =>
+            earlier.expression !== undefined &&
+            !scheduled.has(earlier) &&
+            JSON.stringify(earlier.expression) === serialized
+        );
+      if (duplicate) {
+        shadowedBy = [duplicate.name];
+      }
+    }
+
+    // A rule that matched some samples but never won any is beaten every time
+    if (shadowedBy.length === 0 && wins[index] === 0 && beatenBy[index].size) {
+      shadowedBy = [...beatenBy[index]];
+    }
+
+    if (shadowedBy.length > 0) {
+      shadowed.add(rule);
+      issues.push({
+        type: "shadowed-rule",
+        severity: "warning",
+        rules: [rule.name, ...shadowedBy],
+        message: `Rule "${rule.name}" never fires: ${quoteNames(
+          shadowedBy
+        )} always matches first`,
+      });
+    }
+  });
+
+  // Stacks that only shadowed or disabled rules (or no rules) produce
+  const reachableStacks = new Set(
+    stackRules.filter((rule) => !shadowed.has(rule)).map((rule) => rule.result)
+  );
+  const allStacks = [
+    ...new Set([...stacks, ...orderedStackRules.map((rule) => rule.result)]),
+  ];
+  for (const stack of allStacks) {
+    if (!reachableStacks.has(stack)) {
+      issues.push({
+        type: "unreachable-stack",
+        severity: "warning",
+        rules: orderedStackRules
+          .filter((rule) => rule.result === stack)
+          .map((rule) => rule.name),
+        stack,
+        message: `No reachable rule produces stack "${stack}"`,
+      });
+    }
+  }
+
+  return {
+    ok: !issues.some((issue) => issue.severity === "error"),
+    issues,
+  };
+}
+
+/**
+ * @typedef {Object} RuleIssue
+ * @property {string} type - "missing-default", "duplicate-name",
+ *   "priority-tie", "shadowed-rule", "unreachable-stack", "condition-error"
+ *   or "disabled-rule"
+ * @property {string} severity - "error" if evaluation can fail, "info" for a
+ *   disabled rule, else "warning"
+ * @property {Array<string>} rules - Rules involved; for a shadowed rule, the
+ *   rule itself followed by the rules that shadow it
+ * @property {string} message - Human-readable description
+ * @property {string} [stack] - The unreachable stack
+ * @property {Array<PackageData>} [samples] - Samples no rule matched
+ */
+
+/**
+ * @typedef {Object} RuleAnalysis
+ * @property {boolean} ok - True when there are no error-severity issues
+ * @property {Array<RuleIssue>} issues - Everything found, errors and warnings
+ */
+
+module.exports = {
+  analyzeRules,
+};
@@ -0,0 +1,387 @@
+const { analyzeRules } = require("./ruleAnalysis");
+const { parseRuleConfig } = require("./ruleSchema");
+const {
+  STANDARD,
+  SPECIAL,
+  REJECTED,
+  CLASSIFICATION_RULES,
+} = require("./packageSortingConfig");
+
+const issuesOfType = (report, type) =>
+  report.issues.filter((issue) => issue.type === type);
+
+describe("analyzeRules", () => {
+  test("should find nothing wrong with CLASSIFICATION_RULES", () => {
+    expect(
+      analyzeRules(CLASSIFICATION_RULES, {
+        stacks: [STANDARD, SPECIAL, REJECTED],
+      })
+    ).toEqual({ ok: true, issues: [] });
+  });
+
+  describe("missing-default", () => {
+    test("should report samples that no rule matches", () => {
+      const report = analyzeRules(CLASSIFICATION_RULES.slice(0, 2));
+      const [issue] = issuesOfType(report, "missing-default");
+
+      expect(report.ok).toBe(false);
+      expect(issue.severity).toBe("error");
+      expect(issue.samples.length).toBeGreaterThan(0);
+      issue.samples.forEach((sample) => {
+        expect(sample).toMatchObject({ bulky: false, heavy: false });
+      });
+    });
+
+    test("should use the given samples", () => {
+      const rules = CLASSIFICATION_RULES.slice(0, 2);
+
+      expect(
+        analyzeRules(rules, { samples: [{ bulky: true, heavy: false }] }).ok
+      ).toBe(true);
+    });
+
+    test("should not be reported when a function rule always matches", () => {
+      const report = analyzeRules([
+        { name: "all", condition: () => true, result: STANDARD, priority: 1 },
+      ]);
+
+      expect(issuesOfType(report, "missing-default")).toEqual([]);
+    });
+  });
+
+  test("should report duplicate names", () => {
+    const report = analyzeRules([
+      { name: "dup", condition: () => true, result: STANDARD, priority: 1 },
+      { name: "dup", condition: () => true, result: SPECIAL, priority: 2 },
+    ]);
+
+    expect(report.ok).toBe(false);
+    expect(issuesOfType(report, "duplicate-name")).toEqual([
+      {
+        type: "duplicate-name",
+        severity: "error",
+        rules: ["dup"],
+        message: 'Rule name "dup" is used by 2 rules',
+      },
+    ]);
+  });
+
+  test("should warn about priority ties", () => {
+    const report = analyzeRules([
+      {
+        name: "a",
+        condition: (pkg) => pkg.heavy,
+        result: SPECIAL,
+        priority: 1,
+      },
+      {
+        name: "b",
+        condition: (pkg) => pkg.bulky,
+        result: SPECIAL,
+        priority: 1,
+      },
+      { name: "c", condition: () => true, result: STANDARD, priority: 2 },
+    ]);
+
+    expect(report.ok).toBe(true);
+    expect(issuesOfType(report, "priority-tie")).toEqual([
+      expect.objectContaining({ severity: "warning", rules: ["a", "b"] }),
+    ]);
+  });
+
+  describe("shadowed-rule", () => {
+    test("should flag every rule after a declarative catch-all", () => {
+      const rules = parseRuleConfig({
+        rules: [
+          { name: "default", condition: true, result: STANDARD, priority: 1 },
+          {
+            name: "never",
+            condition: { fact: "mass", gt: 1000 },
+            result: REJECTED,
+            priority: 2,
+          },
+        ],
+      });
+
+      expect(issuesOfType(analyzeRules(rules), "shadowed-rule")).toEqual([
+        expect.objectContaining({ rules: ["never", "default"] }),
+      ]);
+    });
+
+    test("should flag a declarative rule that repeats an earlier one", () => {
+      const rules = parseRuleConfig({
+        rules: [
+          {
+            name: "heavy",
+            condition: { fact: "heavy", eq: true },
+            result: SPECIAL,
+            priority: 1,
+          },
+          {
+            name: "heavy-again",
+            condition: { fact: "heavy", eq: true },
+            result: REJECTED,
+            priority: 2,
+          },
+          { name: "default", condition: true, result: STANDARD, priority: 3 },
+        ],
+      });
+
+      expect(issuesOfType(analyzeRules(rules), "shadowed-rule")).toEqual([
+        expect.objectContaining({ rules: ["heavy-again", "heavy"] }),
+      ]);
+    });
+
+    test("should flag a function rule that never wins on any sample", () => {
+      const report = analyzeRules([
+        { name: "all", condition: () => true, result: STANDARD, priority: 0 },
+        ...CLASSIFICATION_RULES,
+      ]);
+
+      expect(
+        issuesOfType(report, "shadowed-rule").map((issue) => issue.rules)
+      ).toEqual([
+        ["rejected-packages", "all"],
+        ["special-packages", "all"],
+        ["standard-packages", "all"],
+      ]);
+    });
+
+    test("should not let a scheduled rule shadow later rules", () => {
+      const rules = parseRuleConfig({
+        rules: [
+          {
+            name: "night",
+            condition: true,
+            result: "NIGHT",
+            priority: 1,
+            windows: [{ from: "22:00", until: "06:00" }],
+          },
+          {
+            name: "heavy",
+            condition: { fact: "heavy", eq: true },
+            result: SPECIAL,
+            priority: 2,
+          },
+          {
+            name: "heavy-again",
+            condition: { fact: "heavy", eq: true },
+            result: REJECTED,
+            priority: 3,
+            activeUntil: "2030-01-01T00:00:00Z",
+          },
+          { name: "default", condition: true, result: STANDARD, priority: 4 },
+        ],
+      });
+      const report = analyzeRules(rules);
+
+      expect(report.ok).toBe(true);
+      expect(
+        issuesOfType(report, "shadowed-rule").map((issue) => issue.rules)
+      ).toEqual([["heavy-again", "heavy"]]);
+    });
+
+    test("should not treat a scheduled catch-all as a default", () => {
+      const report = analyzeRules(
+        parseRuleConfig({
+          rules: [
+            {
+              name: "night",
+              condition: true,
+              result: "NIGHT",
+              priority: 1,
+              windows: [{ from: "22:00", until: "06:00" }],
+            },
+          ],
+        })
+      );
+      expect(issuesOfType(report, "missing-default")).toHaveLength(1);
+    });
+
+    test("should not flag rules that match no samples", () => {
+      const report = analyzeRules([
+        {
+          name: "fragile",
+          condition: (pkg) => pkg.fragile === true,
+          result: SPECIAL,
+          priority: 1,
+        },
+        {
+          name: "default",
+          condition: () => true,
+          result: STANDARD,
+          priority: 2,
+        },
+      ]);
+
+      expect(issuesOfType(report, "shadowed-rule")).toEqual([]);
+    });
+  });
+
+  describe("unreachable-stack", () => {
+    test("should report stacks produced only by shadowed rules", () => {
+      const report = analyzeRules([
+        { name: "all", condition: () => true, result: STANDARD, priority: 0 },
+        {
+          name: "heavy",
+          condition: (pkg) => pkg.heavy,
+          result: SPECIAL,
+          priority: 1,
+        },
+      ]);
+
+      expect(issuesOfType(report, "unreachable-stack")).toEqual([
+        {
+          type: "unreachable-stack",
+          severity: "warning",
+          rules: ["heavy"],
+          stack: SPECIAL,
+          message: 'No reachable rule produces stack "SPECIAL"',
+        },
+      ]);
+    });
+
+    test("should report expected stacks that no rule produces", () => {
+      const report = analyzeRules(CLASSIFICATION_RULES, {
+        stacks: [STANDARD, "OVERSIZE"],
+      });
+
+      expect(issuesOfType(report, "unreachable-stack")).toEqual([
+        expect.objectContaining({ stack: "OVERSIZE", rules: [] }),
+      ]);
+    });
+  });
+
+  describe("annotation rules", () => {
+    const teamLift = {
+      name: "team-lift",
+      type: "annotation",
+      condition: () => true,
+      expression: true,
+      result: "TEAM_LIFT",
+      priority: 1, // same as rejected-packages
+    };
+
+    test("should take no part in the stack checks", () => {
+      const report = analyzeRules([teamLift, ...CLASSIFICATION_RULES], {
+        stacks: [STANDARD, SPECIAL, REJECTED],
+      });
+
+      // No catch-all shadowing, priority tie or unreachable TEAM_LIFT stack
+      expect(report).toEqual({ ok: true, issues: [] });
+    });
+
+    test("should not count as a default", () => {
+      const report = analyzeRules([
+        teamLift,
+        ...CLASSIFICATION_RULES.slice(0, 2),
+      ]);
+      expect(issuesOfType(report, "missing-default")).toHaveLength(1);
+    });
+
+    test("should report a condition that throws", () => {
+      const report = analyzeRules([
+        {
+          ...teamLift,
+          condition: (pkg) => pkg.label.weight > 23,
+          expression: undefined,
+        },
+        ...CLASSIFICATION_RULES,
+      ]);
+      expect(issuesOfType(report, "condition-error")).toEqual([
+        expect.objectContaining({ rules: ["team-lift"] }),
+      ]);
+    });
+  });
+
+  describe("disabled-rule", () => {
+    const rules = parseRuleConfig({
+      rules: [
+        {
+          name: "peak",
+          condition: { fact: "heavy", eq: true },
+          result: "PEAK",
+          priority: 0,
+          tags: ["holiday-peak"],
+        },
+        {
+          name: "all",
+          condition: true,
+          result: STANDARD,
+          priority: 1,
+          enabled: false,
+        },
+        {
+          name: "default",
+          condition: { fact: "mass", gte: 0 },
+          result: STANDARD,
+          priority: 2,
+        },
+      ],
+    });
+
+    test("should report disabled rules as info", () => {
+      const report = analyzeRules(rules, { disabledTags: ["holiday-peak"] });
+
+      expect(report.ok).toBe(true);
+      expect(issuesOfType(report, "disabled-rule")).toEqual([
+        {
+          type: "disabled-rule",
+          severity: "info",
+          rules: ["peak"],
+          message: 'Rule "peak" is disabled by tag "holiday-peak"',
+        },
+        {
+          type: "disabled-rule",
+          severity: "info",
+          rules: ["all"],
+          message: 'Rule "all" is disabled',
+        },
+      ]);
+    });
+
+    test("should leave disabled rules out of evaluation checks", () => {
+      const report = analyzeRules(rules, { disabledTags: ["holiday-peak"] });
+
+      // The disabled catch-all shadows nothing, and PEAK is unreachable
+      expect(issuesOfType(report, "shadowed-rule")).toEqual([]);
+      expect(issuesOfType(report, "unreachable-stack")).toEqual([
+        expect.objectContaining({ stack: "PEAK", rules: ["peak"] }),
+      ]);
+      expect(issuesOfType(analyzeRules(rules), "shadowed-rule")).toEqual([]);
+    });
+
+    test("should report a missing default when the default is disabled", () => {
+      const report = analyzeRules(
+        CLASSIFICATION_RULES.map((rule) =>
+          rule.expression === true ? { ...rule, enabled: false } : rule
+        )
+      );
+      expect(report.ok).toBe(false);
+      expect(issuesOfType(report, "missing-default")).toHaveLength(1);
+    });
+  });
+
+  test("should report conditions that throw on a sample", () => {
+    const report = analyzeRules([
+      {
+        name: "broken",
+        condition: (pkg) => pkg.dimensions.width > 1,
+        result: SPECIAL,
+        priority: 1,
+      },
+      { name: "default", condition: () => true, result: STANDARD, priority: 2 },
+    ]);
+
+    expect(issuesOfType(report, "condition-error")).toEqual([
+      expect.objectContaining({ severity: "warning", rules: ["broken"] }),
+    ]);
+  });
+
+  test("should reject non-array input", () => {
+    expect(() => analyzeRules(null)).toThrow("Rules must be an array");
+    expect(() => analyzeRules([], { samples: {} })).toThrow(
+      "Samples must be an array"
+    );
+  });
+});
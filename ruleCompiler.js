@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Compiled Rule Sets
+ *
+ * Compiles a declarative rule set into one decision function for the busiest
+ * sorting lines. The comparisons (`{ fact, <operator>: value }` leaves) of
+ * every rule are collected and deduplicated; each package is tested against
+ * every distinct comparison once, and the resulting bit pattern indexes a
+ * decision table, built at compile time, that holds the stack the
+ * highest-priority matching rule would pick.
+ *
+ * Rule sets with more than MAX_TABLE_PREDICATES distinct comparisons fall back
+ * to trying the compiled conditions in priority order.
+ *
+ * Nothing is generated as code: the table is plain data, and comparisons are
+ * compiled by ruleSchema.js, so results match `RuleEngine.evaluate` exactly.
+ * Disabled rules are left out. Compiled rule sets emit no events and keep no
+ * version history.
+ *
+ * @example
+ * const { compileRules } = require('./ruleCompiler');
+ * const compiled = compileRules(CLASSIFICATION_RULES);
+ * compiled.evaluate({ bulky: true, heavy: false }); // "SPECIAL"
+ * compiled.strategy; // "table"
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const {
+  compileCondition,
+  parseRuleConfig,
+  parseRuleConfigText,
+  isAnnotationRule,
+  isRuleEnabled,
+} = require("./ruleSchema");
+const { hasSchedule } = require("./ruleSchedule");
+
+/**
+ * Largest number of distinct comparisons compiled into a decision table; the
+ * table has 2^n entries
+ * @type {number}
+ */
+const MAX_TABLE_PREDICATES = 12;
+
+const NO_MATCH = -1;
+
+/**
+ * Collects the distinct comparison leaves of an expression tree
+ * @param {RuleExpression} expression - Validated expression
+ * @param {Map<string, Object>} leaves - Receives leaves keyed by their JSON
+ * @private
+ */
+function collectLeaves(expression, leaves) {
+  if (typeof expression === "boolean") {
+    return;
+  }
+  if ("fact" in expression) {
+    const key = JSON.stringify(expression);
+    if (!leaves.has(key)) {
+      leaves.set(key, expression);
+    }
+    return;
+  }
+  const [key] = Object.keys(expression);
+  const operand = expression[key];
+  (key === "not" ? [operand] : operand).forEach((child) =>
+    collectLeaves(child, leaves)
+  );
+}
+
+/**
+ * Evaluates an expression given which comparisons hold
+ * @param {RuleExpression} expression - Validated expression
+ * @param {Map<string, number>} bits - Bit index of each leaf, keyed by its JSON
+ * @param {number} mask - Bit pattern of the comparisons that hold
+ * @returns {boolean} Whether the expression matches
+ * @private
+ */
+function evaluateMask(expression, bits, mask) {
+  if (typeof expression === "boolean") {
+    return expression;
+  }
+  if ("fact" in expression) {
+    return (mask & (1 << bits.get(JSON.stringify(expression)))) !== 0;
+  }
+  if ("all" in expression) {
+    return expression.all.every((child) => evaluateMask(child, bits, mask));
+  }
+  if ("any" in expression) {
+    return expression.any.some((child) => evaluateMask(child, bits, mask));
+  }
+  return !evaluateMask(expression.not, bits, mask);
+}
+
+/**
+ * Compiles a declarative rule set into a single decision function.
+ *
+ * @param {Array<ClassificationRule>|RuleConfig|string} rules - Rules that all
+ *   carry an `expression` (such as CLASSIFICATION_RULES, `engine.activeRules`
+ *   of an engine loaded with `fromJSON`), or a rule config or its JSON text;
+ *   rules with `enabled: false` or one of the config's `disabledTags`, and
+ *   annotation rules, are skipped
+ * @returns {CompiledRuleSet} The decision function and how it was built
+ * @throws {Error} If no stack rule is enabled, a rule has no expression or has a
+ *   schedule, or an expression does not match the rule schema
+ *
+ * @example
+ * const compiled = compileRules(engine.activeRules);
+ * for (const packageData of stream) {
+ *   route(compiled.evaluate(packageData));
+ * }
+ */
+function compileRules(rules) {
+  let source = rules;
+  let disabledTags = [];
+  if (!Array.isArray(rules)) {
+    const config =
+      typeof rules === "string" ? parseRuleConfigText(rules) : rules;
+    source = parseRuleConfig(config);
+    disabledTags = config.disabledTags ?? [];
+  }
+  if (source.length === 0) {
+    throw new Error("Rules array cannot be empty");
+  }
+  source = source.filter((rule) => isRuleEnabled(rule, disabledTags));
+  if (source.length === 0) {
+    throw new Error("Every rule is disabled; there is nothing to compile");
+  }
+  // Annotation rules add flags and never decide the stack
+  source = source.filter((rule) => !isAnnotationRule(rule));
+  if (source.length === 0) {
+    throw new Error(
+      "Every enabled rule is an annotation rule; there is nothing to compile"
+    );
+  }
+
+  // Same order as RuleEngine: by priority, ties in the order given
+  const ordered = [...source].sort((a, b) => a.priority - b.priority);
+  for (const rule of ordered) {
+    if (rule.expression === undefined) {
+      throw new Error(
+        `Rule "${rule.name}" has no declarative expression and cannot be compiled`
+      );
+    }
+    if (hasSchedule(rule)) {
+      throw new Error(
+        `Rule "${rule.name}" has a schedule and cannot be compiled`
+      );
+    }
+    // Validates the expression against the schema
+    compileCondition(rule.expression, `rule "${rule.name}"`);
+  }
+
+  const results = ordered.map((rule) => rule.result);
+  const leaves = new Map();
+  ordered.forEach((rule) => collectLeaves(rule.expression, leaves));
+  const facts = [...new Set([...leaves.values()].map((leaf) => leaf.fact))];
+
+  const checkPackageData = (packageData) => {
+    if (!packageData || typeof packageData !== "object") {
+      throw new Error("Package data must be an object");
+    }
+  };
+  const noMatch = () => {
+    throw new Error("No matching rule found for package data");
+  };
+
+  let strategy;
+  let evaluate;
+
+  if (leaves.size <= MAX_TABLE_PREDICATES) {
+    strategy = "table";
+    const bits = new Map([...leaves.keys()].map((key, index) => [key, index]));
+    const predicates = [...leaves.values()].map((leaf) =>
+      compileCondition(leaf)
+    );
+    const count = predicates.length;
+
+    // For every combination of comparison outcomes, the first rule to match
+    const table = new Int32Array(1 << count);
+    for (let mask = 0; mask < table.length; mask++) {
+      table[mask] = ordered.findIndex((rule) =>
+        evaluateMask(rule.expression, bits, mask)
+      );
+    }
+
+    evaluate = (packageData) => {
+      checkPackageData(packageData);
+      let mask = 0;
+      for (let i = 0; i < count; i++) {
+        if (predicates[i](packageData)) {
+          mask |= 1 << i;
+        }
+      }
+      const index = table[mask];
+      return index === NO_MATCH ? noMatch() : results[index];
+    };
+  } else {
+    strategy = "sequential";
+    const conditions = ordered.map((rule) => compileCondition(rule.expression));
+
+    evaluate = (packageData) => {
+      checkPackageData(packageData);
+      for (let i = 0; i < conditions.length; i++) {
+        if (conditions[i](packageData)) {
+          return results[i];
+        }
+      }
+      return noMatch();
+    };
+  }
+
+  return Object.freeze({
+    evaluate,
+    strategy,
+    predicateCount: leaves.size,
+    facts: Object.freeze(facts),
+    rules: Object.freeze(ordered),
+  });
+}
+
+/**
+ * @typedef {Object} CompiledRuleSet
+ * @property {Function} evaluate - `(packageData) => stack`; throws like
+ *   `RuleEngine.evaluate` when no rule matches
+ * @property {string} strategy - "table" or "sequential"
+ * @property {number} predicateCount - Distinct comparisons in the rule set
+ * @property {ReadonlyArray<string>} facts - Facts the rules read
+ * @property {ReadonlyArray<ClassificationRule>} rules - The rules, by priority
+ */
+
+module.exports = {
+  MAX_TABLE_PREDICATES,
+  compileRules,
+};
@@ -0,0 +1,393 @@
+const { compileRules, MAX_TABLE_PREDICATES } = require("./ruleCompiler");
+const {
+  RuleEngine,
+  createSorter,
+  InvalidPackageError,
+} = require("./packageSorting");
+const { parseRuleConfig, serializeRules } = require("./ruleSchema");
+const {
+  STANDARD,
+  SPECIAL,
+  REJECTED,
+  CLASSIFICATION_RULES,
+} = require("./packageSortingConfig");
+
+// Deterministic spread of package data around the default thresholds
+function samplePackages(count) {
+  const packages = [];
+  for (let i = 0; i < count; i++) {
+    const width = 1 + ((i * 37) % 200);
+    const height = 1 + ((i * 53) % 180);
+    const length = 1 + ((i * 71) % 160);
+    const mass = 0.5 + ((i * 13) % 40);
+    packages.push({
+      width,
+      height,
+      length,
+      mass,
+      bulky:
+        width >= 150 ||
+        height >= 150 ||
+        length >= 150 ||
+        width * height * length >= 1000000,
+      heavy: mass >= 20,
+      carrier: ["UPS", "DHL", "FEDEX", undefined][i % 4],
+    });
+  }
+  return packages;
+}
+
+const CARRIER_RULES = parseRuleConfig({
+  rules: [
+    {
+      name: "dhl-heavy",
+      condition: {
+        all: [
+          { fact: "carrier", eq: "DHL" },
+          {
+            any: [
+              { fact: "mass", gte: 30 },
+              { fact: "bulky", eq: true },
+            ],
+          },
+        ],
+      },
+      result: "DHL_FREIGHT",
+      priority: 0,
+    },
+    {
+      name: "unknown-carrier",
+      condition: { fact: "carrier", exists: false },
+      result: "MANUAL",
+      priority: 1,
+    },
+    {
+      name: "express",
+      condition: {
+        all: [
+          { fact: "carrier", in: ["UPS", "FEDEX"] },
+          { not: { fact: "heavy", eq: true } },
+          { fact: "length", lt: 60 },
+        ],
+      },
+      result: "EXPRESS",
+      priority: 2,
+    },
+    ...serializeRules(CLASSIFICATION_RULES).rules,
+  ],
+});
+
+describe("compileRules", () => {
+  test("should compile the default rules into a decision table", () => {
+    const compiled = compileRules(CLASSIFICATION_RULES);
+    expect(compiled.strategy).toBe("table");
+    expect(compiled.predicateCount).toBe(2);
+    expect(compiled.facts).toEqual(["bulky", "heavy"]);
+
+    expect(compiled.evaluate({ bulky: true, heavy: true })).toBe(REJECTED);
+    expect(compiled.evaluate({ bulky: true, heavy: false })).toBe(SPECIAL);
+    expect(compiled.evaluate({ bulky: false, heavy: true })).toBe(SPECIAL);
+    expect(compiled.evaluate({ bulky: false, heavy: false })).toBe(STANDARD);
+  });
+
+  test("should accept a rule config or its JSON text", () => {
+    const config = serializeRules(CLASSIFICATION_RULES);
+    expect(compileRules(config).evaluate({ heavy: true })).toBe(SPECIAL);
+    expect(compileRules(JSON.stringify(config)).evaluate({})).toBe(STANDARD);
+  });
+
+  test("should order rules like RuleEngine, including priority ties", () => {
+    const rules = parseRuleConfig({
+      rules: [
+        { name: "last", condition: true, result: "C", priority: 5 },
+        {
+          name: "tie-1",
+          condition: { fact: "x", eq: 1 },
+          result: "A",
+          priority: 1,
+        },
+        {
+          name: "tie-2",
+          condition: { fact: "x", eq: 1 },
+          result: "B",
+          priority: 1,
+        },
+      ],
+    });
+    const engine = new RuleEngine(rules);
+    const compiled = compileRules(rules);
+    [{ x: 1 }, { x: 2 }].forEach((packageData) => {
+      expect(compiled.evaluate(packageData)).toBe(engine.evaluate(packageData));
+    });
+    expect(compiled.rules.map((rule) => rule.name)).toEqual([
+      "tie-1",
+      "tie-2",
+      "last",
+    ]);
+  });
+
+  [
+    ["default rules", CLASSIFICATION_RULES, "table"],
+    ["carrier rules", CARRIER_RULES, "table"],
+    [
+      "a rule set too large for a table",
+      parseRuleConfig({
+        rules: [
+          ...Array.from({ length: MAX_TABLE_PREDICATES + 1 }, (_, i) => ({
+            name: `mass-${i}`,
+            condition: {
+              all: [
+                { fact: "mass", gte: 39 - i },
+                { fact: "bulky", eq: true },
+              ],
+            },
+            result: `BAND_${i}`,
+            priority: i,
+          })),
+          { name: "default", condition: true, result: STANDARD, priority: 99 },
+        ],
+      }),
+      "sequential",
+    ],
+  ].forEach(([label, rules, strategy]) => {
+    test(`should match RuleEngine.evaluate for ${label}`, () => {
+      const engine = new RuleEngine(rules);
+      const compiled = compileRules(rules);
+      expect(compiled.strategy).toBe(strategy);
+
+      const results = new Set();
+      for (const packageData of samplePackages(2000)) {
+        const expected = engine.evaluate(packageData);
+        expect(compiled.evaluate(packageData)).toBe(expected);
+        results.add(expected);
+      }
+      expect(results.size).toBeGreaterThan(2);
+    });
+  });
+
+  test("should throw like RuleEngine when no rule matches", () => {
+    const compiled = compileRules(
+      parseRuleConfig({
+        rules: [
+          {
+            name: "heavy",
+            condition: { fact: "heavy", eq: true },
+            result: SPECIAL,
+            priority: 0,
+          },
+        ],
+      })
+    );
+    expect(() => compiled.evaluate({ heavy: false })).toThrow(
+      "No matching rule found for package data"
+    );
+    expect(() => compiled.evaluate(null)).toThrow(
+      "Package data must be an object"
+    );
+  });
+
+  test("should reject rules without a declarative expression", () => {
+    expect(() =>
+      compileRules([
+        {
+          name: "custom",
+          condition: () => true,
+          result: STANDARD,
+          priority: 0,
+        },
+      ])
+    ).toThrow(
+      'Rule "custom" has no declarative expression and cannot be compiled'
+    );
+  });
+
+  test("should leave out disabled rules", () => {
+    const config = {
+      ...serializeRules(CLASSIFICATION_RULES),
+      disabledTags: ["peak"],
+    };
+    config.rules = [
+      {
+        name: "peak",
+        condition: { fact: "heavy", eq: true },
+        result: "PEAK",
+        priority: 0,
+        tags: ["peak"],
+      },
+      { ...config.rules[0], enabled: false },
+      ...config.rules.slice(1),
+    ];
+
+    const compiled = compileRules(config);
+    expect(compiled.rules.map((rule) => rule.name)).toEqual([
+      "special-packages",
+      "standard-packages",
+    ]);
+    expect(compiled.evaluate({ bulky: true, heavy: true })).toBe(SPECIAL);
+
+    const engine = RuleEngine.fromJSON(config);
+    expect(
+      compileRules(engine.activeRules).rules.map((rule) => rule.name)
+    ).toEqual(compiled.rules.map((rule) => rule.name));
+    expect(() =>
+      compileRules([{ ...CLASSIFICATION_RULES[2], enabled: false }])
+    ).toThrow("Every rule is disabled; there is nothing to compile");
+  });
+
+  test("should leave out annotation rules", () => {
+    const compiled = compileRules([
+      {
+        name: "team-lift",
+        type: "annotation",
+        condition: () => true,
+        expression: { fact: "mass", gte: 23 },
+        result: "TEAM_LIFT",
+        priority: 0,
+      },
+      ...CLASSIFICATION_RULES,
+    ]);
+    expect(compiled.evaluate({ mass: 30, bulky: false, heavy: true })).toBe(
+      SPECIAL
+    );
+    expect(compiled.rules.map((rule) => rule.name)).not.toContain("team-lift");
+    expect(() =>
+      compileRules([
+        {
+          name: "team-lift",
+          type: "annotation",
+          expression: true,
+          result: "TEAM_LIFT",
+          priority: 0,
+        },
+      ])
+    ).toThrow(
+      "Every enabled rule is an annotation rule; there is nothing to compile"
+    );
+  });
+
+  test("should reject rules with a schedule", () => {
+    expect(() =>
+      compileRules([
+        {
+          ...CLASSIFICATION_RULES[0],
+          windows: [{ from: "14:00", until: "06:00" }],
+        },
+        ...CLASSIFICATION_RULES.slice(1),
+      ])
+    ).toThrow('Rule "rejected-packages" has a schedule and cannot be compiled');
+  });
+
+  test("should reject empty rule sets and invalid expressions", () => {
+    expect(() => compileRules([])).toThrow("Rules array cannot be empty");
+    expect(() =>
+      compileRules([
+        {
+          name: "bad",
+          expression: { fact: "mass", gte: "20" },
+          result: STANDARD,
+          priority: 0,
+        },
+      ])
+    ).toThrow('"gte" needs a finite number');
+  });
+});
+
+describe("sorter.compile", () => {
+  test("should match sorter.sort for the default rules", () => {
+    const sorter = createSorter();
+    const compiledSort = sorter.compile();
+    for (const { width, height, length, mass } of samplePackages(2000)) {
+      expect(compiledSort(width, height, length, mass)).toBe(
+        sorter.sort(width, height, length, mass)
+      );
+    }
+  });
+
+  test("should use the sorter's thresholds", () => {
+    const compiledSort = createSorter({ massThreshold: 30 }).compile();
+    expect(compiledSort(50, 30, 20, 25)).toBe(STANDARD);
+    expect(compiledSort(50, 30, 20, 30)).toBe(SPECIAL);
+  });
+
+  test("should build the full package data for rules that need it", () => {
+    const sorter = createSorter({
+      opening: { width: 40, height: 180 },
+      rules: parseRuleConfig({
+        rules: [
+          {
+            name: "no-fit",
+            condition: { fact: "fits", eq: false },
+            result: REJECTED,
+            priority: 0,
+          },
+          {
+            name: "billable",
+            condition: { fact: "billableWeight", gte: 20 },
+            result: SPECIAL,
+            priority: 1,
+          },
+          { name: "default", condition: true, result: STANDARD, priority: 2 },
+        ],
+      }),
+    });
+    const compiledSort = sorter.compile();
+    for (const { width, height, length, mass } of samplePackages(500)) {
+      expect(compiledSort(width, height, length, mass)).toBe(
+        sorter.sort(width, height, length, mass)
+      );
+    }
+  });
+
+  test("should validate measurements like sort", () => {
+    const compiledSort = createSorter().compile();
+    expect(() => compiledSort(NaN, 10, 10, 1)).toThrow(InvalidPackageError);
+    expect(() => compiledSort(10, 10, 10, -1)).toThrow(InvalidPackageError);
+  });
+
+  test("should skip rules disabled on the sorter's engine", () => {
+    const sorter = createSorter({ rules: [...CLASSIFICATION_RULES] });
+    sorter.engine.disableRule("rejected-packages");
+    expect(sorter.compile()(200, 100, 50, 25)).toBe(SPECIAL);
+  });
+
+  test("should keep the rules it was compiled with", () => {
+    const sorter = createSorter({ rules: [...CLASSIFICATION_RULES] });
+    const compiledSort = sorter.compile();
+    sorter.engine.removeRule("rejected-packages");
+    expect(compiledSort(200, 100, 50, 25)).toBe(REJECTED);
+    expect(sorter.compile()(200, 100, 50, 25)).toBe(SPECIAL);
+  });
+});
+
+// A loose guard that the compiled table is not slower than the RuleEngine on
+// the same package data; `npm run bench` reports the actual speedup
+describe("compiled sort benchmark", () => {
+  const ROUNDS = 5;
+  const packages = samplePackages(2000);
+
+  // Best of several rounds, after a warm-up round, to ride out GC pauses
+  const bestTime = (evaluate) => {
+    let best = Infinity;
+    for (let round = 0; round <= ROUNDS; round++) {
+      const start = process.hrtime.bigint();
+      for (const packageData of packages) {
+        evaluate(packageData);
+      }
+      const ms = Number(process.hrtime.bigint() - start) / 1e6;
+      if (round > 0) {
+        best = Math.min(best, ms);
+      }
+    }
+    return best;
+  };
+
+  test("should evaluate no slower than the RuleEngine", () => {
+    const engine = new RuleEngine(CARRIER_RULES);
+    const { evaluate } = compileRules(CARRIER_RULES);
+
+    const engineMs = bestTime((packageData) => engine.evaluate(packageData));
+    const compiledMs = bestTime(evaluate);
+
+    expect(compiledMs).toBeLessThan(engineMs * 1.25);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Rule Schedules
+ *
+ * Limits a rule to certain times. A rule may carry any of:
+ *
+ * - `activeFrom` / `activeUntil` - a date range; the rule is active from the
+ *   first instant up to, but not including, the second
+ * - `windows` - recurring weekly windows such as
+ *   `{ days: ["mon", "tue"], from: "06:00", until: "14:00" }`; a window whose
+ *   `until` is earlier than its `from` runs overnight into the next day
+ * - `timezone` - IANA time zone the windows are read in (default "UTC")
+ *
+ * A rule with no schedule is always active. Dates are Date objects, ISO 8601
+ * strings or epoch milliseconds; include an offset in ISO strings, since
+ * strings without one are read in the host's local time.
+ *
+ * @example
+ * const { compileSchedule, isScheduleActive } = require('./ruleSchedule');
+ * const schedule = compileSchedule({
+ *   windows: [{ from: "14:00", until: "06:00" }],
+ *   timezone: "America/Denver",
+ * });
+ * isScheduleActive(schedule, Date.parse("2024-11-04T23:00:00Z")); // true (16:00 in Denver)
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+/**
+ * Rule properties that make up a schedule
+ * @type {ReadonlyArray<string>}
+ */
+const SCHEDULE_KEYS = Object.freeze([
+  "activeFrom",
+  "activeUntil",
+  "windows",
+  "timezone",
+]);
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WINDOW_KEYS = ["days", "from", "until"];
+const CLOCK_TIME = /^(?:([01]\d|2[0-3]):([0-5]\d)|(24):(00))$/;
+
+// One formatter per time zone; building them is slow
+const formatters = new Map();
+
+/**
+ * Gets a formatter that reads the weekday, hour and minute in a time zone
+ * @param {string} timezone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @throws {RangeError} If the time zone is unknown
+ * @private
+ */
+function formatterFor(timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Checks whether a rule carries any schedule property.
+ *
+ * @param {Object} rule - Rule to check
+ * @returns {boolean} True if the rule is limited in time
+ */
+function hasSchedule(rule) {
+  return SCHEDULE_KEYS.some((key) => rule[key] !== undefined);
+}
+
+/**
+ * Converts a date to epoch milliseconds.
+ *
+ * @param {Date|string|number} value - Date, ISO 8601 string or epoch
+ *   milliseconds
+ * @returns {number} Epoch milliseconds, or NaN if the value is not a date
+ */
+function toTimestamp(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : NaN;
+  }
+  if (typeof value === "string" && value.trim() !== "") {
+    return Date.parse(value);
+  }
+  return NaN;
+}
+
+/**
+ * Parses an "HH:MM" time of day
+ * @param {*} value - Time of day
+ * @param {string} label - Name of the value for error messages
+ * @returns {number} Minutes since midnight
+ * @throws {Error} If the value is not an "HH:MM" time from 00:00 to 24:00
+ * @private
+ */
+function parseClockTime(value, label) {
+  const match = typeof value === "string" ? CLOCK_TIME.exec(value) : null;
+  if (!match) {
+    throw new Error(`${label} must be an "HH:MM" time from 00:00 to 24:00`);
+  }
+  const hours = match[1] ?? match[3];
+  const minutes = match[2] ?? match[4];
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Validates a weekly window
+ * @param {*} window - Window to validate
+ * @param {string} label - Name of the window for error messages
+ * @returns {Readonly<{days: ReadonlySet<number>, from: number, until: number}>}
+ *   Window with day indexes (0 = Sunday) and minutes since midnight
+ * @throws {Error} If the window is invalid
+ * @private
+ */
+function compileWindow(window, label) {
+  if (!window || typeof window !== "object" || Array.isArray(window)) {
+    throw new Error(`${label} must be an object`);
+  }
+  for (const key of Object.keys(window)) {
+    if (!WINDOW_KEYS.includes(key)) {
+      throw new Error(`${label} has unknown property "${key}"`);
+    }
+  }
+
+  const days = window.days ?? DAYS;
+  if (
+    !Array.isArray(days) ||
+    days.length === 0 ||
+    !days.every((day) => DAYS.includes(day))
+  ) {
+    throw new Error(
+      `${label} days must be a non-empty array of ${DAYS.join(", ")}`
+    );
+  }
+
+  const from = parseClockTime(window.from, `${label} from`);
+  const until = parseClockTime(window.until, `${label} until`);
+  if (from === until) {
+    throw new Error(`${label} from and until must differ`);
+  }
+
+  return Object.freeze({
+    days: new Set(days.map((day) => DAYS.indexOf(day))),
+    from,
+    until,
+  });
+}
+
+/**
+ * Validates a rule's schedule and prepares it for `isScheduleActive`.
+ *
+ * @param {Object} rule - Rule carrying `activeFrom`, `activeUntil`, `windows`
+ *   or `timezone`
+ * @returns {RuleSchedule|null} Compiled schedule, or null if the rule has
+ *   none
+ * @throws {Error} If a schedule property is invalid; messages name the
+ *   property, e.g. "activeFrom must be a valid date"
+ */
+function compileSchedule(rule) {
+  if (!hasSchedule(rule)) {
+    return null;
+  }
+
+  const bound = (key) => {
+    if (rule[key] === undefined) {
+      return null;
+    }
+    const time = toTimestamp(rule[key]);
+    if (Number.isNaN(time)) {
+      throw new Error(`${key} must be a valid date`);
+    }
+    return time;
+  };
+  const from = bound("activeFrom");
+  const until = bound("activeUntil");
+  if (from !== null && until !== null && from >= until) {
+    throw new Error("activeFrom must be before activeUntil");
+  }
+
+  const windows = rule.windows ?? [];
+  if (!Array.isArray(windows)) {
+    throw new Error("windows must be an array");
+  }
+
+  const timezone = rule.timezone ?? "UTC";
+  if (typeof timezone !== "string" || timezone.trim() === "") {
+    throw new Error("timezone must be a non-empty string");
+  }
+  try {
+    formatterFor(timezone);
+  } catch (error) {
+    throw new Error(
+      `timezone "${timezone}" is not a known time zone (${error.message})`
+    );
+  }
+
+  return Object.freeze({
+    from,
+    until,
+    windows: Object.freeze(
+      windows.map((window, index) => compileWindow(window, `windows[${index}]`))
+    ),
+    timezone,
+  });
+}
+
+/**
+ * Checks whether a compiled schedule is active at a point in time.
+ *
+ * @param {RuleSchedule} schedule - From `compileSchedule`
+ * @param {number} time - Epoch milliseconds
+ * @returns {boolean} True if the time is inside the date range and, when
+ *   the schedule has windows, inside one of them
+ */
+function isScheduleActive(schedule, time) {
+  if (schedule.from !== null && time < schedule.from) {
+    return false;
+  }
+  if (schedule.until !== null && time >= schedule.until) {
+    return false;
+  }
+  if (schedule.windows.length === 0) {
+    return true;
+  }
+
+  const parts = {};
+  for (const { type, value } of formatterFor(schedule.timezone).formatToParts(
+    time
+  )) {
+    parts[type] = value;
+  }
+  const day = DAYS.indexOf(parts.weekday.toLowerCase());
+  const minute = Number(parts.hour) * 60 + Number(parts.minute);
+  const previousDay = (day + 6) % 7;
+
+  return schedule.windows.some(({ days, from, until }) => {
+    if (from < until) {
+      return days.has(day) && minute >= from && minute < until;
+    }
+    // Overnight: the evening part belongs to the start day, the early
+    // morning part to the day after it
+    return (
+      (days.has(day) && minute >= from) ||
+      (days.has(previousDay) && minute < until)
+    );
+  });
+}
+
+/**
+ * @typedef {Object} RuleSchedule
+ * @property {number|null} from - Start of the date range, epoch milliseconds
+ * @property {number|null} until - End of the date range (exclusive)
+ * @property {ReadonlyArray<Object>} windows - Weekly windows; none means the
+ *   whole week
+ * @property {string} timezone - Time zone the windows are read in
+ */
+
+/**
+ * @typedef {Object} ScheduleWindow
+ * @property {Array<string>} [days] - "sun" to "sat"; every day if omitted
+ * @property {string} from - Start time, "HH:MM"
+ * @property {string} until - End time, "HH:MM" (exclusive; "24:00" for
+ *   midnight); earlier than `from` for an overnight window
+ */
+
+module.exports = {
+  SCHEDULE_KEYS,
+  hasSchedule,
+  toTimestamp,
+  compileSchedule,
+  isScheduleActive,
+};
@@ -0,0 +1,174 @@
+const {
+  SCHEDULE_KEYS,
+  hasSchedule,
+  toTimestamp,
+  compileSchedule,
+  isScheduleActive,
+} = require("./ruleSchedule");
+
+const at = (time) => Date.parse(time);
+
+describe("hasSchedule", () => {
+  test("should find any schedule property", () => {
+    expect(hasSchedule({ name: "a" })).toBe(false);
+    SCHEDULE_KEYS.forEach((key) => {
+      expect(hasSchedule({ [key]: "x" })).toBe(true);
+    });
+  });
+});
+
+describe("toTimestamp", () => {
+  [
+    [new Date("2024-11-04T00:00:00Z"), 1730678400000],
+    ["2024-11-04T00:00:00Z", 1730678400000],
+    [1730678400000, 1730678400000],
+  ].forEach(([value, expected]) => {
+    test(`should convert ${JSON.stringify(value)}`, () => {
+      expect(toTimestamp(value)).toBe(expected);
+    });
+  });
+
+  [["someday"], [""], [Infinity], [null], [{}], [new Date("nope")]].forEach(
+    ([value]) => {
+      test(`should return NaN for ${String(value)}`, () => {
+        expect(toTimestamp(value)).toBeNaN();
+      });
+    }
+  );
+});
+
+describe("compileSchedule", () => {
+  test("should return null for a rule with no schedule", () => {
+    expect(compileSchedule({ name: "always" })).toBeNull();
+  });
+
+  test("should default the time zone to UTC", () => {
+    const schedule = compileSchedule({ activeFrom: "2024-11-04T00:00:00Z" });
+    expect(schedule).toMatchObject({
+      from: at("2024-11-04T00:00:00Z"),
+      until: null,
+      windows: [],
+      timezone: "UTC",
+    });
+    expect(Object.isFrozen(schedule)).toBe(true);
+  });
+
+  [
+    [{ activeUntil: "later" }, "activeUntil must be a valid date"],
+    [
+      {
+        activeFrom: "2024-11-04T00:00:00Z",
+        activeUntil: "2024-11-04T00:00:00Z",
+      },
+      "activeFrom must be before activeUntil",
+    ],
+    [{ windows: "06:00-14:00" }, "windows must be an array"],
+    [{ timezone: "" }, "timezone must be a non-empty string"],
+    [{ timezone: "Mars/Olympus" }, 'timezone "Mars/Olympus" is not a known'],
+    [{ windows: [null] }, "windows[0] must be an object"],
+    [
+      { windows: [{ from: "06:00", until: "14:00", to: "15:00" }] },
+      'windows[0] has unknown property "to"',
+    ],
+    [
+      { windows: [{ days: ["monday"], from: "06:00", until: "14:00" }] },
+      "windows[0] days must be a non-empty array of sun, mon, tue",
+    ],
+    [
+      { windows: [{ days: [], from: "06:00", until: "14:00" }] },
+      "windows[0] days must be a non-empty array",
+    ],
+    [
+      { windows: [{ from: "6:00", until: "14:00" }] },
+      'windows[0] from must be an "HH:MM" time from 00:00 to 24:00',
+    ],
+    [
+      { windows: [{ from: "06:00", until: "24:30" }] },
+      'windows[0] until must be an "HH:MM" time',
+    ],
+    [
+      { windows: [{ from: "06:00", until: "06:00" }] },
+      "windows[0] from and until must differ",
+    ],
+  ].forEach(([rule, message]) => {
+    test(`should reject ${JSON.stringify(rule)}`, () => {
+      expect(() => compileSchedule(rule)).toThrow(message);
+    });
+  });
+});
+
+describe("isScheduleActive", () => {
+  test("should include activeFrom and exclude activeUntil", () => {
+    const schedule = compileSchedule({
+      activeFrom: "2024-11-25T00:00:00Z",
+      activeUntil: "2024-12-24T00:00:00Z",
+    });
+    expect(isScheduleActive(schedule, at("2024-11-24T23:59:59Z"))).toBe(false);
+    expect(isScheduleActive(schedule, at("2024-11-25T00:00:00Z"))).toBe(true);
+    expect(isScheduleActive(schedule, at("2024-12-24T00:00:00Z"))).toBe(false);
+  });
+
+  describe("windows", () => {
+    // 2024-11-04 is a Monday
+    const shift = compileSchedule({
+      windows: [{ days: ["mon", "tue"], from: "06:00", until: "14:00" }],
+    });
+
+    [
+      ["2024-11-04T05:59:00Z", false],
+      ["2024-11-04T06:00:00Z", true],
+      ["2024-11-05T13:59:00Z", true],
+      ["2024-11-05T14:00:00Z", false],
+      ["2024-11-06T10:00:00Z", false],
+    ].forEach(([time, expected]) => {
+      test(`should find a Mon-Tue day shift ${
+        expected ? "active" : "inactive"
+      } at ${time}`, () => {
+        expect(isScheduleActive(shift, at(time))).toBe(expected);
+      });
+    });
+
+    test("should run an overnight window into the next day", () => {
+      const night = compileSchedule({
+        windows: [{ days: ["fri"], from: "22:00", until: "06:00" }],
+      });
+      expect(isScheduleActive(night, at("2024-11-08T21:59:00Z"))).toBe(false);
+      expect(isScheduleActive(night, at("2024-11-08T23:00:00Z"))).toBe(true);
+      expect(isScheduleActive(night, at("2024-11-09T05:00:00Z"))).toBe(true);
+      expect(isScheduleActive(night, at("2024-11-09T23:00:00Z"))).toBe(false);
+      // Thursday night is not Friday's window
+      expect(isScheduleActive(night, at("2024-11-08T05:00:00Z"))).toBe(false);
+    });
+
+    test("should cover a whole day with 00:00 to 24:00", () => {
+      const monday = compileSchedule({
+        windows: [{ days: ["mon"], from: "00:00", until: "24:00" }],
+      });
+      expect(isScheduleActive(monday, at("2024-11-04T00:00:00Z"))).toBe(true);
+      expect(isScheduleActive(monday, at("2024-11-04T23:59:59Z"))).toBe(true);
+      expect(isScheduleActive(monday, at("2024-11-05T00:00:00Z"))).toBe(false);
+    });
+
+    test("should read windows in the rule's time zone", () => {
+      const denver = compileSchedule({
+        windows: [{ from: "06:00", until: "14:00" }],
+        timezone: "America/Denver",
+      });
+      // 06:00 in Denver is 12:00 UTC in summer and 13:00 UTC in winter
+      expect(isScheduleActive(denver, at("2024-07-01T12:00:00Z"))).toBe(true);
+      expect(isScheduleActive(denver, at("2024-12-02T12:00:00Z"))).toBe(false);
+      expect(isScheduleActive(denver, at("2024-12-02T13:00:00Z"))).toBe(true);
+    });
+
+    test("should need both the date range and a window", () => {
+      const schedule = compileSchedule({
+        activeFrom: "2024-11-05T00:00:00Z",
+        windows: [{ from: "06:00", until: "14:00" }],
+      });
+      expect(isScheduleActive(schedule, at("2024-11-04T10:00:00Z"))).toBe(
+        false
+      );
+      expect(isScheduleActive(schedule, at("2024-11-05T10:00:00Z"))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,442 @@
+/**
+ * @fileoverview Declarative Rule Schema
+ *
+ * Loads classification rules from plain JSON without evaluating any code.
+ * Conditions are written as a small expression tree that is validated and
+ * compiled into an ordinary condition function:
+ *
+ * - `true` / `false` - constant condition (use `true` for the default rule)
+ * - `{ "all": [expr, ...] }` - every sub-expression matches
+ * - `{ "any": [expr, ...] }` - at least one sub-expression matches
+ * - `{ "not": expr }` - the sub-expression does not match
+ * - `{ "fact": "mass", "gte": 20 }` - compares a package fact with one
+ *   operator: `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `in` or `exists`
+ *
+ * Rules may also carry `tags` and `enabled: false`, and a config may list
+ * `disabledTags`; a rule that is disabled, or has a disabled tag, is skipped
+ * during evaluation. A rule may also be limited in time with `activeFrom`,
+ * `activeUntil`, weekly `windows` and a `timezone` (see ruleSchedule.js).
+ *
+ * A rule with `type: "annotation"` does not decide the stack: its `result` is
+ * a handling flag, such as "TEAM_LIFT", that `RuleEngine.evaluateAll` adds
+ * on top of the stack whenever its condition matches.
+ *
+ * @example
+ * const { parseRuleConfig } = require('./ruleSchema');
+ * const rules = parseRuleConfig({
+ *   rules: [
+ *     {
+ *       name: "heavy-bulky",
+ *       condition: { all: [{ fact: "bulky", eq: true }, { fact: "mass", gte: 20 }] },
+ *       result: "REJECTED",
+ *       priority: 1
+ *     },
+ *     { name: "default", condition: true, result: "STANDARD", priority: 2 }
+ *   ]
+ * });
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const { SCHEDULE_KEYS, compileSchedule } = require("./ruleSchedule");
+
+const RULE_KEYS = ["name", "condition", "result", "priority"];
+
+const OPTIONAL_RULE_KEYS = ["type", "tags", "enabled", ...SCHEDULE_KEYS];
+
+/**
+ * Kinds of rule: "stack" rules compete for the stack, first match wins;
+ * "annotation" rules add a handling flag whenever they match
+ * @type {ReadonlyArray<string>}
+ */
+const RULE_TYPES = Object.freeze(["stack", "annotation"]);
+
+const COMPARISON_OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => typeof actual === "number" && actual > expected,
+  gte: (actual, expected) => typeof actual === "number" && actual >= expected,
+  lt: (actual, expected) => typeof actual === "number" && actual < expected,
+  lte: (actual, expected) => typeof actual === "number" && actual <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  exists: (actual, expected) => (actual !== undefined) === expected,
+};
+
+const NUMERIC_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+/**
+ * Builds a schema error that points at the offending part of the config
+ * @param {string} path - Location in the config, e.g. "rules[0].condition"
+ * @param {string} message - Description of the problem
+ * @returns {Error} Error with a path-prefixed message
+ * @private
+ */
+function schemaError(path, message) {
+  return new Error(`Invalid rule config at ${path}: ${message}`);
+}
+
+/**
+ * Checks that a value can be used as an `eq`/`ne`/`in` operand
+ * @param {*} value - Value to check
+ * @returns {boolean} True for strings, finite numbers, booleans and null
+ * @private
+ */
+function isPrimitive(value) {
+  return (
+    value === null ||
+    typeof value === "string" ||
+    typeof value === "boolean" ||
+    (typeof value === "number" && Number.isFinite(value))
+  );
+}
+
+/**
+ * Reads a fact from package data. Only own properties are visible, so an
+ * expression can never reach into the prototype chain.
+ * @param {Object} packageData - Package data being evaluated
+ * @param {string} fact - Fact name
+ * @returns {*} The fact value, or undefined if absent
+ * @private
+ */
+function readFact(packageData, fact) {
+  return Object.prototype.hasOwnProperty.call(packageData, fact)
+    ? packageData[fact]
+    : undefined;
+}
+
+/**
+ * Validates and compiles a fact comparison node
+ * @param {Object} node - Node of the form `{ fact, <operator>: value }`
+ * @param {string} path - Location of the node in the config
+ * @returns {Function} Condition function
+ * @private
+ */
+function compileFact(node, path) {
+  const { fact } = node;
+  if (typeof fact !== "string" || fact.trim() === "") {
+    throw schemaError(path, "fact must be a non-empty string");
+  }
+
+  const operators = Object.keys(node).filter((key) => key !== "fact");
+  if (operators.length !== 1) {
+    throw schemaError(
+      path,
+      `fact "${fact}" needs exactly one operator (${Object.keys(
+        COMPARISON_OPERATORS
+      ).join(", ")})`
+    );
+  }
+
+  const [operator] = operators;
+  const compare = COMPARISON_OPERATORS[operator];
+  if (!compare) {
+    throw schemaError(path, `unknown operator "${operator}"`);
+  }
+
+  const expected = node[operator];
+  if (
+    NUMERIC_OPERATORS.includes(operator) &&
+    (typeof expected !== "number" || !Number.isFinite(expected))
+  ) {
+    throw schemaError(path, `"${operator}" needs a finite number`);
+  }
+  if ((operator === "eq" || operator === "ne") && !isPrimitive(expected)) {
+    throw schemaError(
+      path,
+      `"${operator}" needs a string, number, boolean or null`
+    );
+  }
+  if (
+    operator === "in" &&
+    (!Array.isArray(expected) || !expected.every(isPrimitive))
+  ) {
+    throw schemaError(path, '"in" needs an array of primitive values');
+  }
+  if (operator === "exists" && typeof expected !== "boolean") {
+    throw schemaError(path, '"exists" needs a boolean');
+  }
+
+  return (packageData) => compare(readFact(packageData, fact), expected);
+}
+
+/**
+ * Validates an expression tree and compiles it into a condition function.
+ *
+ * @param {RuleExpression} expression - Expression tree to compile
+ * @param {string} [path="condition"] - Location of the expression, used in errors
+ * @returns {Function} Condition function taking packageData and returning boolean
+ * @throws {Error} If the expression does not match the schema
+ *
+ * @example
+ * const isHeavyBulky = compileCondition({
+ *   all: [{ fact: "bulky", eq: true }, { fact: "mass", gte: 20 }]
+ * });
+ * isHeavyBulky({ bulky: true, mass: 25 }); // true
+ */
+function compileCondition(expression, path = "condition") {
+  if (typeof expression === "boolean") {
+    return () => expression;
+  }
+
+  if (
+    !expression ||
+    typeof expression !== "object" ||
+    Array.isArray(expression)
+  ) {
+    throw schemaError(path, "expression must be an object or boolean");
+  }
+
+  if ("fact" in expression) {
+    return compileFact(expression, path);
+  }
+
+  const keys = Object.keys(expression);
+  if (keys.length !== 1) {
+    throw schemaError(
+      path,
+      'expression must have exactly one of "all", "any", "not" or "fact"'
+    );
+  }
+
+  const [key] = keys;
+  const operand = expression[key];
+
+  if (key === "all" || key === "any") {
+    if (!Array.isArray(operand) || operand.length === 0) {
+      throw schemaError(`${path}.${key}`, "must be a non-empty array");
+    }
+    const children = operand.map((child, index) =>
+      compileCondition(child, `${path}.${key}[${index}]`)
+    );
+    return key === "all"
+      ? (packageData) => children.every((child) => child(packageData))
+      : (packageData) => children.some((child) => child(packageData));
+  }
+
+  if (key === "not") {
+    const child = compileCondition(operand, `${path}.not`);
+    return (packageData) => !child(packageData);
+  }
+
+  throw schemaError(path, `unknown expression "${key}"`);
+}
+
+/**
+ * Checks that a value is a list of tags
+ * @param {*} tags - Value to check
+ * @returns {boolean} True for an array of non-empty strings
+ */
+function isTagList(tags) {
+  return (
+    Array.isArray(tags) &&
+    tags.every((tag) => typeof tag === "string" && tag.trim() !== "")
+  );
+}
+
+/**
+ * Tells whether a rule takes part in evaluation.
+ *
+ * @param {ClassificationRule} rule - Rule to check
+ * @param {Array<string>|Set<string>} [disabledTags=[]] - Tags switched off
+ * @returns {boolean} False if the rule is disabled or has a disabled tag
+ *
+ * @example
+ * isRuleEnabled({ name: "peak", tags: ["holiday-peak"], ... }, ["holiday-peak"]); // false
+ */
+function isRuleEnabled(rule, disabledTags = []) {
+  if (rule.enabled === false) {
+    return false;
+  }
+  const disabled = new Set(disabledTags);
+  return !(rule.tags ?? []).some((tag) => disabled.has(tag));
+}
+
+/**
+ * Tells whether a rule adds a handling flag rather than deciding the stack.
+ *
+ * @param {ClassificationRule} rule - Rule to check
+ * @returns {boolean} True for rules with `type: "annotation"`
+ */
+function isAnnotationRule(rule) {
+  return rule.type === "annotation";
+}
+
+/**
+ * Parses the JSON text of a rule config without validating its schema.
+ *
+ * @param {string} text - JSON text
+ * @returns {*} Parsed config
+ * @throws {Error} If the text is not valid JSON
+ */
+function parseRuleConfigText(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid rule config: ${error.message}`);
+  }
+}
+
+/**
+ * Validates a declarative rule config and compiles it into rule objects
+ * ready for `new RuleEngine(...)`.
+ *
+ * Each compiled rule keeps its source tree in an `expression` property so
+ * the rule set can be written back out with `serializeRules`.
+ *
+ * @param {RuleConfig|string} config - Rule config object, or its JSON text
+ * @returns {Array<ClassificationRule>} Compiled rules
+ * @throws {Error} If the config is not valid JSON or does not match the schema
+ */
+function parseRuleConfig(config) {
+  if (typeof config === "string") {
+    config = parseRuleConfigText(config);
+  }
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Invalid rule config: config must be an object");
+  }
+
+  if (!Array.isArray(config.rules)) {
+    throw schemaError("rules", "must be an array");
+  }
+
+  const seenNames = new Set();
+
+  return config.rules.map((rule, index) => {
+    const path = `rules[${index}]`;
+
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      throw schemaError(path, "rule must be an object");
+    }
+
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key) && !OPTIONAL_RULE_KEYS.includes(key)) {
+        throw schemaError(path, `unknown property "${key}"`);
+      }
+    }
+    for (const key of RULE_KEYS) {
+      if (!(key in rule)) {
+        throw schemaError(path, `missing required property "${key}"`);
+      }
+    }
+
+    if (seenNames.has(rule.name)) {
+      throw schemaError(path, `duplicate rule name "${rule.name}"`);
+    }
+    seenNames.add(rule.name);
+
+    if (rule.type !== undefined && !RULE_TYPES.includes(rule.type)) {
+      throw schemaError(
+        `${path}.type`,
+        `must be one of: ${RULE_TYPES.join(", ")}`
+      );
+    }
+    if (rule.tags !== undefined && !isTagList(rule.tags)) {
+      throw schemaError(
+        `${path}.tags`,
+        "must be an array of non-empty strings"
+      );
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== "boolean") {
+      throw schemaError(`${path}.enabled`, "must be a boolean");
+    }
+    try {
+      compileSchedule(rule);
+    } catch (error) {
+      throw schemaError(path, error.message);
+    }
+
+    const compiled = {
+      name: rule.name,
+      condition: compileCondition(rule.condition, `${path}.condition`),
+      expression: rule.condition,
+      result: rule.result,
+      priority: rule.priority,
+    };
+    if (rule.type !== undefined) {
+      compiled.type = rule.type;
+    }
+    if (rule.tags !== undefined) {
+      compiled.tags = [...rule.tags];
+    }
+    if (rule.enabled !== undefined) {
+      compiled.enabled = rule.enabled;
+    }
+    for (const key of SCHEDULE_KEYS) {
+      if (rule[key] !== undefined) {
+        compiled[key] = rule[key];
+      }
+    }
+    return compiled;
+  });
+}
+
+/**
+ * Writes rules back out in the declarative config format.
+ *
+ * @param {Array<ClassificationRule>} rules - Rules carrying an `expression`
+ * @returns {RuleConfig} Config object suitable for `JSON.stringify`
+ * @throws {Error} If a rule only has a condition function
+ *
+ * @example
+ * const { CLASSIFICATION_RULES } = require('./packageSortingConfig');
+ * JSON.stringify(serializeRules(CLASSIFICATION_RULES), null, 2);
+ */
+function serializeRules(rules) {
+  return {
+    rules: rules.map((rule) => {
+      if (rule.expression === undefined) {
+        throw new Error(
+          `Rule "${rule.name}" has no declarative expression and cannot be serialized`
+        );
+      }
+      const serialized = {
+        name: rule.name,
+        condition: rule.expression,
+        result: rule.result,
+        priority: rule.priority,
+      };
+      if (isAnnotationRule(rule)) {
+        serialized.type = "annotation";
+      }
+      if (rule.tags !== undefined && rule.tags.length > 0) {
+        serialized.tags = [...rule.tags];
+      }
+      if (rule.enabled === false) {
+        serialized.enabled = false;
+      }
+      for (const key of SCHEDULE_KEYS) {
+        if (rule[key] !== undefined) {
+          serialized[key] =
+            rule[key] instanceof Date ? rule[key].toISOString() : rule[key];
+        }
+      }
+      return serialized;
+    }),
+  };
+}
+
+/**
+ * @typedef {boolean|Object} RuleExpression
+ * A declarative condition: a boolean constant, `{ all: [...] }`,
+ * `{ any: [...] }`, `{ not: expr }`, or `{ fact: "name", <operator>: value }`.
+ */
+
+/**
+ * @typedef {Object} RuleConfig
+ * @property {string|number} [version] - Rule set version label
+ * @property {Array<{name: string, condition: RuleExpression, result: string, priority: number, type?: string, tags?: Array<string>, enabled?: boolean, activeFrom?: string, activeUntil?: string, windows?: Array<Object>, timezone?: string}>} rules
+ * @property {Array<string>} [disabledTags] - Tags whose rules are skipped
+ */
+
+module.exports = {
+  RULE_TYPES,
+  compileCondition,
+  isAnnotationRule,
+  isRuleEnabled,
+  isTagList,
+  parseRuleConfig,
+  parseRuleConfigText,
+  serializeRules,
+};
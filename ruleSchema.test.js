@@ -0,0 +1,381 @@
+const {
+  compileCondition,
+  isRuleEnabled,
+  parseRuleConfig,
+  serializeRules,
+} = require("./ruleSchema");
+
+const { CLASSIFICATION_RULES } = require("./packageSortingConfig");
+
+describe("compileCondition function", () => {
+  describe("boolean constants", () => {
+    test("should compile true and false", () => {
+      expect(compileCondition(true)({})).toBe(true);
+      expect(compileCondition(false)({})).toBe(false);
+    });
+  });
+
+  describe("fact comparisons", () => {
+    const packageData = { mass: 20, bulky: true, carrier: "UPS" };
+
+    [
+      [{ fact: "mass", eq: 20 }, true],
+      [{ fact: "mass", ne: 20 }, false],
+      [{ fact: "mass", gt: 20 }, false],
+      [{ fact: "mass", gte: 20 }, true],
+      [{ fact: "mass", lt: 20 }, false],
+      [{ fact: "mass", lte: 20 }, true],
+      [{ fact: "bulky", eq: true }, true],
+      [{ fact: "carrier", in: ["UPS", "DHL"] }, true],
+      [{ fact: "carrier", in: ["FEDEX"] }, false],
+      [{ fact: "fragile", exists: false }, true],
+      [{ fact: "mass", exists: true }, true],
+    ].forEach(([expression, expected]) => {
+      test(`${JSON.stringify(
+        expression
+      )} should evaluate to ${expected}`, () => {
+        expect(compileCondition(expression)(packageData)).toBe(expected);
+      });
+    });
+
+    test("numeric operators should not match non-numeric facts", () => {
+      expect(compileCondition({ fact: "mass", gte: 20 })({ mass: "25" })).toBe(
+        false
+      );
+    });
+
+    test("should not read facts from the prototype chain", () => {
+      expect(compileCondition({ fact: "constructor", exists: true })({})).toBe(
+        false
+      );
+    });
+  });
+
+  describe("combinators", () => {
+    const heavyBulky = compileCondition({
+      all: [
+        { fact: "bulky", eq: true },
+        { fact: "mass", gte: 20 },
+      ],
+    });
+
+    test("all should require every sub-expression", () => {
+      expect(heavyBulky({ bulky: true, mass: 25 })).toBe(true);
+      expect(heavyBulky({ bulky: true, mass: 15 })).toBe(false);
+    });
+
+    test("any should require one sub-expression", () => {
+      const either = compileCondition({
+        any: [
+          { fact: "bulky", eq: true },
+          { fact: "heavy", eq: true },
+        ],
+      });
+      expect(either({ bulky: false, heavy: true })).toBe(true);
+      expect(either({ bulky: false, heavy: false })).toBe(false);
+    });
+
+    test("not should negate its sub-expression", () => {
+      const notBulky = compileCondition({ not: { fact: "bulky", eq: true } });
+      expect(notBulky({ bulky: false })).toBe(true);
+      expect(notBulky({ bulky: true })).toBe(false);
+    });
+  });
+
+  describe("schema validation", () => {
+    [
+      [null, "condition: expression must be an object or boolean"],
+      ["pkg => true", "condition: expression must be an object or boolean"],
+      [[], "condition: expression must be an object or boolean"],
+      [
+        {},
+        'condition: expression must have exactly one of "all", "any", "not" or "fact"',
+      ],
+      [{ all: [], any: [] }, "expression must have exactly one of"],
+      [{ some: [] }, 'condition: unknown expression "some"'],
+      [{ all: [] }, "condition.all: must be a non-empty array"],
+      [{ fact: "", eq: 1 }, "condition: fact must be a non-empty string"],
+      [{ fact: "mass" }, 'fact "mass" needs exactly one operator'],
+      [
+        { fact: "mass", gt: 1, lt: 5 },
+        'fact "mass" needs exactly one operator',
+      ],
+      [{ fact: "mass", gtx: 1 }, 'condition: unknown operator "gtx"'],
+      [{ fact: "mass", gte: "20" }, '"gte" needs a finite number'],
+      [
+        { fact: "mass", eq: { a: 1 } },
+        '"eq" needs a string, number, boolean or null',
+      ],
+      [{ fact: "mass", in: 5 }, '"in" needs an array of primitive values'],
+      [{ fact: "mass", exists: "yes" }, '"exists" needs a boolean'],
+    ].forEach(([expression, message]) => {
+      test(`${JSON.stringify(expression)} should be rejected`, () => {
+        expect(() => compileCondition(expression)).toThrow(message);
+      });
+    });
+
+    test("should report the path of nested errors", () => {
+      expect(() =>
+        compileCondition({
+          all: [{ fact: "bulky", eq: true }, { not: { fact: "mass", gtx: 1 } }],
+        })
+      ).toThrow(
+        'Invalid rule config at condition.all[1].not: unknown operator "gtx"'
+      );
+    });
+  });
+});
+
+describe("parseRuleConfig function", () => {
+  const validConfig = {
+    rules: [
+      {
+        name: "heavy-bulky",
+        condition: {
+          all: [
+            { fact: "bulky", eq: true },
+            { fact: "mass", gte: 20 },
+          ],
+        },
+        result: "REJECTED",
+        priority: 1,
+      },
+      { name: "default", condition: true, result: "STANDARD", priority: 2 },
+    ],
+  };
+
+  test("should compile rules and keep their expressions", () => {
+    const rules = parseRuleConfig(validConfig);
+
+    expect(rules).toHaveLength(2);
+    expect(typeof rules[0].condition).toBe("function");
+    expect(rules[0].expression).toEqual(validConfig.rules[0].condition);
+    expect(rules[0].condition({ bulky: true, mass: 25 })).toBe(true);
+  });
+
+  test("should accept JSON text", () => {
+    const rules = parseRuleConfig(JSON.stringify(validConfig));
+    expect(rules.map((rule) => rule.name)).toEqual(["heavy-bulky", "default"]);
+  });
+
+  test("should reject malformed JSON text", () => {
+    expect(() => parseRuleConfig("{ rules: ")).toThrow("Invalid rule config:");
+  });
+
+  test("should reject invalid config shapes", () => {
+    expect(() => parseRuleConfig(null)).toThrow(
+      "Invalid rule config: config must be an object"
+    );
+    expect(() => parseRuleConfig({})).toThrow(
+      "Invalid rule config at rules: must be an array"
+    );
+    expect(() => parseRuleConfig({ rules: [42] })).toThrow(
+      "Invalid rule config at rules[0]: rule must be an object"
+    );
+  });
+
+  test("should reject unknown and missing rule properties", () => {
+    expect(() =>
+      parseRuleConfig({
+        rules: [{ ...validConfig.rules[1], code: "pkg => true" }],
+      })
+    ).toThrow('Invalid rule config at rules[0]: unknown property "code"');
+
+    expect(() =>
+      parseRuleConfig({ rules: [{ name: "x", result: "X", priority: 1 }] })
+    ).toThrow(
+      'Invalid rule config at rules[0]: missing required property "condition"'
+    );
+  });
+
+  test("should reject duplicate rule names", () => {
+    expect(() =>
+      parseRuleConfig({ rules: [validConfig.rules[1], validConfig.rules[1]] })
+    ).toThrow('Invalid rule config at rules[1]: duplicate rule name "default"');
+  });
+
+  test("should keep tags and the enabled flag", () => {
+    const [rule] = parseRuleConfig({
+      rules: [
+        { ...validConfig.rules[1], tags: ["holiday-peak"], enabled: false },
+      ],
+    });
+    expect(rule.tags).toEqual(["holiday-peak"]);
+    expect(rule.enabled).toBe(false);
+    expect(parseRuleConfig(validConfig)[1]).not.toHaveProperty("tags");
+  });
+
+  test("should keep the rule type", () => {
+    const [rule] = parseRuleConfig({
+      rules: [{ ...validConfig.rules[1], type: "annotation" }],
+    });
+    expect(rule.type).toBe("annotation");
+  });
+
+  test("should keep a rule's schedule", () => {
+    const schedule = {
+      activeFrom: "2024-11-25T00:00:00Z",
+      windows: [{ days: ["mon"], from: "06:00", until: "14:00" }],
+      timezone: "America/Denver",
+    };
+    const [rule] = parseRuleConfig({
+      rules: [{ ...validConfig.rules[1], ...schedule }],
+    });
+    expect(rule).toMatchObject(schedule);
+  });
+
+  [
+    [
+      { tags: "holiday-peak" },
+      "Invalid rule config at rules[0].tags: must be an array of non-empty strings",
+    ],
+    [
+      { tags: [1] },
+      "Invalid rule config at rules[0].tags: must be an array of non-empty strings",
+    ],
+    [
+      { enabled: "yes" },
+      "Invalid rule config at rules[0].enabled: must be a boolean",
+    ],
+    [
+      { type: "flag" },
+      "Invalid rule config at rules[0].type: must be one of: stack, annotation",
+    ],
+    [
+      { activeUntil: "soon" },
+      "Invalid rule config at rules[0]: activeUntil must be a valid date",
+    ],
+    [
+      { windows: [{ from: "06:00" }] },
+      'Invalid rule config at rules[0]: windows[0] until must be an "HH:MM" time',
+    ],
+  ].forEach(([overrides, message]) => {
+    test(`should reject ${JSON.stringify(overrides)}`, () => {
+      expect(() =>
+        parseRuleConfig({ rules: [{ ...validConfig.rules[1], ...overrides }] })
+      ).toThrow(message);
+    });
+  });
+
+  test("should report condition errors with the rule path", () => {
+    expect(() =>
+      parseRuleConfig({
+        rules: [
+          {
+            name: "bad",
+            condition: "pkg => pkg.mass > 20",
+            result: "X",
+            priority: 1,
+          },
+        ],
+      })
+    ).toThrow(
+      "Invalid rule config at rules[0].condition: expression must be an object or boolean"
+    );
+  });
+});
+
+describe("serializeRules function", () => {
+  test("should write CLASSIFICATION_RULES in the declarative format", () => {
+    const config = serializeRules(CLASSIFICATION_RULES);
+
+    expect(config.rules.map((rule) => rule.name)).toEqual([
+      "rejected-packages",
+      "special-packages",
+      "standard-packages",
+    ]);
+    expect(config.rules[2].condition).toBe(true);
+  });
+
+  test("should round-trip through parseRuleConfig", () => {
+    const config = serializeRules(CLASSIFICATION_RULES);
+    const reloaded = parseRuleConfig(JSON.parse(JSON.stringify(config)));
+
+    expect(serializeRules(reloaded)).toEqual(config);
+  });
+
+  test("default expressions should agree with the default condition functions", () => {
+    const reloaded = parseRuleConfig(serializeRules(CLASSIFICATION_RULES));
+
+    [
+      { bulky: false, heavy: false },
+      { bulky: true, heavy: false },
+      { bulky: false, heavy: true },
+      { bulky: true, heavy: true },
+    ].forEach((packageData) => {
+      CLASSIFICATION_RULES.forEach((rule, index) => {
+        expect(reloaded[index].condition(packageData)).toBe(
+          Boolean(rule.condition(packageData))
+        );
+      });
+    });
+  });
+
+  test("should write tags, and the enabled flag only when disabled", () => {
+    const config = serializeRules([
+      { ...CLASSIFICATION_RULES[0], tags: ["peak"], enabled: false },
+      { ...CLASSIFICATION_RULES[1], tags: [], enabled: true },
+    ]);
+    expect(config.rules[0]).toMatchObject({ tags: ["peak"], enabled: false });
+    expect(config.rules[1]).not.toHaveProperty("tags");
+    expect(config.rules[1]).not.toHaveProperty("enabled");
+  });
+
+  test("should write the type of annotation rules only", () => {
+    const config = serializeRules([
+      { ...CLASSIFICATION_RULES[0], type: "annotation" },
+      { ...CLASSIFICATION_RULES[1], type: "stack" },
+    ]);
+    expect(config.rules[0].type).toBe("annotation");
+    expect(config.rules[1]).not.toHaveProperty("type");
+  });
+
+  test("should write schedules, with dates as ISO strings", () => {
+    const config = serializeRules([
+      {
+        ...CLASSIFICATION_RULES[0],
+        activeFrom: new Date("2024-11-25T00:00:00Z"),
+        activeUntil: "2024-12-24T00:00:00Z",
+        windows: [{ from: "14:00", until: "06:00" }],
+        timezone: "America/Denver",
+      },
+      CLASSIFICATION_RULES[1],
+    ]);
+    expect(config.rules[0]).toMatchObject({
+      activeFrom: "2024-11-25T00:00:00.000Z",
+      activeUntil: "2024-12-24T00:00:00Z",
+      windows: [{ from: "14:00", until: "06:00" }],
+      timezone: "America/Denver",
+    });
+    expect(config.rules[1]).not.toHaveProperty("windows");
+  });
+
+  test("should reject rules without an expression", () => {
+    expect(() =>
+      serializeRules([
+        { name: "fn-only", condition: () => true, result: "X", priority: 1 },
+      ])
+    ).toThrow(
+      'Rule "fn-only" has no declarative expression and cannot be serialized'
+    );
+  });
+});
+
+describe("isRuleEnabled function", () => {
+  const rule = { name: "peak", tags: ["holiday-peak", "oversize"] };
+
+  [
+    [rule, [], true],
+    [rule, ["oversize"], false],
+    [rule, new Set(["summer"]), true],
+    [{ ...rule, enabled: false }, [], false],
+    [{ ...rule, enabled: true }, ["holiday-peak"], false],
+    [{ name: "untagged" }, ["holiday-peak"], true],
+  ].forEach(([candidate, disabledTags, expected]) => {
+    test(`${JSON.stringify(candidate)} with ${JSON.stringify([
+      ...disabledTags,
+    ])} disabled should be ${expected ? "enabled" : "disabled"}`, () => {
+      expect(isRuleEnabled(candidate, disabledTags)).toBe(expected);
+    });
+  });
+});
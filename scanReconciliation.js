@@ -0,0 +1,388 @@
+/**
+ * @fileoverview Multi-Scan Reconciliation
+ *
+ * A dimensioning tunnel takes several readings of the same package, and the
+ * readings rarely agree exactly. Reconciliation turns them into the one
+ * measurement the sorter classifies:
+ *
+ * 1. Every reading is normalized to centimeters and kilograms.
+ * 2. With three or more readings, a reading that strays from the median of
+ *    any measurement by more than `outlierRatio` is dropped as an outlier,
+ *    as long as a majority of the readings remain.
+ * 3. The remaining readings are combined with the chosen strategy:
+ *    `median`, `max` (the most conservative for bulky and heavy checks) or
+ *    `confidence` (every measurement from the most trusted reading).
+ * 4. Measurements whose remaining readings still spread further apart than
+ *    `maxSpread` are reported as disagreements.
+ *
+ * `sorter.sortScans` groups readings by package ID and classifies each
+ * reconciled package through the normal pipeline.
+ *
+ * @example
+ * const { reconcileReadings } = require('./scanReconciliation');
+ * const reconciled = reconcileReadings([
+ *   { width: 50, height: 30, length: 20, mass: 10.1 },
+ *   { width: 51, height: 30, length: 20, mass: 10.0 },
+ *   { width: 80, height: 30, length: 20, mass: 10.2 },
+ * ]);
+ * reconciled.width; // 50.5 - the 80 cm reading was dropped as an outlier
+ * reconciled.outliers; // [2]
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const { normalizePackage } = require("./unitConversion");
+const { InvalidPackageError } = require("./packageValidation");
+
+/**
+ * Ways of combining the readings left after outliers are dropped
+ * @type {ReadonlyArray<string>}
+ */
+const RECONCILE_STRATEGIES = Object.freeze(["median", "max", "confidence"]);
+
+/**
+ * Default reconciliation settings
+ * @type {Readonly<{strategy: string, outlierRatio: number, maxSpread: Readonly<{dimension: number, mass: number}>}>}
+ */
+const RECONCILE_DEFAULTS = Object.freeze({
+  strategy: "median",
+  outlierRatio: 0.25,
+  maxSpread: Object.freeze({ dimension: 2, mass: 0.5 }),
+});
+
+const MEASUREMENT_FIELDS = ["width", "height", "length", "mass"];
+
+/**
+ * Validates reconciliation options and fills in the defaults
+ * @param {ReconcileOptions} options - Reconciliation options
+ * @returns {Object} Validated settings
+ * @throws {Error} If a setting is invalid
+ * @private
+ */
+function resolveOptions(options) {
+  if (!options || typeof options !== "object") {
+    throw new Error("Reconcile options must be an object");
+  }
+
+  const strategy = options.strategy ?? RECONCILE_DEFAULTS.strategy;
+  if (!RECONCILE_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown reconcile strategy "${strategy}" (expected ${RECONCILE_STRATEGIES.join(
+        ", "
+      )})`
+    );
+  }
+
+  const outlierRatio = options.outlierRatio ?? RECONCILE_DEFAULTS.outlierRatio;
+  if (
+    typeof outlierRatio !== "number" ||
+    !Number.isFinite(outlierRatio) ||
+    outlierRatio <= 0
+  ) {
+    throw new Error("outlierRatio must be a positive finite number");
+  }
+
+  const spread = options.maxSpread ?? {};
+  if (!spread || typeof spread !== "object" || Array.isArray(spread)) {
+    throw new Error("maxSpread must be an object");
+  }
+  const maxSpread = {};
+  for (const key of Object.keys(spread)) {
+    if (!(key in RECONCILE_DEFAULTS.maxSpread)) {
+      throw new Error(`Unknown maxSpread setting "${key}"`);
+    }
+  }
+  for (const key of Object.keys(RECONCILE_DEFAULTS.maxSpread)) {
+    const value = spread[key] ?? RECONCILE_DEFAULTS.maxSpread[key];
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      throw new Error(`maxSpread ${key} must be a non-negative finite number`);
+    }
+    maxSpread[key] = value;
+  }
+
+  const deviceConfidence = options.deviceConfidence ?? {};
+  if (!deviceConfidence || typeof deviceConfidence !== "object") {
+    throw new Error("deviceConfidence must be an object");
+  }
+
+  return {
+    strategy,
+    outlierRatio,
+    maxSpread,
+    deviceConfidence,
+    units: options.units,
+  };
+}
+
+/**
+ * Median of a non-empty list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Middle value, or the mean of the two middle values
+ * @private
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Finds the readings that stray too far from the median of any measurement
+ * @param {Array<Object>} normalized - Normalized readings
+ * @param {number} outlierRatio - Allowed deviation, relative to the median
+ * @returns {Array<number>} Indexes of the outliers, or none if dropping them
+ *   would not leave a majority
+ * @private
+ */
+function findOutliers(normalized, outlierRatio) {
+  // Two readings that disagree give no way of telling which one is wrong
+  if (normalized.length < 3) {
+    return [];
+  }
+
+  const medians = {};
+  for (const field of MEASUREMENT_FIELDS) {
+    medians[field] = median(normalized.map((reading) => reading[field]));
+  }
+
+  const outliers = [];
+  normalized.forEach((reading, index) => {
+    const strays = MEASUREMENT_FIELDS.some(
+      (field) =>
+        Math.abs(reading[field] - medians[field]) >
+        outlierRatio * medians[field]
+    );
+    if (strays) {
+      outliers.push(index);
+    }
+  });
+
+  return normalized.length - outliers.length > normalized.length / 2
+    ? outliers
+    : [];
+}
+
+/**
+ * Looks up how much a reading is trusted
+ * @param {Object} reading - Raw reading
+ * @param {number} index - Position of the reading
+ * @param {Object<string, number>} deviceConfidence - Confidence by device
+ * @returns {number} The reading's confidence
+ * @throws {InvalidPackageError} If the reading has no usable confidence
+ * @private
+ */
+function readingConfidence(reading, index, deviceConfidence) {
+  const confidence =
+    reading.confidence ??
+    (reading.device !== undefined
+      ? deviceConfidence[reading.device]
+      : undefined);
+  if (typeof confidence !== "number" || !Number.isFinite(confidence)) {
+    throw new InvalidPackageError(
+      "confidence",
+      `reading ${index} has none; set its confidence or list its device in deviceConfidence`,
+      confidence
+    );
+  }
+  return confidence;
+}
+
+/**
+ * Reconciles several readings of one package into a single measurement.
+ *
+ * @param {Array<ScanReading>} readings - Readings of the same package
+ * @param {ReconcileOptions} [options={}] - Reconciliation options
+ * @returns {Reconciliation} The combined measurement in cm and kg, and how it
+ *   was reached
+ * @throws {InvalidPackageError} If a reading has an invalid measurement or
+ *   unit, or the `confidence` strategy meets a reading with no confidence
+ * @throws {Error} If readings is not a non-empty array of objects, or an
+ *   option is invalid
+ *
+ * @example
+ * reconcileReadings(
+ *   [
+ *     { device: "tunnel-a", width: 50, height: 30, length: 20, mass: 10 },
+ *     { device: "tunnel-b", width: 52, height: 30, length: 20, mass: 10.4 },
+ *   ],
+ *   { strategy: "confidence", deviceConfidence: { "tunnel-a": 0.9, "tunnel-b": 0.7 } }
+ * ); // { width: 50, ..., selected: 0, disagreements: [] }
+ */
+function reconcileReadings(readings, options = {}) {
+  const settings = resolveOptions(options);
+
+  if (!Array.isArray(readings) || readings.length === 0) {
+    throw new Error("Readings must be a non-empty array");
+  }
+  readings.forEach((reading, index) => {
+    if (!reading || typeof reading !== "object") {
+      throw new Error(`Reading ${index} must be an object`);
+    }
+  });
+
+  // A reading's own units take precedence over the defaults
+  const normalized = readings.map((reading) =>
+    normalizePackage(reading, reading.units ?? settings.units)
+  );
+
+  const outliers = findOutliers(normalized, settings.outlierRatio);
+  const used = readings
+    .map((_, index) => index)
+    .filter((index) => !outliers.includes(index));
+
+  const combined = {};
+  let selected = null;
+  if (settings.strategy === "confidence") {
+    let best = -Infinity;
+    for (const index of used) {
+      const confidence = readingConfidence(
+        readings[index],
+        index,
+        settings.deviceConfidence
+      );
+      // Ties go to the earlier reading
+      if (confidence > best) {
+        best = confidence;
+        selected = index;
+      }
+    }
+    for (const field of MEASUREMENT_FIELDS) {
+      combined[field] = normalized[selected][field];
+    }
+  } else {
+    for (const field of MEASUREMENT_FIELDS) {
+      const values = used.map((index) => normalized[index][field]);
+      combined[field] =
+        settings.strategy === "max" ? Math.max(...values) : median(values);
+    }
+  }
+
+  const disagreements = [];
+  for (const field of MEASUREMENT_FIELDS) {
+    const values = used.map((index) => normalized[index][field]);
+    const spread = Math.max(...values) - Math.min(...values);
+    const limit = settings.maxSpread[field === "mass" ? "mass" : "dimension"];
+    if (spread > limit) {
+      disagreements.push({ field, spread, limit });
+    }
+  }
+
+  // Audit logs record every reading as received next to the value sorted on
+  const measurements = {};
+  for (const field of MEASUREMENT_FIELDS) {
+    measurements[field] = {
+      readings: normalized.map(
+        (reading) => reading.measurements[field].original
+      ),
+      normalized: {
+        value: combined[field],
+        unit: field === "mass" ? "kg" : "cm",
+      },
+    };
+  }
+
+  return {
+    ...combined,
+    measurements,
+    strategy: settings.strategy,
+    readings: readings.length,
+    used,
+    outliers,
+    selected,
+    disagreements,
+    flagged: disagreements.length > 0,
+  };
+}
+
+/**
+ * Groups readings by package ID, in the order each ID first appears.
+ *
+ * @param {Array<ScanReading>} readings - Readings of any number of packages
+ * @returns {Map<*, Array<ScanReading>>} Readings keyed by package ID
+ * @throws {Error} If readings is not an array, or a reading is not an object
+ *   or has no ID
+ */
+function groupReadings(readings) {
+  if (!Array.isArray(readings)) {
+    throw new Error("Readings must be an array");
+  }
+
+  const groups = new Map();
+  readings.forEach((reading, index) => {
+    if (!reading || typeof reading !== "object") {
+      throw new Error(`Reading ${index} must be an object`);
+    }
+    const { id } = reading;
+    if (id === undefined || id === null || id === "") {
+      throw new Error(`Reading ${index} has no package id`);
+    }
+    if (!groups.has(id)) {
+      groups.set(id, []);
+    }
+    groups.get(id).push(reading);
+  });
+  return groups;
+}
+
+/**
+ * @typedef {Object} ScanReading
+ * @property {*} [id] - Package ID; required by `groupReadings` and `sortScans`
+ * @property {string} [device] - Device that took the reading
+ * @property {number} [confidence] - How much the reading is trusted; overrides
+ *   `deviceConfidence`
+ * @property {number|{value: number, unit: string}} width - Width reading
+ * @property {number|{value: number, unit: string}} height - Height reading
+ * @property {number|{value: number, unit: string}} length - Length reading
+ * @property {number|{value: number, unit: string}} mass - Mass reading
+ * @property {PackageUnits} [units] - Units for this reading's plain numbers
+ */
+
+/**
+ * @typedef {Object} ReconcileOptions
+ * @property {string} [strategy="median"] - "median", "max" or "confidence"
+ * @property {number} [outlierRatio=0.25] - How far, relative to the median, a
+ *   measurement may stray before its reading is dropped
+ * @property {{dimension?: number, mass?: number}} [maxSpread] - Largest
+ *   spread between the remaining readings, in cm (default 2) and kg (default
+ *   0.5), before a measurement is flagged
+ * @property {Object<string, number>} [deviceConfidence] - Confidence of each
+ *   device, for readings without their own
+ * @property {PackageUnits} [units] - Units for plain-number readings
+ */
+
+/**
+ * @typedef {Object} Reconciliation
+ * @property {number} width - Combined width in centimeters
+ * @property {number} height - Combined height in centimeters
+ * @property {number} length - Combined length in centimeters
+ * @property {number} mass - Combined mass in kilograms
+ * @property {Object<string, ReconciledMeasurement>} measurements - Each
+ *   measurement's readings as received and its combined value
+ * @property {string} strategy - Strategy used
+ * @property {number} readings - Number of readings received
+ * @property {Array<number>} used - Indexes of the readings combined
+ * @property {Array<number>} outliers - Indexes of the readings dropped
+ * @property {number|null} selected - Index of the reading the `confidence`
+ *   strategy picked, otherwise null
+ * @property {Array<{field: string, spread: number, limit: number}>}
+ *   disagreements - Measurements whose readings spread beyond `maxSpread`
+ * @property {boolean} flagged - Whether there are any disagreements
+ */
+
+/**
+ * @typedef {Object} ReconciledMeasurement
+ * @property {Array<{value: number, unit: string}>} readings - Every reading
+ *   of the measurement as received, in reading order, outliers included
+ * @property {{value: number, unit: string}} normalized - Combined value in cm
+ *   or kg
+ */
+
+module.exports = {
+  RECONCILE_STRATEGIES,
+  RECONCILE_DEFAULTS,
+  reconcileReadings,
+  groupReadings,
+};
@@ -0,0 +1,372 @@
+const {
+  RECONCILE_STRATEGIES,
+  reconcileReadings,
+  groupReadings,
+} = require("./scanReconciliation");
+const {
+  sortScans,
+  createSorter,
+  InvalidPackageError,
+} = require("./packageSorting");
+const { STANDARD, SPECIAL, REJECTED } = require("./packageSortingConfig");
+
+const reading = (width, mass, extra = {}) => ({
+  width,
+  height: 30,
+  length: 20,
+  mass,
+  ...extra,
+});
+
+describe("reconcileReadings", () => {
+  test("should take the median of the readings by default", () => {
+    const reconciled = reconcileReadings([
+      reading(50, 10.2),
+      reading(52, 10.0),
+      reading(51, 10.1),
+    ]);
+    expect(reconciled).toMatchObject({
+      width: 51,
+      height: 30,
+      length: 20,
+      mass: 10.1,
+      strategy: "median",
+      readings: 3,
+      used: [0, 1, 2],
+      outliers: [],
+      selected: null,
+      disagreements: [],
+      flagged: false,
+    });
+  });
+
+  test("should average the middle readings of an even count", () => {
+    expect(reconcileReadings([reading(50, 10), reading(51, 11)])).toMatchObject(
+      { width: 50.5, mass: 10.5 }
+    );
+  });
+
+  test("should take the largest readings with the max strategy", () => {
+    expect(
+      reconcileReadings([reading(50, 10.4), reading(51, 10.1)], {
+        strategy: "max",
+      })
+    ).toMatchObject({ width: 51, mass: 10.4, strategy: "max" });
+  });
+
+  describe("confidence strategy", () => {
+    test("should take every measurement from the most trusted reading", () => {
+      const reconciled = reconcileReadings(
+        [
+          reading(50, 10.4, { device: "top" }),
+          reading(51, 10.1, { device: "side" }),
+        ],
+        { strategy: "confidence", deviceConfidence: { top: 0.6, side: 0.9 } }
+      );
+      expect(reconciled).toMatchObject({ width: 51, mass: 10.1, selected: 1 });
+    });
+
+    test("should prefer a reading's own confidence over its device's", () => {
+      const reconciled = reconcileReadings(
+        [
+          reading(50, 10.4, { device: "top", confidence: 0.95 }),
+          reading(51, 10.1, { device: "side" }),
+        ],
+        { strategy: "confidence", deviceConfidence: { top: 0.6, side: 0.9 } }
+      );
+      expect(reconciled.selected).toBe(0);
+    });
+
+    test("should pick the earlier reading on a tie", () => {
+      expect(
+        reconcileReadings(
+          [
+            reading(50, 10, { confidence: 0.8 }),
+            reading(51, 10, { confidence: 0.8 }),
+          ],
+          { strategy: "confidence" }
+        ).selected
+      ).toBe(0);
+    });
+
+    test("should require a confidence for every reading", () => {
+      const reconcile = () =>
+        reconcileReadings(
+          [reading(50, 10, { confidence: 0.8 }), reading(51, 10)],
+          { strategy: "confidence" }
+        );
+      expect(reconcile).toThrow(InvalidPackageError);
+      expect(reconcile).toThrow(
+        "Invalid package confidence: reading 1 has none"
+      );
+    });
+  });
+
+  describe("outliers", () => {
+    test("should drop a reading that strays from the median", () => {
+      const reconciled = reconcileReadings([
+        reading(50, 10.1),
+        reading(51, 10.0),
+        reading(80, 10.2),
+      ]);
+      expect(reconciled).toMatchObject({
+        width: 50.5,
+        used: [0, 1],
+        outliers: [2],
+        flagged: false,
+      });
+    });
+
+    test("should drop an outlier before taking the max", () => {
+      expect(
+        reconcileReadings([reading(50, 10), reading(51, 10), reading(52, 3)], {
+          strategy: "max",
+        })
+      ).toMatchObject({ width: 51, mass: 10, outliers: [2] });
+    });
+
+    test("should never pick an outlier with the confidence strategy", () => {
+      const reconciled = reconcileReadings(
+        [
+          reading(50, 10, { confidence: 0.5 }),
+          reading(50, 10, { confidence: 0.6 }),
+          reading(90, 10, { confidence: 0.99 }),
+        ],
+        { strategy: "confidence" }
+      );
+      expect(reconciled.selected).toBe(1);
+    });
+
+    test("should keep both of two readings that disagree, and flag them", () => {
+      const reconciled = reconcileReadings([reading(50, 10), reading(80, 10)]);
+      expect(reconciled).toMatchObject({
+        width: 65,
+        outliers: [],
+        flagged: true,
+        disagreements: [{ field: "width", spread: 30, limit: 2 }],
+      });
+    });
+
+    test("should keep every reading when no majority agrees", () => {
+      const reconciled = reconcileReadings([
+        reading(50, 10),
+        reading(80, 10),
+        reading(110, 10),
+      ]);
+      expect(reconciled.outliers).toEqual([]);
+      expect(reconciled.width).toBe(80);
+      expect(reconciled.flagged).toBe(true);
+    });
+
+    test("should honor outlierRatio", () => {
+      const readings = [reading(50, 10), reading(50, 10), reading(60, 10)];
+      expect(reconcileReadings(readings).outliers).toEqual([]);
+      expect(
+        reconcileReadings(readings, { outlierRatio: 0.1 }).outliers
+      ).toEqual([2]);
+    });
+  });
+
+  describe("disagreement", () => {
+    test("should flag measurements that spread beyond maxSpread", () => {
+      const reconciled = reconcileReadings([
+        reading(50, 10.0),
+        reading(53, 10.8),
+      ]);
+      expect(reconciled.disagreements).toEqual([
+        { field: "width", spread: 3, limit: 2 },
+        { field: "mass", spread: expect.closeTo(0.8), limit: 0.5 },
+      ]);
+      expect(reconciled.flagged).toBe(true);
+    });
+
+    test("should use custom spread limits", () => {
+      const reconciled = reconcileReadings(
+        [reading(50, 10.0), reading(53, 10.8)],
+        { maxSpread: { dimension: 5 } }
+      );
+      expect(reconciled.disagreements.map(({ field }) => field)).toEqual([
+        "mass",
+      ]);
+    });
+  });
+
+  test("should normalize units before combining", () => {
+    const reconciled = reconcileReadings([
+      {
+        width: 500,
+        height: 300,
+        length: 200,
+        mass: 10000,
+        units: { length: "mm", mass: "g" },
+      },
+      reading(51, 10),
+      {
+        width: { value: 0.52, unit: "m" },
+        height: 30,
+        length: 20,
+        mass: 10,
+      },
+    ]);
+    expect(reconciled.width).toBe(51);
+    expect(reconciled.mass).toBe(10);
+    expect(reconciled.measurements.width).toEqual({
+      readings: [
+        { value: 500, unit: "mm" },
+        { value: 51, unit: "cm" },
+        { value: 0.52, unit: "m" },
+      ],
+      normalized: { value: 51, unit: "cm" },
+    });
+  });
+
+  test("should reject invalid readings", () => {
+    expect(() => reconcileReadings([])).toThrow(
+      "Readings must be a non-empty array"
+    );
+    expect(() => reconcileReadings([reading(50, 10), null])).toThrow(
+      "Reading 1 must be an object"
+    );
+    expect(() => reconcileReadings([reading(50, -1)])).toThrow(
+      InvalidPackageError
+    );
+  });
+
+  [
+    [null, "Reconcile options must be an object"],
+    [{ strategy: "mean" }, 'Unknown reconcile strategy "mean"'],
+    [{ outlierRatio: 0 }, "outlierRatio must be a positive finite number"],
+    [{ maxSpread: 2 }, "maxSpread must be an object"],
+    [{ maxSpread: { width: 1 } }, 'Unknown maxSpread setting "width"'],
+    [
+      { maxSpread: { mass: -1 } },
+      "maxSpread mass must be a non-negative finite number",
+    ],
+    [{ deviceConfidence: 5 }, "deviceConfidence must be an object"],
+  ].forEach(([options, message]) => {
+    test(`should reject options ${JSON.stringify(options)}`, () => {
+      expect(() => reconcileReadings([reading(50, 10)], options)).toThrow(
+        message
+      );
+    });
+  });
+
+  test("should list the strategies", () => {
+    expect(RECONCILE_STRATEGIES).toEqual(["median", "max", "confidence"]);
+  });
+});
+
+describe("groupReadings", () => {
+  test("should group readings by package ID in first-seen order", () => {
+    const groups = groupReadings([
+      { id: "B", width: 1 },
+      { id: "A", width: 2 },
+      { id: "B", width: 3 },
+    ]);
+    expect([...groups.keys()]).toEqual(["B", "A"]);
+    expect(groups.get("B").map(({ width }) => width)).toEqual([1, 3]);
+  });
+
+  test("should require an ID on every reading", () => {
+    expect(() => groupReadings([{ id: "A" }, { width: 1 }])).toThrow(
+      "Reading 1 has no package id"
+    );
+    expect(() => groupReadings("A")).toThrow("Readings must be an array");
+  });
+});
+
+describe("sortScans", () => {
+  test("should sort each package on its reconciled measurement", () => {
+    const { results, failures, summary } = sortScans([
+      reading(50, 19.8, { id: "PKG-1" }),
+      reading(160, 24, { id: "PKG-2" }),
+      reading(51, 20.2, { id: "PKG-1" }),
+      reading(50, 19.9, { id: "PKG-1" }),
+      reading(161, 25, { id: "PKG-2" }),
+    ]);
+
+    expect(results.map(({ id, stack }) => [id, stack])).toEqual([
+      ["PKG-1", STANDARD],
+      ["PKG-2", REJECTED],
+    ]);
+    expect(results[0].reconciliation).toMatchObject({
+      mass: 19.9,
+      used: [0, 1, 2],
+    });
+    expect(failures).toEqual([]);
+    expect(summary).toEqual({
+      total: 2,
+      sorted: 2,
+      failed: 0,
+      flagged: 1,
+      stacks: { [REJECTED]: 1, [SPECIAL]: 0, [STANDARD]: 1 },
+    });
+  });
+
+  test("should pass the reconcile options through", () => {
+    const { results } = sortScans(
+      [reading(50, 19.8, { id: "PKG-1" }), reading(51, 20.3, { id: "PKG-1" })],
+      { strategy: "max" }
+    );
+    expect(results[0].stack).toBe(SPECIAL);
+  });
+
+  test("should isolate packages with an invalid reading", () => {
+    const { results, failures, summary } = sortScans([
+      reading(50, 10, { id: "PKG-1" }),
+      reading(50, NaN, { id: "PKG-2" }),
+      reading(50, 10, { id: "PKG-2" }),
+    ]);
+    expect(results.map(({ id }) => id)).toEqual(["PKG-1"]);
+    expect(failures).toEqual([
+      expect.objectContaining({ id: "PKG-2", field: "mass" }),
+    ]);
+    expect(summary.failed).toBe(1);
+  });
+
+  test("should isolate packages with a reading of unknown confidence", () => {
+    const { results, failures } = sortScans(
+      [
+        reading(50, 10, { id: "PKG-1", device: "top" }),
+        reading(50, 10, { id: "PKG-2", device: "side" }),
+      ],
+      { strategy: "confidence", deviceConfidence: { top: 0.9 } }
+    );
+    expect(results.map(({ id }) => id)).toEqual(["PKG-1"]);
+    expect(failures).toEqual([
+      expect.objectContaining({ id: "PKG-2", field: "confidence" }),
+    ]);
+  });
+
+  test("should use the sorter's thresholds and audit log", () => {
+    const record = jest.fn();
+    const sorter = createSorter({ massThreshold: 30, auditLog: { record } });
+    const { results } = sorter.sortScans([
+      reading(50, 25, { id: "PKG-1" }),
+      reading(50, 26, { id: "PKG-1" }),
+    ]);
+
+    expect(results[0].stack).toBe(STANDARD);
+    expect(record).toHaveBeenCalledTimes(1);
+    expect(record.mock.calls[0][0]).toMatchObject({
+      packageId: "PKG-1",
+      result: STANDARD,
+      measurements: {
+        mass: {
+          readings: [
+            { value: 25, unit: "kg" },
+            { value: 26, unit: "kg" },
+          ],
+          normalized: { value: 25.5, unit: "kg" },
+        },
+      },
+    });
+  });
+
+  test("should reject invalid options", () => {
+    expect(() => sortScans([], null)).toThrow("Sort options must be an object");
+    expect(() =>
+      sortScans([reading(50, 10, { id: "A" })], { strategy: "mean" })
+    ).toThrow('Unknown reconcile strategy "mean"');
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview HTTP Sorting Service
+ *
+ * A small JSON API over the sorter, built on Node's `http` module with no
+ * external dependencies, for conveyor controllers and dashboards that talk
+ * HTTP rather than `require()`.
+ *
+ * Endpoints:
+ * - `POST /sort` - sort one package `{ id?, width, height, length, mass, units? }`
+ * - `POST /sort/batch` - sort an array of packages, or `{ packages, units? }`
+ * - `GET /rules` - the rules in use
+ * - `GET /health` - liveness check
+ * - `GET /metrics` - Prometheus metrics, when a metrics collector is given
+ *
+ * Invalid packages get a 400 response naming the offending field, and a
+ * malformed request target gets a 400 response.
+ *
+ * @example
+ * const { createServer } = require('./server');
+ * createServer({ massThreshold: 30 }).listen(3000);
+ *
+ * // curl -X POST localhost:3000/sort -d '{"width":200,"height":50,"length":30,"mass":15}'
+ * // {"stack":"SPECIAL","flags":[]}
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const http = require("http");
+const { createSorter, InvalidPackageError } = require("./packageSorting");
+const { createMetricsCollector, createMetricsHandler } = require("./metrics");
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error carrying an HTTP status code, used to turn request problems into
+ * JSON error responses
+ * @private
+ */
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} res - Response to write
+ * @param {number} statusCode - HTTP status code
+ * @param {*} body - Value to serialize
+ * @private
+ */
+function sendJson(res, statusCode, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {number} maxBodyBytes - Largest body accepted
+ * @returns {Promise<*>} Parsed body
+ * @throws {HttpError} 413 if the body is too large, 400 if it is not JSON
+ * @private
+ */
+function readJsonBody(req, maxBodyBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    // Keep draining an oversized body rather than destroying the request, so
+    // the client still receives the 413 response
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= maxBodyBytes) {
+        chunks.push(chunk);
+      }
+    });
+    req.on("error", reject);
+    req.on("end", () => {
+      if (size > maxBodyBytes) {
+        reject(
+          new HttpError(413, `Request body exceeds ${maxBodyBytes} bytes`)
+        );
+        return;
+      }
+
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (text.trim() === "") {
+        reject(new HttpError(400, "Request body must be JSON"));
+        return;
+      }
+
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+  });
+}
+
+/**
+ * Reads the path from a request target
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {string} Path without the query string
+ * @throws {HttpError} 400 if the request target is not a valid URL
+ * @private
+ */
+function requestPath(req) {
+  try {
+    return new URL(req.url, "http://localhost").pathname;
+  } catch (error) {
+    throw new HttpError(400, `Invalid request target ${req.url}`);
+  }
+}
+
+/**
+ * Lists a rule for the /rules endpoint, including its declarative condition,
+ * annotation type and tags when it has them, and `enabled: false` when it is
+ * switched off
+ * @param {ClassificationRule} rule - Rule to describe
+ * @param {RuleEngine} engine - Engine the rule belongs to
+ * @returns {Object} JSON-safe rule description
+ * @private
+ */
+function describeRule(rule, engine) {
+  const description = {
+    name: rule.name,
+    result: rule.result,
+    priority: rule.priority,
+  };
+  if (rule.expression !== undefined) {
+    description.condition = rule.expression;
+  }
+  if (rule.type === "annotation") {
+    description.type = rule.type;
+  }
+  if (rule.tags !== undefined && rule.tags.length > 0) {
+    description.tags = rule.tags;
+  }
+  if (!engine.isRuleEnabled(rule.name)) {
+    description.enabled = false;
+  }
+  return description;
+}
+
+/**
+ * Creates the request handler for the sorting service.
+ *
+ * Useful for mounting the API on an existing `http.Server`; `createServer`
+ * wraps it in a new one.
+ *
+ * @param {Object} [options={}] - Service options
+ * @param {Sorter} [options.sorter] - Sorter to use; built from the remaining
+ *   options with `createSorter` if omitted
+ * @param {number} [options.maxBodyBytes=1048576] - Largest request body accepted
+ * @param {MetricsCollector} [options.metrics] - Collector to attach to the
+ *   sorter and serve at `GET /metrics`
+ * @returns {Function} `(req, res)` request listener
+ */
+function createRequestHandler(options = {}) {
+  const {
+    sorter: providedSorter,
+    maxBodyBytes,
+    metrics,
+    ...sorterOptions
+  } = options;
+  const sorter = providedSorter ?? createSorter(sorterOptions);
+  const bodyLimit = maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES;
+  const startedAt = Date.now();
+
+  const routes = {
+    "POST /sort": async (req) => {
+      const pkg = await readJsonBody(req, bodyLimit);
+      if (!pkg || typeof pkg !== "object" || Array.isArray(pkg)) {
+        throw new HttpError(400, "Request body must be a package object");
+      }
+
+      const { result: stack, flags } = sorter.sortWithReason(
+        pkg.width,
+        pkg.height,
+        pkg.length,
+        pkg.mass,
+        { units: pkg.units }
+      );
+      return pkg.id === undefined
+        ? { stack, flags }
+        : { id: pkg.id, stack, flags };
+    },
+
+    "POST /sort/batch": async (req) => {
+      const body = await readJsonBody(req, bodyLimit);
+      const packages = Array.isArray(body) ? body : body && body.packages;
+      if (!Array.isArray(packages)) {
+        throw new HttpError(
+          400,
+          'Request body must be an array of packages or an object with a "packages" array'
+        );
+      }
+
+      return sorter.sortBatch(packages, { units: body.units });
+    },
+
+    "GET /rules": async () => ({
+      rules: sorter.engine.rules.map((rule) =>
+        describeRule(rule, sorter.engine)
+      ),
+      thresholds: sorter.thresholds,
+    }),
+
+    "GET /health": async () => ({
+      status: "ok",
+      uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+    }),
+  };
+
+  // Metrics are plain text rather than JSON, so that route writes its own
+  // response
+  if (metrics) {
+    metrics.attach(sorter);
+    const handleMetrics = createMetricsHandler(metrics);
+    routes["GET /metrics"] = async (req, res) => handleMetrics(req, res);
+  }
+
+  const paths = new Set(Object.keys(routes).map((key) => key.split(" ")[1]));
+
+  return async function handleRequest(req, res) {
+    try {
+      const pathname = requestPath(req);
+      const route = routes[`${req.method} ${pathname}`];
+      if (!route) {
+        if (paths.has(pathname)) {
+          throw new HttpError(405, `Method ${req.method} not allowed`);
+        }
+        throw new HttpError(404, `No route for ${pathname}`);
+      }
+
+      const body = await route(req, res);
+      if (!res.writableEnded) {
+        sendJson(res, 200, body);
+      }
+    } catch (error) {
+      if (error instanceof InvalidPackageError) {
+        sendJson(res, 400, {
+          error: error.name,
+          message: error.message,
+          field: error.field,
+          reason: error.reason,
+        });
+      } else if (error instanceof HttpError) {
+        sendJson(res, error.statusCode, {
+          error: error.name,
+          message: error.message,
+        });
+      } else {
+        sendJson(res, 500, { error: "InternalError", message: error.message });
+      }
+    }
+  };
+}
+
+/**
+ * Creates an HTTP server exposing the sorting API. The server is not started;
+ * call `listen` on it.
+ *
+ * @param {Object} [options={}] - Service options, as for `createRequestHandler`
+ * @returns {http.Server} Server ready to listen
+ *
+ * @example
+ * const server = createServer();
+ * server.listen(3000, () => console.log("Sorting service on :3000"));
+ */
+function createServer(options = {}) {
+  return http.createServer(createRequestHandler(options));
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 3000;
+  createServer({ metrics: createMetricsCollector() }).listen(port, () => {
+    console.log(`Package sorting service listening on port ${port}`);
+  });
+}
+
+module.exports = {
+  createServer,
+  createRequestHandler,
+};
@@ -0,0 +1,383 @@
+const net = require("net");
+const { createServer } = require("./server");
+const { createSorter } = require("./packageSorting");
+const { createMetricsCollector } = require("./metrics");
+
+describe("HTTP sorting service", () => {
+  let server;
+  let baseUrl;
+
+  const startServer = async (options) => {
+    server = createServer(options);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const post = (path, body) =>
+    fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+
+  beforeEach(async () => {
+    await startServer();
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe("POST /sort", () => {
+    test("should sort a package", async () => {
+      const response = await post("/sort", {
+        id: "PKG-1",
+        width: 200,
+        height: 50,
+        length: 30,
+        mass: 15,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get("content-type")).toMatch(/application\/json/);
+      expect(await response.json()).toEqual({
+        id: "PKG-1",
+        stack: "SPECIAL",
+        flags: [],
+      });
+    });
+
+    test("should accept units", async () => {
+      const response = await post("/sort", {
+        width: 60,
+        height: 20,
+        length: 20,
+        mass: 10,
+        units: { length: "in", mass: "lb" },
+      });
+
+      expect(await response.json()).toEqual({ stack: "SPECIAL", flags: [] });
+    });
+
+    test("should return 400 for an invalid package", async () => {
+      const response = await post("/sort", {
+        width: -1,
+        height: 50,
+        length: 30,
+        mass: 15,
+      });
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({
+        error: "InvalidPackageError",
+        message: "Invalid package width: must be greater than zero",
+        field: "width",
+        reason: "must be greater than zero",
+      });
+    });
+
+    test("should return 400 for malformed or non-object JSON", async () => {
+      const malformed = await post("/sort", "{ width: ");
+      expect(malformed.status).toBe(400);
+      expect((await malformed.json()).message).toMatch(/^Invalid JSON body:/);
+
+      const array = await post("/sort", []);
+      expect(array.status).toBe(400);
+      expect((await array.json()).message).toBe(
+        "Request body must be a package object"
+      );
+
+      const empty = await post("/sort", "");
+      expect(empty.status).toBe(400);
+    });
+  });
+
+  describe("handling flags", () => {
+    beforeEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await startServer({
+        rules: [
+          {
+            name: "team-lift",
+            type: "annotation",
+            condition: (pkg) => pkg.mass >= 23,
+            result: "TEAM_LIFT",
+            priority: 0,
+          },
+          { name: "all", condition: () => true, result: "ALL", priority: 1 },
+        ],
+      });
+    });
+
+    test("should return the flags of a sorted package", async () => {
+      const response = await post("/sort", {
+        width: 50,
+        height: 30,
+        length: 20,
+        mass: 25,
+      });
+
+      expect(await response.json()).toEqual({
+        stack: "ALL",
+        flags: ["TEAM_LIFT"],
+      });
+    });
+
+    test("should return flags in batch results", async () => {
+      const response = await post("/sort/batch", [
+        { id: "A", width: 50, height: 30, length: 20, mass: 25 },
+      ]);
+
+      expect((await response.json()).results[0]).toMatchObject({
+        id: "A",
+        stack: "ALL",
+        flags: ["TEAM_LIFT"],
+      });
+    });
+  });
+
+  describe("POST /sort/batch", () => {
+    const packages = [
+      { id: "A", width: 50, height: 30, length: 20, mass: 10 },
+      { id: "B", width: 150, height: 150, length: 150, mass: 25 },
+      { id: "C", width: "wide", height: 30, length: 20, mass: 10 },
+    ];
+
+    test("should sort an array of packages", async () => {
+      const response = await post("/sort/batch", packages);
+      const batch = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(batch.summary).toEqual({
+        total: 3,
+        sorted: 2,
+        failed: 1,
+        stacks: { REJECTED: 1, SPECIAL: 0, STANDARD: 1 },
+      });
+      expect(batch.failures[0]).toMatchObject({ id: "C", field: "width" });
+    });
+
+    test("should accept an object with packages and units", async () => {
+      const response = await post("/sort/batch", {
+        packages: [{ id: "A", width: 1500, height: 1, length: 1, mass: 1 }],
+        units: { length: "mm" },
+      });
+
+      expect((await response.json()).results[0].stack).toBe("SPECIAL");
+    });
+
+    test("should return 400 when there is no package array", async () => {
+      const response = await post("/sort/batch", { items: [] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("GET /rules", () => {
+    test("should list the rules and thresholds in use", async () => {
+      const response = await fetch(`${baseUrl}/rules`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.rules.map((rule) => rule.name)).toEqual([
+        "rejected-packages",
+        "special-packages",
+        "standard-packages",
+      ]);
+      expect(body.rules[2]).toEqual({
+        name: "standard-packages",
+        result: "STANDARD",
+        priority: 3,
+        condition: true,
+      });
+      expect(body.thresholds).toEqual({
+        volumeThreshold: 1000000,
+        dimensionThreshold: 150,
+        massThreshold: 20,
+      });
+    });
+
+    test("should omit conditions that are only functions", async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await startServer({
+        sorter: createSorter({
+          rules: [
+            { name: "all", condition: () => true, result: "ALL", priority: 1 },
+          ],
+        }),
+      });
+
+      const body = await (await fetch(`${baseUrl}/rules`)).json();
+      expect(body.rules).toEqual([{ name: "all", result: "ALL", priority: 1 }]);
+    });
+
+    test("should show tags and disabled rules", async () => {
+      await new Promise((resolve) => server.close(resolve));
+      const sorter = createSorter({
+        rules: [
+          {
+            name: "peak",
+            condition: () => true,
+            result: "PEAK",
+            priority: 0,
+            tags: ["holiday-peak"],
+          },
+          { name: "all", condition: () => true, result: "ALL", priority: 1 },
+        ],
+      });
+      sorter.engine.disableTag("holiday-peak");
+      await startServer({ sorter });
+
+      const body = await (await fetch(`${baseUrl}/rules`)).json();
+      expect(body.rules).toEqual([
+        {
+          name: "peak",
+          result: "PEAK",
+          priority: 0,
+          tags: ["holiday-peak"],
+          enabled: false,
+        },
+        { name: "all", result: "ALL", priority: 1 },
+      ]);
+    });
+
+    test("should show annotation rules", async () => {
+      await new Promise((resolve) => server.close(resolve));
+      const sorter = createSorter({
+        rules: [
+          {
+            name: "team-lift",
+            type: "annotation",
+            condition: () => true,
+            result: "TEAM_LIFT",
+            priority: 0,
+          },
+          { name: "all", condition: () => true, result: "ALL", priority: 1 },
+        ],
+      });
+      await startServer({ sorter });
+
+      const body = await (await fetch(`${baseUrl}/rules`)).json();
+      expect(body.rules[0]).toEqual({
+        name: "team-lift",
+        result: "TEAM_LIFT",
+        priority: 0,
+        type: "annotation",
+      });
+    });
+  });
+
+  describe("GET /health", () => {
+    test("should report ok", async () => {
+      const response = await fetch(`${baseUrl}/health`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body.status).toBe("ok");
+      expect(typeof body.uptimeSeconds).toBe("number");
+    });
+  });
+
+  describe("GET /metrics", () => {
+    test("should serve Prometheus metrics when a collector is given", async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await startServer({ metrics: createMetricsCollector() });
+
+      await post("/sort", { width: 200, height: 50, length: 30, mass: 25 });
+      const response = await fetch(`${baseUrl}/metrics`);
+      const text = await response.text();
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get("content-type")).toMatch(/^text\/plain/);
+      expect(text).toContain('package_sort_stack_total{stack="REJECTED"} 1');
+      expect(text).toContain("package_sort_rejected_ratio 1");
+    });
+
+    test("should not exist without a collector", async () => {
+      const response = await fetch(`${baseUrl}/metrics`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("errors", () => {
+    test("should return 404 for unknown routes", async () => {
+      const response = await fetch(`${baseUrl}/nope`);
+
+      expect(response.status).toBe(404);
+      expect(await response.json()).toEqual({
+        error: "HttpError",
+        message: "No route for /nope",
+      });
+    });
+
+    test("should return 400 for a malformed request target", async () => {
+      const { port } = server.address();
+      const response = await new Promise((resolve, reject) => {
+        const socket = net.connect(port, "127.0.0.1", () => {
+          socket.end(
+            "GET http://[bad/health HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n"
+          );
+        });
+        let data = "";
+        socket.on("data", (chunk) => (data += chunk));
+        socket.on("end", () => resolve(data));
+        socket.on("error", reject);
+      });
+
+      expect(response).toMatch(/^HTTP\/1\.1 400 /);
+      expect(response).toContain("Invalid request target http://[bad/health");
+
+      // The service keeps running
+      expect((await fetch(`${baseUrl}/health`)).status).toBe(200);
+    });
+
+    test("should return 405 for the wrong method", async () => {
+      const response = await fetch(`${baseUrl}/sort`);
+
+      expect(response.status).toBe(405);
+    });
+
+    test("should return 413 for oversized bodies", async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await startServer({ maxBodyBytes: 10 });
+
+      const response = await post("/sort", {
+        width: 50,
+        height: 30,
+        length: 20,
+        mass: 10,
+      });
+
+      expect(response.status).toBe(413);
+    });
+
+    test("should return 500 when a rule fails", async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await startServer({
+        rules: [
+          {
+            name: "broken",
+            condition: () => {
+              throw new Error("boom");
+            },
+            result: "X",
+            priority: 1,
+          },
+        ],
+      });
+
+      const response = await post("/sort", {
+        width: 50,
+        height: 30,
+        length: 20,
+        mass: 10,
+      });
+
+      expect(response.status).toBe(500);
+      expect((await response.json()).message).toBe(
+        'Error evaluating rule "broken": boom'
+      );
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Rule Change Simulator
+ *
+ * Answers "what would have changed?" before a threshold or rule change goes
+ * live. Historical packages, each with the stack it was actually sent to,
+ * are replayed through a candidate sorter with its own RuleEngine, and the
+ * outcome is reported as a confusion matrix of old stack against new stack,
+ * with sample package IDs for every changed cell.
+ *
+ * History can be a CSV or NDJSON manifest with a `stack` column, or records
+ * from the audit log (see auditLog.js), which carry their original
+ * measurements and units (or, for reconciled scans, the combined values).
+ *
+ * @example
+ * const { simulateHistoryFile } = require('./simulator');
+ * const report = simulateHistoryFile("history.csv", { massThreshold: 25 });
+ * report.matrix.SPECIAL.STANDARD; // packages that would no longer be SPECIAL
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const fs = require("fs");
+const { createSorter, InvalidPackageError } = require("./packageSorting");
+const { parseManifest, formatFromFileName } = require("./manifestParser");
+const { isAnnotationRule } = require("./ruleSchema");
+
+const DEFAULT_SAMPLE_SIZE = 5;
+
+/**
+ * Turns an audit log record into a history entry; other entries are returned
+ * unchanged
+ * @param {Object} entry - History entry or audit record
+ * @returns {Object} History entry `{ id, width, height, length, mass, stack }`
+ * @private
+ */
+function fromAuditRecord(entry) {
+  if (
+    !entry ||
+    typeof entry !== "object" ||
+    !entry.measurements ||
+    typeof entry.measurements !== "object" ||
+    entry.stack !== undefined
+  ) {
+    return entry;
+  }
+
+  const historyEntry = {
+    id: entry.packageId ?? undefined,
+    stack: entry.result,
+  };
+  // Reconciled scans have several readings, so they replay the combined value
+  for (const [field, measurement] of Object.entries(entry.measurements)) {
+    historyEntry[field] = measurement.original ?? measurement.normalized;
+  }
+  return historyEntry;
+}
+
+/**
+ * Labels a package for the report: its ID, or its 1-based position
+ * @param {*} id - Package ID
+ * @param {number} index - Position in the history
+ * @returns {*} Label
+ * @private
+ */
+function packageLabel(id, index) {
+  return id === undefined || id === null || id === "" ? `#${index + 1}` : id;
+}
+
+/**
+ * Replays historical packages through a candidate sorter.
+ *
+ * @param {Array<Object>} history - Entries with measurements, an optional
+ *   `id` and `units`, and the `stack` they were sent to; audit log records
+ *   are also accepted
+ * @param {SorterOptions|Sorter} candidate - Thresholds and rules to try, or a
+ *   ready-made sorter without an audit log; an `auditLog` option is ignored
+ * @param {Object} [options={}] - Simulation options
+ * @param {number} [options.sampleSize=5] - Package IDs kept per changed cell
+ * @param {PackageUnits} [options.units] - Units for plain-number measurements
+ * @returns {SimulationReport} Confusion matrix and summary
+ * @throws {Error} If the history is not an array, the candidate is invalid
+ *   or a sorter with an audit log, or a candidate rule throws
+ *
+ * @example
+ * const report = simulateRuleChange(history, { massThreshold: 25 });
+ * // report.changes: [{ from: "SPECIAL", to: "STANDARD", count: 12, sampleIds: [...] }]
+ */
+function simulateRuleChange(history, candidate, options = {}) {
+  if (!Array.isArray(history)) {
+    throw new Error("History must be an array");
+  }
+  const { sampleSize = DEFAULT_SAMPLE_SIZE, units } = options;
+  if (!Number.isInteger(sampleSize) || sampleSize < 0) {
+    throw new Error("sampleSize must be a non-negative integer");
+  }
+
+  // What-if replays must never reach the audit log of real decisions
+  let sorter;
+  if (candidate && typeof candidate.sortBatch === "function") {
+    if (candidate.auditLog) {
+      throw new Error(
+        "Candidate sorter has an audit log; pass a sorter without one, or its settings, so replays are not recorded as decisions"
+      );
+    }
+    sorter = candidate;
+  } else {
+    sorter = createSorter(
+      candidate && typeof candidate === "object"
+        ? { ...candidate, auditLog: undefined }
+        : candidate
+    );
+  }
+
+  const entries = history.map(fromAuditRecord);
+  const batch = sorter.sortBatch(entries, { units });
+
+  // A package without its old stack can't be compared, so it counts as a
+  // failure alongside packages with bad measurements
+  const failures = [...batch.failures];
+  const replayed = [];
+  for (const result of batch.results) {
+    const oldStack = entries[result.index].stack;
+    if (typeof oldStack !== "string" || oldStack === "") {
+      const error = new InvalidPackageError("stack", "is required", oldStack);
+      failures.push({
+        id: result.id,
+        index: result.index,
+        field: error.field,
+        reason: error.reason,
+        message: error.message,
+      });
+      continue;
+    }
+    replayed.push({ ...result, oldStack });
+  }
+  failures.sort((a, b) => a.index - b.index);
+
+  // Every stack either rule set can produce, candidate stacks first
+  const stacks = [
+    ...new Set([
+      ...sorter.engine.activeRules
+        .filter((rule) => !isAnnotationRule(rule))
+        .map((rule) => rule.result),
+      ...replayed.map((entry) => entry.oldStack),
+    ]),
+  ];
+
+  const matrix = {};
+  for (const from of stacks) {
+    matrix[from] = {};
+    for (const to of stacks) {
+      matrix[from][to] = 0;
+    }
+  }
+
+  const changes = new Map();
+  for (const { id, index, stack, oldStack } of replayed) {
+    matrix[oldStack][stack]++;
+    if (stack === oldStack) {
+      continue;
+    }
+    const key = `${oldStack}\u0000${stack}`;
+    if (!changes.has(key)) {
+      changes.set(key, { from: oldStack, to: stack, count: 0, sampleIds: [] });
+    }
+    const change = changes.get(key);
+    change.count++;
+    if (change.sampleIds.length < sampleSize) {
+      change.sampleIds.push(packageLabel(id, index));
+    }
+  }
+
+  const changed = [...changes.values()].reduce(
+    (total, change) => total + change.count,
+    0
+  );
+
+  return {
+    summary: {
+      total: history.length,
+      replayed: replayed.length,
+      changed,
+      unchanged: replayed.length - changed,
+      failed: failures.length,
+    },
+    stacks,
+    matrix,
+    changes: [...changes.values()].sort((a, b) => b.count - a.count),
+    failures,
+  };
+}
+
+/**
+ * Reads a history file and replays it with `simulateRuleChange`.
+ *
+ * @param {string} filePath - CSV, JSON or NDJSON history; CSV files need a
+ *   `stack` column
+ * @param {SorterOptions|Sorter} candidate - Thresholds and rules to try
+ * @param {Object} [options={}] - As for `simulateRuleChange`, plus `format`
+ *   to override the format worked out from the file name
+ * @returns {SimulationReport} Confusion matrix and summary
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function simulateHistoryFile(filePath, candidate, options = {}) {
+  const { format = formatFromFileName(filePath), ...simulateOptions } = options;
+  const history = parseManifest(fs.readFileSync(filePath, "utf8"), format, {
+    extraColumns: ["stack"],
+  });
+  return simulateRuleChange(history, candidate, simulateOptions);
+}
+
+/**
+ * @typedef {Object} SimulationReport
+ * @property {{total: number, replayed: number, changed: number, unchanged: number, failed: number}} summary
+ * @property {Array<string>} stacks - Row and column order of the matrix
+ * @property {Object<string, Object<string, number>>} matrix - Counts indexed
+ *   by old stack, then new stack
+ * @property {Array<{from: string, to: string, count: number, sampleIds: Array<*>}>} changes -
+ *   Changed cells, largest first
+ * @property {Array<Object>} failures - Entries that could not be replayed,
+ *   shaped like `sortBatch` failures
+ */
+
+module.exports = {
+  simulateRuleChange,
+  simulateHistoryFile,
+};
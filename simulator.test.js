@@ -0,0 +1,273 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { simulateRuleChange, simulateHistoryFile } = require("./simulator");
+const { createSorter } = require("./packageSorting");
+const { createAuditLog } = require("./auditLog");
+const {
+  STANDARD,
+  SPECIAL,
+  REJECTED,
+  CLASSIFICATION_RULES,
+} = require("./packageSortingConfig");
+
+// Sorted with the default thresholds
+const HISTORY = [
+  { id: "A", width: 50, height: 30, length: 20, mass: 10, stack: STANDARD },
+  { id: "B", width: 50, height: 30, length: 20, mass: 22, stack: SPECIAL },
+  { id: "C", width: 50, height: 30, length: 20, mass: 24, stack: SPECIAL },
+  { id: "D", width: 200, height: 30, length: 20, mass: 22, stack: REJECTED },
+  { id: "E", width: 200, height: 30, length: 20, mass: 5, stack: SPECIAL },
+];
+
+describe("simulateRuleChange", () => {
+  test("should report no changes for the current configuration", () => {
+    const report = simulateRuleChange(HISTORY, {});
+
+    expect(report.summary).toEqual({
+      total: 5,
+      replayed: 5,
+      changed: 0,
+      unchanged: 5,
+      failed: 0,
+    });
+    expect(report.changes).toEqual([]);
+  });
+
+  test("should build a confusion matrix for a threshold change", () => {
+    const report = simulateRuleChange(HISTORY, { massThreshold: 25 });
+
+    expect(report.stacks).toEqual([REJECTED, SPECIAL, STANDARD]);
+    expect(report.matrix).toEqual({
+      [REJECTED]: { [REJECTED]: 0, [SPECIAL]: 1, [STANDARD]: 0 },
+      [SPECIAL]: { [REJECTED]: 0, [SPECIAL]: 1, [STANDARD]: 2 },
+      [STANDARD]: { [REJECTED]: 0, [SPECIAL]: 0, [STANDARD]: 1 },
+    });
+    expect(report.changes).toEqual([
+      { from: SPECIAL, to: STANDARD, count: 2, sampleIds: ["B", "C"] },
+      { from: REJECTED, to: SPECIAL, count: 1, sampleIds: ["D"] },
+    ]);
+    expect(report.summary.changed).toBe(3);
+  });
+
+  test("should accept a candidate sorter with new stacks", () => {
+    const candidate = createSorter({
+      rules: [
+        {
+          name: "overweight",
+          condition: (pkg) => pkg.mass >= 24,
+          result: "OVERWEIGHT",
+          priority: 1,
+        },
+        {
+          name: "default",
+          condition: () => true,
+          result: STANDARD,
+          priority: 2,
+        },
+      ],
+    });
+
+    const report = simulateRuleChange(HISTORY, candidate);
+
+    expect(report.stacks).toEqual(["OVERWEIGHT", STANDARD, SPECIAL, REJECTED]);
+    expect(report.matrix[SPECIAL].OVERWEIGHT).toBe(1);
+    expect(report.matrix[SPECIAL][STANDARD]).toBe(2);
+  });
+
+  test("should not report annotation flags as stacks", () => {
+    const candidate = createSorter({
+      rules: [
+        {
+          name: "team-lift",
+          type: "annotation",
+          condition: (pkg) => pkg.mass >= 23,
+          result: "TEAM_LIFT",
+          priority: 0,
+        },
+        ...CLASSIFICATION_RULES,
+      ],
+    });
+
+    const report = simulateRuleChange(HISTORY, candidate);
+
+    expect(report.stacks).toEqual([REJECTED, SPECIAL, STANDARD]);
+    expect(report.summary.changed).toBe(0);
+  });
+
+  test("should limit sample IDs and label packages without an ID", () => {
+    const history = Array.from({ length: 8 }, () => ({
+      width: 50,
+      height: 30,
+      length: 20,
+      mass: 22,
+      stack: SPECIAL,
+    }));
+
+    const [change] = simulateRuleChange(
+      history,
+      { massThreshold: 30 },
+      { sampleSize: 2 }
+    ).changes;
+
+    expect(change).toEqual({
+      from: SPECIAL,
+      to: STANDARD,
+      count: 8,
+      sampleIds: ["#1", "#2"],
+    });
+  });
+
+  test("should report entries that cannot be replayed", () => {
+    const report = simulateRuleChange(
+      [
+        {
+          id: "X",
+          width: -1,
+          height: 30,
+          length: 20,
+          mass: 10,
+          stack: STANDARD,
+        },
+        { id: "Y", width: 50, height: 30, length: 20, mass: 10 },
+        ...HISTORY,
+      ],
+      {}
+    );
+
+    expect(report.summary).toMatchObject({ total: 7, replayed: 5, failed: 2 });
+    expect(report.failures.map(({ id, field }) => [id, field])).toEqual([
+      ["X", "width"],
+      ["Y", "stack"],
+    ]);
+  });
+
+  test("should apply units to plain-number measurements", () => {
+    const report = simulateRuleChange(
+      [
+        {
+          id: "L",
+          width: 50,
+          height: 30,
+          length: 20,
+          mass: 50,
+          stack: STANDARD,
+        },
+      ],
+      {},
+      { units: { mass: "lb" } }
+    );
+
+    expect(report.changes).toEqual([
+      { from: STANDARD, to: SPECIAL, count: 1, sampleIds: ["L"] },
+    ]);
+  });
+
+  test("should reject bad arguments", () => {
+    expect(() => simulateRuleChange({}, {})).toThrow(
+      "History must be an array"
+    );
+    expect(() => simulateRuleChange([], { massThreshold: -1 })).toThrow(
+      "Sorter massThreshold must be a positive finite number"
+    );
+    expect(() => simulateRuleChange([], {}, { sampleSize: -1 })).toThrow(
+      "sampleSize must be a non-negative integer"
+    );
+  });
+});
+
+describe("simulateHistoryFile", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "simulate-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("should replay a CSV history", () => {
+    const file = path.join(directory, "history.csv");
+    fs.writeFileSync(
+      file,
+      [
+        "id,width,height,length,mass,stack",
+        ...HISTORY.map(
+          ({ id, width, height, length, mass, stack }) =>
+            `${id},${width},${height},${length},${mass},${stack}`
+        ),
+      ].join("\n")
+    );
+
+    expect(
+      simulateHistoryFile(file, { massThreshold: 25 }).summary.changed
+    ).toBe(3);
+  });
+
+  test("should replay an NDJSON history", () => {
+    const file = path.join(directory, "history.ndjson");
+    fs.writeFileSync(
+      file,
+      HISTORY.map((entry) => JSON.stringify(entry)).join("\n")
+    );
+
+    expect(
+      simulateHistoryFile(file, { massThreshold: 25 }).summary.changed
+    ).toBe(3);
+  });
+
+  test("should replay audit log records in their original units", () => {
+    const auditLog = createAuditLog({ directory });
+    const sorter = createSorter({ auditLog });
+    sorter.sort(44, 20, 20, 50, {
+      id: "P-1",
+      units: { length: "in", mass: "lb" },
+    });
+    sorter.sort(50, 30, 20, 10, { id: "P-2" });
+    auditLog.close();
+
+    const report = simulateHistoryFile(auditLog.currentFile, {
+      massThreshold: 25,
+    });
+
+    expect(report.summary).toMatchObject({ replayed: 2, changed: 1 });
+    expect(report.changes).toEqual([
+      { from: SPECIAL, to: STANDARD, count: 1, sampleIds: ["P-1"] },
+    ]);
+  });
+
+  test("should leave the audit log unchanged", () => {
+    const auditLog = createAuditLog({ directory });
+    const sorter = createSorter({ auditLog });
+    sorter.sort(50, 30, 20, 10, { id: "P-1" });
+    const before = fs.readFileSync(auditLog.currentFile, "utf8");
+
+    expect(() => simulateRuleChange(HISTORY, sorter)).toThrow(
+      "Candidate sorter has an audit log"
+    );
+    expect(
+      simulateRuleChange(HISTORY, { massThreshold: 25, auditLog }).summary
+        .replayed
+    ).toBe(HISTORY.length);
+    expect(fs.readFileSync(auditLog.currentFile, "utf8")).toBe(before);
+    auditLog.close();
+  });
+
+  test("should replay reconciled scans on their combined values", () => {
+    const auditLog = createAuditLog({ directory });
+    const sorter = createSorter({ auditLog });
+    sorter.sortScans([
+      { id: "P-1", width: 50, height: 30, length: 20, mass: 22 },
+      { id: "P-1", width: 50, height: 30, length: 20, mass: 24 },
+    ]);
+    auditLog.close();
+
+    const report = simulateHistoryFile(auditLog.currentFile, {
+      massThreshold: 23,
+    });
+
+    expect(report.summary).toMatchObject({ replayed: 1, changed: 0 });
+  });
+});
@@ -0,0 +1,514 @@
+/**
+ * @fileoverview Stack Capacity Manager
+ *
+ * Tracks what has been dispatched into each physical stack next to the arm,
+ * against a catalog of stacks with optional capacity limits (package count,
+ * total mass and total volume). When a package would overfill its stack it is
+ * sent to the stack's configured overflow stack, following the chain of
+ * overflows until one has room. If none has room the package is held until a
+ * stack is emptied.
+ *
+ * The manager emits events so the floor can react:
+ *
+ * - `dispatched` - a package went into a stack
+ * - `overflow` - a package was redirected from a full stack, or from one it
+ *   is too big for even when empty
+ * - `held` - no stack in the overflow chain had room
+ * - `full` - a stack reached a limit or refused a package that would fit once
+ *   it is emptied, and needs emptying
+ * - `emptied` - a stack was emptied
+ *
+ * @example
+ * const { StackManager } = require('./stackManager');
+ * const stacks = new StackManager({
+ *   STANDARD: { capacity: { count: 200, mass: 1500 }, overflow: "STANDARD-2" },
+ *   "STANDARD-2": { capacity: { count: 200 } },
+ *   SPECIAL: { capacity: { volume: 8000000 } },
+ *   REJECTED: {},
+ * });
+ * stacks.on("full", ({ stack }) => pager.notify(`Empty ${stack}`));
+ *
+ * const { result, facts } = sortWithReason(50, 30, 20, 10);
+ * stacks.dispatch(result, { id: "PKG-1", mass: facts.mass, volume: facts.volume });
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const { EventEmitter } = require("events");
+const { STACK_CATALOG } = require("./packageSortingConfig");
+const { validateMeasurement } = require("./packageValidation");
+
+/**
+ * Names of the events a StackManager emits.
+ * @type {ReadonlyArray<string>}
+ */
+const STACK_MANAGER_EVENTS = Object.freeze([
+  "dispatched",
+  "overflow",
+  "held",
+  "full",
+  "emptied",
+]);
+
+const LIMITS = ["count", "mass", "volume"];
+const STACK_KEYS = ["capacity", "overflow"];
+
+/**
+ * Validates one stack's catalog entry
+ * @param {string} name - Stack name
+ * @param {StackDefinition} definition - Stack settings
+ * @param {Array<string>} names - Every stack name in the catalog
+ * @returns {Readonly<StackDefinition>} Frozen settings with every limit filled
+ *   in (Infinity when unlimited)
+ * @throws {Error} If a setting is invalid
+ * @private
+ */
+function validateStack(name, definition, names) {
+  if (!definition || typeof definition !== "object") {
+    throw new Error(`Stack "${name}" must be an object`);
+  }
+  for (const key of Object.keys(definition)) {
+    if (!STACK_KEYS.includes(key)) {
+      throw new Error(`Stack "${name}" has unknown setting "${key}"`);
+    }
+  }
+
+  const { capacity = {}, overflow = null } = definition;
+  if (!capacity || typeof capacity !== "object") {
+    throw new Error(`Stack "${name}" capacity must be an object`);
+  }
+
+  const limits = {};
+  for (const limit of LIMITS) {
+    const value = capacity[limit];
+    if (value === undefined) {
+      limits[limit] = Infinity;
+      continue;
+    }
+    if (limit === "count" && (!Number.isInteger(value) || value <= 0)) {
+      throw new Error(
+        `Stack "${name}" capacity count must be a positive integer`
+      );
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+      throw new Error(
+        `Stack "${name}" capacity ${limit} must be a positive finite number`
+      );
+    }
+    limits[limit] = value;
+  }
+
+  if (overflow !== null) {
+    if (overflow === name) {
+      throw new Error(`Stack "${name}" cannot overflow into itself`);
+    }
+    if (!names.includes(overflow)) {
+      throw new Error(
+        `Stack "${name}" overflows into unknown stack "${overflow}"`
+      );
+    }
+  }
+
+  return Object.freeze({ capacity: Object.freeze(limits), overflow });
+}
+
+/**
+ * Reads the mass and volume a package adds to a stack
+ * @param {StackPackage} pkg - Package being dispatched
+ * @returns {{mass: number|undefined, volume: number|undefined}} Load
+ * @throws {InvalidPackageError} If a measurement the package has is not a
+ *   finite number greater than zero
+ * @private
+ */
+function packageLoad(pkg) {
+  for (const field of ["mass", "volume", "width", "height", "length"]) {
+    if (pkg[field] !== undefined) {
+      validateMeasurement(field, pkg[field]);
+    }
+  }
+
+  const volume =
+    pkg.volume ??
+    (pkg.width !== undefined &&
+    pkg.height !== undefined &&
+    pkg.length !== undefined
+      ? pkg.width * pkg.height * pkg.length
+      : undefined);
+  return { mass: pkg.mass, volume };
+}
+
+/**
+ * Lists a stack's limits for `usage`, with null for unlimited ones so the
+ * report survives JSON serialization (which turns Infinity into null anyway)
+ * @param {Readonly<Object<string, number>>} capacity - Limits, Infinity where
+ *   unlimited
+ * @returns {{count: number|null, mass: number|null, volume: number|null}}
+ *   Limits, null where unlimited
+ * @private
+ */
+function reportedCapacity(capacity) {
+  const reported = {};
+  for (const limit of LIMITS) {
+    reported[limit] = capacity[limit] === Infinity ? null : capacity[limit];
+  }
+  return reported;
+}
+
+/**
+ * Tracks stack contents against their capacities and routes overflow.
+ *
+ * @class StackManager
+ * @extends EventEmitter
+ */
+class StackManager extends EventEmitter {
+  /**
+   * @param {Object<string, StackDefinition>} [catalog=STACK_CATALOG] - Stacks
+   *   by name; stacks without a capacity are unlimited
+   * @throws {Error} If the catalog or a stack definition is invalid
+   */
+  constructor(catalog = STACK_CATALOG) {
+    super();
+
+    if (
+      !catalog ||
+      typeof catalog !== "object" ||
+      Object.keys(catalog).length === 0
+    ) {
+      throw new Error(
+        "Stack catalog must be an object with at least one stack"
+      );
+    }
+
+    const names = Object.keys(catalog);
+    this._stacks = new Map(
+      names.map((name) => [
+        name,
+        {
+          definition: validateStack(name, catalog[name], names),
+          count: 0,
+          mass: 0,
+          volume: 0,
+          full: false,
+        },
+      ])
+    );
+    this._held = [];
+  }
+
+  /**
+   * Subscribes to a manager event; see STACK_MANAGER_EVENTS
+   * @param {string} event - Event name
+   * @param {Function} listener - Event handler
+   * @returns {StackManager} This manager, for chaining
+   * @throws {Error} If the event name is unknown
+   */
+  on(event, listener) {
+    checkEventName(event);
+    return super.on(event, listener);
+  }
+
+  /**
+   * Subscribes to the next occurrence of a manager event
+   * @param {string} event - Event name
+   * @param {Function} listener - Event handler
+   * @returns {StackManager} This manager, for chaining
+   * @throws {Error} If the event name is unknown
+   */
+  once(event, listener) {
+    checkEventName(event);
+    return super.once(event, listener);
+  }
+
+  /**
+   * Names of the stacks in the catalog
+   * @type {Array<string>}
+   */
+  get stacks() {
+    return [...this._stacks.keys()];
+  }
+
+  /**
+   * Packages waiting for room, oldest first
+   * @type {ReadonlyArray<{package: StackPackage, requested: string}>}
+   */
+  get held() {
+    return Object.freeze([...this._held]);
+  }
+
+  /**
+   * Reports how full a stack is.
+   *
+   * @param {string} name - Stack name
+   * @returns {StackUsage} Current contents, limits and whether it is full
+   * @throws {Error} If the stack is unknown
+   */
+  usage(name) {
+    const stack = this._stack(name);
+    return {
+      stack: name,
+      count: stack.count,
+      mass: stack.mass,
+      volume: stack.volume,
+      capacity: reportedCapacity(stack.definition.capacity),
+      full: stack.full,
+    };
+  }
+
+  /**
+   * Sends a package to a stack, or along its overflow chain if it is full.
+   *
+   * @param {string} name - Stack the package was sorted into
+   * @param {StackPackage} pkg - The package; `mass` and `volume` (or its
+   *   dimensions) are needed for stacks that limit them
+   * @returns {DispatchResult} Where the package went
+   * @throws {InvalidPackageError} If the package's mass, volume or a
+   *   dimension is not a finite number greater than zero
+   * @throws {Error} If the stack is unknown, or the package lacks a mass or
+   *   volume that a stack in the chain limits
+   *
+   * @example
+   * stacks.dispatch("STANDARD", { id: "PKG-1", mass: 10, volume: 30000 });
+   * // { stack: "STANDARD", requested: "STANDARD", overflowed: false, held: false }
+   */
+  dispatch(name, pkg) {
+    this._stack(name);
+    if (!pkg || typeof pkg !== "object") {
+      throw new Error("Package must be an object");
+    }
+
+    const load = packageLoad(pkg);
+    this._checkChain(name, load);
+
+    const visited = new Set();
+    let current = name;
+    let oversize = true;
+
+    while (current !== null && !visited.has(current)) {
+      visited.add(current);
+      const stack = this._stack(current);
+
+      if (this._hasRoom(stack, load)) {
+        stack.count++;
+        stack.mass += load.mass ?? 0;
+        stack.volume += load.volume ?? 0;
+
+        const result = {
+          stack: current,
+          requested: name,
+          overflowed: current !== name,
+          held: false,
+        };
+        this.emit("dispatched", { package: pkg, ...result });
+
+        const { capacity } = stack.definition;
+        if (
+          stack.count >= capacity.count ||
+          stack.mass >= capacity.mass ||
+          stack.volume >= capacity.volume
+        ) {
+          this._markFull(current, stack);
+        }
+        return result;
+      }
+
+      // Emptying the stack would not make room for a package too big for it
+      const tooBig = this._isOversize(stack, load);
+      if (!tooBig) {
+        this._markFull(current, stack);
+      }
+      oversize = oversize && tooBig;
+      const next = stack.definition.overflow;
+      if (next !== null && !visited.has(next)) {
+        this.emit("overflow", {
+          package: pkg,
+          from: current,
+          to: next,
+          oversize: tooBig,
+        });
+      }
+      current = next;
+    }
+
+    this._held.push({ package: pkg, requested: name });
+    this.emit("held", { package: pkg, requested: name, oversize });
+    return { stack: null, requested: name, overflowed: false, held: true };
+  }
+
+  /**
+   * Records that a stack has been emptied.
+   *
+   * Held packages stay held; call `releaseHeld` to dispatch them again.
+   *
+   * @param {string} name - Stack name
+   * @returns {StackUsage} The stack's usage just before it was emptied
+   * @throws {Error} If the stack is unknown
+   */
+  empty(name) {
+    const before = this.usage(name);
+    const stack = this._stack(name);
+    stack.count = 0;
+    stack.mass = 0;
+    stack.volume = 0;
+    stack.full = false;
+    this.emit("emptied", { stack: name, usage: before });
+    return before;
+  }
+
+  /**
+   * Dispatches the held packages again, oldest first. Packages that still
+   * don't fit are held again.
+   *
+   * @returns {Array<DispatchResult>} One result per previously held package
+   */
+  releaseHeld() {
+    const waiting = this._held;
+    this._held = [];
+    return waiting.map(({ package: pkg, requested }) =>
+      this.dispatch(requested, pkg)
+    );
+  }
+
+  /**
+   * Checks that a package has every quantity the stacks in an overflow chain
+   * limit, before a dispatch changes any state or emits any event
+   * @param {string} name - First stack in the chain
+   * @param {{mass: number|undefined, volume: number|undefined}} load - Package load
+   * @throws {Error} If a limited quantity is missing from the package
+   * @private
+   */
+  _checkChain(name, load) {
+    const visited = new Set();
+    for (
+      let current = name;
+      current !== null && !visited.has(current);
+      current = this._stack(current).definition.overflow
+    ) {
+      visited.add(current);
+      const { capacity } = this._stack(current).definition;
+      for (const limit of ["mass", "volume"]) {
+        if (capacity[limit] !== Infinity && load[limit] === undefined) {
+          throw new Error(
+            `Package ${limit} is required to dispatch into stack "${current}"`
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks whether a package fits in a stack
+   * @param {Object} stack - Stack state
+   * @param {{mass: number|undefined, volume: number|undefined}} load - Package load
+   * @returns {boolean} Whether every limit has room
+   * @private
+   */
+  _hasRoom(stack, load) {
+    const { capacity } = stack.definition;
+    return (
+      stack.count + 1 <= capacity.count &&
+      stack.mass + (load.mass ?? 0) <= capacity.mass &&
+      stack.volume + (load.volume ?? 0) <= capacity.volume
+    );
+  }
+
+  /**
+   * Checks whether a package exceeds a stack's capacity on its own
+   * @param {Object} stack - Stack state
+   * @param {{mass: number|undefined, volume: number|undefined}} load - Package load
+   * @returns {boolean} Whether the package could not go in even when the
+   *   stack is empty
+   * @private
+   */
+  _isOversize(stack, load) {
+    const { capacity } = stack.definition;
+    return (
+      (load.mass ?? 0) > capacity.mass || (load.volume ?? 0) > capacity.volume
+    );
+  }
+
+  /**
+   * Marks a stack full, emitting `full` the first time since it was emptied
+   * @param {string} name - Stack name
+   * @param {Object} stack - Stack state
+   * @private
+   */
+  _markFull(name, stack) {
+    if (!stack.full) {
+      stack.full = true;
+      this.emit("full", { stack: name, usage: this.usage(name) });
+    }
+  }
+
+  /**
+   * Looks up a stack's state
+   * @param {string} name - Stack name
+   * @returns {Object} Stack state
+   * @throws {Error} If the stack is unknown
+   * @private
+   */
+  _stack(name) {
+    const stack = this._stacks.get(name);
+    if (!stack) {
+      throw new Error(`Unknown stack "${name}"`);
+    }
+    return stack;
+  }
+}
+
+/**
+ * Throws for event names a StackManager never emits
+ * @param {string} event - Event name
+ * @throws {Error} If the event name is unknown
+ * @private
+ */
+function checkEventName(event) {
+  if (!STACK_MANAGER_EVENTS.includes(event)) {
+    throw new Error(
+      `Unknown StackManager event "${String(
+        event
+      )}" (expected ${STACK_MANAGER_EVENTS.join(", ")})`
+    );
+  }
+}
+
+/**
+ * @typedef {Object} StackDefinition
+ * @property {{count?: number, mass?: number, volume?: number}} [capacity] -
+ *   Limits in packages, kilograms and cm³; omitted limits are unlimited
+ * @property {string} [overflow] - Stack to use when this one is full
+ */
+
+/**
+ * @typedef {Object} StackPackage
+ * @property {*} [id] - Package ID, passed through to events
+ * @property {number} [mass] - Mass in kilograms
+ * @property {number} [volume] - Volume in cm³
+ * @property {number} [width] - Width in cm; used for the volume if no `volume`
+ * @property {number} [height] - Height in cm
+ * @property {number} [length] - Length in cm
+ */
+
+/**
+ * @typedef {Object} DispatchResult
+ * @property {string|null} stack - Stack the package went into; null if held
+ * @property {string} requested - Stack the package was sorted into
+ * @property {boolean} overflowed - Whether it went into an overflow stack
+ * @property {boolean} held - Whether it is waiting for room
+ */
+
+/**
+ * @typedef {Object} StackUsage
+ * @property {string} stack - Stack name
+ * @property {number} count - Packages in the stack
+ * @property {number} mass - Total mass in kilograms
+ * @property {number} volume - Total volume in cm³
+ * @property {{count: number|null, mass: number|null, volume: number|null}}
+ *   capacity - Limits, null where unlimited
+ * @property {boolean} full - Whether the stack needs emptying
+ */
+
+module.exports = {
+  STACK_MANAGER_EVENTS,
+  StackManager,
+};
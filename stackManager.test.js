@@ -0,0 +1,370 @@
+const { StackManager, STACK_MANAGER_EVENTS } = require("./stackManager");
+const { sortWithReason, InvalidPackageError } = require("./packageSorting");
+const {
+  STANDARD,
+  SPECIAL,
+  REJECTED,
+  STACK_CATALOG,
+} = require("./packageSortingConfig");
+
+describe("StackManager", () => {
+  test("should default to the unlimited catalog of the three stacks", () => {
+    const manager = new StackManager();
+    expect(manager.stacks).toEqual(Object.keys(STACK_CATALOG));
+    expect(manager.stacks).toEqual([STANDARD, SPECIAL, REJECTED]);
+    expect(manager.usage(STANDARD)).toEqual({
+      stack: STANDARD,
+      count: 0,
+      mass: 0,
+      volume: 0,
+      capacity: { count: null, mass: null, volume: null },
+      full: false,
+    });
+  });
+
+  test("should report unlimited capacities as null", () => {
+    const manager = new StackManager({ A: { capacity: { mass: 20 } } });
+    const usage = manager.usage("A");
+    expect(usage.capacity).toEqual({ count: null, mass: 20, volume: null });
+    expect(JSON.parse(JSON.stringify(usage))).toEqual(usage);
+  });
+
+  test("should track count, mass and volume dispatched into a stack", () => {
+    const manager = new StackManager();
+    manager.dispatch(STANDARD, { id: "PKG-1", mass: 10, volume: 30000 });
+    manager.dispatch(STANDARD, { mass: 5, width: 10, height: 10, length: 10 });
+
+    expect(manager.usage(STANDARD)).toMatchObject({
+      count: 2,
+      mass: 15,
+      volume: 31000,
+      full: false,
+    });
+  });
+
+  test("should accept the facts from sortWithReason", () => {
+    const manager = new StackManager();
+    const { result, facts } = sortWithReason(50, 30, 20, 10);
+    expect(
+      manager.dispatch(result, { mass: facts.mass, volume: facts.volume })
+    ).toEqual({
+      stack: STANDARD,
+      requested: STANDARD,
+      overflowed: false,
+      held: false,
+    });
+  });
+
+  describe("capacity limits", () => {
+    [
+      ["count", { count: 2 }, { mass: 1, volume: 1 }],
+      ["mass", { mass: 25 }, { mass: 10, volume: 1 }],
+      ["volume", { volume: 250 }, { mass: 1, volume: 100 }],
+    ].forEach(([limit, capacity, pkg]) => {
+      test(`should refuse a package that would exceed the ${limit} limit`, () => {
+        const manager = new StackManager({ A: { capacity } });
+        expect(manager.dispatch("A", pkg).held).toBe(false);
+        expect(manager.dispatch("A", pkg).held).toBe(false);
+        expect(manager.dispatch("A", pkg)).toEqual({
+          stack: null,
+          requested: "A",
+          overflowed: false,
+          held: true,
+        });
+        expect(manager.usage("A").count).toBe(2);
+      });
+    });
+
+    test("should let a package fill a stack exactly", () => {
+      const manager = new StackManager({ A: { capacity: { mass: 20 } } });
+      expect(manager.dispatch("A", { mass: 20 }).stack).toBe("A");
+      expect(manager.usage("A").full).toBe(true);
+    });
+
+    test("should require the quantities a stack limits", () => {
+      const manager = new StackManager({ A: { capacity: { mass: 20 } } });
+      expect(() => manager.dispatch("A", { volume: 100 })).toThrow(
+        'Package mass is required to dispatch into stack "A"'
+      );
+    });
+
+    [
+      [{ mass: -5 }, "Invalid package mass: must be greater than zero"],
+      [{ mass: 0 }, "Invalid package mass: must be greater than zero"],
+      [{ volume: -100 }, "Invalid package volume: must be greater than zero"],
+      [{ mass: 5, volume: NaN }, "Invalid package volume: must not be NaN"],
+      [
+        { width: 10, height: -10, length: 10 },
+        "Invalid package height: must be greater than zero",
+      ],
+      [{ mass: "5" }, "Invalid package mass: must be a number"],
+    ].forEach(([pkg, message]) => {
+      test(`should reject ${JSON.stringify(pkg)}`, () => {
+        const manager = new StackManager({ A: { capacity: { mass: 20 } } });
+        expect(() => manager.dispatch("A", pkg)).toThrow(InvalidPackageError);
+        expect(() => manager.dispatch("A", pkg)).toThrow(message);
+        expect(manager.usage("A")).toMatchObject({ count: 0, mass: 0 });
+      });
+    });
+  });
+
+  describe("overflow routing", () => {
+    const catalog = {
+      STANDARD: { capacity: { count: 1 }, overflow: "STANDARD-2" },
+      "STANDARD-2": { capacity: { count: 1 }, overflow: "FLOOR" },
+      FLOOR: { capacity: { count: 1 } },
+    };
+
+    test("should follow the overflow chain until a stack has room", () => {
+      const manager = new StackManager(catalog);
+      const overflow = jest.fn();
+      manager.on("overflow", overflow);
+
+      expect(manager.dispatch("STANDARD", { id: 1 }).stack).toBe("STANDARD");
+      expect(manager.dispatch("STANDARD", { id: 2 })).toEqual({
+        stack: "STANDARD-2",
+        requested: "STANDARD",
+        overflowed: true,
+        held: false,
+      });
+      expect(manager.dispatch("STANDARD", { id: 3 }).stack).toBe("FLOOR");
+      expect(overflow.mock.calls.map(([event]) => event)).toEqual([
+        {
+          package: { id: 2 },
+          from: "STANDARD",
+          to: "STANDARD-2",
+          oversize: false,
+        },
+        {
+          package: { id: 3 },
+          from: "STANDARD",
+          to: "STANDARD-2",
+          oversize: false,
+        },
+        {
+          package: { id: 3 },
+          from: "STANDARD-2",
+          to: "FLOOR",
+          oversize: false,
+        },
+      ]);
+    });
+
+    test("should hold a package when the whole chain is full", () => {
+      const manager = new StackManager(catalog);
+      const held = jest.fn();
+      manager.on("held", held);
+      [1, 2, 3].forEach((id) => manager.dispatch("STANDARD", { id }));
+
+      expect(manager.dispatch("STANDARD", { id: 4 }).held).toBe(true);
+      expect(held).toHaveBeenCalledWith({
+        package: { id: 4 },
+        requested: "STANDARD",
+        oversize: false,
+      });
+      expect(manager.held).toEqual([
+        { package: { id: 4 }, requested: "STANDARD" },
+      ]);
+    });
+
+    test("should pass a package too big for a stack on without marking it full", () => {
+      const manager = new StackManager({
+        A: { capacity: { mass: 20 }, overflow: "B" },
+        B: { capacity: { mass: 50 } },
+      });
+      const full = jest.fn();
+      const overflow = jest.fn();
+      manager.on("full", full);
+      manager.on("overflow", overflow);
+
+      expect(manager.dispatch("A", { id: 1, mass: 30 }).stack).toBe("B");
+      expect(overflow).toHaveBeenCalledWith({
+        package: { id: 1, mass: 30 },
+        from: "A",
+        to: "B",
+        oversize: true,
+      });
+      expect(full).not.toHaveBeenCalled();
+      expect(manager.usage("A").full).toBe(false);
+    });
+
+    test("should hold a package too big for every stack as oversize", () => {
+      const manager = new StackManager({ A: { capacity: { volume: 1000 } } });
+      const full = jest.fn();
+      const held = jest.fn();
+      manager.on("full", full);
+      manager.on("held", held);
+
+      manager.dispatch("A", { volume: 600 });
+      expect(manager.dispatch("A", { volume: 2000 }).held).toBe(true);
+      expect(held).toHaveBeenCalledWith({
+        package: { volume: 2000 },
+        requested: "A",
+        oversize: true,
+      });
+      expect(full).not.toHaveBeenCalled();
+      expect(manager.usage("A")).toMatchObject({ volume: 600, full: false });
+    });
+
+    test("should check the whole chain before changing anything", () => {
+      const manager = new StackManager({
+        A: { capacity: { volume: 100 }, overflow: "B" },
+        B: { capacity: { mass: 20 } },
+      });
+      manager.dispatch("A", { volume: 80, mass: 1 });
+      const events = jest.fn();
+      STACK_MANAGER_EVENTS.forEach((event) =>
+        manager.on(event, (payload) => events(event, payload))
+      );
+
+      expect(() => manager.dispatch("A", { volume: 50 })).toThrow(
+        'Package mass is required to dispatch into stack "B"'
+      );
+      expect(events).not.toHaveBeenCalled();
+      expect(manager.usage("A")).toMatchObject({
+        count: 1,
+        volume: 80,
+        full: false,
+      });
+      expect(manager.held).toEqual([]);
+    });
+
+    test("should stop at an overflow loop", () => {
+      const manager = new StackManager({
+        A: { capacity: { count: 1 }, overflow: "B" },
+        B: { capacity: { count: 1 }, overflow: "A" },
+      });
+      manager.dispatch("A", {});
+      manager.dispatch("A", {});
+      expect(manager.dispatch("A", {}).held).toBe(true);
+      expect(manager.dispatch("B", {}).held).toBe(true);
+    });
+  });
+
+  describe("full and emptied events", () => {
+    test("should fire full once when a stack reaches a limit", () => {
+      const manager = new StackManager({ A: { capacity: { count: 2 } } });
+      const full = jest.fn();
+      manager.on("full", full);
+
+      manager.dispatch("A", {});
+      expect(full).not.toHaveBeenCalled();
+      manager.dispatch("A", {});
+      manager.dispatch("A", {});
+
+      expect(full).toHaveBeenCalledTimes(1);
+      expect(full.mock.calls[0][0]).toMatchObject({
+        stack: "A",
+        usage: { count: 2, full: true },
+      });
+    });
+
+    test("should fire full when a stack refuses a package", () => {
+      const manager = new StackManager({ A: { capacity: { mass: 20 } } });
+      const full = jest.fn();
+      manager.on("full", full);
+
+      manager.dispatch("A", { mass: 15 });
+      manager.dispatch("A", { mass: 10 });
+      expect(full).toHaveBeenCalledTimes(1);
+      expect(full.mock.calls[0][0].usage.mass).toBe(15);
+    });
+
+    test("should reset a stack when it is emptied", () => {
+      const manager = new StackManager({ A: { capacity: { count: 1 } } });
+      const full = jest.fn();
+      const emptied = jest.fn();
+      manager.on("full", full).on("emptied", emptied);
+      manager.dispatch("A", { mass: 4 });
+
+      const before = manager.empty("A");
+      expect(before).toMatchObject({ count: 1, mass: 4, full: true });
+      expect(emptied).toHaveBeenCalledWith({ stack: "A", usage: before });
+      expect(manager.usage("A")).toMatchObject({ count: 0, full: false });
+
+      manager.dispatch("A", {});
+      expect(full).toHaveBeenCalledTimes(2);
+    });
+
+    test("should emit dispatched for every package placed", () => {
+      const manager = new StackManager();
+      const dispatched = jest.fn();
+      manager.on("dispatched", dispatched);
+      manager.dispatch(SPECIAL, { id: "PKG-1" });
+      expect(dispatched).toHaveBeenCalledWith({
+        package: { id: "PKG-1" },
+        stack: SPECIAL,
+        requested: SPECIAL,
+        overflowed: false,
+        held: false,
+      });
+    });
+
+    test("should reject unknown event names", () => {
+      const manager = new StackManager();
+      expect(STACK_MANAGER_EVENTS).toContain("full");
+      expect(() => manager.on("fill", () => {})).toThrow(
+        'Unknown StackManager event "fill"'
+      );
+      expect(() => manager.once("fill", () => {})).toThrow(
+        'Unknown StackManager event "fill"'
+      );
+    });
+  });
+
+  describe("releaseHeld", () => {
+    test("should dispatch held packages once there is room", () => {
+      const manager = new StackManager({ A: { capacity: { count: 1 } } });
+      manager.dispatch("A", { id: 1 });
+      manager.dispatch("A", { id: 2 });
+      manager.dispatch("A", { id: 3 });
+
+      manager.empty("A");
+      expect(manager.releaseHeld()).toEqual([
+        { stack: "A", requested: "A", overflowed: false, held: false },
+        { stack: null, requested: "A", overflowed: false, held: true },
+      ]);
+      expect(manager.held).toEqual([{ package: { id: 3 }, requested: "A" }]);
+    });
+  });
+
+  describe("validation", () => {
+    [
+      [{}, "Stack catalog must be an object with at least one stack"],
+      [null, "Stack catalog must be an object with at least one stack"],
+      [{ A: null }, 'Stack "A" must be an object'],
+      [{ A: { limit: 5 } }, 'Stack "A" has unknown setting "limit"'],
+      [{ A: { capacity: 5 } }, 'Stack "A" capacity must be an object'],
+      [
+        { A: { capacity: { count: 1.5 } } },
+        'Stack "A" capacity count must be a positive integer',
+      ],
+      [
+        { A: { capacity: { mass: -1 } } },
+        'Stack "A" capacity mass must be a positive finite number',
+      ],
+      [
+        { A: { capacity: { volume: Infinity } } },
+        'Stack "A" capacity volume must be a positive finite number',
+      ],
+      [{ A: { overflow: "A" } }, 'Stack "A" cannot overflow into itself'],
+      [{ A: { overflow: "B" } }, 'Stack "A" overflows into unknown stack "B"'],
+    ].forEach(([catalog, message]) => {
+      test(`should reject ${JSON.stringify(catalog)}`, () => {
+        expect(() => new StackManager(catalog)).toThrow(message);
+      });
+    });
+
+    test("should reject unknown stacks and non-object packages", () => {
+      const manager = new StackManager();
+      expect(() => manager.dispatch("FLOOR", {})).toThrow(
+        'Unknown stack "FLOOR"'
+      );
+      expect(() => manager.usage("FLOOR")).toThrow('Unknown stack "FLOOR"');
+      expect(() => manager.empty("FLOOR")).toThrow('Unknown stack "FLOOR"');
+      expect(() => manager.dispatch(STANDARD, null)).toThrow(
+        "Package must be an object"
+      );
+    });
+  });
+});
@@ -678,8 +678,33 @@ const sortTestData = {
   },
 };
 
+// Corrupted scanner readings that must never be routed to a stack
+const invalidMeasurementTestData = [
+  { value: undefined, reason: "is required", description: "missing value" },
+  { value: null, reason: "is required", description: "null value" },
+  {
+    value: "100",
+    reason: "must be a number, received string",
+    description: "numeric string",
+  },
+  { value: NaN, reason: "must not be NaN", description: "NaN" },
+  { value: Infinity, reason: "must be finite", description: "Infinity" },
+  { value: -Infinity, reason: "must be finite", description: "-Infinity" },
+  {
+    value: 0,
+    reason: "must be greater than zero",
+    description: "zero",
+  },
+  {
+    value: -10,
+    reason: "must be greater than zero",
+    description: "negative value",
+  },
+];
+
 module.exports = {
   isBulkyTestData,
   isHeavyTestData,
   sortTestData,
+  invalidMeasurementTestData,
 };
@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Unit Conversion for Package Measurements
+ *
+ * Normalizes scanner readings reported in other units to the centimeters and
+ * kilograms the classification thresholds are defined in. Each unit is stored
+ * as an exact integer ratio and converted with one multiplication followed by
+ * one division, so readings that land exactly on a threshold in their own
+ * unit (e.g. 1500 mm or 20000 g) normalize to exactly 150 cm or 20 kg instead
+ * of drifting across the boundary.
+ *
+ * @example
+ * const { normalizePackage } = require('./unitConversion');
+ * const pkg = normalizePackage(
+ *   { width: { value: 60, unit: "in" }, height: 20, length: 20, mass: 10 },
+ *   { length: "in", mass: "lb" }
+ * );
+ * pkg.width; // 152.4
+ *
+ * @author Package Sorting System
+ * @version 2.0.0
+ */
+
+const {
+  InvalidPackageError,
+  validateMeasurement,
+} = require("./packageValidation");
+
+/**
+ * Length units as [numerator, denominator] ratios to centimeters
+ * @type {Object<string, Array<number>>}
+ */
+const LENGTH_UNITS = Object.freeze({
+  mm: Object.freeze([1, 10]),
+  cm: Object.freeze([1, 1]),
+  m: Object.freeze([100, 1]),
+  in: Object.freeze([254, 100]),
+  ft: Object.freeze([3048, 100]),
+});
+
+/**
+ * Mass units as [numerator, denominator] ratios to kilograms
+ * @type {Object<string, Array<number>>}
+ */
+const MASS_UNITS = Object.freeze({
+  g: Object.freeze([1, 1000]),
+  kg: Object.freeze([1, 1]),
+  lb: Object.freeze([45359237, 100000000]),
+  oz: Object.freeze([45359237, 1600000000]),
+});
+
+const DIMENSION_FIELDS = ["width", "height", "length"];
+
+/**
+ * Applies a unit ratio to a value
+ * @param {number} value - Value in the source unit
+ * @param {Array<number>} ratio - [numerator, denominator] to the base unit
+ * @returns {number} Value in the base unit
+ * @private
+ */
+function applyRatio(value, [numerator, denominator]) {
+  return (value * numerator) / denominator;
+}
+
+/**
+ * Converts a length to centimeters.
+ *
+ * @param {number} value - Length in `unit`
+ * @param {string} unit - One of the LENGTH_UNITS keys
+ * @returns {number} Length in centimeters
+ * @throws {Error} If the unit is unknown
+ *
+ * @example
+ * toCentimeters(1500, "mm"); // 150
+ */
+function toCentimeters(value, unit) {
+  if (!Object.prototype.hasOwnProperty.call(LENGTH_UNITS, unit)) {
+    throw new Error(`Unknown length unit "${unit}"`);
+  }
+  return applyRatio(value, LENGTH_UNITS[unit]);
+}
+
+/**
+ * Converts a mass to kilograms.
+ *
+ * @param {number} value - Mass in `unit`
+ * @param {string} unit - One of the MASS_UNITS keys
+ * @returns {number} Mass in kilograms
+ * @throws {Error} If the unit is unknown
+ *
+ * @example
+ * toKilograms(20000, "g"); // 20
+ */
+function toKilograms(value, unit) {
+  if (!Object.prototype.hasOwnProperty.call(MASS_UNITS, unit)) {
+    throw new Error(`Unknown mass unit "${unit}"`);
+  }
+  return applyRatio(value, MASS_UNITS[unit]);
+}
+
+/**
+ * Validates and normalizes a single measurement
+ * @param {string} field - Measurement name, used in errors
+ * @param {number|{value: number, unit: string}} measurement - Raw reading
+ * @param {string} defaultUnit - Unit used when the reading has none
+ * @param {Object<string, Array<number>>} units - Unit table for the field
+ * @param {string} baseUnit - Unit the table converts to
+ * @returns {NormalizedMeasurement} Original and normalized value
+ * @throws {InvalidPackageError} If the reading or its unit is invalid
+ * @private
+ */
+function normalizeMeasurement(
+  field,
+  measurement,
+  defaultUnit,
+  units,
+  baseUnit
+) {
+  let value = measurement;
+  let unit = defaultUnit;
+
+  if (measurement && typeof measurement === "object") {
+    value = measurement.value;
+    if (measurement.unit !== undefined) {
+      unit = measurement.unit;
+    }
+  }
+
+  validateMeasurement(field, value);
+
+  if (!Object.prototype.hasOwnProperty.call(units, unit)) {
+    throw new InvalidPackageError(
+      field,
+      `has unknown unit "${unit}"`,
+      measurement
+    );
+  }
+
+  return {
+    original: { value, unit },
+    normalized: { value: applyRatio(value, units[unit]), unit: baseUnit },
+  };
+}
+
+/**
+ * Validates default units for a package
+ * @param {PackageUnits} units - Default units
+ * @returns {{length: string, mass: string}} Units with defaults filled in
+ * @throws {InvalidPackageError} If units is not an object or names an unknown unit
+ * @private
+ */
+function resolveUnits(units) {
+  if (units === undefined) {
+    return { length: "cm", mass: "kg" };
+  }
+
+  if (!units || typeof units !== "object") {
+    throw new InvalidPackageError("units", "must be an object", units);
+  }
+
+  const length = units.length ?? "cm";
+  const mass = units.mass ?? "kg";
+
+  if (!Object.prototype.hasOwnProperty.call(LENGTH_UNITS, length)) {
+    throw new InvalidPackageError(
+      "units",
+      `has unknown length unit "${length}"`,
+      units
+    );
+  }
+  if (!Object.prototype.hasOwnProperty.call(MASS_UNITS, mass)) {
+    throw new InvalidPackageError(
+      "units",
+      `has unknown mass unit "${mass}"`,
+      units
+    );
+  }
+
+  return { length, mass };
+}
+
+/**
+ * Normalizes a package's measurements to centimeters and kilograms.
+ *
+ * Each measurement may be a plain number in the default unit, or a
+ * `{ value, unit }` object that overrides it.
+ *
+ * @param {Object} measurements - Raw width, height, length and mass readings
+ * @param {PackageUnits} [units] - Default units for plain numbers (cm/kg if omitted)
+ * @returns {NormalizedPackage} Normalized values plus the original readings
+ * @throws {InvalidPackageError} If a reading, its unit or the default units
+ *   are invalid
+ *
+ * @example
+ * const pkg = normalizePackage(
+ *   { width: 1500, height: 500, length: 500, mass: { value: 44, unit: "lb" } },
+ *   { length: "mm" }
+ * );
+ * // pkg.width === 150, pkg.mass ≈ 19.958
+ */
+function normalizePackage({ width, height, length, mass }, units) {
+  const defaults = resolveUnits(units);
+  const readings = { width, height, length };
+  const normalized = { measurements: {} };
+
+  for (const field of DIMENSION_FIELDS) {
+    const measurement = normalizeMeasurement(
+      field,
+      readings[field],
+      defaults.length,
+      LENGTH_UNITS,
+      "cm"
+    );
+    normalized[field] = measurement.normalized.value;
+    normalized.measurements[field] = measurement;
+  }
+
+  const massMeasurement = normalizeMeasurement(
+    "mass",
+    mass,
+    defaults.mass,
+    MASS_UNITS,
+    "kg"
+  );
+  normalized.mass = massMeasurement.normalized.value;
+  normalized.measurements.mass = massMeasurement;
+
+  return normalized;
+}
+
+/**
+ * @typedef {Object} PackageUnits
+ * @property {string} [length="cm"] - Default length unit (mm, cm, m, in, ft)
+ * @property {string} [mass="kg"] - Default mass unit (g, kg, lb, oz)
+ */
+
+/**
+ * @typedef {Object} NormalizedMeasurement
+ * @property {{value: number, unit: string}} original - Reading as received
+ * @property {{value: number, unit: string}} normalized - Reading in cm or kg
+ */
+
+/**
+ * @typedef {Object} NormalizedPackage
+ * @property {number} width - Width in centimeters
+ * @property {number} height - Height in centimeters
+ * @property {number} length - Length in centimeters
+ * @property {number} mass - Mass in kilograms
+ * @property {Object<string, NormalizedMeasurement>} measurements - Original
+ *   and normalized reading for each field
+ */
+
+module.exports = {
+  LENGTH_UNITS,
+  MASS_UNITS,
+  toCentimeters,
+  toKilograms,
+  normalizePackage,
+};
@@ -0,0 +1,175 @@
+const {
+  LENGTH_UNITS,
+  MASS_UNITS,
+  toCentimeters,
+  toKilograms,
+  normalizePackage,
+} = require("./unitConversion");
+
+const { InvalidPackageError } = require("./packageValidation");
+
+const {
+  DIMENSION_THRESHOLD,
+  MASS_THRESHOLD,
+} = require("./packageSortingConfig");
+
+describe("toCentimeters function", () => {
+  [
+    [150, "cm", 150],
+    [1500, "mm", 150],
+    [1.5, "m", 150],
+    [60, "in", 152.4],
+    [5, "ft", 152.4],
+  ].forEach(([value, unit, expected]) => {
+    test(`${value} ${unit} should be ${expected} cm`, () => {
+      expect(toCentimeters(value, unit)).toBe(expected);
+    });
+  });
+
+  test("should reject unknown units", () => {
+    expect(() => toCentimeters(1, "furlong")).toThrow(
+      'Unknown length unit "furlong"'
+    );
+    expect(() => toCentimeters(1, "constructor")).toThrow(
+      'Unknown length unit "constructor"'
+    );
+  });
+});
+
+describe("toKilograms function", () => {
+  [
+    [20, "kg", 20],
+    [20000, "g", 20],
+    [1, "lb", 0.45359237],
+    [16, "oz", 0.45359237],
+  ].forEach(([value, unit, expected]) => {
+    test(`${value} ${unit} should be ${expected} kg`, () => {
+      expect(toKilograms(value, unit)).toBe(expected);
+    });
+  });
+
+  test("should reject unknown units", () => {
+    expect(() => toKilograms(1, "stone")).toThrow('Unknown mass unit "stone"');
+  });
+});
+
+describe("threshold boundaries", () => {
+  test("metric readings on a threshold should not drift", () => {
+    expect(toCentimeters(DIMENSION_THRESHOLD * 10, "mm")).toBe(
+      DIMENSION_THRESHOLD
+    );
+    expect(toCentimeters(DIMENSION_THRESHOLD / 100, "m")).toBe(
+      DIMENSION_THRESHOLD
+    );
+    expect(toKilograms(MASS_THRESHOLD * 1000, "g")).toBe(MASS_THRESHOLD);
+  });
+
+  test("readings just below a threshold should stay below it", () => {
+    expect(toCentimeters(1499.9, "mm")).toBeLessThan(DIMENSION_THRESHOLD);
+    expect(toKilograms(19999.9, "g")).toBeLessThan(MASS_THRESHOLD);
+    expect(toKilograms(44.09, "lb")).toBeLessThan(MASS_THRESHOLD);
+  });
+
+  test("every unit ratio should be an exact integer pair", () => {
+    [...Object.values(LENGTH_UNITS), ...Object.values(MASS_UNITS)].forEach(
+      (ratio) => {
+        expect(ratio.every(Number.isSafeInteger)).toBe(true);
+      }
+    );
+  });
+});
+
+describe("normalizePackage function", () => {
+  test("should default to centimeters and kilograms", () => {
+    const pkg = normalizePackage({
+      width: 10,
+      height: 20,
+      length: 30,
+      mass: 5,
+    });
+
+    expect(pkg).toMatchObject({ width: 10, height: 20, length: 30, mass: 5 });
+    expect(pkg.measurements.mass).toEqual({
+      original: { value: 5, unit: "kg" },
+      normalized: { value: 5, unit: "kg" },
+    });
+  });
+
+  test("should apply default units to plain numbers", () => {
+    const pkg = normalizePackage(
+      { width: 10, height: 20, length: 30, mass: 16 },
+      { length: "in", mass: "oz" }
+    );
+
+    expect(pkg.width).toBe(25.4);
+    expect(pkg.mass).toBe(0.45359237);
+    expect(pkg.measurements.width).toEqual({
+      original: { value: 10, unit: "in" },
+      normalized: { value: 25.4, unit: "cm" },
+    });
+  });
+
+  test("should let measurement objects override the default units", () => {
+    const pkg = normalizePackage(
+      {
+        width: { value: 1500, unit: "mm" },
+        height: 20,
+        length: { value: 30 },
+        mass: { value: 20000, unit: "g" },
+      },
+      { length: "in" }
+    );
+
+    expect(pkg.width).toBe(150);
+    expect(pkg.height).toBe(50.8);
+    expect(pkg.length).toBe(76.2);
+    expect(pkg.mass).toBe(20);
+  });
+
+  test("should validate measurement values", () => {
+    expect(() =>
+      normalizePackage({
+        width: { value: NaN, unit: "in" },
+        height: 1,
+        length: 1,
+        mass: 1,
+      })
+    ).toThrow("Invalid package width: must not be NaN");
+    expect(() =>
+      normalizePackage({ width: 1, height: 1, length: 1, mass: { unit: "lb" } })
+    ).toThrow("Invalid package mass: is required");
+  });
+
+  test("should reject unknown measurement units", () => {
+    expect(() =>
+      normalizePackage({
+        width: 1,
+        height: 1,
+        length: 1,
+        mass: { value: 1, unit: "in" },
+      })
+    ).toThrow(InvalidPackageError);
+    expect(() =>
+      normalizePackage({
+        width: 1,
+        height: 1,
+        length: 1,
+        mass: { value: 1, unit: "in" },
+      })
+    ).toThrow('Invalid package mass: has unknown unit "in"');
+  });
+
+  test("should reject invalid default units", () => {
+    const pkg = { width: 1, height: 1, length: 1, mass: 1 };
+
+    expect(() => normalizePackage(pkg, "in")).toThrow(
+      "Invalid package units: must be an object"
+    );
+    expect(() => normalizePackage(pkg, { length: "yd" })).toThrow(
+      'Invalid package units: has unknown length unit "yd"'
+    );
+    expect(() => normalizePackage(pkg, { mass: "ton" })).toThrow(
+      'Invalid package units: has unknown mass unit "ton"'
+    );
+  });
+});